@@ -13,4 +13,8 @@ module.exports = [
 			],
 		},
 	},
+	...wordpress.configs[ 'test-unit' ].map( ( config ) => ( {
+		...config,
+		files: [ 'tests/js/**/*.js' ],
+	} ) ),
 ];
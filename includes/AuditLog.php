@@ -0,0 +1,381 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * Audit trail of changes made through the editor chat.
+ *
+ * After every turn that changed the editor, the chat records who asked, what
+ * they asked, which tools ran on which blocks or entities, and hashes of the
+ * markup before and after. Entries are private posts owned by the requesting
+ * user and tagged with the post (or template) the chat was held on. Unlike
+ * archived chats, they are never pruned and outlive the user who made them.
+ */
+final class AuditLog {
+	/**
+	 * Post type holding audit entries.
+	 */
+	const POST_TYPE = 'nfd_editor_audit';
+
+	/**
+	 * Entries per page of the list endpoint.
+	 */
+	const PER_PAGE = 20;
+
+	/**
+	 * Largest accepted tools + changes payload, in bytes of JSON.
+	 */
+	const MAX_PAYLOAD_BYTES = 262144;
+
+	/**
+	 * Kinds of change an entry can record.
+	 */
+	const CHANGE_KINDS = array( 'changed', 'added', 'removed', 'moved', 'entity', 'global_styles' );
+
+	/**
+	 * Meta keys.
+	 */
+	const META_TOOLS     = '_nfd_audit_tools';
+	const META_CHANGES   = '_nfd_audit_changes';
+	const META_POST_ID   = '_nfd_audit_post_id';
+	const META_POST_TYPE = '_nfd_audit_post_type';
+
+	/**
+	 * Register the private post type that stores audit entries.
+	 */
+	public static function register_post_type() {
+		\register_post_type(
+			self::POST_TYPE,
+			array(
+				'label'            => __( 'Editor chat audit log', 'nfd-editor-chat' ),
+				'public'           => false,
+				'show_ui'          => false,
+				'show_in_rest'     => false,
+				'rewrite'          => false,
+				'query_var'        => false,
+				'can_export'       => true,
+				'delete_with_user' => false,
+				'supports'         => array( 'title', 'editor', 'author' ),
+			)
+		);
+	}
+
+	/**
+	 * Register the audit log REST routes.
+	 *
+	 * Anyone who can use the chat records their own turns; only
+	 * administrators can read the log.
+	 *
+	 * @param string $route_namespace REST namespace shared with the other editor chat routes.
+	 */
+	public static function register_rest_routes( $route_namespace ) {
+		\register_rest_route(
+			$route_namespace,
+			'/audit',
+			array(
+				array(
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => array( __CLASS__, 'list_entries' ),
+					'permission_callback' => function () {
+						return Permissions::is_admin();
+					},
+					'args'                => array(
+						'post_id'   => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'post_type' => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_key',
+						),
+						'page'      => array(
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						),
+					),
+				),
+				array(
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => array( __CLASS__, 'create_entry' ),
+					'permission_callback' => function () {
+						return Permissions::is_editor();
+					},
+					'args'                => array(
+						'prompt'    => array(
+							'type'              => 'string',
+							'required'          => true,
+							'sanitize_callback' => 'sanitize_textarea_field',
+						),
+						'tools'     => array(
+							'type'    => 'array',
+							'default' => array(),
+						),
+						'changes'   => array(
+							'type'     => 'array',
+							'required' => true,
+						),
+						'post_id'   => array(
+							'type'              => 'string',
+							'default'           => '',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'post_type' => array(
+							'type'              => 'string',
+							'default'           => '',
+							'sanitize_callback' => 'sanitize_key',
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * List audit entries, newest first, optionally for one post.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response
+	 */
+	public static function list_entries( \WP_REST_Request $request ) {
+		$args = array(
+			'post_type'      => self::POST_TYPE,
+			'post_status'    => 'private',
+			'orderby'        => 'date',
+			'order'          => 'DESC',
+			'posts_per_page' => self::PER_PAGE,
+			'paged'          => \max( 1, (int) $request->get_param( 'page' ) ),
+		);
+
+		$post_id = $request->get_param( 'post_id' );
+		if ( ! empty( $post_id ) ) {
+			$args['meta_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Admin-only, paged listing of a private post type.
+				array(
+					'key'   => self::META_POST_ID,
+					'value' => $post_id,
+				),
+				array(
+					'key'   => self::META_POST_TYPE,
+					'value' => (string) $request->get_param( 'post_type' ),
+				),
+			);
+		}
+
+		$query = new \WP_Query( $args );
+
+		return new \WP_REST_Response(
+			array(
+				'entries' => \array_map( array( __CLASS__, 'prepare_entry' ), $query->posts ),
+				'total'   => (int) $query->found_posts,
+			)
+		);
+	}
+
+	/**
+	 * Record a turn's changes for the current user.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public static function create_entry( \WP_REST_Request $request ) {
+		$tools   = self::sanitize_tools( $request->get_param( 'tools' ) );
+		$changes = self::sanitize_changes( $request->get_param( 'changes' ) );
+
+		if ( empty( $changes ) ) {
+			return new \WP_Error(
+				'invalid_audit_entry',
+				__( 'An audit entry needs at least one change.', 'nfd-editor-chat' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( \strlen( \wp_json_encode( array( $tools, $changes ) ) ) > self::MAX_PAYLOAD_BYTES ) {
+			return new \WP_Error(
+				'audit_entry_too_large',
+				__( 'This audit entry is too large to save.', 'nfd-editor-chat' ),
+				array( 'status' => 413 )
+			);
+		}
+
+		$prompt  = (string) $request->get_param( 'prompt' );
+		$post_id = \wp_insert_post(
+			\wp_slash(
+				array(
+					'post_type'    => self::POST_TYPE,
+					'post_status'  => 'private',
+					'post_author'  => \get_current_user_id(),
+					'post_title'   => \wp_trim_words( $prompt, 10 ),
+					'post_content' => $prompt,
+				)
+			),
+			true
+		);
+
+		if ( \is_wp_error( $post_id ) ) {
+			return new \WP_Error(
+				'audit_save_failed',
+				$post_id->get_error_message(),
+				array( 'status' => 500 )
+			);
+		}
+
+		\update_post_meta( $post_id, self::META_POST_ID, $request->get_param( 'post_id' ) );
+		\update_post_meta( $post_id, self::META_POST_TYPE, $request->get_param( 'post_type' ) );
+		\update_post_meta( $post_id, self::META_TOOLS, \wp_slash( \wp_json_encode( $tools ) ) );
+		\update_post_meta( $post_id, self::META_CHANGES, \wp_slash( \wp_json_encode( $changes ) ) );
+
+		return new \WP_REST_Response( self::prepare_entry( \get_post( $post_id ) ), 201 );
+	}
+
+	/**
+	 * Keep the name, outcome and targets of each executed tool.
+	 *
+	 * @param mixed $tools Tools from the request.
+	 * @return array
+	 */
+	private static function sanitize_tools( $tools ) {
+		$clean = array();
+
+		foreach ( (array) $tools as $tool ) {
+			if ( ! \is_array( $tool ) || empty( $tool['name'] ) || ! \is_string( $tool['name'] ) ) {
+				continue;
+			}
+			$targets = \array_filter( (array) ( $tool['targets'] ?? array() ), 'is_string' );
+			$clean[] = array(
+				'name'     => \sanitize_text_field( $tool['name'] ),
+				'is_error' => ! empty( $tool['is_error'] ),
+				'targets'  => \array_values( \array_map( 'sanitize_text_field', $targets ) ),
+			);
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Keep the known fields of each change; hashes must be SHA-256 hex or null.
+	 *
+	 * @param mixed $changes Changes from the request.
+	 * @return array
+	 */
+	private static function sanitize_changes( $changes ) {
+		$clean = array();
+
+		foreach ( (array) $changes as $change ) {
+			if ( ! \is_array( $change ) || ! \in_array( $change['kind'] ?? '', self::CHANGE_KINDS, true ) ) {
+				continue;
+			}
+			$clean[] = array(
+				'kind'        => $change['kind'],
+				'target'      => \sanitize_text_field( (string) ( $change['target'] ?? '' ) ),
+				'entity'      => \sanitize_key( (string) ( $change['entity'] ?? '' ) ),
+				'before_hash' => self::sanitize_hash( $change['before_hash'] ?? null ),
+				'after_hash'  => self::sanitize_hash( $change['after_hash'] ?? null ),
+			);
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * A SHA-256 hex digest, or null.
+	 *
+	 * @param mixed $hash Hash from the request.
+	 * @return string|null
+	 */
+	private static function sanitize_hash( $hash ) {
+		return \is_string( $hash ) && \preg_match( '/^[a-f0-9]{64}$/', $hash ) ? $hash : null;
+	}
+
+	/**
+	 * Read a JSON-encoded array meta value.
+	 *
+	 * @param int    $post_id Entry post ID.
+	 * @param string $key     Meta key.
+	 * @return array
+	 */
+	private static function get_json_meta( $post_id, $key ) {
+		$value = \json_decode( (string) \get_post_meta( $post_id, $key, true ), true );
+		return \is_array( $value ) ? $value : array();
+	}
+
+	/**
+	 * ID of the post that stores a post or template, for its revisions.
+	 *
+	 * @param string $post_id   Post ID, or template ID for templates and template parts.
+	 * @param string $post_type Post type.
+	 * @return int 0 when there is none (e.g. a theme template never edited).
+	 */
+	private static function resolve_post_id( $post_id, $post_type ) {
+		if ( \in_array( $post_type, array( 'wp_template', 'wp_template_part' ), true ) ) {
+			$template = \get_block_template( $post_id, $post_type );
+			return $template && $template->wp_id ? (int) $template->wp_id : 0;
+		}
+
+		return \is_numeric( $post_id ) ? (int) $post_id : 0;
+	}
+
+	/**
+	 * The first revision of the entry's post that its author saved at or after
+	 * the entry, which holds its changes.
+	 *
+	 * The chat edits the open document and the user saves it afterwards, so
+	 * the revision is matched rather than recorded with the entry. Revisions
+	 * are stamped with the user who saved them, so another user's save in
+	 * between is never taken for this one.
+	 *
+	 * @param \WP_Post $entry     Entry post.
+	 * @param string   $post_id   Post ID, or template ID.
+	 * @param string   $post_type Post type.
+	 * @return int|null Revision ID, or null when none has been saved yet.
+	 */
+	private static function find_revision( $entry, $post_id, $post_type ) {
+		$parent_id = self::resolve_post_id( $post_id, $post_type );
+		if ( ! $parent_id ) {
+			return null;
+		}
+
+		$revisions = \wp_get_post_revisions(
+			$parent_id,
+			array(
+				'order'          => 'ASC',
+				'posts_per_page' => 1,
+				'author'         => (int) $entry->post_author,
+				'date_query'     => array(
+					array(
+						'column'    => 'post_date_gmt',
+						'after'     => $entry->post_date_gmt,
+						'inclusive' => true,
+					),
+				),
+			)
+		);
+
+		return $revisions ? (int) \array_key_first( $revisions ) : null;
+	}
+
+	/**
+	 * Shape an entry post for the list endpoint.
+	 *
+	 * @param \WP_Post $post Entry post.
+	 * @return array
+	 */
+	private static function prepare_entry( $post ) {
+		$post_id     = (string) \get_post_meta( $post->ID, self::META_POST_ID, true );
+		$post_type   = (string) \get_post_meta( $post->ID, self::META_POST_TYPE, true );
+		$author      = \get_userdata( (int) $post->post_author );
+		$revision_id = self::find_revision( $post, $post_id, $post_type );
+
+		return array(
+			'id'           => $post->ID,
+			'user'         => $author ? $author->display_name : __( 'Deleted user', 'nfd-editor-chat' ),
+			'prompt'       => $post->post_content,
+			'post_id'      => $post_id,
+			'post_type'    => $post_type,
+			'created'      => \mysql_to_rfc3339( $post->post_date_gmt ),
+			'tools'        => self::get_json_meta( $post->ID, self::META_TOOLS ),
+			'changes'      => self::get_json_meta( $post->ID, self::META_CHANGES ),
+			'revision_id'  => $revision_id,
+			'revision_url' => $revision_id ? \admin_url( 'revision.php?revision=' . $revision_id ) : null,
+		);
+	}
+}
@@ -0,0 +1,187 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * Site-level brand profile for the editor chat.
+ *
+ * Tone of voice, banned words, CTA phrasing, reading level and preferred
+ * palette slugs and fonts, stored in one option. The editor loads it with the
+ * rest of the chat config and sends it to the model every turn, so rewrites
+ * and new sections stay on-brand without users restating it.
+ */
+final class BrandProfile {
+	/**
+	 * Option holding the profile.
+	 */
+	const OPTION_NAME = 'nfd_editor_chat_brand_profile';
+
+	/**
+	 * Accepted reading levels; empty means no preference.
+	 */
+	const READING_LEVELS = array( '', 'simple', 'general', 'advanced' );
+
+	/**
+	 * Longest accepted free-text field, in characters.
+	 */
+	const MAX_TEXT_LENGTH = 500;
+
+	/**
+	 * Most entries kept per list field.
+	 */
+	const MAX_LIST_ITEMS = 20;
+
+	/**
+	 * Longest accepted list entry, in characters.
+	 */
+	const MAX_ITEM_LENGTH = 100;
+
+	/**
+	 * Register the brand profile REST route.
+	 *
+	 * Any editor can read the profile (the chat sends it to the model); only
+	 * admins can change it, since it applies to everyone's chats.
+	 *
+	 * @param string $route_namespace REST namespace shared with the other editor chat routes.
+	 */
+	public static function register_rest_routes( $route_namespace ) {
+		$list_arg = array(
+			'type'  => 'array',
+			'items' => array( 'type' => 'string' ),
+		);
+
+		\register_rest_route(
+			$route_namespace,
+			'/brand-profile',
+			array(
+				array(
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => array( __CLASS__, 'get_profile_response' ),
+					'permission_callback' => function () {
+						return Permissions::is_editor();
+					},
+				),
+				array(
+					'methods'             => \WP_REST_Server::EDITABLE,
+					'callback'            => array( __CLASS__, 'update_profile' ),
+					'permission_callback' => function () {
+						return Permissions::is_admin();
+					},
+					'args'                => array(
+						'tone'          => array( 'type' => 'string' ),
+						'banned_words'  => $list_arg,
+						'cta_phrasing'  => array( 'type' => 'string' ),
+						'reading_level' => array(
+							'type' => 'string',
+							'enum' => self::READING_LEVELS,
+						),
+						'palette_slugs' => $list_arg,
+						'fonts'         => $list_arg,
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get the stored profile, with every field present.
+	 *
+	 * @return array
+	 */
+	public static function get_profile() {
+		return self::sanitize_profile( \get_option( self::OPTION_NAME, array() ) );
+	}
+
+	/**
+	 * REST callback returning the profile.
+	 *
+	 * @return \WP_REST_Response
+	 */
+	public static function get_profile_response() {
+		return new \WP_REST_Response( self::get_profile() );
+	}
+
+	/**
+	 * Replace the profile. Fields left out of the request are cleared.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response
+	 */
+	public static function update_profile( \WP_REST_Request $request ) {
+		$profile = self::sanitize_profile(
+			array(
+				'tone'          => $request->get_param( 'tone' ),
+				'banned_words'  => $request->get_param( 'banned_words' ),
+				'cta_phrasing'  => $request->get_param( 'cta_phrasing' ),
+				'reading_level' => $request->get_param( 'reading_level' ),
+				'palette_slugs' => $request->get_param( 'palette_slugs' ),
+				'fonts'         => $request->get_param( 'fonts' ),
+			)
+		);
+
+		\update_option( self::OPTION_NAME, $profile, false );
+
+		return new \WP_REST_Response( $profile );
+	}
+
+	/**
+	 * Normalize a profile: trimmed, length-capped text and de-duplicated lists.
+	 *
+	 * @param mixed $value Raw profile.
+	 * @return array
+	 */
+	public static function sanitize_profile( $value ) {
+		$value         = \is_array( $value ) ? $value : array();
+		$reading_level = \sanitize_key( (string) ( $value['reading_level'] ?? '' ) );
+
+		return array(
+			'tone'          => self::sanitize_text( $value['tone'] ?? '', true ),
+			'banned_words'  => self::sanitize_list( $value['banned_words'] ?? array(), 'sanitize_text_field' ),
+			'cta_phrasing'  => self::sanitize_text( $value['cta_phrasing'] ?? '' ),
+			'reading_level' => \in_array( $reading_level, self::READING_LEVELS, true ) ? $reading_level : '',
+			'palette_slugs' => self::sanitize_list( $value['palette_slugs'] ?? array(), 'sanitize_title' ),
+			'fonts'         => self::sanitize_list( $value['fonts'] ?? array(), 'sanitize_text_field' ),
+		);
+	}
+
+	/**
+	 * Sanitize a free-text field.
+	 *
+	 * @param mixed $text      Raw text.
+	 * @param bool  $multiline Whether line breaks are kept.
+	 * @return string
+	 */
+	private static function sanitize_text( $text, $multiline = false ) {
+		if ( ! \is_string( $text ) ) {
+			return '';
+		}
+		$text = $multiline ? \sanitize_textarea_field( $text ) : \sanitize_text_field( $text );
+
+		return \mb_substr( \trim( $text ), 0, self::MAX_TEXT_LENGTH );
+	}
+
+	/**
+	 * Sanitize a list field, dropping empty and repeated entries.
+	 *
+	 * @param mixed    $items    Raw list.
+	 * @param callable $sanitize Sanitizer for one entry.
+	 * @return string[]
+	 */
+	private static function sanitize_list( $items, $sanitize ) {
+		if ( ! \is_array( $items ) ) {
+			return array();
+		}
+		$clean = array();
+		foreach ( $items as $item ) {
+			if ( ! \is_string( $item ) ) {
+				continue;
+			}
+			$item = \mb_substr( \trim( \call_user_func( $sanitize, $item ) ), 0, self::MAX_ITEM_LENGTH );
+			if ( '' !== $item && ! \in_array( $item, $clean, true ) ) {
+				$clean[] = $item;
+			}
+		}
+
+		return \array_slice( $clean, 0, self::MAX_LIST_ITEMS );
+	}
+}
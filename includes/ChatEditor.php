@@ -29,6 +29,8 @@ final class ChatEditor {
 	 */
 	public function __construct() {
 		\add_action( 'init', array( __CLASS__, 'ensure_temp_upload_dir' ), 5 );
+		\add_action( 'init', array( ChatHistory::class, 'register_post_type' ) );
+		\add_action( 'init', array( AuditLog::class, 'register_post_type' ) );
 		\add_action( 'rest_api_init', array( __CLASS__, 'register_rest_routes' ) );
 		\add_action( 'init', array( __CLASS__, 'load_text_domain' ), 100 );
 		\add_filter( 'load_script_translation_file', array( __CLASS__, 'load_script_translation_file' ), 10, 3 );
@@ -81,6 +83,10 @@ final class ChatEditor {
 				},
 			)
 		);
+
+		ChatHistory::register_rest_routes( 'nfd-editor-chat/v1' );
+		BrandProfile::register_rest_routes( 'nfd-editor-chat/v1' );
+		AuditLog::register_rest_routes( 'nfd-editor-chat/v1' );
 	}
 
 	/**
@@ -297,19 +303,34 @@ final class ChatEditor {
 			);
 
 			$args = array(
-				'nonce'          => \wp_create_nonce( 'wp_rest' ),
-				'nfdRestURL'     => \get_home_url() . '/index.php?rest_route=/nfd-editor-chat/v1',
-				'mcpUrl'         => \esc_url_raw( \rest_url( 'blu/mcp' ) ),
-				'configEndpoint' => \esc_url_raw( \rest_url( 'nfd-editor-chat/v1/config' ) ),
-				'homeUrl'        => \esc_url( \get_home_url() ),
-				'wpVer'          => \esc_html( \get_bloginfo( 'version' ) ),
-				'nfdChatVersion' => \esc_html( NFD_EDITOR_CHAT_VERSION ),
-				'model'          => defined( 'NFD_EDITOR_CHAT_MODEL' ) ? \NFD_EDITOR_CHAT_MODEL : '',
-				'site'           => self::get_site_context(),
-				'pagesCount'     => \array_sum( (array) \wp_count_posts( 'page' ) ),
-				'editorType'     => $editor_type,
+				'nonce'            => \wp_create_nonce( 'wp_rest' ),
+				'nfdRestURL'       => \get_home_url() . '/index.php?rest_route=/nfd-editor-chat/v1',
+				'mcpUrl'           => \esc_url_raw( \rest_url( 'blu/mcp' ) ),
+				'configEndpoint'   => \esc_url_raw( \rest_url( 'nfd-editor-chat/v1/config' ) ),
+				'homeUrl'          => \esc_url( \get_home_url() ),
+				'wpVer'            => \esc_html( \get_bloginfo( 'version' ) ),
+				'nfdChatVersion'   => \esc_html( NFD_EDITOR_CHAT_VERSION ),
+				'model'            => defined( 'NFD_EDITOR_CHAT_MODEL' ) ? \NFD_EDITOR_CHAT_MODEL : '',
+				'summaryModel'     => defined( 'NFD_EDITOR_CHAT_SUMMARY_MODEL' ) ? \NFD_EDITOR_CHAT_SUMMARY_MODEL : '',
+				'toolConcurrency'  => defined( 'NFD_EDITOR_CHAT_TOOL_CONCURRENCY' ) ? (int) \NFD_EDITOR_CHAT_TOOL_CONCURRENCY : 0,
+				'toolCapabilities' => Permissions::get_tool_capabilities(),
+				'site'             => self::get_site_context(),
+				'brandProfile'     => array(
+					'profile' => BrandProfile::get_profile(),
+					'canEdit' => Permissions::is_admin(),
+				),
+				'auditLog'         => array(
+					'canView' => Permissions::is_admin(),
+				),
+				'pagesCount'       => \array_sum( (array) \wp_count_posts( 'page' ) ),
+				'editorType'       => $editor_type,
 			);
 
+			if ( defined( 'NFD_EDITOR_CHAT_PROVIDER' ) && 'fixture' === \NFD_EDITOR_CHAT_PROVIDER ) {
+				$args['provider'] = 'fixture';
+				$args['fixture']  = self::get_provider_fixture();
+			}
+
 			$upgrade_banner_data = self::get_plan_upgrade_banner_data();
 			if ( $upgrade_banner_data ) {
 				$args['planUpgradeBanner'] = $upgrade_banner_data;
@@ -358,6 +379,26 @@ final class ChatEditor {
 		return $data;
 	}
 
+	/**
+	 * Read the scripted AI responses for the offline fixture provider.
+	 *
+	 * Development only: NFD_EDITOR_CHAT_FIXTURE names a JSON file in the
+	 * format documented in src/services/providers/fixtureProvider.js. Decoded
+	 * as objects so empty `{}` values survive the round trip to the script.
+	 *
+	 * @return object|array
+	 */
+	private static function get_provider_fixture() {
+		if ( ! defined( 'NFD_EDITOR_CHAT_FIXTURE' ) || ! \is_readable( \NFD_EDITOR_CHAT_FIXTURE ) ) {
+			return array();
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local file named in wp-config.php, development only.
+		$fixture = \json_decode( (string) \file_get_contents( \NFD_EDITOR_CHAT_FIXTURE ) );
+
+		return \is_object( $fixture ) ? $fixture : array();
+	}
+
 	/**
 	 * Filter default WP script translations file to load the correct one
 	 *
@@ -0,0 +1,492 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * Server-side archive of editor chats.
+ *
+ * Each chat is a private post owned by the user who held it, tagged with the
+ * post (or template) it was held on. The display messages and the
+ * model-visible history are stored as JSON meta; post_content carries a
+ * plain-text copy of the conversation so the regular search can find it.
+ */
+final class ChatHistory {
+	/**
+	 * Post type holding archived chats.
+	 */
+	const POST_TYPE = 'nfd_editor_chat';
+
+	/**
+	 * Chats kept per user; older ones are pruned when a new chat is archived.
+	 */
+	const MAX_CHATS_PER_USER = 50;
+
+	/**
+	 * Largest accepted messages + history payload, in bytes of JSON.
+	 */
+	const MAX_PAYLOAD_BYTES = 2097152;
+
+	/**
+	 * Chat summaries per page of the list endpoint.
+	 */
+	const PER_PAGE = 20;
+
+	/**
+	 * Meta keys.
+	 */
+	const META_MESSAGES  = '_nfd_chat_messages';
+	const META_HISTORY   = '_nfd_chat_history';
+	const META_POST_ID   = '_nfd_chat_post_id';
+	const META_POST_TYPE = '_nfd_chat_post_type';
+
+	/**
+	 * Register the private post type that stores archived chats.
+	 */
+	public static function register_post_type() {
+		\register_post_type(
+			self::POST_TYPE,
+			array(
+				'label'            => __( 'Editor chats', 'nfd-editor-chat' ),
+				'public'           => false,
+				'show_ui'          => false,
+				'show_in_rest'     => false,
+				'rewrite'          => false,
+				'query_var'        => false,
+				'can_export'       => false,
+				'delete_with_user' => true,
+				'supports'         => array( 'title', 'editor', 'author' ),
+			)
+		);
+	}
+
+	/**
+	 * Register the chat history REST routes.
+	 *
+	 * @param string $route_namespace REST namespace shared with the other editor chat routes.
+	 */
+	public static function register_rest_routes( $route_namespace ) {
+		$permission_callback = function () {
+			return Permissions::is_editor();
+		};
+		$save_args           = array(
+			'messages'  => array(
+				'type'     => 'array',
+				'required' => true,
+			),
+			'history'   => array(
+				'type'    => 'array',
+				'default' => array(),
+			),
+			'post_id'   => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'post_type' => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_key',
+			),
+		);
+
+		\register_rest_route(
+			$route_namespace,
+			'/chats',
+			array(
+				array(
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => array( __CLASS__, 'list_chats' ),
+					'permission_callback' => $permission_callback,
+					'args'                => array(
+						'post_id'   => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'post_type' => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_key',
+						),
+						'search'    => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'page'      => array(
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						),
+					),
+				),
+				array(
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => array( __CLASS__, 'create_chat' ),
+					'permission_callback' => $permission_callback,
+					'args'                => $save_args,
+				),
+			)
+		);
+
+		\register_rest_route(
+			$route_namespace,
+			'/chats/(?P<id>\d+)',
+			array(
+				array(
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => array( __CLASS__, 'get_chat' ),
+					'permission_callback' => $permission_callback,
+				),
+				array(
+					'methods'             => \WP_REST_Server::EDITABLE,
+					'callback'            => array( __CLASS__, 'update_chat' ),
+					'permission_callback' => $permission_callback,
+					'args'                => $save_args,
+				),
+				array(
+					'methods'             => \WP_REST_Server::DELETABLE,
+					'callback'            => array( __CLASS__, 'delete_chat' ),
+					'permission_callback' => $permission_callback,
+				),
+			)
+		);
+	}
+
+	/**
+	 * List the current user's chats, most recently updated first.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response
+	 */
+	public static function list_chats( \WP_REST_Request $request ) {
+		$args = array(
+			'post_type'      => self::POST_TYPE,
+			'post_status'    => 'private',
+			'author'         => \get_current_user_id(),
+			'orderby'        => 'modified',
+			'order'          => 'DESC',
+			'posts_per_page' => self::PER_PAGE,
+			'paged'          => \max( 1, (int) $request->get_param( 'page' ) ),
+		);
+
+		$search = $request->get_param( 'search' );
+		if ( ! empty( $search ) ) {
+			$args['s'] = $search;
+		}
+
+		$post_id = $request->get_param( 'post_id' );
+		if ( ! empty( $post_id ) ) {
+			$args['meta_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				array(
+					'key'   => self::META_POST_ID,
+					'value' => $post_id,
+				),
+				array(
+					'key'   => self::META_POST_TYPE,
+					'value' => (string) $request->get_param( 'post_type' ),
+				),
+			);
+		}
+
+		$query = new \WP_Query( $args );
+
+		return new \WP_REST_Response(
+			array(
+				'chats' => \array_map( array( __CLASS__, 'prepare_summary' ), $query->posts ),
+				'total' => (int) $query->found_posts,
+			)
+		);
+	}
+
+	/**
+	 * Get one of the current user's chats with its messages and history.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public static function get_chat( \WP_REST_Request $request ) {
+		$post = self::get_owned_chat( $request->get_param( 'id' ) );
+		if ( \is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		return new \WP_REST_Response(
+			\array_merge(
+				self::prepare_summary( $post ),
+				array(
+					'messages' => self::get_json_meta( $post->ID, self::META_MESSAGES ),
+					'history'  => self::get_json_meta( $post->ID, self::META_HISTORY ),
+				)
+			)
+		);
+	}
+
+	/**
+	 * Archive a new chat for the current user.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public static function create_chat( \WP_REST_Request $request ) {
+		$error = self::validate_payload( $request );
+		if ( \is_wp_error( $error ) ) {
+			return $error;
+		}
+
+		$post_id = \wp_insert_post(
+			\wp_slash(
+				array(
+					'post_type'    => self::POST_TYPE,
+					'post_status'  => 'private',
+					'post_author'  => \get_current_user_id(),
+					'post_title'   => self::build_title( $request->get_param( 'messages' ) ),
+					'post_content' => self::build_search_text( $request->get_param( 'messages' ) ),
+				)
+			),
+			true
+		);
+
+		if ( \is_wp_error( $post_id ) ) {
+			return new \WP_Error(
+				'chat_save_failed',
+				$post_id->get_error_message(),
+				array( 'status' => 500 )
+			);
+		}
+
+		\update_post_meta( $post_id, self::META_POST_ID, $request->get_param( 'post_id' ) );
+		\update_post_meta( $post_id, self::META_POST_TYPE, $request->get_param( 'post_type' ) );
+		self::save_conversation( $post_id, $request );
+		self::prune_chats( \get_current_user_id() );
+
+		return new \WP_REST_Response( self::prepare_summary( \get_post( $post_id ) ), 201 );
+	}
+
+	/**
+	 * Replace the messages and history of one of the current user's chats.
+	 *
+	 * The post the chat is filed under stays the one it started on.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public static function update_chat( \WP_REST_Request $request ) {
+		$post = self::get_owned_chat( $request->get_param( 'id' ) );
+		if ( \is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$error = self::validate_payload( $request );
+		if ( \is_wp_error( $error ) ) {
+			return $error;
+		}
+
+		\wp_update_post(
+			\wp_slash(
+				array(
+					'ID'           => $post->ID,
+					'post_content' => self::build_search_text( $request->get_param( 'messages' ) ),
+				)
+			)
+		);
+		self::save_conversation( $post->ID, $request );
+
+		return new \WP_REST_Response( self::prepare_summary( \get_post( $post->ID ) ) );
+	}
+
+	/**
+	 * Delete one of the current user's chats.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public static function delete_chat( \WP_REST_Request $request ) {
+		$post = self::get_owned_chat( $request->get_param( 'id' ) );
+		if ( \is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		\wp_delete_post( $post->ID, true );
+
+		return new \WP_REST_Response(
+			array(
+				'deleted' => true,
+				'id'      => $post->ID,
+			)
+		);
+	}
+
+	/**
+	 * Look up a chat that belongs to the current user.
+	 *
+	 * Other users' chats get the same 404 as missing ones, so IDs can't be probed.
+	 *
+	 * @param int $id Chat post ID.
+	 * @return \WP_Post|\WP_Error
+	 */
+	private static function get_owned_chat( $id ) {
+		$post = \get_post( (int) $id );
+
+		if ( ! $post || self::POST_TYPE !== $post->post_type || (int) $post->post_author !== \get_current_user_id() ) {
+			return new \WP_Error(
+				'chat_not_found',
+				__( 'Chat not found.', 'nfd-editor-chat' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return $post;
+	}
+
+	/**
+	 * Check the messages and history sent to be archived.
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 * @return true|\WP_Error
+	 */
+	private static function validate_payload( \WP_REST_Request $request ) {
+		$messages = $request->get_param( 'messages' );
+		$history  = $request->get_param( 'history' );
+
+		if ( ! \is_array( $messages ) || empty( $messages ) || ! \is_array( $history ) ) {
+			return new \WP_Error(
+				'invalid_chat',
+				__( 'A chat needs at least one message.', 'nfd-editor-chat' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( \strlen( \wp_json_encode( array( $messages, $history ) ) ) > self::MAX_PAYLOAD_BYTES ) {
+			return new \WP_Error(
+				'chat_too_large',
+				__( 'This chat is too long to save to the history.', 'nfd-editor-chat' ),
+				array( 'status' => 413 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Store the messages and history of a request on a chat post.
+	 *
+	 * @param int              $post_id Chat post ID.
+	 * @param \WP_REST_Request $request The REST request.
+	 */
+	private static function save_conversation( $post_id, \WP_REST_Request $request ) {
+		\update_post_meta( $post_id, self::META_MESSAGES, \wp_slash( \wp_json_encode( $request->get_param( 'messages' ) ) ) );
+		\update_post_meta( $post_id, self::META_HISTORY, \wp_slash( \wp_json_encode( $request->get_param( 'history' ) ) ) );
+	}
+
+	/**
+	 * Read a JSON-encoded array meta value.
+	 *
+	 * @param int    $post_id Chat post ID.
+	 * @param string $key     Meta key.
+	 * @return array
+	 */
+	private static function get_json_meta( $post_id, $key ) {
+		$value = \json_decode( (string) \get_post_meta( $post_id, $key, true ), true );
+		return \is_array( $value ) ? $value : array();
+	}
+
+	/**
+	 * Delete the user's oldest chats beyond MAX_CHATS_PER_USER.
+	 *
+	 * @param int $user_id User ID.
+	 */
+	private static function prune_chats( $user_id ) {
+		$stale = \get_posts(
+			array(
+				'post_type'      => self::POST_TYPE,
+				'post_status'    => 'private',
+				'author'         => $user_id,
+				'orderby'        => 'modified',
+				'order'          => 'DESC',
+				'offset'         => self::MAX_CHATS_PER_USER,
+				'posts_per_page' => 100,
+				'fields'         => 'ids',
+			)
+		);
+
+		foreach ( $stale as $stale_id ) {
+			\wp_delete_post( $stale_id, true );
+		}
+	}
+
+	/**
+	 * Title a chat after its first user message.
+	 *
+	 * @param array $messages Display messages.
+	 * @return string
+	 */
+	private static function build_title( $messages ) {
+		foreach ( $messages as $message ) {
+			if ( isset( $message['role'], $message['content'] ) && 'user' === $message['role'] && \is_string( $message['content'] ) ) {
+				return \wp_trim_words( \wp_strip_all_tags( $message['content'] ), 10 );
+			}
+		}
+
+		return __( 'Untitled chat', 'nfd-editor-chat' );
+	}
+
+	/**
+	 * Plain text of the user and assistant messages, for search.
+	 *
+	 * @param array $messages Display messages.
+	 * @return string
+	 */
+	private static function build_search_text( $messages ) {
+		$lines = array();
+		foreach ( $messages as $message ) {
+			if ( isset( $message['role'], $message['content'] )
+				&& \in_array( $message['role'], array( 'user', 'assistant' ), true )
+				&& \is_string( $message['content'] )
+			) {
+				$lines[] = \wp_strip_all_tags( $message['content'] );
+			}
+		}
+
+		return \implode( "\n\n", $lines );
+	}
+
+	/**
+	 * Title of the post or template a chat was held on.
+	 *
+	 * @param string $post_id   Post ID, or template ID for templates and template parts.
+	 * @param string $post_type Post type.
+	 * @return string
+	 */
+	private static function get_post_title( $post_id, $post_type ) {
+		if ( '' === $post_id ) {
+			return '';
+		}
+
+		if ( \in_array( $post_type, array( 'wp_template', 'wp_template_part' ), true ) ) {
+			$template = \get_block_template( $post_id, $post_type );
+			return $template ? $template->title : '';
+		}
+
+		return \is_numeric( $post_id ) ? \get_the_title( (int) $post_id ) : '';
+	}
+
+	/**
+	 * Shape a chat post for the list endpoint (no messages).
+	 *
+	 * @param \WP_Post $post Chat post.
+	 * @return array
+	 */
+	private static function prepare_summary( $post ) {
+		$post_id   = (string) \get_post_meta( $post->ID, self::META_POST_ID, true );
+		$post_type = (string) \get_post_meta( $post->ID, self::META_POST_TYPE, true );
+
+		return array(
+			'id'            => $post->ID,
+			'title'         => $post->post_title,
+			'post_id'       => $post_id,
+			'post_type'     => $post_type,
+			'post_title'    => self::get_post_title( $post_id, $post_type ),
+			'created'       => \mysql_to_rfc3339( $post->post_date_gmt ),
+			'updated'       => \mysql_to_rfc3339( $post->post_modified_gmt ),
+			'message_count' => \count( self::get_json_meta( $post->ID, self::META_MESSAGES ) ),
+		);
+	}
+}
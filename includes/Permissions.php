@@ -16,6 +16,27 @@ final class Permissions {
 	 */
 	const EDITOR = 'edit_pages';
 
+	/**
+	 * Capability each chat tool needs, beyond opening the chat.
+	 *
+	 * Keys are tool (ability) names as the chat dispatches them. `template`
+	 * is not a tool: it gates block writes to the template, its template
+	 * parts and navigation menus, which change every page using them.
+	 */
+	const TOOL_CAPABILITIES = array(
+		'blu-update-global-styles'  => 'edit_theme_options',
+		'blu-suggest-font-pairings' => 'edit_theme_options',
+		'blu-apply-font-pairing'    => 'edit_theme_options',
+		'template'                  => 'edit_theme_options',
+		'blu-add-page'              => 'publish_pages',
+		'blu-add-post'              => 'publish_posts',
+		'blu-add-cpt'               => 'publish_posts',
+		'blu-wc-add-product'        => 'publish_products',
+		'blu-regenerate-logo'       => self::ADMIN,
+		'blu-edit-logo'             => self::ADMIN,
+		'blu-set-logo-from-image'   => self::ADMIN,
+	);
+
 	/**
 	 * Confirm user is logged in and has admin capabilities.
 	 *
@@ -42,4 +63,22 @@ final class Permissions {
 	public static function is_authorized_admin() {
 		return \is_user_logged_in() && \current_user_can( self::ADMIN );
 	}
+
+	/**
+	 * The tool capability map, with whether the current user has each one.
+	 *
+	 * @return array Map of tool name => array( 'capability' => string, 'allowed' => bool ).
+	 */
+	public static function get_tool_capabilities() {
+		$map = array();
+
+		foreach ( self::TOOL_CAPABILITIES as $tool => $capability ) {
+			$map[ $tool ] = array(
+				'capability' => $capability,
+				'allowed'    => \current_user_can( $capability ),
+			);
+		}
+
+		return $map;
+	}
 }
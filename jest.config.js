@@ -0,0 +1,21 @@
+const defaultConfig = require("@wordpress/scripts/config/jest-unit.config");
+
+// WordPress packages are webpack externals (window.wp.*) and are not installed,
+// so every one the tested modules import resolves to a fake in tests/js/fakes.
+const fake = (name) => `<rootDir>/tests/js/fakes/${name}.js`;
+
+module.exports = {
+	...defaultConfig,
+	testMatch: ["<rootDir>/tests/js/**/*.test.js"],
+	setupFilesAfterEnv: ["<rootDir>/tests/js/setup.js"],
+	clearMocks: true,
+	moduleNameMapper: {
+		"^@wordpress/data$": fake("data"),
+		"^@wordpress/blocks$": fake("blocks"),
+		"^@wordpress/i18n$": fake("i18n"),
+		"^@wordpress/element$": fake("element"),
+		"^@wordpress/api-fetch$": fake("api-fetch"),
+		"^@wordpress/url$": fake("url"),
+		"^@newfold/wp-module-ai-chat$": fake("ai-chat"),
+	},
+};
@@ -1,7 +1,7 @@
 /**
  * WordPress dependencies
  */
-import { select, useDispatch } from "@wordpress/data";
+import { useDispatch } from "@wordpress/data";
 import { PluginSidebar, PluginSidebarMoreMenuItem } from "@wordpress/editor";
 import { useCallback, useEffect, useMemo, useState } from "@wordpress/element";
 import { __ } from "@wordpress/i18n";
@@ -24,10 +24,21 @@ import {
 	startImageProcessing,
 } from "../services/blockToolbar/blockHighlight";
 import { CHAT_SEND_EVENT } from "../services/blockToolbar/chatBridge";
+import { formatBatchEditUserMessage } from "../services/batchEdit";
+import { canViewAuditLog } from "../services/auditLog";
 import { formatImageEditUserMessage } from "../utils/editorContext";
+import { getSelectedBlocks } from "../utils/editorHelpers";
+import ArchivedChat from "./chat/ArchivedChat";
+import ChangeReview from "./chat/ChangeReview";
 import ChatInput from "./chat/ChatInput";
+import ReconnectingNotice from "./chat/ReconnectingNotice";
 import StoppedNotice from "./chat/StoppedNotice";
+import UsageFooter from "./chat/UsageFooter";
 import WelcomeScreen from "./chat/WelcomeScreen";
+import AuditLogPanel from "./sidebar/AuditLogPanel";
+import BrandProfilePanel from "./sidebar/BrandProfilePanel";
+import ChatHistoryPanel from "./sidebar/ChatHistoryPanel";
+import ContextPlanPanel from "./sidebar/ContextPlanPanel";
 import SidebarHeader from "./sidebar/SidebarHeader";
 import AILogo from "./ui/AILogo";
 import EditorEnhancer from "./editor-enhancer/EditorEnhancer";
@@ -61,10 +72,106 @@ const ChatEditorContent = () => {
 		pendingTools,
 		handleSendMessage,
 		handleNewChat,
+		handleResumeChat,
 		handleStopRequest,
+		handleRevertTurn,
+		handleUndoLastTurn,
+		getDependentTurns,
+		handleEditMessage,
+		handleSwitchBranch,
+		isReviewMode,
+		toggleReviewMode,
+		pendingReview,
+		isPlanMode,
+		togglePlanMode,
+		activePlanId,
+		handleApprovePlan,
+		handleSkipPlanStep,
+		activeVariantsId,
+		handleChooseVariant,
+		activeSiteReplaceId,
+		handleConfirmSiteReplace,
+		runAccessibilityAudit,
+		showA11yFinding,
+		fixA11yFindings,
+		previewPalette,
+		endPalettePreview,
+		applyPalette,
+		previewFontPairing,
+		endFontPairingPreview,
+		applyFontPairing,
 		wasStopped,
+		reconnecting,
+		connection,
+		turnUsage,
+		sessionUsage,
+		toolCallPreview,
 	} = useEditorChatREST();
 
+	// Chat history: null (the active chat), "list", or an archived chat shown read-only.
+	const [historyView, setHistoryView] = useState(null);
+	const isHistoryOpen = historyView !== null;
+	const [isBrandProfileOpen, setIsBrandProfileOpen] = useState(false);
+	const [isAuditLogOpen, setIsAuditLogOpen] = useState(false);
+	const [isContextPlanOpen, setIsContextPlanOpen] = useState(false);
+	const toggleHistory = useCallback(() => {
+		setIsBrandProfileOpen(false);
+		setIsAuditLogOpen(false);
+		setIsContextPlanOpen(false);
+		setHistoryView((view) => (view === null ? "list" : null));
+	}, []);
+	const toggleBrandProfile = useCallback(() => {
+		setHistoryView(null);
+		setIsAuditLogOpen(false);
+		setIsContextPlanOpen(false);
+		setIsBrandProfileOpen((open) => !open);
+	}, []);
+	const toggleAuditLog = useCallback(() => {
+		setHistoryView(null);
+		setIsBrandProfileOpen(false);
+		setIsContextPlanOpen(false);
+		setIsAuditLogOpen((open) => !open);
+	}, []);
+	const toggleContextPlan = useCallback(() => {
+		setHistoryView(null);
+		setIsBrandProfileOpen(false);
+		setIsAuditLogOpen(false);
+		setIsContextPlanOpen((open) => !open);
+	}, []);
+	const resumeChat = useCallback(
+		(chat) => {
+			handleResumeChat(chat);
+			setHistoryView(null);
+		},
+		[handleResumeChat]
+	);
+	const startNewChat = useCallback(() => {
+		handleNewChat();
+		setHistoryView(null);
+		setIsBrandProfileOpen(false);
+		setIsAuditLogOpen(false);
+		setIsContextPlanOpen(false);
+	}, [handleNewChat]);
+	// /new, /undo, /context and /accessibility from the input; the other slash commands are sent as turns.
+	const runSlashAction = useCallback(
+		(action) => {
+			if (action === "new") {
+				startNewChat();
+				return true;
+			}
+			if (action === "context") {
+				toggleContextPlan();
+				return true;
+			}
+			if (action === "audit") {
+				runAccessibilityAudit();
+				return true;
+			}
+			return handleUndoLastTurn();
+		},
+		[startNewChat, toggleContextPlan, runAccessibilityAudit, handleUndoLastTurn]
+	);
+
 	// Phase 1: Enable template mode (show header & footer)
 	useEffect(() => {
 		const didShowTemplate = setShowTemplate();
@@ -75,9 +182,16 @@ const ChatEditorContent = () => {
 
 	// Chat sends (input/welcome screen): if a supported block is selected,
 	// trigger the same processing effect used by the toolbar popover.
+	// A multi-selection is sent as one batch: every block gets the effect.
 	const sendWithBlockFeedback = useCallback(
 		(apiMessage, displayMessage = apiMessage, ...rest) => {
-			const selected = select("core/block-editor").getSelectedBlock();
+			const selectedBlocks = getSelectedBlocks();
+			if (selectedBlocks.length > 1) {
+				selectedBlocks.forEach((block) => startBlockProcessing(block.clientId));
+				const batchMessage = formatBatchEditUserMessage(apiMessage, selectedBlocks);
+				return handleSendMessage(batchMessage, displayMessage, null, ...rest);
+			}
+			const selected = selectedBlocks[0];
 			let enrichedMessage = apiMessage;
 			let editClientId = null;
 			if (selected) {
@@ -104,6 +218,10 @@ const ChatEditorContent = () => {
 			const enrichedMessage = formatImageEditUserMessage(message, clientId);
 
 			enableComplementaryArea(SIDEBAR_SCOPE, SIDEBAR_NAME);
+			setHistoryView(null);
+			setIsBrandProfileOpen(false);
+			setIsAuditLogOpen(false);
+			setIsContextPlanOpen(false);
 			handleSendMessage(enrichedMessage, message, clientId);
 		};
 		window.addEventListener(CHAT_SEND_EVENT, handler);
@@ -136,7 +254,14 @@ const ChatEditorContent = () => {
 	);
 
 	return (
-		<EditorChatActionsProvider handleNewChat={handleNewChat} isNewChatDisabled={isNewChatDisabled}>
+		<EditorChatActionsProvider
+			handleNewChat={startNewChat}
+			isNewChatDisabled={isNewChatDisabled}
+			toggleHistory={toggleHistory}
+			isHistoryOpen={isHistoryOpen}
+			toggleBrandProfile={toggleBrandProfile}
+			isBrandProfileOpen={isBrandProfileOpen}
+		>
 			<EditorEnhancer />
 			<PluginSidebarMoreMenuItem
 				scope={SIDEBAR_SCOPE}
@@ -153,29 +278,95 @@ const ChatEditorContent = () => {
 				icon={<AILogo width={24} height={24} />}
 				headerClassName="nfd-editor-chat-sidebar__header"
 				panelClassName="nfd-editor-chat-sidebar__panel"
-				header={<SidebarHeader onNewChat={handleNewChat} isNewChatDisabled={isNewChatDisabled} />}
+				header={
+					<SidebarHeader
+						onNewChat={startNewChat}
+						isNewChatDisabled={isNewChatDisabled}
+						onToggleHistory={toggleHistory}
+						isHistoryOpen={isHistoryOpen}
+						onToggleBrand={toggleBrandProfile}
+						isBrandOpen={isBrandProfileOpen}
+						onToggleAuditLog={canViewAuditLog() ? toggleAuditLog : null}
+						isAuditLogOpen={isAuditLogOpen}
+						onToggleReview={toggleReviewMode}
+						isReviewMode={isReviewMode}
+						onTogglePlanMode={togglePlanMode}
+						isPlanMode={isPlanMode}
+						connection={connection}
+					/>
+				}
 			>
 				<div className="nfd-editor-chat-sidebar__content">
-					{visibleMessages.length === 0 ? (
-						<WelcomeScreen onSendMessage={sendWithBlockFeedback} />
-					) : (
-						<EditorChatMessages
-							messages={visibleMessages}
-							isLoading={isLoading}
-							error={error}
-							status={status}
-							activeToolCall={activeToolCall}
-							toolProgress={toolProgress}
-							executedTools={executedTools}
-							pendingTools={pendingTools}
+					{historyView === "list" && (
+						<ChatHistoryPanel
+							onView={setHistoryView}
+							onResume={resumeChat}
+							onClose={toggleHistory}
+							disabled={isLoading}
 						/>
 					)}
-					{wasStopped && visibleMessages.length > 0 && <StoppedNotice />}
-					<ChatInput
-						onSendMessage={sendWithBlockFeedback}
-						onStopRequest={handleStopRequest}
-						disabled={isLoading}
-					/>
+					{historyView && historyView !== "list" && (
+						<ArchivedChat
+							chat={historyView}
+							onBack={() => setHistoryView("list")}
+							onResume={resumeChat}
+							disabled={isLoading}
+						/>
+					)}
+					{isBrandProfileOpen && <BrandProfilePanel onClose={toggleBrandProfile} />}
+					{isAuditLogOpen && <AuditLogPanel onClose={toggleAuditLog} />}
+					{isContextPlanOpen && <ContextPlanPanel onClose={toggleContextPlan} />}
+					{!isHistoryOpen && !isBrandProfileOpen && !isAuditLogOpen && !isContextPlanOpen && (
+						<>
+							{visibleMessages.length === 0 ? (
+								<WelcomeScreen onSendMessage={sendWithBlockFeedback} />
+							) : (
+								<EditorChatMessages
+									messages={visibleMessages}
+									isLoading={isLoading}
+									error={error}
+									status={status}
+									activeToolCall={activeToolCall}
+									toolProgress={toolProgress}
+									executedTools={executedTools}
+									pendingTools={pendingTools}
+									onRevertTurn={handleRevertTurn}
+									getDependentTurns={getDependentTurns}
+									toolCallPreview={toolCallPreview}
+									onStopRequest={handleStopRequest}
+									activePlanId={activePlanId}
+									onApprovePlan={handleApprovePlan}
+									onSkipPlanStep={handleSkipPlanStep}
+									onEditMessage={handleEditMessage}
+									onSwitchBranch={handleSwitchBranch}
+									activeVariantsId={activeVariantsId}
+									onChooseVariant={handleChooseVariant}
+									activeSiteReplaceId={activeSiteReplaceId}
+									onConfirmSiteReplace={handleConfirmSiteReplace}
+									onShowA11yFinding={showA11yFinding}
+									onFixA11yFindings={fixA11yFindings}
+									onPreviewPalette={previewPalette}
+									onEndPalettePreview={endPalettePreview}
+									onApplyPalette={applyPalette}
+									onPreviewFontPairing={previewFontPairing}
+									onEndFontPairingPreview={endFontPairingPreview}
+									onApplyFontPairing={applyFontPairing}
+								/>
+							)}
+							{wasStopped && visibleMessages.length > 0 && <StoppedNotice />}
+							{reconnecting && <ReconnectingNotice reconnecting={reconnecting} />}
+							{pendingReview && <ChangeReview review={pendingReview} />}
+							<ChatInput
+								onSendMessage={sendWithBlockFeedback}
+								onStopRequest={handleStopRequest}
+								onSlashCommand={runSlashAction}
+								disabled={isLoading}
+							/>
+							{sessionUsage.passes > 0 && (
+								<UsageFooter turnUsage={turnUsage} sessionUsage={sessionUsage} />
+							)}
+						</>
+					)}
 				</div>
 			</PluginSidebar>
 		</EditorChatActionsProvider>
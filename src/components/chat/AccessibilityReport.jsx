@@ -0,0 +1,141 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Accessibility, Check, Locate, Wand } from "lucide-react";
+
+/**
+ * Heading of each kind of finding.
+ *
+ * @param {string} kind Finding kind (see services/accessibilityAudit.js).
+ * @return {string} Translated label.
+ */
+const kindLabel = (kind) => {
+	switch (kind) {
+		case "image-alt":
+			return __("Missing alt text", "wp-module-editor-chat");
+		case "heading-order":
+			return __("Skipped heading level", "wp-module-editor-chat");
+		case "link-text":
+			return __("Vague link text", "wp-module-editor-chat");
+		default:
+			return __("Low contrast", "wp-module-editor-chat");
+	}
+};
+
+/**
+ * AccessibilityReport Component
+ *
+ * The findings of an /accessibility audit, one row per block. Each row can
+ * highlight its block on the canvas and, when the audit found a safe fix, apply
+ * it; "Fix all" applies every open fix as one change.
+ *
+ * @param {Object}   props          - The component props.
+ * @param {Object}   props.audit    - Report data: findings, and the ids already fixed.
+ * @param {boolean}  props.disabled - Whether a turn is running.
+ * @param {Function} props.onShow   - Highlights a finding's block.
+ * @param {Function} props.onFix    - Applies the fixes of the findings given.
+ * @return {Element} The AccessibilityReport component.
+ */
+const AccessibilityReport = ({ audit, disabled = false, onShow, onFix }) => {
+	const { findings, fixed } = audit;
+	const open = findings.filter((finding) => finding.fix && !fixed.includes(finding.id));
+
+	const title =
+		findings.length === 0
+			? __("No accessibility issues found on this page", "wp-module-editor-chat")
+			: sprintf(
+					/* translators: %d: number of issues */
+					_n(
+						"%d accessibility issue on this page",
+						"%d accessibility issues on this page",
+						findings.length,
+						"wp-module-editor-chat"
+					),
+					findings.length
+				);
+
+	return (
+		<div
+			className="nfd-editor-chat-a11y-report"
+			role="region"
+			aria-label={__("Accessibility audit", "wp-module-editor-chat")}
+		>
+			<div className="nfd-editor-chat-a11y-report__header">
+				<Accessibility size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-a11y-report__title">{title}</span>
+			</div>
+			{findings.length > 0 && (
+				<ul className="nfd-editor-chat-a11y-report__list">
+					{findings.map((finding) => {
+						const isFixed = fixed.includes(finding.id);
+						return (
+							<li
+								key={finding.id}
+								className={`nfd-editor-chat-a11y-report__finding${
+									isFixed ? " nfd-editor-chat-a11y-report__finding--fixed" : ""
+								}`}
+							>
+								<div className="nfd-editor-chat-a11y-report__finding-header">
+									<strong>{kindLabel(finding.kind)}</strong>
+									{onShow && (
+										<Button
+											className="nfd-editor-chat-a11y-report__show"
+											size="small"
+											icon={<Locate size={12} />}
+											label={__("Show on the page", "wp-module-editor-chat")}
+											onClick={() => onShow(finding)}
+										/>
+									)}
+								</div>
+								{finding.excerpt && (
+									<p className="nfd-editor-chat-a11y-report__excerpt">{finding.excerpt}</p>
+								)}
+								<p className="nfd-editor-chat-a11y-report__message">{finding.message}</p>
+								{isFixed && (
+									<span className="nfd-editor-chat-a11y-report__fixed">
+										<Check size={12} />
+										{__("Fixed", "wp-module-editor-chat")}
+									</span>
+								)}
+								{!isFixed && finding.fix && onFix && (
+									<Button
+										className="nfd-editor-chat-a11y-report__fix"
+										variant="link"
+										disabled={disabled}
+										onClick={() => onFix([finding])}
+									>
+										{finding.fix.label}
+									</Button>
+								)}
+							</li>
+						);
+					})}
+				</ul>
+			)}
+			{open.length > 1 && onFix && (
+				<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-a11y-report__buttons">
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+						disabled={disabled}
+						onClick={() => onFix(open)}
+					>
+						<Wand size={14} />
+						{sprintf(
+							/* translators: %d: number of fixes */
+							__("Fix all (%d)", "wp-module-editor-chat"),
+							open.length
+						)}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default AccessibilityReport;
@@ -0,0 +1,69 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { useMemo } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { ArrowLeft } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { buildDisplayMessages } from "../../hooks/chat/useDisplayMessages";
+import EditorChatMessages from "./EditorChatMessages";
+
+/**
+ * ArchivedChat Component
+ *
+ * A past chat from the archive, read-only: its messages without revert
+ * controls, and the input replaced by Back / Resume.
+ *
+ * @param {Object}   props          - The component props.
+ * @param {Object}   props.chat     - Full archived chat (title, post_title, messages, history).
+ * @param {Function} props.onBack   - Returns to the history list.
+ * @param {Function} props.onResume - Continues this chat as the active one.
+ * @param {boolean}  props.disabled - Whether a request is running (resuming would race it).
+ * @return {Element} The ArchivedChat component.
+ */
+const ArchivedChat = ({ chat, onBack, onResume, disabled = false }) => {
+	const messages = useMemo(
+		() =>
+			buildDisplayMessages(
+				(chat.messages || []).filter((msg) => msg.type !== "notification"),
+				null,
+				[],
+				[],
+				null
+			),
+		[chat]
+	);
+
+	return (
+		<>
+			<EditorChatMessages messages={messages} />
+			<div className="nfd-editor-chat-archived" role="region" aria-label={chat.title}>
+				<p className="nfd-editor-chat-archived__notice">
+					{sprintf(
+						/* translators: %s: title of the page the chat was held on */
+						__("Past chat on “%s” — read only.", "wp-module-editor-chat"),
+						chat.post_title || __("Untitled", "wp-module-editor-chat")
+					)}
+				</p>
+				<div className="nfd-editor-chat-archived__actions">
+					<Button variant="tertiary" icon={<ArrowLeft width={16} height={16} />} onClick={onBack}>
+						{__("Back", "wp-module-editor-chat")}
+					</Button>
+					<Button variant="primary" onClick={() => onResume(chat)} disabled={disabled}>
+						{__("Resume this chat", "wp-module-editor-chat")}
+					</Button>
+				</div>
+			</div>
+		</>
+	);
+};
+
+export default ArchivedChat;
@@ -0,0 +1,64 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, Circle, TriangleAlert } from "lucide-react";
+
+const STATUS_ICONS = {
+	pending: Circle,
+	done: Check,
+	failed: TriangleAlert,
+};
+
+const STATUS_LABELS = {
+	pending: __("Pending", "wp-module-editor-chat"),
+	done: __("Done", "wp-module-editor-chat"),
+	failed: __("Failed", "wp-module-editor-chat"),
+};
+
+/**
+ * BatchProgress Component
+ *
+ * Per-block status for a batch edit, under the turn's tool_execution card:
+ * which of the selected blocks have been changed, are still waiting, or failed.
+ *
+ * @param {Object} props       - The component props.
+ * @param {Object} props.batch - Batch from services/batchEdit ({ targets }).
+ * @return {Element} The BatchProgress component.
+ */
+const BatchProgress = ({ batch }) => {
+	const doneCount = batch.targets.filter((target) => target.status === "done").length;
+
+	return (
+		<div className="nfd-editor-chat-batch-progress" role="status">
+			<p className="nfd-editor-chat-batch-progress__summary">
+				{sprintf(
+					/* translators: 1: number of blocks changed, 2: number of selected blocks */
+					__("%1$d of %2$d selected blocks updated", "wp-module-editor-chat"),
+					doneCount,
+					batch.targets.length
+				)}
+			</p>
+			<ul className="nfd-editor-chat-batch-progress__list">
+				{batch.targets.map((target) => {
+					const Icon = STATUS_ICONS[target.status] || Circle;
+					return (
+						<li
+							key={target.clientId}
+							className={`nfd-editor-chat-batch-progress__item nfd-editor-chat-batch-progress__item--${target.status}`}
+						>
+							<Icon size={12} aria-label={STATUS_LABELS[target.status]} />
+							<span>{target.label}</span>
+						</li>
+					);
+				})}
+			</ul>
+		</div>
+	);
+};
+
+export default BatchProgress;
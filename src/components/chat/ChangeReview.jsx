@@ -0,0 +1,142 @@
+/**
+ * WordPress dependencies
+ */
+import { BlockPreview } from "@wordpress/block-editor";
+import { parse } from "@wordpress/blocks";
+import { Button } from "@wordpress/components";
+import { useMemo, useState } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, X } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { diffMarkup } from "../../utils/markupDiff";
+
+/**
+ * Heading for the proposal, by the tool that produced it.
+ *
+ * @param {string} toolName Resolved tool name.
+ * @return {string} Translated label.
+ */
+const getToolLabel = (toolName) => {
+	switch (toolName) {
+		case "blu-edit-block":
+			return __("Edit block", "wp-module-editor-chat");
+		case "blu-add-section":
+			return __("Add section", "wp-module-editor-chat");
+		case "blu-update-block-attrs":
+			return __("Update block settings", "wp-module-editor-chat");
+		default:
+			return __("Block change", "wp-module-editor-chat");
+	}
+};
+
+/**
+ * Visual preview of one side of the change.
+ *
+ * @param {Object} props        - The component props.
+ * @param {string} props.label  - Column heading.
+ * @param {string} props.markup - Block markup to render.
+ * @return {Element} The preview column.
+ */
+const PreviewColumn = ({ label, markup }) => {
+	const blocks = useMemo(() => (markup ? parse(markup) : []), [markup]);
+	return (
+		<div className="nfd-editor-chat-change-review__preview-column">
+			<span className="nfd-editor-chat-change-review__preview-label">{label}</span>
+			{blocks.length > 0 ? (
+				<div className="nfd-editor-chat-change-review__preview-frame">
+					<BlockPreview blocks={blocks} viewportWidth={1200} />
+				</div>
+			) : (
+				<div className="nfd-editor-chat-change-review__preview-empty">
+					{__("Nothing here yet", "wp-module-editor-chat")}
+				</div>
+			)}
+		</div>
+	);
+};
+
+/**
+ * ChangeReview Component
+ *
+ * Shown above the input while review mode holds a block change: the current
+ * markup against the validated markup that would replace it, as a line diff or
+ * a before/after preview, with Apply/Skip.
+ *
+ * @param {Object} props        - The component props.
+ * @param {Object} props.review - Pending proposal from useChangeReview (before, after, toolName, blockName, decide).
+ * @return {Element} The ChangeReview component.
+ */
+const ChangeReview = ({ review }) => {
+	const [view, setView] = useState("diff");
+	const rows = useMemo(() => diffMarkup(review.before, review.after), [review]);
+
+	const title = getToolLabel(review.toolName);
+
+	return (
+		<div
+			className="nfd-editor-chat-change-review"
+			role="region"
+			aria-label={__("Review change", "wp-module-editor-chat")}
+		>
+			<div className="nfd-editor-chat-change-review__header">
+				<span className="nfd-editor-chat-change-review__title">
+					{title}
+					{review.blockName && (
+						<span className="nfd-editor-chat-change-review__block">{review.blockName}</span>
+					)}
+				</span>
+				<div className="nfd-editor-chat-change-review__tabs">
+					<Button isPressed={view === "diff"} onClick={() => setView("diff")} size="small">
+						{__("Markup", "wp-module-editor-chat")}
+					</Button>
+					<Button isPressed={view === "preview"} onClick={() => setView("preview")} size="small">
+						{__("Preview", "wp-module-editor-chat")}
+					</Button>
+				</div>
+			</div>
+			{view === "diff" ? (
+				<pre className="nfd-editor-chat-change-review__diff">
+					{rows.map((row, idx) => (
+						<div
+							key={idx}
+							className={`nfd-editor-chat-change-review__line nfd-editor-chat-change-review__line--${row.type}`}
+						>
+							<span aria-hidden="true">{{ added: "+", removed: "-", same: " " }[row.type]}</span>
+							{row.text}
+						</div>
+					))}
+				</pre>
+			) : (
+				<div className="nfd-editor-chat-change-review__preview">
+					<PreviewColumn label={__("Before", "wp-module-editor-chat")} markup={review.before} />
+					<PreviewColumn label={__("After", "wp-module-editor-chat")} markup={review.after} />
+				</div>
+			)}
+			<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-change-review__buttons">
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+					onClick={() => review.decide(false)}
+				>
+					<X size={12} />
+					{__("Skip", "wp-module-editor-chat")}
+				</Button>
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+					onClick={() => review.decide(true)}
+				>
+					<Check size={14} />
+					{__("Apply", "wp-module-editor-chat")}
+				</Button>
+			</div>
+		</div>
+	);
+};
+
+export default ChangeReview;
@@ -4,7 +4,7 @@
 import { Button } from "@wordpress/components";
 import { useDispatch } from "@wordpress/data";
 import { useEffect, useRef, useState } from "@wordpress/element";
-import { __ } from "@wordpress/i18n";
+import { __, sprintf } from "@wordpress/i18n";
 
 /**
  * External dependencies
@@ -17,6 +17,11 @@ import { uploadFile } from "../../services/fileUpload";
  */
 import { buildMessageWithAttachments } from "../../hooks/chat/conversationUtils";
 import useSelectedBlock from "../../hooks/useSelectedBlock";
+import {
+	buildCommandTurn,
+	getSlashSuggestions,
+	parseSlashCommand,
+} from "../../services/slashCommands";
 import ContextTag from "../ui/ContextTag";
 import { validateFiles } from "../../utils/editorUtils";
 
@@ -46,18 +51,22 @@ const getFileTypeLabel = (mimeType) => {
 /**
  * ChatInput Component
  *
- * @param {Object}   props               - The component props.
- * @param {Function} props.onSendMessage - The function to call when the message is sent.
- * @param {Function} props.onStopRequest - The function to call when the stop button is clicked.
- * @param {boolean}  props.disabled      - Whether the input is disabled.
- * @param {number}   props.maxFiles      - The maximum number of files that can be selected.
- * @param {Object}   props.acceptedTypes - The accepted file types.
+ * @param {Object}   props                - The component props.
+ * @param {Function} props.onSendMessage  - The function to call when the message is sent.
+ * @param {Function} props.onStopRequest  - The function to call when the stop button is clicked.
+ * @param {Function} props.onSlashCommand - Runs /undo or /new; returns false when there was nothing to do.
+ * @param {boolean}  props.disabled       - Whether the input is disabled.
+ * @param {number}   props.maxFiles       - The maximum number of files that can be selected.
+ * @param {Object}   props.acceptedTypes  - The accepted file types.
  * @return {Element} The ChatInput component.
  */
-const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles = 5, acceptedTypes = DEFAULT_ACCEPTED_FILE_TYPES }) => {
+const ChatInput = ({ onSendMessage, onStopRequest, onSlashCommand, disabled = false, maxFiles = 5, acceptedTypes = DEFAULT_ACCEPTED_FILE_TYPES }) => {
 	const [message, setMessage] = useState("");
 	const [attachments, setAttachments] = useState([]);
 	const [isDragging, setIsDragging] = useState(false);
+	const [activeSuggestion, setActiveSuggestion] = useState(0);
+	const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+	const [commandHint, setCommandHint] = useState(null);
 	const textareaRef = useRef(null);
 	const fileInputRef = useRef(null);
 	const mountedRef = useRef(true);
@@ -75,6 +84,9 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 	// count as sendable content — only ready/uploading attachments enable send.
 	const hasUsableAttachments = attachments.some((att) => att.status === "ready" || att.status === "uploading");
 	const canSend = (Boolean(message.trim()) || hasUsableAttachments) && !isUploading;
+	const suggestions = suggestionsDismissed || disabled ? [] : getSlashSuggestions(message);
+	const showSuggestions = suggestions.length > 0;
+	const highlighted = suggestions[Math.min(activeSuggestion, suggestions.length - 1)];
 
 	// Auto-resize textarea as user types
 	useEffect(() => {
@@ -174,6 +186,52 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 		}
 	};
 
+	const handleChange = (value) => {
+		setMessage(value);
+		setActiveSuggestion(0);
+		setSuggestionsDismissed(false);
+		setCommandHint(null);
+	};
+
+	const completeSuggestion = (command) => {
+		// Commands that take arguments get a trailing space, ready for them.
+		handleChange(`/${command.name}${command.hint ? " " : ""}`);
+		textareaRef.current?.focus();
+	};
+
+	/**
+	 * Run a recognized slash command.
+	 *
+	 * @param {Object} slash            Parsed command from parseSlashCommand().
+	 * @param {Array}  imageAttachments Ready image attachments to show in the user bubble.
+	 * @return {boolean} Whether the command ran (and the input can be cleared).
+	 */
+	const runSlashCommand = (slash, imageAttachments) => {
+		const { command } = slash;
+		if (slash.missingArgument) {
+			/* translators: 1: command name, 2: placeholder for its argument, e.g. <type> */
+			setCommandHint(
+				sprintf(__("Usage: /%1$s %2$s", "wp-module-editor-chat"), command.name, command.hint)
+			);
+			return false;
+		}
+		if (command.action) {
+			if (onSlashCommand?.(command.action) === false) {
+				setCommandHint(
+					command.action === "undo"
+						? __("There are no changes to undo.", "wp-module-editor-chat")
+						: null
+				);
+				return false;
+			}
+			return true;
+		}
+		const turn = buildCommandTurn(slash);
+		const enrichedMessage = buildMessageWithAttachments(turn.message, attachments);
+		onSendMessage(enrichedMessage, message, imageAttachments, turn);
+		return true;
+	};
+
 	const handleSubmit = () => {
 		if (canSend && !disabled) {
 			// Solo immagini pronte, con URL server durevole (non il blob previewUrl,
@@ -181,9 +239,21 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 			const imageAttachments = attachments
 				.filter((att) => att.status === "ready" && att.url && att.type.startsWith("image/"))
 				.map((att) => ({ url: att.url, name: att.name, type: att.type }));
-			const enrichedMessage = buildMessageWithAttachments(message, attachments);
-			onSendMessage(enrichedMessage, message, imageAttachments);
-			setMessage("");
+			const slash = parseSlashCommand(message);
+			if (slash) {
+				if (!runSlashCommand(slash, imageAttachments)) {
+					return;
+				}
+				if (slash.command.action) {
+					// Nothing was sent, so keep any attachments for the next message.
+					handleChange("");
+					return;
+				}
+			} else {
+				const enrichedMessage = buildMessageWithAttachments(message, attachments);
+				onSendMessage(enrichedMessage, message, imageAttachments);
+			}
+			handleChange("");
 			setAttachments([]);
 			// Reset textarea height and maintain focus
 			if (textareaRef.current) {
@@ -194,6 +264,25 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 	};
 
 	const handleKeyDown = (e) => {
+		if (showSuggestions) {
+			if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+				e.preventDefault();
+				const step = e.key === "ArrowDown" ? 1 : -1;
+				setActiveSuggestion((activeSuggestion + step + suggestions.length) % suggestions.length);
+				return;
+			}
+			if (e.key === "Escape") {
+				e.preventDefault();
+				setSuggestionsDismissed(true);
+				return;
+			}
+			// Enter completes a partial name; on a full one it falls through and sends.
+			if (e.key === "Tab" || (e.key === "Enter" && !e.shiftKey && message !== `/${highlighted.name}`)) {
+				e.preventDefault();
+				completeSuggestion(highlighted);
+				return;
+			}
+		}
 		if (e.key === "Enter" && !e.shiftKey) {
 			e.preventDefault();
 			handleSubmit();
@@ -243,6 +332,37 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 		onDragLeave={handleDragLeave}
 		onDrop={handleDrop}
 		>
+			{showSuggestions && (
+				<ul
+					id="nfd-editor-chat-slash-commands"
+					className="nfd-editor-chat-slash-commands"
+					role="listbox"
+					aria-label={__("Commands", "wp-module-editor-chat")}
+				>
+					{suggestions.map((command, index) => (
+						<li
+							key={command.name}
+							id={`nfd-editor-chat-slash-command-${command.name}`}
+							role="option"
+							aria-selected={command === highlighted}
+							className={`nfd-editor-chat-slash-commands__item${
+								command === highlighted ? " is-active" : ""
+							}`}
+							// Keep focus in the textarea.
+							onMouseDown={(e) => e.preventDefault()}
+							onClick={() => completeSuggestion(command)}
+						>
+							<span className="nfd-editor-chat-slash-commands__name">
+								/{command.name}
+								{command.hint && (
+									<span className="nfd-editor-chat-slash-commands__hint"> {command.hint}</span>
+								)}
+							</span>
+							<span className="nfd-editor-chat-slash-commands__description">{command.description}</span>
+						</li>
+					))}
+				</ul>
+			)}
 			<div className="nfd-editor-chat-input__container">
 				{attachments.length > 0 && (
 				<div className="nfd-editor-chat-input__top">
@@ -284,13 +404,25 @@ const ChatInput = ({ onSendMessage, onStopRequest, disabled = false, maxFiles =
 					name="nfd-editor-chat-input"
 					ref={textareaRef}
 					value={message}
-					onChange={(e) => setMessage(e.target.value)}
+					onChange={(e) => handleChange(e.target.value)}
 					onKeyDown={handleKeyDown}
+					role="combobox"
+					aria-autocomplete="list"
+					aria-expanded={showSuggestions}
+					aria-controls={showSuggestions ? "nfd-editor-chat-slash-commands" : undefined}
+					aria-activedescendant={
+						highlighted ? `nfd-editor-chat-slash-command-${highlighted.name}` : undefined
+					}
 					placeholder={__("How can I help you today?", "wp-module-editor-chat")}
 					className="nfd-editor-chat-input__textarea"
 					rows={1}
 					disabled={disabled}
 				/>
+				{commandHint && (
+					<div className="nfd-editor-chat-input__command-hint" role="status">
+						{commandHint}
+					</div>
+				)}
 				<div className="nfd-editor-chat-input__actions">
 					<Button
 						icon={<Plus width={16} height={16} />}
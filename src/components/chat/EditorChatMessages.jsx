@@ -13,7 +13,24 @@ import { ChevronDown } from "lucide-react";
 /**
  * Internal dependencies
  */
+import AccessibilityReport from "./AccessibilityReport";
+import BatchProgress from "./BatchProgress";
 import MessageAttachments from "./MessageAttachments";
+import PlanChecklist from "./PlanChecklist";
+import PalettePicker from "./PalettePicker";
+import SectionVariants from "./SectionVariants";
+import SiteReplacePreview from "./SiteReplacePreview";
+import ToolCallPreview from "./ToolCallPreview";
+import TurnChanges from "./TurnChanges";
+import TypographyPicker from "./TypographyPicker";
+import UserMessageActions from "./UserMessageActions";
+import UserMessageEditor from "./UserMessageEditor";
+import { A11Y_AUDIT_MESSAGE_TYPE } from "../../services/accessibilityAudit";
+import { PALETTE_PICKER_MESSAGE_TYPE } from "../../services/palettePicker";
+import { PLAN_MESSAGE_TYPE } from "../../services/planChecklist";
+import { VARIANTS_MESSAGE_TYPE } from "../../services/sectionVariants";
+import { TYPOGRAPHY_PICKER_MESSAGE_TYPE } from "../../services/typography";
+import { SITE_REPLACE_MESSAGE_TYPE } from "../../services/siteWideEdit";
 
 // Distanza dal fondo (px) entro cui l'utente è "ancorato" e continuiamo l'auto-scroll.
 const SCROLL_BOTTOM_THRESHOLD = 80;
@@ -28,17 +45,40 @@ const SCROLL_ELEVATION_THRESHOLD = 8;
  * usa davvero (scroll-anchor, jump-to-latest, typing, errore). Lista piatta,
  * senza raggruppamento/divisori per data. Gli stati di connessione WebSocket e
  * edit/retry di ai-chat NON sono usati qui. In più, per i messaggi utente con
- * allegati immagine, mostra una striscia di miniature sopra la bolla.
+ * allegati immagine, mostra una striscia di miniature sopra la bolla, e sotto
+ * ogni turno che ha modificato l'editor il controllo per annullarlo. Ogni bolla
+ * utente si può modificare e reinviare: la conversazione si ramifica lì.
  *
- * @param {Object}  props
- * @param {Array}   props.messages       Messaggi da mostrare.
- * @param {boolean} props.isLoading      Se l'AI sta generando.
- * @param {string}  props.error          Messaggio d'errore (opzionale).
- * @param {string}  props.status         Stato corrente (opzionale).
- * @param {Object}  props.activeToolCall Tool call attivo (opzionale).
- * @param {string}  props.toolProgress   Messaggio di progresso tool (opzionale).
- * @param {Array}   props.executedTools  Tool eseguiti (opzionale).
- * @param {Array}   props.pendingTools   Tool in attesa (opzionale).
+ * @param {Object}   props
+ * @param {Array}    props.messages          Messaggi da mostrare.
+ * @param {boolean}  props.isLoading         Se l'AI sta generando.
+ * @param {string}   props.error             Messaggio d'errore (opzionale).
+ * @param {string}   props.status            Stato corrente (opzionale).
+ * @param {Object}   props.activeToolCall    Tool call attivo (opzionale).
+ * @param {string}   props.toolProgress      Messaggio di progresso tool (opzionale).
+ * @param {Array}    props.executedTools     Tool eseguiti (opzionale).
+ * @param {Array}    props.pendingTools      Tool in attesa (opzionale).
+ * @param {Function} props.onRevertTurn      Annulla le modifiche di un turno (opzionale).
+ * @param {Function} props.getDependentTurns Turni successivi che toccano gli stessi blocchi (opzionale).
+ * @param {Object}   props.toolCallPreview   Anteprima del tool call in streaming (opzionale).
+ * @param {Function} props.onStopRequest     Ferma la richiesta in corso (opzionale).
+ * @param {string}   props.activePlanId      Piano del turno in corso, ancora modificabile (opzionale).
+ * @param {Function} props.onApprovePlan     Avvia il piano con i passi modificati (opzionale).
+ * @param {Function} props.onSkipPlanStep    Salta un passo del piano non ancora iniziato (opzionale).
+ * @param {Function} props.onEditMessage     Reinvia un messaggio utente modificato (opzionale).
+ * @param {Function} props.onSwitchBranch    Mostra un altro ramo di un messaggio modificato (opzionale).
+ * @param {string}   props.activeVariantsId  Scelta di design del turno in corso, ancora aperta (opzionale).
+ * @param {Function} props.onChooseVariant   Applica il design scelto, o nessuno con null (opzionale).
+ * @param {string}   props.activeSiteReplaceId  Sostituzione su tutto il sito in attesa di conferma (opzionale).
+ * @param {Function} props.onConfirmSiteReplace Applica le sostituzioni approvate, o nessuna con [] (opzionale).
+ * @param {Function} props.onShowA11yFinding    Evidenzia il blocco di un problema di accessibilità (opzionale).
+ * @param {Function} props.onFixA11yFindings    Corregge i problemi indicati di un report (opzionale).
+ * @param {Function} props.onPreviewPalette     Mostra una palette sul sito senza salvarla (opzionale).
+ * @param {Function} props.onEndPalettePreview  Termina l'anteprima della palette (opzionale).
+ * @param {Function} props.onApplyPalette       Applica una delle palette proposte (opzionale).
+ * @param {Function} props.onPreviewFontPairing    Mostra una coppia di font sul sito senza salvarla (opzionale).
+ * @param {Function} props.onEndFontPairingPreview Termina l'anteprima dei font (opzionale).
+ * @param {Function} props.onApplyFontPairing      Installa e applica una delle coppie di font proposte (opzionale).
  * @return {JSX.Element}
  */
 const EditorChatMessages = ({
@@ -50,11 +90,34 @@ const EditorChatMessages = ({
 	toolProgress = null,
 	executedTools = [],
 	pendingTools = [],
+	onRevertTurn = null,
+	getDependentTurns = null,
+	toolCallPreview = null,
+	onStopRequest = null,
+	activePlanId = null,
+	onApprovePlan = null,
+	onSkipPlanStep = null,
+	onEditMessage = null,
+	onSwitchBranch = null,
+	activeVariantsId = null,
+	onChooseVariant = null,
+	activeSiteReplaceId = null,
+	onConfirmSiteReplace = null,
+	onShowA11yFinding = null,
+	onFixA11yFindings = null,
+	onPreviewPalette = null,
+	onEndPalettePreview = null,
+	onApplyPalette = null,
+	onPreviewFontPairing = null,
+	onEndFontPairingPreview = null,
+	onApplyFontPairing = null,
 }) => {
 	const scrollContainerRef = useRef(null);
 	const [scrollTrigger, setScrollTrigger] = useState(0);
 	const [isAnchored, setIsAnchored] = useState(true);
 	const [isScrolled, setIsScrolled] = useState(false);
+	// Messaggio utente aperto in modifica.
+	const [editingId, setEditingId] = useState(null);
 
 	const scrollToBottom = useCallback((behavior = "smooth") => {
 		const el = scrollContainerRef.current;
@@ -83,13 +146,29 @@ const EditorChatMessages = ({
 		if (isAnchored) {
 			scrollToBottom();
 		}
-	}, [messages, isLoading, toolProgress, scrollTrigger, isAnchored, scrollToBottom]);
+	}, [
+		messages,
+		isLoading,
+		toolProgress,
+		toolCallPreview,
+		scrollTrigger,
+		isAnchored,
+		scrollToBottom,
+	]);
 
 	const onContentGrow = useCallback(() => setScrollTrigger((t) => t + 1), []);
 
 	const hasActiveToolExecution =
 		activeToolCall || executedTools.length > 0 || pendingTools.length > 0;
 
+	const handleEditSubmit = useCallback(
+		(messageId, text) => {
+			setEditingId(null);
+			onEditMessage(messageId, text);
+		},
+		[onEditMessage]
+	);
+
 	const handleJumpToLatest = useCallback(() => {
 		scrollToBottom("smooth");
 		setIsAnchored(true);
@@ -107,24 +186,128 @@ const EditorChatMessages = ({
 						isUser && Array.isArray(msg.attachments)
 							? msg.attachments.filter((a) => a && a.url && (a.type || "").startsWith("image/"))
 							: [];
+					if (msg.type === PLAN_MESSAGE_TYPE) {
+						return (
+							<PlanChecklist
+								key={msg.id}
+								plan={msg.plan}
+								isActive={msg.id === activePlanId}
+								onApprove={onApprovePlan}
+								onCancel={onStopRequest}
+								onSkip={onSkipPlanStep}
+							/>
+						);
+					}
+					if (msg.type === VARIANTS_MESSAGE_TYPE) {
+						return (
+							<SectionVariants
+								key={msg.id}
+								variants={msg.variants}
+								isActive={msg.id === activeVariantsId}
+								onChoose={onChooseVariant}
+							/>
+						);
+					}
+					if (msg.type === SITE_REPLACE_MESSAGE_TYPE) {
+						return (
+							<SiteReplacePreview
+								key={msg.id}
+								siteReplace={msg.siteReplace}
+								isActive={msg.id === activeSiteReplaceId}
+								onConfirm={onConfirmSiteReplace}
+							/>
+						);
+					}
+					if (msg.type === A11Y_AUDIT_MESSAGE_TYPE) {
+						return (
+							<AccessibilityReport
+								key={msg.id}
+								audit={msg.audit}
+								disabled={isLoading}
+								onShow={onShowA11yFinding}
+								onFix={onFixA11yFindings ? (findings) => onFixA11yFindings(msg.id, findings) : null}
+							/>
+						);
+					}
+					if (msg.type === PALETTE_PICKER_MESSAGE_TYPE) {
+						return (
+							<PalettePicker
+								key={msg.id}
+								palettes={msg.palettes}
+								disabled={isLoading}
+								onPreview={onPreviewPalette}
+								onEndPreview={onEndPalettePreview}
+								onApply={
+									onApplyPalette ? (index, colors) => onApplyPalette(msg.id, index, colors) : null
+								}
+							/>
+						);
+					}
+					if (msg.type === TYPOGRAPHY_PICKER_MESSAGE_TYPE) {
+						return (
+							<TypographyPicker
+								key={msg.id}
+								typography={msg.typography}
+								disabled={isLoading}
+								onPreview={onPreviewFontPairing}
+								onEndPreview={onEndFontPairingPreview}
+								onApply={
+									onApplyFontPairing
+										? (index, pairing) => onApplyFontPairing(msg.id, index, pairing)
+										: null
+								}
+							/>
+						);
+					}
 					return (
 						<Fragment key={msg.id || `m-${globalIdx}`}>
 							{imageAttachments.length > 0 && <MessageAttachments attachments={imageAttachments} />}
-							<ChatMessage
-								message={msg.content}
-								type={msg.type}
-								timestamp={msg.timestamp}
-								animateTyping={isLastAssistant && msg.animateTyping === true}
-								onContentGrow={isLastAssistant ? onContentGrow : undefined}
-								executedTools={msg.executedTools}
-								toolResults={msg.toolResults}
-								status={msg.status}
-								isFallback={msg.isFallback === true}
-							/>
+							{isUser && editingId === msg.id ? (
+								<UserMessageEditor
+									message={msg}
+									onSubmit={handleEditSubmit}
+									onCancel={() => setEditingId(null)}
+								/>
+							) : (
+								<ChatMessage
+									message={msg.content}
+									type={msg.type}
+									timestamp={msg.timestamp}
+									animateTyping={isLastAssistant && msg.animateTyping === true}
+									onContentGrow={isLastAssistant ? onContentGrow : undefined}
+									executedTools={msg.executedTools}
+									toolResults={msg.toolResults}
+									status={msg.status}
+									isFallback={msg.isFallback === true}
+								/>
+							)}
+							{isUser && editingId !== msg.id && (onEditMessage || msg.branches) && (
+								<UserMessageActions
+									message={msg}
+									onEdit={onEditMessage ? () => setEditingId(msg.id) : null}
+									onSwitchBranch={onSwitchBranch}
+									disabled={isLoading}
+								/>
+							)}
+							{msg.type === "tool_execution" && msg.batch && <BatchProgress batch={msg.batch} />}
+							{onRevertTurn &&
+								msg.type === "tool_execution" &&
+								(msg.hasActions || msg.reverted) && (
+									<TurnChanges
+										messageId={msg.id}
+										reverted={msg.reverted === true}
+										getDependentTurns={getDependentTurns}
+										onRevert={onRevertTurn}
+										disabled={isLoading}
+									/>
+								)}
 						</Fragment>
 					);
 				})}
 				{error && <ErrorAlert message={error} />}
+				{isLoading && toolCallPreview && (
+					<ToolCallPreview preview={toolCallPreview} onStop={onStopRequest} />
+				)}
 				{isLoading && (
 					<TypingIndicator
 						status={status}
@@ -0,0 +1,102 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, Palette } from "lucide-react";
+
+/**
+ * PalettePicker Component
+ *
+ * The options of a generated palette as rows of swatches. Hovering or focusing
+ * an option previews it on the site without saving; clicking applies it.
+ * Once one is applied, or without `onApply` (the user can't change global
+ * styles), the picker only shows the options.
+ *
+ * @param {Object}   props              - The component props.
+ * @param {Object}   props.palettes     - Picker data: options ({ colors, passed }), and the index applied.
+ * @param {boolean}  props.disabled     - Whether a turn is running.
+ * @param {Function} props.onPreview    - Previews an option's colors.
+ * @param {Function} props.onEndPreview - Ends the preview.
+ * @param {Function} props.onApply      - Applies the option at an index, or null.
+ * @return {Element} The PalettePicker component.
+ */
+const PalettePicker = ({ palettes, disabled = false, onPreview, onEndPreview, onApply }) => {
+	const { options, applied } = palettes;
+	const isOpen = applied === null && !disabled && !!onApply;
+
+	return (
+		<div
+			className="nfd-editor-chat-palette-picker"
+			role="region"
+			aria-label={__("Palette options", "wp-module-editor-chat")}
+			onMouseLeave={isOpen ? onEndPreview : undefined}
+		>
+			<div className="nfd-editor-chat-palette-picker__header">
+				<Palette size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-palette-picker__title">
+					{isOpen
+						? __("Hover a palette to try it, click to apply", "wp-module-editor-chat")
+						: __("Palette options", "wp-module-editor-chat")}
+				</span>
+			</div>
+			<ul className="nfd-editor-chat-palette-picker__list">
+				{options.map((option, index) => {
+					const label = sprintf(
+						/* translators: %d: number of the palette option */
+						__("Option %d", "wp-module-editor-chat"),
+						index + 1
+					);
+					return (
+						<li key={index}>
+							<button
+								type="button"
+								className={`nfd-editor-chat-palette-picker__option${
+									applied === index ? " nfd-editor-chat-palette-picker__option--applied" : ""
+								}`}
+								disabled={!isOpen}
+								aria-label={sprintf(
+									/* translators: %s: palette option label, e.g. "Option 1" */
+									__("Apply %s", "wp-module-editor-chat"),
+									label
+								)}
+								onMouseEnter={isOpen ? () => onPreview?.(option.colors) : undefined}
+								onFocus={isOpen ? () => onPreview?.(option.colors) : undefined}
+								onBlur={isOpen ? onEndPreview : undefined}
+								onClick={() => onApply(index, option.colors)}
+							>
+								<span className="nfd-editor-chat-palette-picker__label">{label}</span>
+								<span className="nfd-editor-chat-palette-picker__swatches" aria-hidden="true">
+									{option.colors.map((entry) => (
+										<span
+											key={entry.slug}
+											className="nfd-editor-chat-palette-picker__swatch"
+											style={{ backgroundColor: entry.color }}
+											title={`${entry.name}: ${entry.color}`}
+										/>
+									))}
+								</span>
+								{applied === index && (
+									<span className="nfd-editor-chat-palette-picker__applied">
+										<Check size={12} />
+										{__("Applied", "wp-module-editor-chat")}
+									</span>
+								)}
+								{applied !== index && !option.passed && (
+									<span className="nfd-editor-chat-palette-picker__note">
+										{__("Adjusted for contrast", "wp-module-editor-chat")}
+									</span>
+								)}
+							</button>
+						</li>
+					);
+				})}
+			</ul>
+		</div>
+	);
+};
+
+export default PalettePicker;
@@ -0,0 +1,218 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { useState } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import {
+	ArrowDown,
+	ArrowUp,
+	Check,
+	Circle,
+	CircleSlash,
+	ListChecks,
+	LoaderCircle,
+	Plus,
+	TriangleAlert,
+	X,
+} from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { PLAN_STEP_STATUS, createPlanStep } from "../../services/planChecklist";
+
+const STATUS_ICONS = {
+	[PLAN_STEP_STATUS.PENDING]: Circle,
+	[PLAN_STEP_STATUS.RUNNING]: LoaderCircle,
+	[PLAN_STEP_STATUS.DONE]: Check,
+	[PLAN_STEP_STATUS.FAILED]: TriangleAlert,
+	[PLAN_STEP_STATUS.SKIPPED]: CircleSlash,
+};
+
+const STATUS_LABELS = {
+	[PLAN_STEP_STATUS.PENDING]: __("Pending", "wp-module-editor-chat"),
+	[PLAN_STEP_STATUS.RUNNING]: __("Running", "wp-module-editor-chat"),
+	[PLAN_STEP_STATUS.DONE]: __("Done", "wp-module-editor-chat"),
+	[PLAN_STEP_STATUS.FAILED]: __("Failed", "wp-module-editor-chat"),
+	[PLAN_STEP_STATUS.SKIPPED]: __("Skipped", "wp-module-editor-chat"),
+};
+
+/**
+ * Editable list shown while the plan waits for approval: reword, reorder,
+ * remove or add steps, then run it.
+ *
+ * @param {Object}   props           - The component props.
+ * @param {Object}   props.plan      - Plan awaiting approval.
+ * @param {Function} props.onApprove - Runs the plan with the edited steps.
+ * @param {Function} props.onCancel  - Stops the turn without running anything.
+ * @return {Element} The editor.
+ */
+const PlanEditor = ({ plan, onApprove, onCancel }) => {
+	const [steps, setSteps] = useState(plan.steps);
+	const canRun = steps.some((step) => step.text.trim());
+
+	const updateText = (id, text) =>
+		setSteps((prev) => prev.map((step) => (step.id === id ? { ...step, text } : step)));
+	const move = (index, offset) =>
+		setSteps((prev) => {
+			const next = [...prev];
+			[next[index], next[index + offset]] = [next[index + offset], next[index]];
+			return next;
+		});
+	const remove = (id) => setSteps((prev) => prev.filter((step) => step.id !== id));
+
+	return (
+		<>
+			<ol className="nfd-editor-chat-plan__steps">
+				{steps.map((step, index) => (
+					<li key={step.id} className="nfd-editor-chat-plan__step">
+						<input
+							type="text"
+							className="nfd-editor-chat-plan__input"
+							value={step.text}
+							onChange={(event) => updateText(step.id, event.target.value)}
+							aria-label={sprintf(
+								/* translators: %d: step number */
+								__("Step %d", "wp-module-editor-chat"),
+								index + 1
+							)}
+						/>
+						<Button
+							icon={<ArrowUp width={14} height={14} />}
+							label={__("Move up", "wp-module-editor-chat")}
+							onClick={() => move(index, -1)}
+							disabled={index === 0}
+							size="small"
+						/>
+						<Button
+							icon={<ArrowDown width={14} height={14} />}
+							label={__("Move down", "wp-module-editor-chat")}
+							onClick={() => move(index, 1)}
+							disabled={index === steps.length - 1}
+							size="small"
+						/>
+						<Button
+							icon={<X width={14} height={14} />}
+							label={__("Remove step", "wp-module-editor-chat")}
+							onClick={() => remove(step.id)}
+							size="small"
+						/>
+					</li>
+				))}
+			</ol>
+			<Button
+				className="nfd-editor-chat-plan__add"
+				icon={<Plus width={14} height={14} />}
+				onClick={() => setSteps((prev) => [...prev, createPlanStep("")])}
+				size="small"
+			>
+				{__("Add step", "wp-module-editor-chat")}
+			</Button>
+			<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-plan__buttons">
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+					onClick={onCancel}
+				>
+					<X size={12} />
+					{__("Cancel", "wp-module-editor-chat")}
+				</Button>
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+					onClick={() => onApprove(steps)}
+					disabled={!canRun}
+				>
+					<Check size={14} />
+					{__("Run plan", "wp-module-editor-chat")}
+				</Button>
+			</div>
+		</>
+	);
+};
+
+/**
+ * PlanChecklist Component
+ *
+ * A multi-step request in plan-first mode. While the turn waits it is an
+ * editable checklist; once approved it shows each step's live status, with
+ * Skip on steps that haven't started. Read-only once the turn is over.
+ *
+ * @param {Object}   props           - The component props.
+ * @param {Object}   props.plan      - Plan from services/planChecklist.
+ * @param {boolean}  props.isActive  - Whether this is the current turn's plan.
+ * @param {Function} props.onApprove - Runs the plan with the edited steps.
+ * @param {Function} props.onCancel  - Stops the turn.
+ * @param {Function} props.onSkip    - Skips a pending step.
+ * @return {Element} The PlanChecklist component.
+ */
+const PlanChecklist = ({ plan, isActive = false, onApprove, onCancel, onSkip }) => {
+	const isEditing = isActive && plan.awaitingApproval && onApprove;
+	const doneCount = plan.steps.filter((step) => step.status === PLAN_STEP_STATUS.DONE).length;
+
+	return (
+		<div
+			className="nfd-editor-chat-plan"
+			role="region"
+			aria-label={__("Plan", "wp-module-editor-chat")}
+		>
+			<div className="nfd-editor-chat-plan__header">
+				<ListChecks size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-plan__title">
+					{isEditing
+						? __("Review the plan before it runs", "wp-module-editor-chat")
+						: sprintf(
+								/* translators: 1: steps done, 2: total steps */
+								_n(
+									"%1$d of %2$d step done",
+									"%1$d of %2$d steps done",
+									plan.steps.length,
+									"wp-module-editor-chat"
+								),
+								doneCount,
+								plan.steps.length
+							)}
+				</span>
+			</div>
+			{isEditing ? (
+				<PlanEditor plan={plan} onApprove={onApprove} onCancel={onCancel} />
+			) : (
+				<ol className="nfd-editor-chat-plan__steps" role="status">
+					{plan.steps.map((step) => {
+						const Icon = STATUS_ICONS[step.status] || Circle;
+						const notRun = !isActive && step.status === PLAN_STEP_STATUS.PENDING;
+						return (
+							<li
+								key={step.id}
+								className={`nfd-editor-chat-plan__step nfd-editor-chat-plan__step--${step.status}`}
+							>
+								<Icon
+									size={12}
+									aria-label={
+										notRun ? __("Not run", "wp-module-editor-chat") : STATUS_LABELS[step.status]
+									}
+								/>
+								<span className="nfd-editor-chat-plan__text">{step.text}</span>
+								{isActive && onSkip && step.status === PLAN_STEP_STATUS.PENDING && (
+									<Button
+										className="nfd-editor-chat-plan__skip"
+										onClick={() => onSkip(step.id)}
+										size="small"
+										variant="link"
+									>
+										{__("Skip", "wp-module-editor-chat")}
+									</Button>
+								)}
+							</li>
+						);
+					})}
+				</ol>
+			)}
+		</div>
+	);
+};
+
+export default PlanChecklist;
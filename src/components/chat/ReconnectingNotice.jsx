@@ -0,0 +1,30 @@
+import { Spinner } from "@wordpress/components";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * Notice shown while a failed completion is being retried.
+ *
+ * Covers the backoff wait, which would otherwise look like the chat froze
+ * mid-reply. Goes away once the stream is open again.
+ *
+ * @param {Object} props              Component props
+ * @param {Object} props.reconnecting Retry state ({ reason, attempt, maxAttempts })
+ * @return {JSX.Element} The reconnecting notice
+ */
+const ReconnectingNotice = ({ reconnecting }) => (
+	<div className="nfd-editor-chat-reconnecting" role="status">
+		<Spinner />
+		<span className="nfd-editor-chat-reconnecting__label">
+			{reconnecting.reason === "auth"
+				? __("Session expired, reconnecting…", "wp-module-editor-chat")
+				: sprintf(
+						/* translators: 1: retry number, 2: maximum number of retries */
+						__("Connection lost, reconnecting… (%1$d of %2$d)", "wp-module-editor-chat"),
+						reconnecting.attempt,
+						reconnecting.maxAttempts
+					)}
+		</span>
+	</div>
+);
+
+export default ReconnectingNotice;
@@ -0,0 +1,110 @@
+/**
+ * WordPress dependencies
+ */
+import { BlockPreview } from "@wordpress/block-editor";
+import { parse } from "@wordpress/blocks";
+import { Button } from "@wordpress/components";
+import { useMemo, useState } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, ChevronLeft, ChevronRight, LayoutTemplate, X } from "lucide-react";
+
+/**
+ * SectionVariants Component
+ *
+ * The designs of a /variants turn as a carousel of live previews. While the
+ * turn waits, "Use this design" writes the one on screen and "None of these"
+ * turns them all down. Afterwards it shows the design that was picked.
+ *
+ * @param {Object}   props          - The component props.
+ * @param {Object}   props.variants - Picker data: toolName, variants ({ markup }), chosen.
+ * @param {boolean}  props.isActive - Whether the turn is waiting on this pick.
+ * @param {Function} props.onChoose - Receives the picked index, or null for none.
+ * @return {Element} The SectionVariants component.
+ */
+const SectionVariants = ({ variants, isActive = false, onChoose }) => {
+	const { variants: designs, chosen } = variants;
+	const [index, setIndex] = useState(Number.isInteger(chosen) ? chosen : 0);
+	const blocks = useMemo(() => parse(designs[index]?.markup || ""), [designs, index]);
+	const canPick = isActive && onChoose;
+
+	let title;
+	if (canPick) {
+		title = __("Pick a design", "wp-module-editor-chat");
+	} else if (Number.isInteger(chosen)) {
+		title = sprintf(
+			/* translators: %d: number of the design that was applied */
+			__("Design %d was applied", "wp-module-editor-chat"),
+			chosen + 1
+		);
+	} else {
+		title = __("No design was applied", "wp-module-editor-chat");
+	}
+
+	return (
+		<div
+			className="nfd-editor-chat-variants"
+			role="region"
+			aria-label={__("Design options", "wp-module-editor-chat")}
+		>
+			<div className="nfd-editor-chat-variants__header">
+				<LayoutTemplate size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-variants__title">{title}</span>
+				<div className="nfd-editor-chat-variants__nav">
+					<Button
+						icon={<ChevronLeft width={14} height={14} />}
+						label={__("Previous design", "wp-module-editor-chat")}
+						onClick={() => setIndex(index - 1)}
+						disabled={index === 0}
+						size="small"
+					/>
+					<span aria-live="polite">
+						{sprintf(
+							/* translators: 1: design number, 2: number of designs */
+							__("%1$d of %2$d", "wp-module-editor-chat"),
+							index + 1,
+							designs.length
+						)}
+					</span>
+					<Button
+						icon={<ChevronRight width={14} height={14} />}
+						label={__("Next design", "wp-module-editor-chat")}
+						onClick={() => setIndex(index + 1)}
+						disabled={index === designs.length - 1}
+						size="small"
+					/>
+				</div>
+			</div>
+			<div
+				className={`nfd-editor-chat-variants__frame${
+					index === chosen ? " nfd-editor-chat-variants__frame--chosen" : ""
+				}`}
+			>
+				<BlockPreview blocks={blocks} viewportWidth={1200} />
+			</div>
+			{canPick && (
+				<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-variants__buttons">
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+						onClick={() => onChoose(null)}
+					>
+						<X size={12} />
+						{__("None of these", "wp-module-editor-chat")}
+					</Button>
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+						onClick={() => onChoose(index)}
+					>
+						<Check size={14} />
+						{__("Use this design", "wp-module-editor-chat")}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default SectionVariants;
@@ -0,0 +1,169 @@
+/**
+ * WordPress dependencies
+ */
+import { Button, CheckboxControl } from "@wordpress/components";
+import { useState } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, Replace, X } from "lucide-react";
+
+/**
+ * Kind of content an entity is, for its badge.
+ *
+ * @param {Object} entity Preview entity ({ postType, isCurrent }).
+ * @return {string} Translated label.
+ */
+const entityKindLabel = (entity) => {
+	if (entity.isCurrent) {
+		return __("This page", "wp-module-editor-chat");
+	}
+	switch (entity.postType) {
+		case "page":
+			return __("Page", "wp-module-editor-chat");
+		case "post":
+			return __("Post", "wp-module-editor-chat");
+		default:
+			return __("Template part", "wp-module-editor-chat");
+	}
+};
+
+/**
+ * SiteReplacePreview Component
+ *
+ * The matches of a site-wide replacement, one row per page, post or template
+ * part, with a before/after excerpt. While the turn waits, the user unticks
+ * what should stay and applies the rest, or cancels. Afterwards it shows what
+ * was changed.
+ *
+ * @param {Object}   props             - The component props.
+ * @param {Object}   props.siteReplace - Review data: find, replace, entities, applied.
+ * @param {boolean}  props.isActive    - Whether the turn is waiting on this review.
+ * @param {Function} props.onConfirm   - Receives the keys of the approved entities ([] for none).
+ * @return {Element} The SiteReplacePreview component.
+ */
+const SiteReplacePreview = ({ siteReplace, isActive = false, onConfirm }) => {
+	const { find, replace, entities, applied } = siteReplace;
+	const [selected, setSelected] = useState(() => entities.map((entity) => entity.key));
+	const canConfirm = isActive && onConfirm;
+	const appliedKeys = Array.isArray(applied) ? applied : [];
+
+	const toggle = (key, checked) =>
+		setSelected((prev) => (checked ? [...prev, key] : prev.filter((k) => k !== key)));
+
+	let title;
+	if (canConfirm) {
+		title = sprintf(
+			/* translators: 1: text to find, 2: replacement text */
+			__("Replace “%1$s” with “%2$s”", "wp-module-editor-chat"),
+			find,
+			replace
+		);
+	} else if (appliedKeys.length > 0) {
+		title = sprintf(
+			/* translators: 1: text found, 2: replacement text, 3: number of items changed */
+			_n(
+				"Replaced “%1$s” with “%2$s” in %3$d item",
+				"Replaced “%1$s” with “%2$s” in %3$d items",
+				appliedKeys.length,
+				"wp-module-editor-chat"
+			),
+			find,
+			replace,
+			appliedKeys.length
+		);
+	} else {
+		title = sprintf(
+			/* translators: %s: text to find */
+			__("“%s” was left unchanged", "wp-module-editor-chat"),
+			find
+		);
+	}
+
+	return (
+		<div
+			className="nfd-editor-chat-site-replace"
+			role="region"
+			aria-label={__("Site-wide replacement", "wp-module-editor-chat")}
+		>
+			<div className="nfd-editor-chat-site-replace__header">
+				<Replace size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-site-replace__title">{title}</span>
+			</div>
+			<ul className="nfd-editor-chat-site-replace__list">
+				{entities.map((entity) => {
+					const isApplied = appliedKeys.includes(entity.key);
+					return (
+						<li
+							key={entity.key}
+							className={`nfd-editor-chat-site-replace__entity${
+								!canConfirm && !isApplied ? " nfd-editor-chat-site-replace__entity--skipped" : ""
+							}`}
+						>
+							<div className="nfd-editor-chat-site-replace__entity-header">
+								{canConfirm ? (
+									<CheckboxControl
+										__nextHasNoMarginBottom
+										label={entity.title}
+										checked={selected.includes(entity.key)}
+										onChange={(checked) => toggle(entity.key, checked)}
+									/>
+								) : (
+									<strong>{entity.title}</strong>
+								)}
+								<span className="nfd-editor-chat-site-replace__badge">
+									{entityKindLabel(entity)}
+								</span>
+								<span className="nfd-editor-chat-site-replace__count">
+									{sprintf(
+										/* translators: %d: number of matches */
+										_n("%d match", "%d matches", entity.count, "wp-module-editor-chat"),
+										entity.count
+									)}
+								</span>
+							</div>
+							{entity.excerpts.map((excerpt, index) => (
+								<p key={index} className="nfd-editor-chat-site-replace__excerpt">
+									<del>{excerpt.before}</del>
+									<ins>{excerpt.after}</ins>
+								</p>
+							))}
+						</li>
+					);
+				})}
+			</ul>
+			{canConfirm && (
+				<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-site-replace__buttons">
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+						onClick={() => onConfirm([])}
+					>
+						<X size={12} />
+						{__("Cancel", "wp-module-editor-chat")}
+					</Button>
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+						onClick={() => onConfirm(selected)}
+						disabled={selected.length === 0}
+					>
+						<Check size={14} />
+						{sprintf(
+							/* translators: %d: number of selected items */
+							_n(
+								"Replace in %d item",
+								"Replace in %d items",
+								selected.length,
+								"wp-module-editor-chat"
+							),
+							selected.length
+						)}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default SiteReplacePreview;
@@ -0,0 +1,99 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Image, Square } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { getBlockTypeLabel } from "../../services/batchEdit";
+import { IMAGE_BLOCKS } from "../../services/blockToolbar/blockAI";
+
+/** Most recent blocks listed; earlier ones collapse into a count. */
+const MAX_VISIBLE_BLOCKS = 10;
+
+/**
+ * ToolCallPreview Component
+ *
+ * Live card for a block-writing tool call whose markup is still streaming: a
+ * skeleton of the blocks emitted so far and the images planned. Stop cancels
+ * the request before the tool runs, so nothing is written.
+ *
+ * @param {Object}   props         - The component props.
+ * @param {Object}   props.preview - From services/toolCallPreview ({ toolName, blocks, imageCount }).
+ * @param {Function} props.onStop  - Stops the request.
+ * @return {Element} The ToolCallPreview component.
+ */
+const ToolCallPreview = ({ preview, onStop }) => {
+	const { toolName, blocks, imageCount } = preview;
+	const hidden = Math.max(0, blocks.length - MAX_VISIBLE_BLOCKS);
+	const visible = blocks.slice(hidden);
+
+	return (
+		<div className="nfd-editor-chat-tool-preview" role="status" aria-live="polite">
+			<div className="nfd-editor-chat-tool-preview__header">
+				<span className="nfd-editor-chat-tool-preview__title">
+					{toolName === "blu-add-section"
+						? __("Building section…", "wp-module-editor-chat")
+						: __("Rewriting block…", "wp-module-editor-chat")}
+				</span>
+				{onStop && (
+					<Button
+						variant="tertiary"
+						size="small"
+						icon={<Square width={12} height={12} />}
+						onClick={onStop}
+					>
+						{__("Stop", "wp-module-editor-chat")}
+					</Button>
+				)}
+			</div>
+			<p className="nfd-editor-chat-tool-preview__summary">
+				{sprintf(
+					/* translators: %d: number of blocks streamed so far */
+					_n("%d block", "%d blocks", blocks.length, "wp-module-editor-chat"),
+					blocks.length
+				)}
+				{imageCount > 0 &&
+					` · ${sprintf(
+						/* translators: %d: number of image blocks in the section */
+						_n("%d image planned", "%d images planned", imageCount, "wp-module-editor-chat"),
+						imageCount
+					)}`}
+			</p>
+			<ul className="nfd-editor-chat-tool-preview__blocks" aria-hidden="true">
+				{hidden > 0 && (
+					<li className="nfd-editor-chat-tool-preview__more">
+						{sprintf(
+							/* translators: %d: number of earlier blocks not listed */
+							__("+ %d earlier", "wp-module-editor-chat"),
+							hidden
+						)}
+					</li>
+				)}
+				{visible.map((block, index) => (
+					<li
+						key={hidden + index}
+						className="nfd-editor-chat-tool-preview__block"
+						style={{ paddingLeft: `${block.depth * 12}px` }}
+					>
+						{IMAGE_BLOCKS.has(block.name) ? (
+							<Image size={12} />
+						) : (
+							<span className="nfd-editor-chat-tool-preview__bar" />
+						)}
+						{getBlockTypeLabel(block.name)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default ToolCallPreview;
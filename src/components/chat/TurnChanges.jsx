@@ -0,0 +1,120 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { useState } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { TriangleAlert, Undo2 } from "lucide-react";
+
+/**
+ * TurnChanges Component
+ *
+ * Revert control shown under each turn that changed the editor. Reverting one
+ * turn leaves the others alone, unless a later turn changed the same blocks —
+ * those are listed first, because the revert overwrites their edits too.
+ *
+ * @param {Object}   props                   - The component props.
+ * @param {string}   props.messageId         - Id of the turn's tool_execution message.
+ * @param {boolean}  props.reverted          - Whether the turn has already been reverted.
+ * @param {Function} props.getDependentTurns - Returns later turns sharing blocks with this one.
+ * @param {Function} props.onRevert          - Reverts the turn; receives messageId.
+ * @param {boolean}  props.disabled          - Whether a request is running (reverting mid-turn would race it).
+ * @return {Element} The TurnChanges component.
+ */
+const TurnChanges = ({ messageId, reverted, getDependentTurns, onRevert, disabled }) => {
+	const [dependents, setDependents] = useState(null);
+	const [isReverting, setIsReverting] = useState(false);
+
+	if (reverted) {
+		return (
+			<div className="nfd-editor-chat-turn-changes nfd-editor-chat-turn-changes--reverted">
+				<Undo2 size={12} aria-hidden="true" />
+				{__("Changes reverted", "wp-module-editor-chat")}
+			</div>
+		);
+	}
+
+	const revert = async () => {
+		setIsReverting(true);
+		try {
+			await onRevert(messageId);
+		} finally {
+			setIsReverting(false);
+			setDependents(null);
+		}
+	};
+
+	const handleRevertClick = () => {
+		const later = getDependentTurns(messageId);
+		if (later.length > 0) {
+			setDependents(later);
+			return;
+		}
+		revert();
+	};
+
+	return (
+		<div className="nfd-editor-chat-turn-changes">
+			{dependents ? (
+				<div className="nfd-editor-chat-turn-changes__warning" role="alert">
+					<TriangleAlert size={14} aria-hidden="true" />
+					<div>
+						<p>
+							{sprintf(
+								/* translators: %d: number of later requests */
+								_n(
+									"%d later request changed the same content. Reverting will undo its changes there too:",
+									"%d later requests changed the same content. Reverting will undo their changes there too:",
+									dependents.length,
+									"wp-module-editor-chat"
+								),
+								dependents.length
+							)}
+						</p>
+						<ul>
+							{dependents.map((turn) => (
+								<li key={turn.id}>{turn.label}</li>
+							))}
+						</ul>
+					</div>
+				</div>
+			) : null}
+			<div className="nfd-editor-chat-turn-changes__buttons">
+				{dependents ? (
+					<>
+						<Button
+							className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+							onClick={() => setDependents(null)}
+							disabled={disabled || isReverting}
+						>
+							{__("Cancel", "wp-module-editor-chat")}
+						</Button>
+						<Button
+							className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+							onClick={revert}
+							disabled={disabled || isReverting}
+						>
+							<Undo2 size={12} />
+							{__("Revert anyway", "wp-module-editor-chat")}
+						</Button>
+					</>
+				) : (
+					<Button
+						className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+						onClick={handleRevertClick}
+						disabled={disabled || isReverting}
+					>
+						<Undo2 size={12} />
+						{__("Revert these changes", "wp-module-editor-chat")}
+					</Button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default TurnChanges;
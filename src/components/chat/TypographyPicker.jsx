@@ -0,0 +1,90 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, Type } from "lucide-react";
+
+/**
+ * TypographyPicker Component
+ *
+ * Suggested heading/body font pairings. Hovering or focusing a pairing
+ * previews it on the site without installing or saving anything; clicking
+ * installs both fonts and applies them. Once one is applied the picker only
+ * marks it.
+ *
+ * @param {Object}   props              - The component props.
+ * @param {Object}   props.typography   - Picker data: pairings ({ heading, body, reason }), and the index applied.
+ * @param {boolean}  props.disabled     - Whether a turn is running.
+ * @param {Function} props.onPreview    - Previews a pairing.
+ * @param {Function} props.onEndPreview - Ends the preview.
+ * @param {Function} props.onApply      - Applies the pairing at an index.
+ * @return {Element} The TypographyPicker component.
+ */
+const TypographyPicker = ({ typography, disabled = false, onPreview, onEndPreview, onApply }) => {
+	const { pairings, applied } = typography;
+	const isOpen = applied === null && !disabled && !!onApply;
+
+	return (
+		<div
+			className="nfd-editor-chat-typography-picker"
+			role="region"
+			aria-label={__("Font pairings", "wp-module-editor-chat")}
+			onMouseLeave={isOpen ? onEndPreview : undefined}
+		>
+			<div className="nfd-editor-chat-typography-picker__header">
+				<Type size={14} aria-hidden="true" />
+				<span className="nfd-editor-chat-typography-picker__title">
+					{isOpen
+						? __("Hover a pairing to try it, click to apply", "wp-module-editor-chat")
+						: __("Font pairings", "wp-module-editor-chat")}
+				</span>
+			</div>
+			<ul className="nfd-editor-chat-typography-picker__list">
+				{pairings.map((pairing, index) => (
+					<li key={index}>
+						<button
+							type="button"
+							className={`nfd-editor-chat-typography-picker__option${
+								applied === index ? " nfd-editor-chat-typography-picker__option--applied" : ""
+							}`}
+							disabled={!isOpen}
+							aria-label={sprintf(
+								/* translators: 1: heading font family, 2: body font family */
+								__("Apply %1$s for headings and %2$s for text", "wp-module-editor-chat"),
+								pairing.heading,
+								pairing.body
+							)}
+							onMouseEnter={() => onPreview?.(pairing)}
+							onFocus={() => onPreview?.(pairing)}
+							onBlur={onEndPreview}
+							onClick={() => onApply(index, pairing)}
+						>
+							<span className="nfd-editor-chat-typography-picker__fonts">
+								<span className="nfd-editor-chat-typography-picker__heading">
+									{pairing.heading}
+								</span>
+								<span aria-hidden="true"> / </span>
+								<span>{pairing.body}</span>
+							</span>
+							{applied === index && (
+								<span className="nfd-editor-chat-typography-picker__applied">
+									<Check size={12} />
+									{__("Applied", "wp-module-editor-chat")}
+								</span>
+							)}
+							{pairing.reason && (
+								<span className="nfd-editor-chat-typography-picker__reason">{pairing.reason}</span>
+							)}
+						</button>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default TypographyPicker;
@@ -0,0 +1,115 @@
+/**
+ * WordPress dependencies
+ */
+import { useMemo, useState } from "@wordpress/element";
+import { applyFilters } from "@wordpress/hooks";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { ChevronDown, ChevronUp } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { TOKEN_PRICING_FILTER, estimateCost } from "../../services/tokenUsage";
+
+/**
+ * Format a token count for display (e.g. 12,345).
+ *
+ * @param {number} count Token count.
+ * @return {string} Localized number.
+ */
+const formatTokens = (count) => count.toLocaleString();
+
+/**
+ * One usage row: total tokens, the prompt/completion split and, when the host
+ * supplies prices, an estimated cost.
+ *
+ * @param {Object}      props         - The component props.
+ * @param {string}      props.label   - Row label.
+ * @param {Object}      props.usage   - Usage total.
+ * @param {Object|null} props.pricing - USD per million tokens.
+ * @return {Element} The row.
+ */
+const UsageRow = ({ label, usage, pricing }) => {
+	const cost = estimateCost(usage, pricing);
+	return (
+		<div className="nfd-editor-chat-usage__row">
+			<dt>{label}</dt>
+			<dd>
+				{sprintf(
+					/* translators: 1: total tokens, 2: prompt tokens, 3: completion tokens */
+					__("%1$s tokens (%2$s in / %3$s out)", "wp-module-editor-chat"),
+					formatTokens(usage.promptTokens + usage.completionTokens),
+					formatTokens(usage.promptTokens),
+					formatTokens(usage.completionTokens)
+				)}
+				{cost !== null && ` · ≈ $${cost.toFixed(4)}`}
+			</dd>
+		</div>
+	);
+};
+
+/**
+ * UsageFooter Component
+ *
+ * Collapsible token usage summary under the chat input: the latest turn and
+ * the whole chat session.
+ *
+ * @param {Object} props              - The component props.
+ * @param {Object} props.turnUsage    - Usage of the latest turn.
+ * @param {Object} props.sessionUsage - Usage of the chat session.
+ * @return {Element} The UsageFooter component.
+ */
+const UsageFooter = ({ turnUsage, sessionUsage }) => {
+	const [isOpen, setIsOpen] = useState(false);
+	const pricing = useMemo(() => applyFilters(TOKEN_PRICING_FILTER, null), []);
+	const Chevron = isOpen ? ChevronDown : ChevronUp;
+
+	return (
+		<div className="nfd-editor-chat-usage">
+			<button
+				type="button"
+				className="nfd-editor-chat-usage__toggle"
+				onClick={() => setIsOpen((open) => !open)}
+				aria-expanded={isOpen}
+			>
+				<span>
+					{sprintf(
+						/* translators: %s: tokens used in this chat session */
+						__("Usage: %s tokens", "wp-module-editor-chat"),
+						formatTokens(sessionUsage.promptTokens + sessionUsage.completionTokens)
+					)}
+				</span>
+				<Chevron size={14} aria-hidden="true" />
+			</button>
+			{isOpen && (
+				<dl className="nfd-editor-chat-usage__details">
+					<UsageRow
+						label={sprintf(
+							/* translators: %d: number of model requests in the turn */
+							_n(
+								"Last turn (%d request)",
+								"Last turn (%d requests)",
+								turnUsage.passes,
+								"wp-module-editor-chat"
+							),
+							turnUsage.passes
+						)}
+						usage={turnUsage}
+						pricing={pricing}
+					/>
+					<UsageRow
+						label={__("This chat", "wp-module-editor-chat")}
+						usage={sessionUsage}
+						pricing={pricing}
+					/>
+				</dl>
+			)}
+		</div>
+	);
+};
+
+export default UsageFooter;
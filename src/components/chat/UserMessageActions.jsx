@@ -0,0 +1,75 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { ChevronLeft, ChevronRight, Pencil } from "lucide-react";
+
+/**
+ * UserMessageActions Component
+ *
+ * Controls under a sent user message: Edit, which resends it as a new branch,
+ * and — once it has been edited — arrows to switch between its branches.
+ *
+ * @param {Object}   props                - The component props.
+ * @param {Object}   props.message        - The user message.
+ * @param {Function} props.onEdit         - Opens the message for editing.
+ * @param {Function} props.onSwitchBranch - Shows another branch; receives messageId and branch index.
+ * @param {boolean}  props.disabled       - Whether a request is running.
+ * @return {Element} The UserMessageActions component.
+ */
+const UserMessageActions = ({ message, onEdit, onSwitchBranch, disabled }) => {
+	const count = message.branches?.length || 0;
+	const index = message.branchIndex || 0;
+
+	return (
+		<div className="nfd-editor-chat-user-actions">
+			{count > 1 && onSwitchBranch && (
+				<div
+					className="nfd-editor-chat-user-actions__branches"
+					role="group"
+					aria-label={__("Branches", "wp-module-editor-chat")}
+				>
+					<Button
+						icon={<ChevronLeft width={14} height={14} />}
+						label={__("Previous branch", "wp-module-editor-chat")}
+						onClick={() => onSwitchBranch(message.id, index - 1)}
+						disabled={disabled || index === 0}
+						size="small"
+					/>
+					<span>
+						{sprintf(
+							/* translators: 1: current branch number, 2: number of branches */
+							__("Branch %1$d of %2$d", "wp-module-editor-chat"),
+							index + 1,
+							count
+						)}
+					</span>
+					<Button
+						icon={<ChevronRight width={14} height={14} />}
+						label={__("Next branch", "wp-module-editor-chat")}
+						onClick={() => onSwitchBranch(message.id, index + 1)}
+						disabled={disabled || index === count - 1}
+						size="small"
+					/>
+				</div>
+			)}
+			{onEdit && (
+				<Button
+					className="nfd-editor-chat-user-actions__edit"
+					icon={<Pencil width={12} height={12} />}
+					label={__("Edit and resend", "wp-module-editor-chat")}
+					onClick={onEdit}
+					disabled={disabled}
+					size="small"
+				/>
+			)}
+		</div>
+	);
+};
+
+export default UserMessageActions;
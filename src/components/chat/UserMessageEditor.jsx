@@ -0,0 +1,93 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { useEffect, useRef, useState } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Check, X } from "lucide-react";
+
+/**
+ * UserMessageEditor Component
+ *
+ * Takes the place of a user bubble while it is being edited. Sending reverts
+ * the editor to before the message, then runs the edited text as a new
+ * branch; the original stays one click away.
+ *
+ * @param {Object}   props          - The component props.
+ * @param {Object}   props.message  - The user message being edited.
+ * @param {Function} props.onSubmit - Resends; receives messageId and the new text.
+ * @param {Function} props.onCancel - Closes the editor without sending.
+ * @return {Element} The UserMessageEditor component.
+ */
+const UserMessageEditor = ({ message, onSubmit, onCancel }) => {
+	const [text, setText] = useState(message.content || "");
+	const textareaRef = useRef(null);
+	const canSend = text.trim() !== "";
+
+	// Opened by the user's Edit click, so the cursor goes straight in.
+	useEffect(() => {
+		const el = textareaRef.current;
+		if (el) {
+			el.focus();
+			el.setSelectionRange(el.value.length, el.value.length);
+		}
+	}, []);
+
+	const submit = () => {
+		if (canSend) {
+			onSubmit(message.id, text);
+		}
+	};
+
+	const handleKeyDown = (event) => {
+		if (event.key === "Enter" && !event.shiftKey) {
+			event.preventDefault();
+			submit();
+		} else if (event.key === "Escape") {
+			onCancel();
+		}
+	};
+
+	return (
+		<div className="nfd-editor-chat-user-edit">
+			<textarea
+				ref={textareaRef}
+				className="nfd-editor-chat-user-edit__input"
+				value={text}
+				onChange={(event) => setText(event.target.value)}
+				onKeyDown={handleKeyDown}
+				aria-label={__("Edit message", "wp-module-editor-chat")}
+				rows={3}
+			/>
+			<p className="nfd-editor-chat-user-edit__note">
+				{__(
+					"Sending undoes the changes made from this message on. The current version stays available as a branch.",
+					"wp-module-editor-chat"
+				)}
+			</p>
+			<div className="nfd-editor-chat-action-buttons__buttons nfd-editor-chat-user-edit__buttons">
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--decline"
+					onClick={onCancel}
+				>
+					<X size={12} />
+					{__("Cancel", "wp-module-editor-chat")}
+				</Button>
+				<Button
+					className="nfd-editor-chat-action-buttons__button nfd-editor-chat-action-buttons__button--accept"
+					onClick={submit}
+					disabled={!canSend}
+				>
+					<Check size={14} />
+					{__("Send", "wp-module-editor-chat")}
+				</Button>
+			</div>
+		</div>
+	);
+};
+
+export default UserMessageEditor;
@@ -0,0 +1,27 @@
+/**
+ * WordPress dependencies.
+ */
+import { __ } from "@wordpress/i18n";
+
+/**
+ * Internal dependencies.
+ */
+import HeaderIconButton from "./HeaderIconButton";
+import { BrandProfileIcon } from "../icons";
+import { useEditorChatActions } from "../../../../context/editorChatActions";
+
+export default function BrandProfileButton() {
+	const { toggleBrandProfile, isBrandProfileOpen } = useEditorChatActions();
+
+	return (
+		<HeaderIconButton
+			onClick={toggleBrandProfile}
+			id="nfd-editor-chat__header__brand-profile"
+			label={__("Brand profile", "wp-module-editor-chat")}
+			active={isBrandProfileOpen}
+			showTooltip
+		>
+			<BrandProfileIcon />
+		</HeaderIconButton>
+	);
+}
@@ -0,0 +1,27 @@
+/**
+ * WordPress dependencies.
+ */
+import { __ } from "@wordpress/i18n";
+
+/**
+ * Internal dependencies.
+ */
+import HeaderIconButton from "./HeaderIconButton";
+import { HistoryIcon } from "../icons";
+import { useEditorChatActions } from "../../../../context/editorChatActions";
+
+export default function ChatHistoryButton() {
+	const { toggleHistory, isHistoryOpen } = useEditorChatActions();
+
+	return (
+		<HeaderIconButton
+			onClick={toggleHistory}
+			id="nfd-editor-chat__header__chat-history"
+			label={__("Chat history", "wp-module-editor-chat")}
+			active={isHistoryOpen}
+			showTooltip
+		>
+			<HistoryIcon />
+		</HeaderIconButton>
+	);
+}
@@ -1,5 +1,7 @@
 export {default as BlockInserter} from './BlockInserter'
 export { default as BluehostDropdownMenu } from "./BluehostDropdownMenu";
+export { default as BrandProfileButton } from "./BrandProfileButton";
+export { default as ChatHistoryButton } from "./ChatHistoryButton";
 export { default as ChatToggle } from "./ChatToggle";
 export { default as DeviceSwitcher } from "./DeviceSwitcher";
 export { default as DocumentOverviewToggle } from "./DocumentOverviewToggle";
@@ -3,6 +3,8 @@
  */
 import {
 	BlockInserter, BluehostDropdownMenu,
+	BrandProfileButton,
+	ChatHistoryButton,
 	ChatToggle,
 	DocumentOverviewToggle,
 	HeaderDivider,
@@ -19,8 +21,10 @@ export default function HeaderLeft() {
 
 			<HeaderDivider />
 
-			{/* Chat controls: collapse toggle + new chat (chat history lands here too). */}
+			{/* Chat controls: collapse toggle, new chat, chat history and brand profile. */}
 			<NewChatButton />
+			<ChatHistoryButton />
+			<BrandProfileButton />
 			<ChatToggle />
 
 			<HeaderDivider />
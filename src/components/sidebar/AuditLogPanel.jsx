@@ -0,0 +1,187 @@
+/**
+ * WordPress dependencies
+ */
+import { Button, ExternalLink, Spinner } from "@wordpress/components";
+import { useEffect, useState } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { X } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { listAuditEntries } from "../../services/auditLog";
+import { getCurrentChatPost } from "../../services/chatArchive";
+
+/**
+ * Format an entry's time for the list.
+ *
+ * @param {string} isoDate GMT date from the log.
+ * @return {string} Localized date and time.
+ */
+const formatDate = (isoDate) =>
+	new Date(isoDate).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * First characters of a markup hash, enough to compare entries by eye.
+ *
+ * @param {string|null} hash SHA-256 hex digest.
+ * @return {string} Short hash, or a dash when there is none.
+ */
+const shortHash = (hash) => (hash ? hash.slice(0, 8) : "—");
+
+/**
+ * Label for a kind of change.
+ *
+ * @param {Object} change Change from the log ({ kind, entity }).
+ * @return {string} Translated label.
+ */
+const changeLabel = (change) => {
+	switch (change.kind) {
+		case "added":
+			return __("Added", "wp-module-editor-chat");
+		case "removed":
+			return __("Removed", "wp-module-editor-chat");
+		case "moved":
+			return __("Moved", "wp-module-editor-chat");
+		case "entity":
+			if (change.entity === "wp_navigation") {
+				return __("Menu changed", "wp-module-editor-chat");
+			}
+			if (change.entity === "page" || change.entity === "post") {
+				// Site-wide edits (services/siteWideEdit.js) change other pages and posts.
+				return __("Other page or post changed", "wp-module-editor-chat");
+			}
+			return __("Template part changed", "wp-module-editor-chat");
+		case "global_styles":
+			return __("Global styles changed", "wp-module-editor-chat");
+		default:
+			return __("Changed", "wp-module-editor-chat");
+	}
+};
+
+/**
+ * AuditLogPanel Component
+ *
+ * The audit log of the page open in the editor, newest first: who asked for
+ * each change, what they asked, the tools that ran, before/after markup hashes
+ * and a link to the revision that saved it. Administrators only.
+ *
+ * @param {Object}   props         - The component props.
+ * @param {Function} props.onClose - Closes the panel.
+ * @return {Element} The AuditLogPanel component.
+ */
+const AuditLogPanel = ({ onClose }) => {
+	const [entries, setEntries] = useState([]);
+	const [total, setTotal] = useState(0);
+	const [page, setPage] = useState(1);
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		let cancelled = false;
+		setIsLoading(true);
+		setError(null);
+		listAuditEntries({ ...getCurrentChatPost(), page })
+			.then((response) => {
+				if (cancelled) {
+					return;
+				}
+				setEntries((prev) => (page === 1 ? response.entries : [...prev, ...response.entries]));
+				setTotal(response.total);
+			})
+			.catch(() => {
+				if (!cancelled) {
+					setError(__("Couldn't load the audit log.", "wp-module-editor-chat"));
+				}
+			})
+			.finally(() => {
+				if (!cancelled) {
+					setIsLoading(false);
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [page]);
+
+	return (
+		<div className="nfd-editor-chat-history nfd-editor-chat-audit">
+			<div className="nfd-editor-chat-history__header">
+				<h3>{__("AI change log for this page", "wp-module-editor-chat")}</h3>
+				<Button
+					icon={<X width={16} height={16} />}
+					label={__("Close audit log", "wp-module-editor-chat")}
+					onClick={onClose}
+					size="small"
+				/>
+			</div>
+			{error && (
+				<p className="nfd-editor-chat-history__error" role="alert">
+					{error}
+				</p>
+			)}
+			<div className="nfd-editor-chat-history__list">
+				<ul>
+					{entries.map((entry) => (
+						<li key={entry.id} className="nfd-editor-chat-audit__entry">
+							<div className="nfd-editor-chat-audit__meta">
+								<strong>{entry.user}</strong>
+								<span className="nfd-editor-chat-history__date">{formatDate(entry.created)}</span>
+							</div>
+							<p className="nfd-editor-chat-audit__prompt">{entry.prompt}</p>
+							<p className="nfd-editor-chat-audit__tools">
+								{entry.tools
+									.map((tool) =>
+										tool.is_error
+											? sprintf(
+													/* translators: %s: tool name */
+													__("%s (failed)", "wp-module-editor-chat"),
+													tool.name
+												)
+											: tool.name
+									)
+									.join(", ")}
+							</p>
+							<ul className="nfd-editor-chat-audit__changes">
+								{entry.changes.map((change, index) => (
+									<li key={index}>
+										<span>{changeLabel(change)}</span>{" "}
+										<code>
+											{shortHash(change.before_hash)} → {shortHash(change.after_hash)}
+										</code>
+									</li>
+								))}
+							</ul>
+							{entry.revision_url ? (
+								<ExternalLink href={entry.revision_url}>
+									{__("View revision", "wp-module-editor-chat")}
+								</ExternalLink>
+							) : (
+								<span className="nfd-editor-chat-history__date">
+									{__("Not saved yet", "wp-module-editor-chat")}
+								</span>
+							)}
+						</li>
+					))}
+				</ul>
+				{isLoading && <Spinner />}
+				{!isLoading && entries.length === 0 && !error && (
+					<p className="nfd-editor-chat-history__empty">
+						{__("The AI hasn't changed this page yet.", "wp-module-editor-chat")}
+					</p>
+				)}
+				{!isLoading && entries.length < total && (
+					<Button variant="link" onClick={() => setPage((prev) => prev + 1)}>
+						{__("Show older changes", "wp-module-editor-chat")}
+					</Button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default AuditLogPanel;
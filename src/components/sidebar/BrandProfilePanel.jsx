@@ -0,0 +1,181 @@
+/**
+ * WordPress dependencies
+ */
+import {
+	Button,
+	FormTokenField,
+	SelectControl,
+	TextareaControl,
+	TextControl,
+} from "@wordpress/components";
+import { select } from "@wordpress/data";
+import { useMemo, useState } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { X } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import {
+	canEditBrandProfile,
+	getBrandProfile,
+	saveBrandProfile,
+} from "../../services/brandProfile";
+import { getCurrentGlobalStyles } from "../../services/globalStylesService";
+
+const READING_LEVEL_OPTIONS = [
+	{ value: "", label: __("No preference", "wp-module-editor-chat") },
+	{ value: "simple", label: __("Simple", "wp-module-editor-chat") },
+	{ value: "general", label: __("General audience", "wp-module-editor-chat") },
+	{ value: "advanced", label: __("Advanced", "wp-module-editor-chat") },
+];
+
+/**
+ * Palette slugs and font names the site offers, as token suggestions.
+ *
+ * @return {{ paletteSlugs: string[], fonts: string[] }} Suggestions.
+ */
+const getStyleSuggestions = () => {
+	const { palette = [] } = getCurrentGlobalStyles();
+	const fontFamilies =
+		select("core/block-editor").getSettings()?.__experimentalFeatures?.typography?.fontFamilies ||
+		{};
+	const fonts = [...(fontFamilies.theme || []), ...(fontFamilies.custom || [])];
+	return {
+		paletteSlugs: palette.map((color) => color.slug).filter(Boolean),
+		fonts: fonts.map((font) => font.name).filter(Boolean),
+	};
+};
+
+/**
+ * BrandProfilePanel Component
+ *
+ * Edits the site's brand profile: tone of voice, banned words, CTA phrasing,
+ * reading level, and preferred palette colors and fonts. The chat sends it
+ * with every turn. Read-only for users who can't manage options.
+ *
+ * @param {Object}   props         - The component props.
+ * @param {Function} props.onClose - Closes the panel.
+ * @return {Element} The BrandProfilePanel component.
+ */
+const BrandProfilePanel = ({ onClose }) => {
+	const [profile, setProfile] = useState(getBrandProfile);
+	const [isSaving, setIsSaving] = useState(false);
+	const [notice, setNotice] = useState(null);
+	const suggestions = useMemo(getStyleSuggestions, []);
+	const canEdit = canEditBrandProfile();
+
+	const update = (field) => (value) => {
+		setProfile((prev) => ({ ...prev, [field]: value }));
+		setNotice(null);
+	};
+
+	const save = async () => {
+		setIsSaving(true);
+		setNotice(null);
+		try {
+			setProfile(await saveBrandProfile(profile));
+			setNotice({ type: "success", text: __("Brand profile saved.", "wp-module-editor-chat") });
+		} catch {
+			setNotice({
+				type: "error",
+				text: __("Couldn't save the brand profile.", "wp-module-editor-chat"),
+			});
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	return (
+		<div className="nfd-editor-chat-brand-profile">
+			<div className="nfd-editor-chat-brand-profile__header">
+				<h3>{__("Brand profile", "wp-module-editor-chat")}</h3>
+				<Button
+					icon={<X width={16} height={16} />}
+					label={__("Close brand profile", "wp-module-editor-chat")}
+					onClick={onClose}
+					size="small"
+				/>
+			</div>
+			<p className="nfd-editor-chat-brand-profile__intro">
+				{canEdit
+					? __(
+							"The assistant follows this profile in every chat, so rewrites and new sections stay on-brand.",
+							"wp-module-editor-chat"
+						)
+					: __(
+							"The assistant follows this profile in every chat. Only administrators can change it.",
+							"wp-module-editor-chat"
+						)}
+			</p>
+			<fieldset className="nfd-editor-chat-brand-profile__fields" disabled={!canEdit || isSaving}>
+				<TextareaControl
+					__nextHasNoMarginBottom
+					label={__("Tone of voice", "wp-module-editor-chat")}
+					placeholder={__("e.g. Warm, confident, no jargon", "wp-module-editor-chat")}
+					value={profile.tone}
+					onChange={update("tone")}
+					rows={3}
+				/>
+				<SelectControl
+					__nextHasNoMarginBottom
+					label={__("Reading level", "wp-module-editor-chat")}
+					value={profile.reading_level}
+					options={READING_LEVEL_OPTIONS}
+					onChange={update("reading_level")}
+				/>
+				<TextControl
+					__nextHasNoMarginBottom
+					label={__("Call-to-action phrasing", "wp-module-editor-chat")}
+					placeholder={__("e.g. Book your free consultation", "wp-module-editor-chat")}
+					value={profile.cta_phrasing}
+					onChange={update("cta_phrasing")}
+				/>
+				<FormTokenField
+					__nextHasNoMarginBottom
+					label={__("Banned words", "wp-module-editor-chat")}
+					value={profile.banned_words}
+					onChange={update("banned_words")}
+					disabled={!canEdit || isSaving}
+				/>
+				<FormTokenField
+					__nextHasNoMarginBottom
+					label={__("Preferred palette colors", "wp-module-editor-chat")}
+					value={profile.palette_slugs}
+					suggestions={suggestions.paletteSlugs}
+					onChange={update("palette_slugs")}
+					disabled={!canEdit || isSaving}
+				/>
+				<FormTokenField
+					__nextHasNoMarginBottom
+					label={__("Preferred fonts", "wp-module-editor-chat")}
+					value={profile.fonts}
+					suggestions={suggestions.fonts}
+					onChange={update("fonts")}
+					disabled={!canEdit || isSaving}
+				/>
+			</fieldset>
+			{notice && (
+				<p
+					className={`nfd-editor-chat-brand-profile__notice nfd-editor-chat-brand-profile__notice--${notice.type}`}
+					role={notice.type === "error" ? "alert" : "status"}
+				>
+					{notice.text}
+				</p>
+			)}
+			{canEdit && (
+				<div className="nfd-editor-chat-brand-profile__actions">
+					<Button variant="primary" onClick={save} isBusy={isSaving} disabled={isSaving}>
+						{__("Save", "wp-module-editor-chat")}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default BrandProfilePanel;
@@ -0,0 +1,229 @@
+/**
+ * WordPress dependencies
+ */
+import { Button, SearchControl, Spinner, ToggleControl } from "@wordpress/components";
+import { useCallback, useEffect, useMemo, useState } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { Trash2, X } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { deleteChat, getChat, getCurrentChatPost, listChats } from "../../services/chatArchive";
+
+/** Wait after the last keystroke before searching. */
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Format an archived chat's last-updated time for the list.
+ *
+ * @param {string} isoDate GMT date from the archive.
+ * @return {string} Localized date and time.
+ */
+const formatDate = (isoDate) =>
+	new Date(isoDate).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Group chat summaries by the page they were held on, keeping the newest-first
+ * order of both the groups and the chats within them.
+ *
+ * @param {Array} chats Chat summaries, newest first.
+ * @return {Array<{ key: string, title: string, chats: Array }>} Groups.
+ */
+const groupByPage = (chats) => {
+	const groups = new Map();
+	for (const chat of chats) {
+		const key = `${chat.post_type}:${chat.post_id}`;
+		if (!groups.has(key)) {
+			groups.set(key, {
+				key,
+				title: chat.post_title || __("Untitled", "wp-module-editor-chat"),
+				chats: [],
+			});
+		}
+		groups.get(key).chats.push(chat);
+	}
+	return [...groups.values()];
+};
+
+/**
+ * ChatHistoryPanel Component
+ *
+ * Past chats from the server-side archive, grouped by page, newest first, with
+ * search and a this-page filter. A chat opens read-only or resumes as the
+ * active chat.
+ *
+ * @param {Object}   props          - The component props.
+ * @param {Function} props.onView   - Receives a full chat to show read-only.
+ * @param {Function} props.onResume - Receives a full chat to continue.
+ * @param {Function} props.onClose  - Closes the panel.
+ * @param {boolean}  props.disabled - Whether a request is running (resuming would race it).
+ * @return {Element} The ChatHistoryPanel component.
+ */
+const ChatHistoryPanel = ({ onView, onResume, onClose, disabled = false }) => {
+	const [search, setSearch] = useState("");
+	const [query, setQuery] = useState("");
+	const [thisPageOnly, setThisPageOnly] = useState(false);
+	const [chats, setChats] = useState([]);
+	const [total, setTotal] = useState(0);
+	const [page, setPage] = useState(1);
+	const [isLoading, setIsLoading] = useState(true);
+	const [openingId, setOpeningId] = useState(null);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [search]);
+
+	useEffect(() => {
+		setPage(1);
+	}, [query, thisPageOnly]);
+
+	useEffect(() => {
+		let cancelled = false;
+		setIsLoading(true);
+		setError(null);
+		listChats({ search: query, page, ...(thisPageOnly ? getCurrentChatPost() : {}) })
+			.then((response) => {
+				if (cancelled) {
+					return;
+				}
+				setChats((prev) => (page === 1 ? response.chats : [...prev, ...response.chats]));
+				setTotal(response.total);
+			})
+			.catch(() => {
+				if (!cancelled) {
+					setError(__("Couldn't load your chat history.", "wp-module-editor-chat"));
+				}
+			})
+			.finally(() => {
+				if (!cancelled) {
+					setIsLoading(false);
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [query, thisPageOnly, page]);
+
+	const groups = useMemo(() => groupByPage(chats), [chats]);
+
+	const open = useCallback(async (id, callback) => {
+		setOpeningId(id);
+		setError(null);
+		try {
+			callback(await getChat(id));
+		} catch {
+			setError(__("Couldn't open that chat.", "wp-module-editor-chat"));
+		} finally {
+			setOpeningId(null);
+		}
+	}, []);
+
+	const remove = useCallback(async (id) => {
+		setError(null);
+		try {
+			await deleteChat(id);
+			setChats((prev) => prev.filter((chat) => chat.id !== id));
+			setTotal((prev) => prev - 1);
+		} catch {
+			setError(__("Couldn't delete that chat.", "wp-module-editor-chat"));
+		}
+	}, []);
+
+	return (
+		<div className="nfd-editor-chat-history">
+			<div className="nfd-editor-chat-history__header">
+				<h3>{__("Chat history", "wp-module-editor-chat")}</h3>
+				<Button
+					icon={<X width={16} height={16} />}
+					label={__("Close chat history", "wp-module-editor-chat")}
+					onClick={onClose}
+					size="small"
+				/>
+			</div>
+			<div className="nfd-editor-chat-history__filters">
+				<SearchControl
+					__nextHasNoMarginBottom
+					value={search}
+					onChange={setSearch}
+					label={__("Search chats", "wp-module-editor-chat")}
+					placeholder={__("Search chats", "wp-module-editor-chat")}
+				/>
+				<ToggleControl
+					__nextHasNoMarginBottom
+					label={__("This page only", "wp-module-editor-chat")}
+					checked={thisPageOnly}
+					onChange={setThisPageOnly}
+				/>
+			</div>
+			{error && (
+				<p className="nfd-editor-chat-history__error" role="alert">
+					{error}
+				</p>
+			)}
+			<div className="nfd-editor-chat-history__list">
+				{groups.map((group) => (
+					<section key={group.key} className="nfd-editor-chat-history__group">
+						<h4 className="nfd-editor-chat-history__group-title">{group.title}</h4>
+						<ul>
+							{group.chats.map((chat) => (
+								<li key={chat.id} className="nfd-editor-chat-history__item">
+									<button
+										type="button"
+										className="nfd-editor-chat-history__open"
+										onClick={() => open(chat.id, onView)}
+										disabled={openingId !== null}
+									>
+										<span className="nfd-editor-chat-history__title">{chat.title}</span>
+										<span className="nfd-editor-chat-history__date">
+											{formatDate(chat.updated)}
+										</span>
+									</button>
+									<div className="nfd-editor-chat-history__actions">
+										<Button
+											variant="secondary"
+											size="small"
+											onClick={() => open(chat.id, onResume)}
+											disabled={disabled || openingId !== null}
+											isBusy={openingId === chat.id}
+										>
+											{__("Resume", "wp-module-editor-chat")}
+										</Button>
+										<Button
+											icon={<Trash2 width={14} height={14} />}
+											label={__("Delete chat", "wp-module-editor-chat")}
+											onClick={() => remove(chat.id)}
+											size="small"
+											isDestructive
+										/>
+									</div>
+								</li>
+							))}
+						</ul>
+					</section>
+				))}
+				{isLoading && <Spinner />}
+				{!isLoading && chats.length === 0 && !error && (
+					<p className="nfd-editor-chat-history__empty">
+						{query
+							? __("No chats match your search.", "wp-module-editor-chat")
+							: __("No past chats yet.", "wp-module-editor-chat")}
+					</p>
+				)}
+				{!isLoading && chats.length < total && (
+					<Button variant="link" onClick={() => setPage((prev) => prev + 1)}>
+						{__("Show older chats", "wp-module-editor-chat")}
+					</Button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default ChatHistoryPanel;
@@ -0,0 +1,45 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+
+/**
+ * Internal dependencies
+ */
+import { getConnectionHealth } from "../../services/connectionHealth";
+
+/**
+ * ConnectionStatus Component
+ *
+ * Status dot for the AI session and the MCP connection, with the detail in its
+ * tooltip. While the editor tools are unavailable, clicking it reconnects.
+ *
+ * @param {Object}   props              Component props
+ * @param {string}   props.configStatus AI session status (idle | loading | ready | error)
+ * @param {string}   props.mcpStatus    MCP status (connecting | connected | disconnected)
+ * @param {Array}    props.openaiTools  Tools loaded from the MCP server
+ * @param {Function} props.onReconnect  Reconnects to the MCP server
+ * @return {Element} The ConnectionStatus component.
+ */
+const ConnectionStatus = ({ configStatus, mcpStatus, openaiTools, onReconnect }) => {
+	const { level, message, canReconnect } = getConnectionHealth({
+		configStatus,
+		mcpStatus,
+		openaiTools,
+	});
+
+	return (
+		<Button
+			label={message}
+			showTooltip
+			onClick={canReconnect ? onReconnect : undefined}
+			className={`nfd-editor-chat-connection nfd-editor-chat-connection--${level}${
+				canReconnect ? " is-reconnectable" : ""
+			}`}
+		>
+			<span className="nfd-editor-chat-connection__dot" aria-hidden="true" />
+		</Button>
+	);
+};
+
+export default ConnectionStatus;
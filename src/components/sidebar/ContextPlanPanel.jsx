@@ -0,0 +1,134 @@
+/**
+ * WordPress dependencies
+ */
+import { Button } from "@wordpress/components";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * External dependencies
+ */
+import { X } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import { getLastContextPlan } from "../../services/contextPlanner";
+
+/**
+ * One ranked block or section.
+ *
+ * @param {Object} props       - The component props.
+ * @param {Object} props.entry - Plan entry ({ clientId, label, score, reasons, chars? }).
+ * @return {Element} List item.
+ */
+const PlanEntry = ({ entry }) => (
+	<li className="nfd-editor-chat-audit__entry">
+		<div className="nfd-editor-chat-audit__meta">
+			<strong className="nfd-editor-chat-context-plan__label">{entry.label}</strong>
+			<span className="nfd-editor-chat-history__date">
+				{/* translators: %s: relevance score */}
+				{sprintf(__("score %s", "wp-module-editor-chat"), entry.score)}
+			</span>
+		</div>
+		<p className="nfd-editor-chat-audit__tools">
+			{entry.reasons.length
+				? entry.reasons.join(" · ")
+				: __("Nothing in the request points here", "wp-module-editor-chat")}
+			{entry.chars > 0 &&
+				/* translators: %d: markup length in characters */
+				sprintf(__(" · %d chars", "wp-module-editor-chat"), entry.chars)}
+		</p>
+		<code className="nfd-editor-chat-context-plan__id">{entry.clientId}</code>
+	</li>
+);
+
+/**
+ * ContextPlanPanel Component
+ *
+ * Debug view of the context planner (`/context`, debug logging only): for the
+ * latest turn on a long page, which sections went into the editor context in
+ * full and which were collapsed to a summary, with the score and reasons.
+ *
+ * @param {Object}   props         - The component props.
+ * @param {Function} props.onClose - Closes the panel.
+ * @return {Element} The ContextPlanPanel component.
+ */
+const ContextPlanPanel = ({ onClose }) => {
+	const plan = getLastContextPlan();
+
+	let body;
+	if (!plan) {
+		body = (
+			<p className="nfd-editor-chat-history__empty">
+				{__("Send a message to see how its editor context was built.", "wp-module-editor-chat")}
+			</p>
+		);
+	} else if (plan.skipped) {
+		body = (
+			<p className="nfd-editor-chat-history__empty">
+				{sprintf(
+					/* translators: %d: block tree length in characters */
+					__(
+						"The whole block tree fit (%d chars), so nothing was ranked or collapsed.",
+						"wp-module-editor-chat"
+					),
+					plan.treeChars
+				)}
+			</p>
+		);
+	} else {
+		body = (
+			<>
+				<p className="nfd-editor-chat-context-plan__query">
+					{sprintf(
+						/* translators: 1: words of the request, 2: block kinds named in it */
+						__("Words: %1$s. Block kinds: %2$s.", "wp-module-editor-chat"),
+						plan.terms.join(", ") || "—",
+						plan.kinds.join(", ") || "—"
+					)}
+				</p>
+				<h4>
+					{sprintf(
+						/* translators: 1: markup chars used, 2: markup budget in chars */
+						__("Full markup (%1$d of %2$d chars)", "wp-module-editor-chat"),
+						plan.used,
+						plan.budget
+					)}
+				</h4>
+				<ul>
+					{plan.included.map((entry) => (
+						<PlanEntry key={entry.clientId} entry={entry} />
+					))}
+				</ul>
+				{plan.included.length === 0 && (
+					<p className="nfd-editor-chat-history__empty">
+						{__("No section matched the request.", "wp-module-editor-chat")}
+					</p>
+				)}
+				<h4>{__("Collapsed to a summary", "wp-module-editor-chat")}</h4>
+				<ul>
+					{plan.summarized.map((entry) => (
+						<PlanEntry key={entry.clientId} entry={entry} />
+					))}
+				</ul>
+			</>
+		);
+	}
+
+	return (
+		<div className="nfd-editor-chat-history nfd-editor-chat-context-plan">
+			<div className="nfd-editor-chat-history__header">
+				<h3>{__("Editor context plan", "wp-module-editor-chat")}</h3>
+				<Button
+					icon={<X width={16} height={16} />}
+					label={__("Close context plan", "wp-module-editor-chat")}
+					onClick={onClose}
+					size="small"
+				/>
+			</div>
+			<div className="nfd-editor-chat-history__list">{body}</div>
+		</div>
+	);
+};
+
+export default ContextPlanPanel;
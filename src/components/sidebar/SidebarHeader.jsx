@@ -7,7 +7,12 @@ import { __ } from "@wordpress/i18n";
 /**
  * External dependencies
  */
-import { Plus, Sparkles } from "lucide-react";
+import { Eye, History, ListChecks, Palette, Plus, ScrollText, Sparkles } from "lucide-react";
+
+/**
+ * Internal dependencies
+ */
+import ConnectionStatus from "./ConnectionStatus";
 
 /**
  * SidebarHeader Component
@@ -17,19 +22,99 @@ import { Plus, Sparkles } from "lucide-react";
  * @param {Object}   props                   Component props
  * @param {Function} props.onNewChat         Function to call when new chat is requested
  * @param {boolean}  props.isNewChatDisabled Whether the new chat button should be disabled
+ * @param {Function} props.onToggleReview    Function to call when review mode is toggled
+ * @param {boolean}  props.isReviewMode      Whether block changes wait for Apply/Skip
+ * @param {Function} props.onTogglePlanMode  Function to call when plan-first mode is toggled
+ * @param {boolean}  props.isPlanMode        Whether multi-step requests wait for plan approval
+ * @param {Function} props.onToggleHistory   Function to call when the chat history is toggled
+ * @param {boolean}  props.isHistoryOpen     Whether the chat history is shown
+ * @param {Function} props.onToggleBrand     Function to call when the brand profile is toggled
+ * @param {boolean}  props.isBrandOpen       Whether the brand profile is shown
+ * @param {Function} props.onToggleAuditLog  Function to call when the audit log is toggled (administrators only)
+ * @param {boolean}  props.isAuditLogOpen    Whether the audit log is shown
+ * @param {Object}   props.connection        AI session and MCP state ({ configStatus, mcpStatus, openaiTools, onReconnect })
  * @return {Element} The SidebarHeader component.
  */
-const SidebarHeader = ({ onNewChat, isNewChatDisabled = false }) => {
+const SidebarHeader = ({
+	onNewChat,
+	isNewChatDisabled = false,
+	onToggleReview,
+	isReviewMode = false,
+	onTogglePlanMode,
+	isPlanMode = false,
+	onToggleHistory,
+	isHistoryOpen = false,
+	onToggleBrand,
+	isBrandOpen = false,
+	onToggleAuditLog,
+	isAuditLogOpen = false,
+	connection,
+}) => {
 	return (
 		<div className="nfd-editor-chat-sidebar__header-content">
 			<div className="interface-complementary-area-header__title">
 				<Sparkles width={15} height={15} />
-				<h2>
-					{__("Bluehost AI Assistant", "wp-module-editor-chat")}
-				</h2>
+				<h2>{__("Bluehost AI Assistant", "wp-module-editor-chat")}</h2>
+				{connection && <ConnectionStatus {...connection} />}
 			</div>
 			{onNewChat && (
 				<div className="nfd-editor-chat-sidebar__header-actions">
+					{onToggleReview && (
+						<Button
+							icon={<Eye width={16} height={16} />}
+							label={
+								isReviewMode
+									? __("Review mode on: changes wait for your approval", "wp-module-editor-chat")
+									: __("Review changes before they are applied", "wp-module-editor-chat")
+							}
+							onClick={onToggleReview}
+							isPressed={isReviewMode}
+							className="nfd-editor-chat-sidebar__review-mode"
+						/>
+					)}
+					{onTogglePlanMode && (
+						<Button
+							icon={<ListChecks width={16} height={16} />}
+							label={
+								isPlanMode
+									? __(
+											"Plan mode on: multi-step requests wait for your approval",
+											"wp-module-editor-chat"
+										)
+									: __("Review the plan before multi-step requests run", "wp-module-editor-chat")
+							}
+							onClick={onTogglePlanMode}
+							isPressed={isPlanMode}
+							className="nfd-editor-chat-sidebar__plan-mode"
+						/>
+					)}
+					{onToggleHistory && (
+						<Button
+							icon={<History width={16} height={16} />}
+							label={__("Chat history", "wp-module-editor-chat")}
+							onClick={onToggleHistory}
+							isPressed={isHistoryOpen}
+							className="nfd-editor-chat-sidebar__history"
+						/>
+					)}
+					{onToggleBrand && (
+						<Button
+							icon={<Palette width={16} height={16} />}
+							label={__("Brand profile", "wp-module-editor-chat")}
+							onClick={onToggleBrand}
+							isPressed={isBrandOpen}
+							className="nfd-editor-chat-sidebar__brand-profile"
+						/>
+					)}
+					{onToggleAuditLog && (
+						<Button
+							icon={<ScrollText width={16} height={16} />}
+							label={__("AI change log", "wp-module-editor-chat")}
+							onClick={onToggleAuditLog}
+							isPressed={isAuditLogOpen}
+							className="nfd-editor-chat-sidebar__audit-log"
+						/>
+					)}
 					<Button
 						icon={<Plus width={16} height={16} />}
 						label={__("New chat", "wp-module-editor-chat")}
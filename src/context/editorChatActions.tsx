@@ -18,6 +18,14 @@ type EditorChatActions = {
 	handleNewChat: () => void;
 	/** True when there is nothing to clear (a brand-new chat). */
 	isNewChatDisabled: boolean;
+	/** Open or close the chat history panel. */
+	toggleHistory: () => void;
+	/** True while the history panel (or a past chat from it) is shown. */
+	isHistoryOpen: boolean;
+	/** Open or close the brand profile panel. */
+	toggleBrandProfile: () => void;
+	/** True while the brand profile panel is shown. */
+	isBrandProfileOpen: boolean;
 };
 
 const noop = () => {};
@@ -25,6 +33,10 @@ const noop = () => {};
 const Context = createContext<EditorChatActions>({
 	handleNewChat: noop,
 	isNewChatDisabled: true,
+	toggleHistory: noop,
+	isHistoryOpen: false,
+	toggleBrandProfile: noop,
+	isBrandProfileOpen: false,
 });
 
 export const useEditorChatActions = () => useContext(Context);
@@ -32,11 +44,29 @@ export const useEditorChatActions = () => useContext(Context);
 export default function EditorChatActionsProvider({
 	handleNewChat,
 	isNewChatDisabled,
+	toggleHistory,
+	isHistoryOpen,
+	toggleBrandProfile,
+	isBrandProfileOpen,
 	children,
 }: EditorChatActions & { children: ReactNode }) {
 	const value = useMemo(
-		() => ({ handleNewChat, isNewChatDisabled }),
-		[handleNewChat, isNewChatDisabled]
+		() => ({
+			handleNewChat,
+			isNewChatDisabled,
+			toggleHistory,
+			isHistoryOpen,
+			toggleBrandProfile,
+			isBrandProfileOpen,
+		}),
+		[
+			handleNewChat,
+			isNewChatDisabled,
+			toggleHistory,
+			isHistoryOpen,
+			toggleBrandProfile,
+			isBrandProfileOpen,
+		]
 	);
 
 	return <Context.Provider value={value}>{children}</Context.Provider>;
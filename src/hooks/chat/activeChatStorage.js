@@ -4,6 +4,9 @@
  * separate from the history-dropdown archive: the archive holds past chats,
  * this key holds the one currently in progress.
  *
+ * The ID of the chat's server-side archive entry (see services/chatArchive.js)
+ * is kept alongside, so a reload keeps updating the same entry.
+ *
  * Stale entries (older than TTL_MS) are discarded on load — after a long
  * enough gap the editor context has almost certainly drifted (different
  * post, different styles) and resuming would be worse than starting over.
@@ -19,7 +22,7 @@ const getStorageKey = () => {
 
 // Always return fresh arrays — callers mutate `history` via chatLoop's push,
 // so a shared constant would leak state across calls.
-const emptyState = () => ({ messages: [], history: [] });
+const emptyState = () => ({ messages: [], history: [], archiveId: null });
 
 export const loadActiveChat = () => {
 	const key = getStorageKey();
@@ -38,7 +41,7 @@ export const loadActiveChat = () => {
 		const messages = (parsed.messages || []).map(
 			({ hasActions: _hasActions, undoData: _undoData, ...rest }) => rest
 		);
-		return { messages, history: parsed.history || [] };
+		return { messages, history: parsed.history || [], archiveId: parsed.archiveId || null };
 	} catch (err) {
 		// eslint-disable-next-line no-console
 		console.warn("[EditorChat] Failed to load active chat:", err);
@@ -46,7 +49,7 @@ export const loadActiveChat = () => {
 	}
 };
 
-export const saveActiveChat = (messages, history) => {
+export const saveActiveChat = (messages, history, archiveId = null) => {
 	try {
 		const key = getStorageKey();
 		if ((!messages || messages.length === 0) && (!history || history.length === 0)) {
@@ -62,6 +65,7 @@ export const saveActiveChat = (messages, history) => {
 			JSON.stringify({
 				messages: trimmedMessages,
 				history: history || [],
+				archiveId,
 				savedAt: new Date().toISOString(),
 			})
 		);
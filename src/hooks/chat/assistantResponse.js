@@ -4,6 +4,7 @@
  * The model always replies with a JSON object:
  *   {"message":"…"}                          — normal plan / reply
  *   {"message":"…","need_blocks_markup":[…]} — request block markup (no tools)
+ *   {"message":"…","site_replace":{…}}       — site-wide find and replace (no tools)
  */
 import { select } from "@wordpress/data";
 import { __ } from "@wordpress/i18n";
@@ -28,7 +29,7 @@ Do not include need_blocks_markup again.`;
  * Parse the assistant's JSON response.
  *
  * @param {string} content Raw assistant text
- * @return {{ message: string, need_blocks_markup?: string[] }|null} Parsed payload or null
+ * @return {{ message: string, need_blocks_markup?: string[], site_replace?: { find: string, replace: string } }|null} Parsed payload or null
  */
 export function parseAssistantResponse(content) {
 	if (!content || !content.trim()) {
@@ -46,6 +47,14 @@ export function parseAssistantResponse(content) {
 				.filter((id) => typeof id === "string" && id.length > 0)
 				.slice(0, MAX_MARKUP_CLIENT_IDS);
 		}
+		const siteReplace = obj.site_replace;
+		if (
+			typeof siteReplace?.find === "string" &&
+			siteReplace.find.trim() &&
+			typeof siteReplace.replace === "string"
+		) {
+			result.site_replace = { find: siteReplace.find, replace: siteReplace.replace };
+		}
 		return result;
 	};
 
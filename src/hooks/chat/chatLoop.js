@@ -6,6 +6,8 @@
  * response. Handles retry detection, tool execution, and history compression.
  * The orchestrator wraps this in useCallback and handles try/catch/finally.
  */
+import { __ } from "@wordpress/i18n";
+
 import {
 	CHAT_STATUS,
 	EDITOR_TOOLS,
@@ -13,23 +15,40 @@ import {
 	MAX_TOOL_ITERATIONS,
 	MAX_READ_ONLY_PASSES,
 	MAX_READ_RESULT_CHARS,
+	MAX_SITE_REPLACES_PER_TURN,
 	READ_ONLY_TOOLS,
 } from "./constants";
 import {
 	truncateToolResult,
 	compressConversationHistory,
 	createRetryTracker,
+	hasEditorWriteTools,
 } from "./conversationUtils";
 import {
 	ASSISTANT_JSON_FORMAT,
 	EXECUTE_NUDGE,
 	SUMMARIZE_NUDGE,
+	PRESENT_FONT_PAIRINGS_NUDGE,
 	PRESENT_PALETTE_OPTIONS_NUDGE,
 	buildCreationSummarizeNudge,
 	buildEditorContext,
+	buildPlanStepNudge,
 	buildRemainingStepsNudge,
 } from "../../utils/editorContext";
+import { getUnfinishedTargets } from "../../services/batchEdit";
+import { getEditedBlockIds, rememberEditedBlocks } from "../../services/contextPlanner";
+import { markLastTurnRolledBack } from "../../services/conversationBranches";
+import { PALETTE_PICKER_MESSAGE_TYPE } from "../../services/palettePicker";
+import {
+	PLAN_STEP_STATUS,
+	getCurrentPlanStep,
+	setPlanStepStatus,
+} from "../../services/planChecklist";
 import { executeToolCallsForREST } from "../../services/toolDispatcher";
+import { TYPOGRAPHY_PICKER_MESSAGE_TYPE, getFontPairings } from "../../services/typography";
+import { getPaletteOptions } from "../../services/toolHandlers/globalStyles";
+import { handleSiteReplace } from "../../services/toolHandlers/siteReplace";
+import { filterAllowedTools } from "../../services/toolPermissions";
 import { appendCreationLinkIfNeeded } from "../../services/contentNavigation";
 import {
 	classifyUserIntent as classifyUserIntentDefault,
@@ -39,6 +58,7 @@ import {
 } from "../../services/intentClassifier";
 import { restoreAnimatedBlocksInEditor } from "../../utils/editorUtils";
 import { finalizeStreamingMessage, removeStreamingMessage } from "./streamMessageHelpers";
+import { updateSessionMemory } from "./sessionMemory";
 import {
 	MARKUP_PROVIDED_NUDGE,
 	parseAssistantResponse,
@@ -67,13 +87,65 @@ const closingStreamId = (ts) => `assistant-${ts}-closing`;
  * and completes it on the next turn. Edits that did land stay visible, because
  * the next turn rebuilds editor context from the live document.
  *
- * @param {Object} conversationHistoryRef Ref holding the model-facing history
- * @param {Object} [pendingIntentRef]     Ref holding the carry-over intent
- * @param {number} startLength            History length before the turn began
+ * The turn's user bubble is flagged too, so edit-and-resend can still match
+ * the remaining history entries to their turns (see services/conversationBranches.js).
+ *
+ * @param {Object}   conversationHistoryRef Ref holding the model-facing history
+ * @param {Object}   [pendingIntentRef]     Ref holding the carry-over intent
+ * @param {number}   startLength            History length before the turn began
+ * @param {Function} [setMessages]          Chat messages setter
  */
-export function markTurnStopped(conversationHistoryRef, pendingIntentRef, startLength) {
+export function markTurnStopped(
+	conversationHistoryRef,
+	pendingIntentRef,
+	startLength,
+	setMessages
+) {
 	pendingIntentRef.current = null;
 	conversationHistoryRef.current = conversationHistoryRef.current.slice(0, startLength);
+	setMessages?.(markLastTurnRolledBack);
+}
+
+/**
+ * Run known tool calls as a turn of their own, without a model pass
+ * (accessibility fixes, palette and font picks).
+ *
+ * The history gets the turn's prompt and a summary of what was applied. When
+ * the calls throw (a stop or an error) nothing reaches the history, so the
+ * turn's user bubble is flagged as rolled back, as for a stopped chat turn.
+ *
+ * @param {string}   prompt                      What the turn asked for, as the model sees it
+ * @param {Array}    toolCalls                   Tool calls to run
+ * @param {Object}   deps                        Dependencies
+ * @param {Object}   deps.conversationHistoryRef Ref holding the model-facing history
+ * @param {Function} deps.setMessages            Chat messages setter
+ * @param {Object}   deps.toolCtx                Tool context, with the turn's abortSignal
+ * @return {Promise<Array>} Tool results
+ */
+export async function runToolCallTurn(
+	prompt,
+	toolCalls,
+	{ conversationHistoryRef, setMessages, toolCtx }
+) {
+	let results;
+	try {
+		results = await executeToolCallsForREST(toolCalls, toolCtx);
+	} catch (err) {
+		setMessages(markLastTurnRolledBack);
+		throw err;
+	}
+	const applied = results.filter((result) => !result.isError).length;
+	// Tell the model what happened, so later turns know about the changes.
+	conversationHistoryRef.current.push(
+		{ role: "user", content: prompt },
+		{
+			role: "assistant",
+			content: JSON.stringify({
+				message: `Applied ${applied} of ${toolCalls.length} change(s).`,
+			}),
+		}
+	);
+	return results;
 }
 
 /**
@@ -84,14 +156,16 @@ export function markTurnStopped(conversationHistoryRef, pendingIntentRef, startL
  * @return {Array} Tools to send to the model for this intent
  */
 function getToolsForIntent(intent, openaiTools) {
+	// Tools the user lacks the capability for never go out (services/toolPermissions.js).
+	const allowedTools = filterAllowedTools(openaiTools);
 	if (intentNeedsAllTools(intent)) {
-		return openaiTools;
+		return allowedTools;
 	}
 	// Editor tools go out even for "conversational". The classifier reads short
 	// imperatives like "remove this" as conversational, and withholding every
 	// tool left the model able to promise an edit but not perform one. An unused
 	// tool definition costs a few tokens; a missing one costs the whole turn.
-	return openaiTools.filter((t) => EDITOR_TOOLS.has(t.function.name));
+	return allowedTools.filter((t) => EDITOR_TOOLS.has(t.function.name));
 }
 
 /**
@@ -109,12 +183,22 @@ export async function runChatLoop(userMessage, deps) {
 		setStatus,
 		openaiTools,
 		streamCompletion,
+		// Session memory requests stream without the turn's preview and reconnect notice.
+		streamMemoryCompletion = streamCompletion,
+		memoryFoldRef = null,
 		buildToolCtx,
 		abortControllerRef,
 		displayMessage = userMessage,
 		attachments = [],
 		getSessionConfig,
 		classifyUserIntent = classifyUserIntentDefault,
+		command = null,
+		batchRef = null,
+		onUsage = null,
+		planRef = null,
+		requestPlanApproval = null,
+		updatePlan = null,
+		branch = null,
 	} = deps;
 
 	// First message: reset conversation history (system prompt is injected by the worker)
@@ -148,6 +232,8 @@ export async function runChatLoop(userMessage, deps) {
 			content: displayMessage,
 			// Allegati immagine (solo con URL server) mostrati nella bolla utente.
 			...(Array.isArray(attachments) && attachments.length > 0 ? { attachments } : {}),
+			// An edited resend: the branches this message forks (services/conversationBranches.js).
+			...(branch || {}),
 			timestamp: new Date(),
 		},
 	]);
@@ -178,11 +264,47 @@ export async function runChatLoop(userMessage, deps) {
 	let endedNaturally = false;
 	// True if the user stopped generation mid-turn (suppresses the closing pass).
 	let userAborted = false;
-	const retryTracker = createRetryTracker();
-	const extraClientIds = [];
+	// A batch edit's blocks stay in the context even after the selection moves.
+	const extraClientIds = batchRef?.current
+		? batchRef.current.targets.map((target) => target.clientId)
+		: [];
+	// Batch targets no tool has changed yet, as nudge steps. Like planned steps,
+	// N targets never need more than N write rounds.
+	const getOutstandingBatchSteps = () =>
+		writeRounds < (batchRef?.current?.targets.length ?? 0)
+			? getUnfinishedTargets(batchRef.current).map(
+					(target) => `${target.label} (id:${target.clientId})`
+				)
+			: [];
+	// Plan-first mode: whether any tool of the running step changed something,
+	// so a step the model signs off on counts as done rather than failed. Reads
+	// alone don't count: a step that only looked around did nothing.
+	let planStepToolsOk = false;
+	// Mark the current plan step running, and return it with the steps after it.
+	const startPlanStep = () => {
+		const step = getCurrentPlanStep(planRef?.current);
+		if (!step) {
+			return null;
+		}
+		if (step.status === PLAN_STEP_STATUS.PENDING) {
+			planStepToolsOk = false;
+			updatePlan(setPlanStepStatus(planRef.current, step.id, PLAN_STEP_STATUS.RUNNING));
+		}
+		const later = planRef.current.steps
+			.filter((s) => s.id !== step.id && s.status === PLAN_STEP_STATUS.PENDING)
+			.map((s) => s.text);
+		return { step, later };
+	};
 	const markupRequestCount = { current: 0 };
 	let markupJustProvided = false;
 	let paletteOptionsJustGenerated = false;
+	// Options of the last blu-generate-color-palette call, shown as swatches
+	// once the reply listing them is in (services/palettePicker.js).
+	let paletteOptions = [];
+	let fontPairingsJustSuggested = false;
+	// Pairings of the last blu-suggest-font-pairings call, shown the same way
+	// (services/typography.js).
+	let fontPairings = [];
 	let lastCreationOutcome = null;
 	// Whether any tool actually changed something this turn (across all passes).
 	// Distinct from `toolsJustExecuted`, which is reset/recomputed each pass.
@@ -191,6 +313,9 @@ export async function runChatLoop(userMessage, deps) {
 	let menuDeleteDone = false;
 	let menuLinkConfigured = false;
 	let menuIncompleteNudges = 0;
+	// Site-wide replacements of this turn, and the originals they overwrote.
+	let siteReplaces = 0;
+	const turnSiteEdits = [];
 
 	setStatus(CHAT_STATUS.GENERATING);
 	const sessionConfig = getSessionConfig?.() || null;
@@ -204,7 +329,15 @@ export async function runChatLoop(userMessage, deps) {
 	// Consumed exactly once so it can't leak into unrelated later turns.
 	let intent;
 	let usedPendingIntent = false;
-	if (pendingIntentRef?.current) {
+	if (command) {
+		// A slash command states its intent outright: nothing to classify, and
+		// no earlier proposal to carry over.
+		intent = command.intent;
+		if (pendingIntentRef) {
+			pendingIntentRef.current = null;
+		}
+		logger.log("[EditorChat] Slash command intent:", intent.task);
+	} else if (pendingIntentRef?.current) {
 		intent = pendingIntentRef.current;
 		pendingIntentRef.current = null;
 		usedPendingIntent = true;
@@ -225,6 +358,22 @@ export async function runChatLoop(userMessage, deps) {
 		intent.menu_edit,
 		intent.steps
 	);
+	// Without the MCP server's tools a write turn can only describe edits it
+	// never makes. Refuse it, and leave the request out of the model history so
+	// it can simply be sent again once the header's status dot turns green.
+	if (intent.task !== "conversational" && !hasEditorWriteTools(openaiTools)) {
+		logger.warn("[EditorChat] Editor tools are not loaded, refusing the turn");
+		markTurnStopped(conversationHistoryRef, pendingIntentRef, historyStartLength, setMessages);
+		finalizeStreamingMessage(
+			setMessages,
+			replyStreamId(ts),
+			__(
+				"I can't make changes right now because the editor tools aren't connected. Send your request again once the status dot next to the title turns green (click it to reconnect if it stays red).",
+				"wp-module-editor-chat"
+			)
+		);
+		return;
+	}
 	// Single-step requests count too. Without them the unapplied-steps guard
 	// below never fires, and the model can announce an edit, call nothing, and
 	// end the turn as if it had worked.
@@ -234,7 +383,17 @@ export async function runChatLoop(userMessage, deps) {
 			logger.log("[EditorChat] Multi-step request:", plannedSteps);
 		}
 	}
+	// Plan-first mode: nothing runs until the user approves (and maybe edits)
+	// the steps. Rejects with an AbortError if they stop the turn instead.
+	if (requestPlanApproval && !command && plannedSteps.length > 1) {
+		const approvedSteps = await requestPlanApproval(plannedSteps, turnSignal);
+		logger.log("[EditorChat] Plan approved:", approvedSteps);
+		intent = { ...intent, steps: approvedSteps };
+		// From here the plan's own statuses track progress, one step per pass.
+		plannedSteps = [];
+	}
 
+	const retryTracker = createRetryTracker();
 	while (iterations++ < MAX_TOOL_ITERATIONS) {
 		// Check if user aborted between iterations (e.g. during tool execution)
 		if (turnSignal?.aborted) {
@@ -243,7 +402,7 @@ export async function runChatLoop(userMessage, deps) {
 		}
 
 		// Fresh editor context each iteration (reflects tool changes)
-		const editorContext = buildEditorContext({ extraClientIds });
+		const editorContext = buildEditorContext({ extraClientIds, message: intentMessage });
 		const editorContextMsg = {
 			role: "system",
 			content: `<editor_context>\n${editorContext}\n</editor_context>`,
@@ -252,6 +411,7 @@ export async function runChatLoop(userMessage, deps) {
 		setStatus(CHAT_STATUS.GENERATING);
 
 		const streamMessageId = planShown ? replyStreamId(ts) : planStreamId(ts);
+		const planStep = startPlanStep();
 
 		// ── Tool-calling pass ──
 		// Tool set is driven by LLM intent classification (multilingual, synonym-safe).
@@ -259,8 +419,13 @@ export async function runChatLoop(userMessage, deps) {
 
 		let nudge;
 		if (toolsJustExecuted) {
+			const batchSteps = getOutstandingBatchSteps();
 			if (lastCreationOutcome) {
 				nudge = buildCreationSummarizeNudge(lastCreationOutcome);
+			} else if (batchSteps.length > 0) {
+				nudge = buildRemainingStepsNudge(batchSteps);
+			} else if (planStep) {
+				nudge = buildPlanStepNudge(planStep.step.text, planStep.later);
 			} else if (writeRounds < plannedSteps.length) {
 				nudge = buildRemainingStepsNudge(plannedSteps.slice(writeRounds));
 			} else {
@@ -272,8 +437,13 @@ export async function runChatLoop(userMessage, deps) {
 		} else if (paletteOptionsJustGenerated) {
 			nudge = PRESENT_PALETTE_OPTIONS_NUDGE;
 			paletteOptionsJustGenerated = false;
+		} else if (fontPairingsJustSuggested) {
+			nudge = PRESENT_FONT_PAIRINGS_NUDGE;
+			fontPairingsJustSuggested = false;
+		} else if (planStep) {
+			nudge = buildPlanStepNudge(planStep.step.text, planStep.later);
 		} else {
-			nudge = getIntentNudge(intent, EXECUTE_NUDGE, ASSISTANT_JSON_FORMAT);
+			nudge = command?.nudge || getIntentNudge(intent, EXECUTE_NUDGE, ASSISTANT_JSON_FORMAT);
 		}
 		toolsJustExecuted = false;
 
@@ -287,7 +457,7 @@ export async function runChatLoop(userMessage, deps) {
 		];
 
 		const toolPassStart = performance.now();
-		const { content, toolCalls, finishReason } = await streamCompletion(
+		const { content, toolCalls, finishReason, usage } = await streamCompletion(
 			toolMessages,
 			toolsForPass,
 			{
@@ -299,6 +469,7 @@ export async function runChatLoop(userMessage, deps) {
 			}
 		);
 		retryWithHigherCeiling = false;
+		onUsage?.(usage);
 		logger.log(
 			`[EditorChat] Tool pass #${iterations} LLM: ${(performance.now() - toolPassStart).toFixed(0)}ms (${toolCalls?.length || 0} tool calls)`
 		);
@@ -350,6 +521,32 @@ export async function runChatLoop(userMessage, deps) {
 				continue;
 			}
 
+			// Site-wide find and replace: the user approves the matches, then they
+			// are applied across pages, posts and template parts.
+			if (parsed?.site_replace && siteReplaces < MAX_SITE_REPLACES_PER_TURN) {
+				siteReplaces++;
+				conversationHistoryRef.current.push({ role: "assistant", content });
+				removeStreamingMessage(setMessages, streamMessageId);
+				setStatus(CHAT_STATUS.TOOL_CALL);
+				const { applied, note } = await handleSiteReplace(
+					parsed.site_replace,
+					{ ...buildToolCtx(), abortSignal: turnSignal },
+					turnSiteEdits
+				);
+				conversationHistoryRef.current.push({ role: "system", content: note });
+				logger.log("[EditorChat] Site-wide replace:", parsed.site_replace, applied);
+				if (applied > 0) {
+					toolsJustExecuted = true;
+					anyMutationThisTurn = true;
+					writeRounds++;
+				} else {
+					// Nothing to apply is an answer, not unfinished work.
+					unfinishedNudgeUsed = true;
+				}
+				readOnlyStreak = 0;
+				continue;
+			}
+
 			const menuStillIncomplete =
 				menuEditRequested &&
 				((wantsMenuRemove && !menuDeleteDone) || (wantsMenuAdd && !menuLinkConfigured));
@@ -376,18 +573,42 @@ export async function runChatLoop(userMessage, deps) {
 				continue;
 			}
 
+			// Plan-first mode: signing off ends the running step, not the turn.
+			// Done if any of its tools made a change, failed otherwise; then on to the next.
+			if (planStep) {
+				updatePlan(
+					setPlanStepStatus(
+						planRef.current,
+						planStep.step.id,
+						planStepToolsOk ? PLAN_STEP_STATUS.DONE : PLAN_STEP_STATUS.FAILED
+					)
+				);
+				if (getCurrentPlanStep(planRef.current) && iterations < MAX_TOOL_ITERATIONS) {
+					conversationHistoryRef.current.push({ role: "assistant", content });
+					removeStreamingMessage(setMessages, streamMessageId);
+					readOnlyStreak = 0;
+					continue;
+				}
+			}
+
 			// Signing off with planned work unapplied — this is where the model tells
 			// the user it added two services it never created. One corrective pass.
 			// Fires on any editing turn that ends with nothing applied, not just
 			// multi-step ones. plannedSteps is empty whenever the classifier fails
 			// or returns no steps, which is exactly when this is most needed.
 			const stepsOutstanding = writeRounds < plannedSteps.length;
-			const nothingApplied = !anyMutationThisTurn && intent?.task !== "conversational";
-			if (!unfinishedNudgeUsed && (stepsOutstanding || nothingApplied)) {
+			// An approved plan already settled every step its own way.
+			const nothingApplied =
+				!anyMutationThisTurn && intent?.task !== "conversational" && !planRef?.current;
+			const batchSteps = getOutstandingBatchSteps();
+			if (!unfinishedNudgeUsed && (stepsOutstanding || nothingApplied || batchSteps.length > 0)) {
 				unfinishedNudgeUsed = true;
 				conversationHistoryRef.current.push({ role: "assistant", content });
 				removeStreamingMessage(setMessages, streamMessageId);
-				const remaining = stepsOutstanding ? plannedSteps.slice(writeRounds) : [intentMessage];
+				let remaining = stepsOutstanding ? plannedSteps.slice(writeRounds) : [intentMessage];
+				if (batchSteps.length > 0) {
+					remaining = batchSteps;
+				}
 				conversationHistoryRef.current.push({
 					role: "system",
 					content: buildRemainingStepsNudge(remaining),
@@ -541,6 +762,8 @@ export async function runChatLoop(userMessage, deps) {
 						// Handlers that widen scope (e.g. editing the template rather
 						// than the page) need the user's own wording to justify it.
 						userMessage: intentMessage,
+						// /variants: several designs to pick from (services/sectionVariants.js).
+						variantCount: intent.variants || 0,
 					})
 				: [];
 		if (executableCalls.length > 0) {
@@ -625,6 +848,18 @@ export async function runChatLoop(userMessage, deps) {
 			const name = effectiveName.get(r.tool_call_id) || "";
 			return name === "blu-generate-color-palette" && !r.isError;
 		});
+		for (const r of results) {
+			if (effectiveName.get(r.tool_call_id) === "blu-generate-color-palette" && !r.isError) {
+				paletteOptions = getPaletteOptions(r.content);
+			}
+		}
+		fontPairingsJustSuggested = false;
+		for (const r of results) {
+			if (effectiveName.get(r.tool_call_id) === "blu-suggest-font-pairings" && !r.isError) {
+				fontPairings = getFontPairings(r.content);
+				fontPairingsJustSuggested = fontPairings.length > 0;
+			}
+		}
 		if (menuEditRequested) {
 			for (const uc of unwrappedCalls) {
 				const toolName = (uc.name || "").replace(/\//g, "-");
@@ -648,10 +883,24 @@ export async function runChatLoop(userMessage, deps) {
 				}
 			}
 		}
+		// Follow-ups ("make it bigger") rank the blocks just changed first.
+		rememberEditedBlocks(
+			unwrappedCalls.flatMap((uc) => {
+				const result = results.find((r) => r.tool_call_id === uc.id);
+				return result?.hasChanges ? getEditedBlockIds(uc.arguments, result.content) : [];
+			})
+		);
 		if (toolsJustExecuted) {
 			writeRounds++;
 			restoreAnimatedBlocksInEditor();
 		}
+		if (planStep) {
+			planStepToolsOk =
+				planStepToolsOk || results.some((r) => !r.isError && (r.hasChanges || r.isContentCreation));
+			if (toolsJustExecuted) {
+				updatePlan(setPlanStepStatus(planRef.current, planStep.step.id, PLAN_STEP_STATUS.DONE));
+			}
+		}
 
 		// No-progress guard. The retry tracker exempts read-only tools, so a model
 		// that keeps re-reading (get-block-markup, get-ability-schema, …) without
@@ -678,7 +927,7 @@ export async function runChatLoop(userMessage, deps) {
 	// Stopped: roll the turn back and skip the closing summary, which would
 	// otherwise narrate work that never finished.
 	if (userAborted || turnSignal?.aborted) {
-		markTurnStopped(conversationHistoryRef, pendingIntentRef, historyStartLength);
+		markTurnStopped(conversationHistoryRef, pendingIntentRef, historyStartLength, setMessages);
 		return;
 	}
 
@@ -689,7 +938,7 @@ export async function runChatLoop(userMessage, deps) {
 	if (!endedNaturally) {
 		setStatus(CHAT_STATUS.SUMMARIZING);
 		const closingId = closingStreamId(ts);
-		const closingContext = buildEditorContext({ extraClientIds });
+		const closingContext = buildEditorContext({ extraClientIds, message: intentMessage });
 		const closingMessages = [
 			...conversationHistoryRef.current,
 			{
@@ -697,11 +946,12 @@ export async function runChatLoop(userMessage, deps) {
 				content: `<editor_context>\n${closingContext}\n</editor_context>\n\n${SUMMARIZE_NUDGE}`,
 			},
 		];
-		const { content: closing } = await streamCompletion(closingMessages, [], {
+		const { content: closing, usage: closingUsage } = await streamCompletion(closingMessages, [], {
 			resetStream: true,
 			streamMessageId: closingId,
 			jsonMessageDisplay: true,
 		});
+		onUsage?.(closingUsage);
 		const closingDisplay = getAssistantDisplayMessage(closing);
 		if (closingDisplay && closingDisplay.trim()) {
 			conversationHistoryRef.current.push({ role: "assistant", content: closing });
@@ -711,6 +961,31 @@ export async function runChatLoop(userMessage, deps) {
 		}
 	}
 
+	if (paletteOptions.length > 0) {
+		setMessages((prev) => [
+			...prev,
+			{
+				id: `palettes-${ts}`,
+				type: PALETTE_PICKER_MESSAGE_TYPE,
+				role: "assistant",
+				palettes: { options: paletteOptions, applied: null },
+				timestamp: new Date(),
+			},
+		]);
+	}
+	if (fontPairings.length > 0) {
+		setMessages((prev) => [
+			...prev,
+			{
+				id: `fonts-${ts}`,
+				type: TYPOGRAPHY_PICKER_MESSAGE_TYPE,
+				role: "assistant",
+				typography: { pairings: fontPairings, applied: null },
+				timestamp: new Date(),
+			},
+		]);
+	}
+
 	// Arm the pending-intent carry-over for the next turn when this one proposed
 	// an actionable change but never executed it (a pure text reply/question).
 	// Any non-conversational task qualifies here, not just
@@ -727,9 +1002,31 @@ export async function runChatLoop(userMessage, deps) {
 		!anyMutationThisTurn &&
 		intent?.task !== "conversational"
 	) {
-		pendingIntentRef.current = intent;
+		// A command's step is its own prompt ("Generate color palette options"),
+		// which would read as unfinished work in the follow-up turn. Its variant
+		// count doesn't carry over either: "just use the first one" means one.
+		pendingIntentRef.current = command ? { ...intent, steps: [], variants: 0 } : intent;
 	}
 
-	// Compress older exchanges to keep history lean for next turn
-	conversationHistoryRef.current = compressConversationHistory(conversationHistoryRef.current);
+	// Over budget: fold older exchanges into the session memory, then compress
+	// the result to keep history lean for the next turn. Folding first keeps
+	// what was settled in the exchanges compression would strip. The turn
+	// doesn't wait for the fold: it goes on memoryFoldRef, and the next turn
+	// waits for it before touching the history. Applied only if the history
+	// wasn't replaced (new chat, resumed chat) meanwhile.
+	const historyBeforeMemory = conversationHistoryRef.current;
+	const fold = updateSessionMemory(historyBeforeMemory, {
+		complete: streamMemoryCompletion,
+		onUsage,
+		model: window.nfdEditorChat?.summaryModel,
+	}).then((historyWithMemory) => {
+		if (conversationHistoryRef.current === historyBeforeMemory) {
+			conversationHistoryRef.current = compressConversationHistory(historyWithMemory);
+		}
+	});
+	if (memoryFoldRef) {
+		memoryFoldRef.current = fold;
+	} else {
+		await fold;
+	}
 }
@@ -19,11 +19,29 @@ export const MAX_READ_ONLY_PASSES = 4;
 export const MAX_READ_RESULT_CHARS = 8000;
 export const MAX_HISTORY_MESSAGES = 30;
 export const MAX_HISTORY_CHARS = 16000;
+// Over MAX_HISTORY_CHARS, exchanges older than the last few are folded into the
+// session memory (see sessionMemory.js), which keeps at most this many items
+// per list.
+export const SESSION_MEMORY_KEEP_EXCHANGES = 2;
+export const MAX_SESSION_MEMORY_ITEMS = 20;
+// Site-wide replacements (see services/siteWideEdit.js) the model may ask for
+// in one turn, e.g. the phone number and then the email address.
+export const MAX_SITE_REPLACES_PER_TURN = 3;
 // Output-token ceiling. Without one the upstream default (4096) truncates
 // tool_use JSON mid-argument on large sections.
 export const MAX_COMPLETION_TOKENS = 16000;
 // Raised ceiling for the retry after a cut-off.
 export const MAX_COMPLETION_TOKENS_RETRY = 32000;
+// Retries for a completion that fails on a 5xx or a dropped connection, before
+// the turn gives up. Delays double from the base, capped (see streamRetry.js).
+export const MAX_STREAM_RETRIES = 3;
+export const STREAM_RETRY_BASE_DELAY_MS = 1000;
+export const STREAM_RETRY_MAX_DELAY_MS = 8000;
+// Automatic MCP reconnects after a failed connect, backing off from 2s to 30s.
+// After the last one the header's status dot offers a manual reconnect.
+export const MAX_MCP_RETRIES = 6;
+export const MCP_RETRY_BASE_DELAY_MS = 2000;
+export const MCP_RETRY_MAX_DELAY_MS = 30000;
 
 export const CHAT_STATUS = {
 	IDLE: "idle",
@@ -49,6 +67,8 @@ export const EDITOR_TOOLS = new Set([
 	"blu-highlight-block",
 	"blu-update-block-attrs",
 	"blu-update-global-styles",
+	"blu-suggest-font-pairings",
+	"blu-apply-font-pairing",
 	// Gateway tools — the MCP server exposes abilities through these 3 generic
 	// tools instead of individual ones. They must always be available.
 	"blu-list-abilities",
@@ -77,6 +97,7 @@ export const READ_ONLY_TOOLS = new Set([
 	"blu-read-document",
 	"blu-extract-image-colors",
 	"blu-generate-color-palette",
+	"blu-suggest-font-pairings",
 	// Gateway / ability discovery
 	"blu-list-abilities",
 	"blu-get-ability-schema",
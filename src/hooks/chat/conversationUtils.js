@@ -3,13 +3,18 @@
  * No React dependencies — all functions are stateless and testable.
  */
 import {
+	EDITOR_TOOLS,
 	MAX_SAME_TOOL_RETRIES,
 	MAX_HISTORY_MESSAGES,
 	MAX_HISTORY_CHARS,
 	READ_ONLY_TOOLS,
 } from "./constants";
+import { TYPOGRAPHY_TOOLS } from "../../services/typography";
 import logger from "../../utils/logger";
 
+// Defined in the chat, not loaded from the MCP server.
+const CLIENT_TOOLS = new Set(TYPOGRAPHY_TOOLS.map((tool) => tool.function.name));
+
 /**
  * Truncate tool result content to keep conversation history lean.
  * Preserves enough for the AI to understand what happened.
@@ -25,11 +30,28 @@ export function truncateToolResult(content, maxLen = 500) {
 	return content.slice(0, maxLen) + "\n...[truncated]";
 }
 
+/** Opening tag of the session memory message (see sessionMemory.js). */
+export const SESSION_MEMORY_OPEN_TAG = "<session_memory>";
+
+/**
+ * Whether a history entry is the session memory, which compression keeps.
+ *
+ * @param {Object} msg History entry
+ * @return {boolean} True for the session memory message
+ */
+export function isSessionMemory(msg) {
+	return (
+		msg?.role === "system" &&
+		typeof msg.content === "string" &&
+		msg.content.startsWith(SESSION_MEMORY_OPEN_TAG)
+	);
+}
+
 /**
  * Compress conversation history to reduce token usage on subsequent API calls.
  *
- * Phase 1 (light): Keeps system prompt (idx 0) and current exchange intact.
- * For older messages: strips editor context, truncates tool results, stubs
+ * Phase 1 (light): Keeps system prompt (idx 0), the session memory and the
+ * current exchange intact. For older messages: strips editor context, truncates tool results, stubs
  * tool_call args, and drops intermediate system messages.
  *
  * Phase 2 (aggressive): If still over message-count or char budget, collapses
@@ -62,8 +84,8 @@ export function compressConversationHistory(history) {
 	for (let i = 0; i < history.length; i++) {
 		const msg = history[i];
 
-		// Keep system prompt (idx 0) and current exchange intact
-		if (i === 0 || i >= lastUserIdx) {
+		// Keep system prompt (idx 0), session memory and current exchange intact
+		if (i === 0 || i >= lastUserIdx || isSessionMemory(msg)) {
 			compressed.push(msg);
 			continue;
 		}
@@ -133,6 +155,8 @@ function collapseOldExchanges(history) {
 	const systemPrompt = history[0];
 	const currentExchange = history.slice(lastUserIdx);
 	const oldMessages = history.slice(1, lastUserIdx);
+	// The session memory outlives the exchanges it summarizes.
+	const memory = oldMessages.filter(isSessionMemory);
 
 	// Walk old messages and keep only user + last text-only assistant per exchange
 	const collapsed = [];
@@ -170,20 +194,59 @@ function collapseOldExchanges(history) {
 		}
 	}
 
-	let result = [systemPrompt, ...collapsed, ...currentExchange];
+	let result = [systemPrompt, ...memory, ...collapsed, ...currentExchange];
 
 	// Drop oldest collapsed pairs if still over char budget
 	while (estimateHistoryChars(result) > MAX_HISTORY_CHARS && collapsed.length >= 2) {
 		// Remove oldest pair (user + optional assistant)
 		const drop = collapsed[1]?.role === "assistant" ? 2 : 1;
 		collapsed.splice(0, drop);
-		result = [systemPrompt, ...collapsed, ...currentExchange];
+		result = [systemPrompt, ...memory, ...collapsed, ...currentExchange];
 	}
 
 	logger.log(`[EditorChat] History collapsed: ${history.length} → ${result.length} messages`);
 	return result;
 }
 
+/**
+ * Note that opens a conversation resumed from the chat archive.
+ */
+export const RESUMED_CHAT_NOTE =
+	"This conversation was reopened from the chat history. Block client_ids mentioned in earlier turns belonged to a previous editor session and no longer exist — take every block reference from the current editor_context.";
+
+/**
+ * Prepare an archived conversation for resuming.
+ *
+ * Block clientIds are minted per editor load, so the archived tool calls and
+ * results point at blocks that are gone. Keep what was asked and answered —
+ * each user message and the final text reply of its exchange — and open with
+ * {@link RESUMED_CHAT_NOTE} so the model works from the next editor_context.
+ *
+ * @param {Array} history Archived model history
+ * @return {Array} History safe to continue (empty when nothing is worth keeping)
+ */
+export function prepareResumedHistory(history) {
+	const kept = [];
+	for (const msg of history || []) {
+		if (isSessionMemory(msg)) {
+			// Decisions and created pages still hold; only client_ids went stale.
+			kept.push(msg);
+		} else if (msg.role === "user" && msg.content) {
+			const content = msg.content
+				.replace(/<editor_context>[\s\S]*?<\/editor_context>\s*/g, "")
+				.trim();
+			kept.push({ role: "user", content: content || msg.content });
+		} else if (msg.role === "assistant" && !msg.tool_calls && msg.content && kept.length) {
+			// Only the last text reply per exchange survives.
+			if (kept[kept.length - 1].role === "assistant") {
+				kept.pop();
+			}
+			kept.push({ role: "assistant", content: msg.content });
+		}
+	}
+	return kept.length ? [{ role: "system", content: RESUMED_CHAT_NOTE }, ...kept] : [];
+}
+
 /**
  * Estimate total character count of a message array.
  * Counts message content and serialized tool_calls.
@@ -191,7 +254,7 @@ function collapseOldExchanges(history) {
  * @param {Array} messages Conversation messages
  * @return {number} Approximate character count
  */
-function estimateHistoryChars(messages) {
+export function estimateHistoryChars(messages) {
 	return messages.reduce((sum, m) => {
 		let chars = m.content ? m.content.length : 0;
 		if (m.tool_calls) {
@@ -218,6 +281,24 @@ export function mcpToolsToOpenAI(mcpTools) {
 	}));
 }
 
+/**
+ * Whether the tools that change the editor are loaded. They come from the MCP
+ * server, so when it is unreachable the list is empty and a write turn could
+ * only claim edits it never makes. The chat's own tools (the typography ones)
+ * are always there and don't count.
+ *
+ * @param {Array} openaiTools Tools in OpenAI format.
+ * @return {boolean} True when at least one editor write tool is available.
+ */
+export function hasEditorWriteTools(openaiTools) {
+	return openaiTools.some(
+		(tool) =>
+			EDITOR_TOOLS.has(tool.function.name) &&
+			!READ_ONLY_TOOLS.has(tool.function.name) &&
+			!CLIENT_TOOLS.has(tool.function.name)
+	);
+}
+
 /**
  * Stable, recursive JSON-ish serialization for use as a map key. Sorts
  * object keys so {a:1,b:2} and {b:2,a:1} produce the same string. Used by
@@ -0,0 +1,204 @@
+/**
+ * sessionMemory — what the chat remembers once old turns leave the history.
+ *
+ * compressConversationHistory keeps long chats under budget by truncating old
+ * turns, which loses what was settled in them ("we agreed on the navy
+ * palette"). Before that happens, a cheap model call folds the exchanges older
+ * than the last few into a running memory message: the decisions made, the
+ * content created (page IDs, URLs) and the user's stated preferences. The
+ * memory sits at the top of the history, after any leading system note, and
+ * each later fold updates it rather than starting over.
+ *
+ * Plain async functions (no React hooks), like streamCompletion.
+ */
+import {
+	MAX_HISTORY_CHARS,
+	MAX_SESSION_MEMORY_ITEMS,
+	SESSION_MEMORY_KEEP_EXCHANGES,
+} from "./constants";
+import {
+	SESSION_MEMORY_OPEN_TAG,
+	estimateHistoryChars,
+	isSessionMemory,
+	truncateToolResult,
+} from "./conversationUtils";
+import { parseAssistantResponse } from "./assistantResponse";
+import { safeParseJSON } from "../../utils/jsonUtils";
+import logger from "../../utils/logger";
+
+const SESSION_MEMORY_CLOSE_TAG = "</session_memory>";
+
+const SUMMARY_PROMPT = `You keep the session memory of a chat in which an assistant edits a WordPress site for the user. Update the memory with the conversation excerpt that follows. Reply with JSON only:
+{"decisions":["…"],"entities":["…"],"preferences":["…"]}
+- decisions: what the user and the assistant settled or changed, e.g. "The site palette is navy and sand".
+- entities: pages, posts, menus, images and other content created or changed, with IDs and URLs, e.g. "Page 42 \\"About us\\" https://example.com/about-us".
+- preferences: the user's stated likes, dislikes and standing instructions, e.g. "Keep headings short".
+Keep every item of the current memory unless the excerpt overrides it. One short sentence per item, in the user's language. Never record block client_ids: they change every session.`;
+
+/** Section headings of the memory message, by JSON key. */
+const SECTIONS = [
+	["decisions", "Decisions"],
+	["entities", "Content created or changed"],
+	["preferences", "User preferences"],
+];
+
+/**
+ * Where the exchanges to keep verbatim begin.
+ *
+ * @param {Array} history Conversation history
+ * @return {number} Index of the oldest kept user message, or -1 when there is
+ *   nothing older to fold.
+ */
+export function findMemoryCut(history) {
+	let exchanges = 0;
+	for (let i = history.length - 1; i >= 0; i--) {
+		if (history[i].role === "user" && ++exchanges === SESSION_MEMORY_KEEP_EXCHANGES) {
+			return history.slice(0, i).some((msg) => msg.role === "user") ? i : -1;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Render old history entries as a plain transcript for the summary call.
+ *
+ * @param {Array} messages History entries (no system messages needed)
+ * @return {string} Transcript, one entry per paragraph
+ */
+function toTranscript(messages) {
+	const lines = [];
+	for (const msg of messages) {
+		if (msg.role === "user" && msg.content) {
+			const text = msg.content.replace(/<editor_context>[\s\S]*?<\/editor_context>\s*/g, "");
+			lines.push(`User: ${truncateToolResult(text.trim(), 1000)}`);
+		} else if (msg.role === "assistant") {
+			if (msg.content) {
+				const text = parseAssistantResponse(msg.content)?.message || msg.content;
+				lines.push(`Assistant: ${truncateToolResult(text, 1000)}`);
+			}
+			for (const tc of msg.tool_calls || []) {
+				lines.push(
+					`Tool call: ${tc.function?.name}(${truncateToolResult(tc.function?.arguments || "", 300)})`
+				);
+			}
+		} else if (msg.role === "tool" && msg.content) {
+			lines.push(`Tool result: ${truncateToolResult(msg.content, 300)}`);
+		}
+	}
+	return lines.join("\n\n");
+}
+
+/**
+ * Messages for the summary call.
+ *
+ * @param {Object|null} previous Current memory message, if any
+ * @param {Array}       excerpt  Entries being folded into it
+ * @return {Array} Chat messages
+ */
+export function buildMemoryRequest(previous, excerpt) {
+	return [
+		{ role: "system", content: SUMMARY_PROMPT },
+		{
+			role: "user",
+			content: `Current memory:\n${previous ? previous.content : "(empty)"}\n\nConversation excerpt:\n${toTranscript(excerpt)}`,
+		},
+	];
+}
+
+/**
+ * Read the summary call's reply.
+ *
+ * @param {string} content Model output
+ * @return {Object|null} Lists by section key (latest items kept), or null when
+ *   the reply holds nothing usable.
+ */
+export function parseSessionMemory(content) {
+	const text = (content || "").replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "");
+	const { value } = safeParseJSON(text, null);
+	if (!value || typeof value !== "object") {
+		return null;
+	}
+	const memory = {};
+	let total = 0;
+	for (const [key] of SECTIONS) {
+		const items = Array.isArray(value[key])
+			? value[key].filter((item) => typeof item === "string" && item.trim())
+			: [];
+		memory[key] = items.slice(-MAX_SESSION_MEMORY_ITEMS).map((item) => item.trim());
+		total += memory[key].length;
+	}
+	return total > 0 ? memory : null;
+}
+
+/**
+ * The memory as a history entry.
+ *
+ * @param {Object} memory Lists by section key (see parseSessionMemory)
+ * @return {{ role: string, content: string }} System message
+ */
+export function formatSessionMemory(memory) {
+	const sections = SECTIONS.filter(([key]) => memory[key]?.length).map(
+		([key, heading]) => `${heading}:\n${memory[key].map((item) => `- ${item}`).join("\n")}`
+	);
+	return {
+		role: "system",
+		content: `${SESSION_MEMORY_OPEN_TAG}\nEarlier turns of this chat, no longer in the history, settled the following. It still holds unless the user changes it.\n\n${sections.join("\n\n")}\n${SESSION_MEMORY_CLOSE_TAG}`,
+	};
+}
+
+/**
+ * Fold old exchanges into the session memory when the history is over budget.
+ *
+ * Runs at the end of a turn whose work is done, so any failure (including a
+ * Stop during the call) just leaves the history as it was, for the regular
+ * compression to handle.
+ *
+ * @param {Array}    history        Conversation history
+ * @param {Object}   deps           Dependencies.
+ * @param {Function} deps.complete  streamCompletion(msgs, tools, options)
+ * @param {Function} [deps.onUsage] Receives the call's token usage
+ * @param {string}   [deps.model]   Model for the summary (worker default when empty)
+ * @return {Promise<Array>} History, with the old exchanges replaced by the memory
+ */
+export async function updateSessionMemory(history, { complete, onUsage = null, model }) {
+	if (estimateHistoryChars(history) <= MAX_HISTORY_CHARS) {
+		return history;
+	}
+	const cut = findMemoryCut(history);
+	if (cut === -1) {
+		return history;
+	}
+
+	const older = history.slice(0, cut);
+	// Leading system notes (e.g. the resumed-chat note) stay above the memory.
+	let leading = 0;
+	while (
+		leading < older.length &&
+		older[leading].role === "system" &&
+		!isSessionMemory(older[leading])
+	) {
+		leading++;
+	}
+	const previous = older.find(isSessionMemory) || null;
+	const excerpt = older.slice(leading).filter((msg) => msg.role !== "system");
+
+	try {
+		const { content, usage } = await complete(buildMemoryRequest(previous, excerpt), [], {
+			silent: true,
+			temperature: 0,
+			max_completion_tokens: 2000,
+			model: model || undefined,
+		});
+		onUsage?.(usage);
+		const memory = parseSessionMemory(content);
+		if (!memory) {
+			logger.warn("[EditorChat] Session memory reply was unusable, keeping the history");
+			return history;
+		}
+		logger.log(`[EditorChat] Folded ${excerpt.length} history entries into the session memory`);
+		return [...older.slice(0, leading), formatSessionMemory(memory), ...history.slice(cut)];
+	} catch (err) {
+		logger.warn("[EditorChat] Session memory update failed:", err);
+		return history;
+	}
+}
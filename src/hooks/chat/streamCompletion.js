@@ -29,24 +29,35 @@ function partialJsonMessage(text) {
 	// Prose: stream as written.
 	return text;
 }
-import { createAbortError } from "../../utils/abortControl";
+import { createAbortError, isAbortError } from "../../utils/abortControl";
 import { safeParseJSON } from "../../utils/jsonUtils";
 import logger from "../../utils/logger";
 import { getAssistantDisplayMessage, sanitizeUserFacingMessage } from "./assistantResponse";
-import { MAX_COMPLETION_TOKENS } from "./constants";
+import { MAX_COMPLETION_TOKENS, MAX_STREAM_RETRIES } from "./constants";
+import { normalizeUsage } from "../../services/tokenUsage";
+import { buildToolCallPreview } from "../../services/toolCallPreview";
 import { resetStreamingMessage, upsertStreamingMessage } from "./streamMessageHelpers";
+import {
+	STREAM_FAILURE,
+	canRetryStream,
+	getRetryDelay,
+	getStreamFailureKind,
+	waitForRetry,
+} from "./streamRetry";
 
 /**
- * Stream a chat completion and accumulate tool calls.
+ * One streaming attempt. Throws on any failure; streamCompletion decides
+ * whether to try again.
  *
- * @param {Array}  msgs      Messages array for the API
- * @param {Array}  tools     OpenAI tools array
- * @param {Object} [options] Extra options (model, temperature, stripPrefix, silent, resetStream, etc.)
- * @param {Object} deps      Dependencies: { openaiClientRef, abortControllerRef, setMessages }
- * @return {Promise<{content: string, toolCalls: Array|null, finishReason: string|null}>} Streamed completion result
+ * @param {Array}  msgs    Messages array for the API
+ * @param {Array}  tools   OpenAI tools array
+ * @param {Object} options Extra options (see streamCompletion)
+ * @param {Object} deps    Dependencies (see streamCompletion)
+ * @return {Promise<{content: string, toolCalls: Array|null, finishReason: string|null, usage: Object|null}>} Streamed completion result
  */
-export async function streamCompletion(msgs, tools, options = {}, deps) {
-	const { openaiClientRef, abortControllerRef, setMessages } = deps;
+async function streamAttempt(msgs, tools, options, deps) {
+	const { openaiClientRef, abortControllerRef, setMessages, setToolCallPreview, onReconnecting } =
+		deps;
 	const streamMessageId = options.streamMessageId || null;
 
 	const client = openaiClientRef.current;
@@ -83,10 +94,13 @@ export async function streamCompletion(msgs, tools, options = {}, deps) {
 		},
 		{ signal }
 	);
+	// Connected again: a retry's reconnecting notice can go.
+	onReconnecting?.(null);
 
 	let fullMessage = "";
 	let displayMessage = "";
 	let finishReason = null;
+	let usage = null;
 	const toolCallsInProgress = {};
 
 	// Batch in-place message updates to one paint per frame.
@@ -112,6 +126,34 @@ export async function streamCompletion(msgs, tools, options = {}, deps) {
 		}
 	};
 
+	// Live outline of a block-writing tool call whose arguments are still
+	// streaming, one update per frame (see services/toolCallPreview.js).
+	let previewRafId = null;
+	let previewIndex = null;
+	const schedulePreview = (index) => {
+		if (!setToolCallPreview) {
+			return;
+		}
+		previewIndex = index;
+		if (previewRafId === null) {
+			previewRafId = window.requestAnimationFrame(() => {
+				previewRafId = null;
+				const call = toolCallsInProgress[previewIndex];
+				if (call) {
+					setToolCallPreview(buildToolCallPreview(call.function.name, call.function.arguments));
+				}
+			});
+		}
+	};
+	const clearPreview = () => {
+		if (previewRafId !== null) {
+			window.cancelAnimationFrame(previewRafId);
+			previewRafId = null;
+		}
+		setToolCallPreview?.(null);
+	};
+	clearPreview();
+
 	const appendDisplayText = (text) => {
 		if (!text) {
 			return;
@@ -126,103 +168,121 @@ export async function streamCompletion(msgs, tools, options = {}, deps) {
 	let prefixResolved = !stripPrefix; // skip buffering if no prefix to strip
 	let needsTrimStart = false; // trim leading space on first chunk after prefix resolution
 
-	for await (const chunk of stream) {
-		const delta = chunk.choices?.[0]?.delta;
-		if (!delta) {
-			// Usage-only chunk or empty
+	// A dropped connection throws out of the iterator. Cancel the pending paints
+	// so the partial text can't land after a retry has reset the row.
+	const cancelPendingPaints = () => {
+		if (streamUiRafId !== null) {
+			window.cancelAnimationFrame(streamUiRafId);
+			streamUiRafId = null;
+		}
+		clearPreview();
+	};
+
+	try {
+		for await (const chunk of stream) {
+			// Usually its own chunk with no choices, but some gateways attach it to the last one.
 			if (chunk.usage) {
+				usage = normalizeUsage(chunk.usage);
 				logger.log(
 					`[Token Usage] prompt: ${chunk.usage.prompt_tokens} | completion: ${chunk.usage.completion_tokens} | total: ${chunk.usage.total_tokens}`
 				);
 			}
-			continue;
-		}
-
-		// Text content
-		if (delta.content) {
-			fullMessage += delta.content;
-
-			// Silent mode: accumulate content but don't stream to UI
-			if (options.silent) {
+			const delta = chunk.choices?.[0]?.delta;
+			if (!delta) {
 				continue;
 			}
 
-			// The message field streams before the tool calls. Render it as it
-			// arrives; the arguments that follow can be huge.
-			if (options.jsonMessageDisplay) {
-				const partial = partialJsonMessage(fullMessage);
-				if (partial !== null && partial !== displayMessage) {
-					displayMessage = partial;
-					scheduleStreamUpsert();
+			// Text content
+			if (delta.content) {
+				fullMessage += delta.content;
+
+				// Silent mode: accumulate content but don't stream to UI
+				if (options.silent) {
+					continue;
 				}
-				continue;
-			}
 
-			if (!prefixResolved) {
-				prefixBuffer += delta.content;
-				if (prefixBuffer.length >= stripPrefix.length) {
-					prefixResolved = true;
-					if (prefixBuffer.startsWith(stripPrefix)) {
-						// Strip prefix, stream the remainder (trim leading space left by "[PLAN] …")
-						needsTrimStart = true;
-						const remainder = prefixBuffer.slice(stripPrefix.length).trimStart();
-						if (remainder) {
-							needsTrimStart = false;
-							appendDisplayText(remainder);
-						}
-					} else {
-						// Not a match, flush entire buffer
-						appendDisplayText(prefixBuffer);
+				// The message field streams before the tool calls. Render it as it
+				// arrives; the arguments that follow can be huge.
+				if (options.jsonMessageDisplay) {
+					const partial = partialJsonMessage(fullMessage);
+					if (partial !== null && partial !== displayMessage) {
+						displayMessage = partial;
+						scheduleStreamUpsert();
 					}
+					continue;
 				}
-				// Still buffering — don't update UI yet
-			} else {
-				// Strip duplicate [PLAN] markers and tool-call leakage from streaming display
-				let cleaned = stripPrefix
-					? delta.content.replace(/\[PLAN\]/g, "").replace(/=fn\.\S*/g, "")
-					: delta.content;
-				if (needsTrimStart) {
-					cleaned = cleaned.trimStart();
-					needsTrimStart = false;
+
+				if (!prefixResolved) {
+					prefixBuffer += delta.content;
+					if (prefixBuffer.length >= stripPrefix.length) {
+						prefixResolved = true;
+						if (prefixBuffer.startsWith(stripPrefix)) {
+							// Strip prefix, stream the remainder (trim leading space left by "[PLAN] …")
+							needsTrimStart = true;
+							const remainder = prefixBuffer.slice(stripPrefix.length).trimStart();
+							if (remainder) {
+								needsTrimStart = false;
+								appendDisplayText(remainder);
+							}
+						} else {
+							// Not a match, flush entire buffer
+							appendDisplayText(prefixBuffer);
+						}
+					}
+					// Still buffering — don't update UI yet
+				} else {
+					// Strip duplicate [PLAN] markers and tool-call leakage from streaming display
+					let cleaned = stripPrefix
+						? delta.content.replace(/\[PLAN\]/g, "").replace(/=fn\.\S*/g, "")
+						: delta.content;
+					if (needsTrimStart) {
+						cleaned = cleaned.trimStart();
+						needsTrimStart = false;
+					}
+					appendDisplayText(cleaned);
 				}
-				appendDisplayText(cleaned);
 			}
-		}
 
-		// Tool call deltas
-		if (delta.tool_calls) {
-			for (let i = 0; i < delta.tool_calls.length; i++) {
-				const toolCall = delta.tool_calls[i];
-				const index = toolCall.index ?? toolCall.id ?? i;
-				if (!toolCallsInProgress[index]) {
-					toolCallsInProgress[index] = {
-						id: toolCall.id || "",
-						type: "function",
-						function: {
-							name: toolCall.function?.name || "",
-							arguments: "",
-						},
-					};
-				}
-				if (toolCall.id) {
-					toolCallsInProgress[index].id = toolCall.id;
-				}
-				if (toolCall.function?.name) {
-					toolCallsInProgress[index].function.name = toolCall.function.name;
-				}
-				if (toolCall.function?.arguments) {
-					toolCallsInProgress[index].function.arguments += toolCall.function.arguments;
+			// Tool call deltas
+			if (delta.tool_calls) {
+				for (let i = 0; i < delta.tool_calls.length; i++) {
+					const toolCall = delta.tool_calls[i];
+					const index = toolCall.index ?? toolCall.id ?? i;
+					if (!toolCallsInProgress[index]) {
+						toolCallsInProgress[index] = {
+							id: toolCall.id || "",
+							type: "function",
+							function: {
+								name: toolCall.function?.name || "",
+								arguments: "",
+							},
+						};
+					}
+					if (toolCall.id) {
+						toolCallsInProgress[index].id = toolCall.id;
+					}
+					if (toolCall.function?.name) {
+						toolCallsInProgress[index].function.name = toolCall.function.name;
+					}
+					if (toolCall.function?.arguments) {
+						toolCallsInProgress[index].function.arguments += toolCall.function.arguments;
+						schedulePreview(index);
+					}
 				}
 			}
-		}
 
-		if (chunk.choices?.[0]?.finish_reason) {
-			finishReason = chunk.choices[0].finish_reason;
+			if (chunk.choices?.[0]?.finish_reason) {
+				finishReason = chunk.choices[0].finish_reason;
+			}
 		}
+	} catch (err) {
+		cancelPendingPaints();
+		throw err;
 	}
 
 	// The SDK ends the iterator without throwing on abort, so a stopped stream
 	// looks complete but carries partial tool calls. Surface it as a real abort.
+	clearPreview();
 	if (signal?.aborted) {
 		window.cancelAnimationFrame(streamUiRafId);
 		throw createAbortError();
@@ -262,5 +322,76 @@ export async function streamCompletion(msgs, tools, options = {}, deps) {
 		content: fullMessage,
 		toolCalls: finalToolCalls.length > 0 ? finalToolCalls : null,
 		finishReason,
+		usage,
 	};
 }
+
+/**
+ * Stream a chat completion and accumulate tool calls.
+ *
+ * Failures are retried here (see streamRetry.js): a 401 refreshes the session
+ * and retries once, a 5xx or dropped connection backs off and re-issues the
+ * pass. Tool calls only run after a stream completes, so a pass that failed
+ * mid-stream has executed nothing: the re-issued pass sends the same messages,
+ * whose earlier tool calls and results are already settled in history, and
+ * the partial reply and tool calls of the failed attempt are discarded.
+ *
+ * @param {Array}  msgs      Messages array for the API
+ * @param {Array}  tools     OpenAI tools array
+ * @param {Object} [options] Extra options (model, temperature, stripPrefix, silent, resetStream, etc.)
+ * @param {Object} deps      Dependencies: { openaiClientRef, abortControllerRef, setMessages, setToolCallPreview, refreshSession, onReconnecting }
+ * @return {Promise<{content: string, toolCalls: Array|null, finishReason: string|null, usage: Object|null}>} Streamed completion result
+ */
+export async function streamCompletion(msgs, tools, options = {}, deps) {
+	const { abortControllerRef, refreshSession, onReconnecting } = deps;
+	const signal = abortControllerRef.current?.signal;
+	let refreshed = false;
+	let attempt = 0;
+	let retrying = false;
+
+	for (;;) {
+		try {
+			// A retry starts the streamed reply over.
+			return await streamAttempt(
+				msgs,
+				tools,
+				retrying ? { ...options, resetStream: true } : options,
+				deps
+			);
+		} catch (err) {
+			if (isAbortError(err, signal)) {
+				throw err;
+			}
+			const kind = getStreamFailureKind(err);
+			if (kind === STREAM_FAILURE.AUTH && !refreshed && refreshSession) {
+				refreshed = true;
+				logger.warn("[EditorChat] Session token rejected, refreshing");
+				onReconnecting?.({ reason: kind, attempt: 1, maxAttempts: 1 });
+				try {
+					await refreshSession();
+				} catch (refreshErr) {
+					onReconnecting?.(null);
+					console.error("[EditorChat] Session refresh failed:", refreshErr);
+					throw err;
+				}
+			} else if (canRetryStream(kind, attempt)) {
+				const delay = getRetryDelay(attempt);
+				attempt++;
+				logger.warn(
+					`[EditorChat] Completion failed (${err?.status || kind}), retry ${attempt}/${MAX_STREAM_RETRIES} in ${delay}ms`
+				);
+				onReconnecting?.({ reason: kind, attempt, maxAttempts: MAX_STREAM_RETRIES });
+				try {
+					await waitForRetry(delay, signal);
+				} catch (abortErr) {
+					onReconnecting?.(null);
+					throw abortErr;
+				}
+			} else {
+				onReconnecting?.(null);
+				throw err;
+			}
+			retrying = true;
+		}
+	}
+}
@@ -0,0 +1,103 @@
+/**
+ * streamRetry — which completion failures are worth another attempt, and when.
+ *
+ * A 401 means the session token expired under us (typically a laptop waking
+ * from sleep after the refresh timer should have fired): refresh it and retry
+ * once. A 5xx or a dropped connection, before or during the stream, is retried
+ * with exponential backoff. Anything else (bad request, usage limit) fails the
+ * turn as before.
+ */
+import { createAbortError } from "../../utils/abortControl";
+import {
+	MAX_STREAM_RETRIES,
+	STREAM_RETRY_BASE_DELAY_MS,
+	STREAM_RETRY_MAX_DELAY_MS,
+} from "./constants";
+
+export const STREAM_FAILURE = {
+	AUTH: "auth",
+	SERVER: "server",
+	NETWORK: "network",
+};
+
+/**
+ * Classify a failed completion.
+ *
+ * @param {*} error Error thrown by the OpenAI client or its stream iterator.
+ * @return {string|null} A STREAM_FAILURE value, or null when retrying won't help.
+ */
+export function getStreamFailureKind(error) {
+	const status = error?.status;
+	if (status === 401) {
+		return STREAM_FAILURE.AUTH;
+	}
+	if (typeof status === "number") {
+		return status >= 500 ? STREAM_FAILURE.SERVER : null;
+	}
+	// The SDK's connection errors are APIErrors without a status; a body read
+	// that fails mid-stream surfaces as the platform's TypeError.
+	if (
+		error?.name === "APIConnectionError" ||
+		error?.name === "APIConnectionTimeoutError" ||
+		error instanceof TypeError
+	) {
+		return STREAM_FAILURE.NETWORK;
+	}
+	return null;
+}
+
+/**
+ * Whether a 5xx or network failure still has retries left.
+ *
+ * @param {string|null} kind    Failure kind (see getStreamFailureKind).
+ * @param {number}      attempt Backoff retries already made for this pass.
+ * @return {boolean} True when the pass should be re-issued after a delay.
+ */
+export function canRetryStream(kind, attempt) {
+	return (
+		(kind === STREAM_FAILURE.SERVER || kind === STREAM_FAILURE.NETWORK) &&
+		attempt < MAX_STREAM_RETRIES
+	);
+}
+
+/**
+ * Backoff before a retry: 1s, 2s, 4s… capped. useSessionConfig reuses it, with
+ * its own bounds, for MCP reconnects.
+ *
+ * @param {number} attempt  Retries already made (0 for the first retry).
+ * @param {number} [baseMs] Delay before the first retry.
+ * @param {number} [maxMs]  Longest delay.
+ * @return {number} Delay in milliseconds.
+ */
+export function getRetryDelay(
+	attempt,
+	baseMs = STREAM_RETRY_BASE_DELAY_MS,
+	maxMs = STREAM_RETRY_MAX_DELAY_MS
+) {
+	return Math.min(baseMs * 2 ** attempt, maxMs);
+}
+
+/**
+ * Wait out a backoff delay, cut short by Stop.
+ *
+ * @param {number}      ms       Delay in milliseconds.
+ * @param {AbortSignal} [signal] Turn signal.
+ * @return {Promise<void>} Resolves after the delay; rejects with an AbortError on Stop.
+ */
+export function waitForRetry(ms, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(createAbortError());
+			return;
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(createAbortError());
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+}
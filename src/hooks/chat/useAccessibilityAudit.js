@@ -0,0 +1,109 @@
+/**
+ * useAccessibilityAudit — the /accessibility report and its fixes.
+ *
+ * The audit runs locally (see services/accessibilityAudit.js) and lands in the
+ * chat as a report message. "Show" selects and flashes the block the way
+ * blu-highlight-block does for the model. "Fix" and "Fix all" hand the
+ * findings' tool calls to `runToolTurn`, which executes them as a turn of
+ * their own, so the fixes show up in the actions list and revert together.
+ */
+import { useCallback } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+import { A11Y_AUDIT_MESSAGE_TYPE, auditAccessibility } from "../../services/accessibilityAudit";
+import { getCurrentGlobalStyles } from "../../services/globalStylesService";
+import { handleHighlightBlock } from "../../services/toolHandlers/highlightBlock";
+import { getCurrentPageBlocks } from "../../utils/editorHelpers";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @param {Function} deps.runToolTurn Runs tool calls as a turn; resolves with their results.
+ * @return {{ runAccessibilityAudit: Function, showA11yFinding: Function, fixA11yFindings: Function }} Audit handlers
+ */
+const useAccessibilityAudit = ({ setMessages, runToolTurn }) => {
+	const runAccessibilityAudit = useCallback(() => {
+		const findings = auditAccessibility(
+			getCurrentPageBlocks(),
+			getCurrentGlobalStyles().palette || []
+		);
+		setMessages((prev) => [
+			...prev,
+			{
+				id: `a11y-audit-${Date.now()}`,
+				type: A11Y_AUDIT_MESSAGE_TYPE,
+				role: "assistant",
+				audit: { findings, fixed: [] },
+				timestamp: new Date(),
+			},
+		]);
+	}, [setMessages]);
+
+	const showA11yFinding = useCallback((finding) => {
+		handleHighlightBlock(
+			{ id: `a11y-show-${finding.id}` },
+			{ client_id: finding.clientId },
+			{ updateProgress: async () => {} }
+		);
+	}, []);
+
+	// Fixes of the findings given (those with one), then marks the ones whose calls all succeeded.
+	const fixA11yFindings = useCallback(
+		async (messageId, findings) => {
+			const fixable = findings.filter((finding) => finding.fix);
+			if (fixable.length === 0) {
+				return;
+			}
+			const displayMessage =
+				fixable.length === 1
+					? sprintf(
+							/* translators: %s: what the fix does */
+							__("Fix: %s", "wp-module-editor-chat"),
+							fixable[0].fix.label
+						)
+					: sprintf(
+							/* translators: %d: number of accessibility issues */
+							_n(
+								"Fix %d accessibility issue",
+								"Fix %d accessibility issues",
+								fixable.length,
+								"wp-module-editor-chat"
+							),
+							fixable.length
+						);
+			const prompt = `Fix accessibility issues found by the audit: ${fixable
+				.map((finding) => `${finding.message} ${finding.fix.label}.`)
+				.join(" ")}`;
+
+			const results = await runToolTurn({
+				displayMessage,
+				prompt,
+				toolCalls: fixable.flatMap((finding) => finding.fix.toolCalls),
+			});
+
+			const failedIds = new Set(
+				results.filter((result) => result.isError).map((result) => result.tool_call_id)
+			);
+			const doneIds = new Set(results.map((result) => result.tool_call_id));
+			const fixedIds = fixable
+				.filter((finding) =>
+					finding.fix.toolCalls.every((call) => doneIds.has(call.id) && !failedIds.has(call.id))
+				)
+				.map((finding) => finding.id);
+			if (fixedIds.length > 0) {
+				setMessages((prev) =>
+					prev.map((m) =>
+						m.id === messageId
+							? { ...m, audit: { ...m.audit, fixed: [...m.audit.fixed, ...fixedIds] } }
+							: m
+					)
+				);
+			}
+		},
+		[runToolTurn, setMessages]
+	);
+
+	return { runAccessibilityAudit, showA11yFinding, fixA11yFindings };
+};
+
+export default useAccessibilityAudit;
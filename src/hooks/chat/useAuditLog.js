@@ -0,0 +1,39 @@
+/**
+ * useAuditLog — sends each finished turn's changes to the server-side audit log.
+ *
+ * runTurn calls `auditTurn` once the turn has settled, stopped turns included:
+ * the edits that landed before Stop are still the user's request. Only turns
+ * that changed the editor are recorded (see services/auditLog.js).
+ */
+import { useCallback } from "@wordpress/element";
+
+import { recordTurnAudit } from "../../services/auditLog";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @return {{ auditTurn: Function }} Records the turn that just finished.
+ */
+const useAuditLog = ({ setMessages }) => {
+	const auditTurn = useCallback(
+		async (prompt) => {
+			// The turn's final tool_execution update may not have rendered yet.
+			const messages = await new Promise((resolve) =>
+				setMessages((prev) => {
+					resolve(prev);
+					return prev;
+				})
+			);
+			try {
+				await recordTurnAudit(prompt, messages);
+			} catch (err) {
+				console.warn("[EditorChat] Failed to record the audit entry:", err);
+			}
+		},
+		[setMessages]
+	);
+
+	return { auditTurn };
+};
+
+export default useAuditLog;
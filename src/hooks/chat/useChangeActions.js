@@ -1,15 +1,22 @@
 /**
  * useChangeActions — Accept and decline change handlers for editor chat.
  *
- * Handles saving global styles, template parts, and posts on accept,
- * and restoring blocks/styles from undo data on decline.
+ * Handles saving global styles, template parts, and posts on accept, and
+ * reverting turns from their undo data — one turn at a time, every turn from
+ * an edited message on, or all of them on decline.
  */
 import { useCallback } from "@wordpress/element";
 
 import { persistGlobalStyles } from "../../services/globalStylesService";
 import { saveDirtyEditorEntities } from "../../services/entitySaveService";
 import { clearTouchedNavigationEntityIds } from "../../services/navigationEditor";
-import { restoreBlocks, restoreGlobalStyles } from "../../services/restoreHandlers";
+import {
+	findDependentTurns,
+	findTurnActionIndex,
+	getTouchedKeys,
+	withoutTouchedKeys,
+} from "../../services/changeHistory";
+import { restoreTurnChanges } from "../../services/restoreHandlers";
 
 /**
  * @param {Object}   deps                                        State, setters, refs, and WordPress dispatchers
@@ -19,11 +26,11 @@ import { restoreBlocks, restoreGlobalStyles } from "../../services/restoreHandle
  * @param {Function} deps.setHasGlobalStylesChanges              Global styles change flag setter
  * @param {boolean}  deps.hasGlobalStylesChanges                 Whether global styles were modified
  * @param {Object}   deps.originalGlobalStylesRef                Ref to original global styles
- * @param {Object}   deps.blockSnapshotRef                       Ref to block snapshot for undo
+ * @param {Object}   deps.blockSnapshotRef                       Ref to the current turn's snapshot
  * @param {Function} deps.savePost                               WordPress savePost dispatcher
  * @param {Function} deps.saveEditedEntityRecord                 WordPress entity save dispatcher
  * @param {Function} deps.__experimentalGetCurrentGlobalStylesId Global styles ID selector
- * @return {{ handleAcceptChanges: Function, handleDeclineChanges: Function }} Change action handlers
+ * @return {{ handleAcceptChanges: Function, handleDeclineChanges: Function, handleRevertTurn: Function, handleUndoLastTurn: Function, revertTurnsFrom: Function, getDependentTurns: Function }} Change action handlers
  */
 const useChangeActions = ({
 	messages,
@@ -83,47 +90,159 @@ const useChangeActions = ({
 		blockSnapshotRef,
 	]);
 
+	const getDependentTurns = useCallback(
+		(messageId) => findDependentTurns(messages, messageId),
+		[messages]
+	);
+
+	const handleRevertTurn = useCallback(
+		async (messageId) => {
+			const actionIdx = findTurnActionIndex(messages, messageId);
+			if (actionIdx === -1) {
+				console.error("No undo data available");
+				return;
+			}
+			const actionMessage = messages[actionIdx];
+
+			try {
+				const result = await restoreTurnChanges(actionMessage.undoData);
+				if (!result.success) {
+					console.error("Some changes could not be reverted:", result.errors);
+				}
+			} catch (restoreError) {
+				console.error("Error restoring changes:", restoreError);
+				return;
+			}
+
+			// Dependent turns' snapshots of the blocks just restored are stale;
+			// restoring them later would bring the reverted changes back. Their
+			// other changes keep their undo data.
+			const dependents = findDependentTurns(messages, messageId);
+			const restoredKeys = getTouchedKeys(actionMessage.undoData);
+			const remainingUndo = new Map(
+				messages
+					.filter((msg) => dependents.some((d) => d.id === msg.id))
+					.map((msg) => [msg.id, withoutTouchedKeys(msg.undoData, restoredKeys)])
+			);
+			const dropped = new Set([
+				actionMessage.id,
+				...[...remainingUndo].filter(([, undo]) => !undo).map(([id]) => id),
+			]);
+			const stillPending = messages.some(
+				(msg) =>
+					msg.hasActions &&
+					!dropped.has(msg.id) &&
+					(remainingUndo.has(msg.id) ? remainingUndo.get(msg.id) : msg.undoData)?.globalStyles
+			);
+			const dependentNote =
+				dependents.length > 0
+					? ` Later requests that changed the same content were partly undone too: ${dependents
+							.map((d) => `"${d.label}"`)
+							.join(", ")}.`
+					: "";
+
+			setMessages((prev) => [
+				...prev.map((msg) => {
+					if (dropped.has(msg.id) && msg.hasActions) {
+						const { hasActions: _hasActions, undoData: _msgUndoData, ...rest } = msg;
+						return msg.id === actionMessage.id ? { ...rest, reverted: true } : rest;
+					}
+					if (remainingUndo.has(msg.id) && msg.hasActions) {
+						return { ...msg, undoData: remainingUndo.get(msg.id) };
+					}
+					return msg;
+				}),
+				{
+					id: `notification-${Date.now()}`,
+					type: "notification",
+					content: `The user reverted the changes made for one request; those blocks are back to their previous state.${dependentNote}`,
+				},
+			]);
+
+			if (actionMessage.undoData.globalStyles && !stillPending) {
+				setHasGlobalStylesChanges(false);
+			}
+			if (!messages.some((msg) => msg.hasActions && !dropped.has(msg.id))) {
+				clearTouchedNavigationEntityIds();
+			}
+		},
+		[messages, setMessages, setHasGlobalStylesChanges]
+	);
+
+	/**
+	 * Revert the most recent turn that still has changes to undo (/undo).
+	 *
+	 * @return {boolean} False when there is nothing to undo.
+	 */
+	const handleUndoLastTurn = useCallback(() => {
+		const last = [...messages].reverse().find((msg) => msg.hasActions && msg.undoData);
+		if (!last) {
+			return false;
+		}
+		handleRevertTurn(last.id);
+		return true;
+	}, [messages, handleRevertTurn]);
+
+	/**
+	 * Put the editor back the way it was before a turn, for an edited resend:
+	 * revert that turn and every later one with changes, newest first. The
+	 * messages themselves are left alone — the caller sets the turns aside.
+	 *
+	 * @param {Array}  current   Raw chat messages, as of now.
+	 * @param {string} messageId The turn's user message.
+	 */
+	const revertTurnsFrom = useCallback(
+		async (current, messageId) => {
+			const start = current.findIndex((msg) => msg.id === messageId);
+			if (start === -1) {
+				return;
+			}
+			const pending = current.slice(start).filter((msg) => msg.hasActions && msg.undoData);
+			for (const msg of [...pending].reverse()) {
+				try {
+					const result = await restoreTurnChanges(msg.undoData);
+					if (!result.success) {
+						console.error("Some changes could not be reverted:", result.errors);
+					}
+				} catch (restoreError) {
+					console.error("Error restoring changes:", restoreError);
+				}
+			}
+
+			const earlier = current.slice(0, start);
+			if (!earlier.some((msg) => msg.hasActions && msg.undoData?.globalStyles)) {
+				setHasGlobalStylesChanges(false);
+				originalGlobalStylesRef.current = null;
+			}
+			if (!earlier.some((msg) => msg.hasActions)) {
+				clearTouchedNavigationEntityIds();
+			}
+		},
+		[setHasGlobalStylesChanges, originalGlobalStylesRef]
+	);
+
 	const handleDeclineChanges = useCallback(async () => {
-		const firstActionMessage = messages.find((msg) => msg.hasActions && msg.undoData);
+		const pending = messages.filter((msg) => msg.hasActions && msg.undoData);
 
-		if (!firstActionMessage || !firstActionMessage.undoData) {
+		if (pending.length === 0) {
 			console.error("No undo data available");
 			return;
 		}
 
 		try {
-			const undoData = firstActionMessage.undoData;
-
-			if (undoData && typeof undoData === "object" && !Array.isArray(undoData)) {
-				if (undoData.blocks && Array.isArray(undoData.blocks) && undoData.blocks.length > 0) {
-					const { dispatch: wpDispatch } = wp.data;
-					const { createBlock: wpCreateBlock } = wp.blocks;
-
-					const restoreBlock = (parsed) => {
-						const innerBlocks = parsed.innerBlocks
-							? parsed.innerBlocks.map((inner) => restoreBlock(inner))
-							: [];
-						return wpCreateBlock(parsed.name, parsed.attributes || {}, innerBlocks);
-					};
-					const restoredBlocks = undoData.blocks.map((b) => restoreBlock(b));
-					wpDispatch("core/block-editor").resetBlocks(restoredBlocks);
-				}
-				if (
-					undoData.globalStyles &&
-					undoData.globalStyles.originalStyles &&
-					undoData.globalStyles.globalStylesId
-				) {
-					await restoreGlobalStyles(undoData.globalStyles);
+			// Newest first: each turn's snapshot is the state the next one started from.
+			for (const msg of [...pending].reverse()) {
+				const result = await restoreTurnChanges(msg.undoData);
+				if (!result.success) {
+					console.error("Some changes could not be reverted:", result.errors);
 				}
-			} else if (Array.isArray(undoData)) {
-				await restoreBlocks(undoData);
 			}
 
 			setMessages((prev) => [
 				...prev.map((msg) => {
 					if (msg.hasActions) {
 						const { hasActions: _hasActions, undoData: _msgUndoData, ...rest } = msg;
-						return rest;
+						return { ...rest, reverted: true };
 					}
 					return msg;
 				}),
@@ -144,7 +263,14 @@ const useChangeActions = ({
 		}
 	}, [messages, setMessages, setHasGlobalStylesChanges, originalGlobalStylesRef, blockSnapshotRef]);
 
-	return { handleAcceptChanges, handleDeclineChanges };
+	return {
+		handleAcceptChanges,
+		handleDeclineChanges,
+		handleRevertTurn,
+		handleUndoLastTurn,
+		revertTurnsFrom,
+		getDependentTurns,
+	};
 };
 
 export default useChangeActions;
@@ -0,0 +1,59 @@
+/**
+ * useChangeReview — review-mode state for editor chat.
+ *
+ * Owns the per-user review-mode preference and the proposal currently waiting
+ * for Apply/Skip. The tool dispatcher receives `requestReview` through the
+ * tool context and awaits it (see services/changeReview.js).
+ */
+import { useDispatch, useSelect } from "@wordpress/data";
+import { useCallback, useState } from "@wordpress/element";
+import { store as preferencesStore } from "@wordpress/preferences";
+
+import { REVIEW_MODE_PREFERENCE, REVIEW_PREFERENCE_SCOPE } from "../../services/changeReview";
+import { createAbortError } from "../../utils/abortControl";
+
+/**
+ * @return {{ isReviewMode: boolean, toggleReviewMode: Function, pendingReview: Object|null, requestReview: Function }} Review-mode state and handlers
+ */
+const useChangeReview = () => {
+	const isReviewMode = useSelect(
+		(select) => !!select(preferencesStore).get(REVIEW_PREFERENCE_SCOPE, REVIEW_MODE_PREFERENCE),
+		[]
+	);
+	const { set: setPreference } = useDispatch(preferencesStore);
+	const [pendingReview, setPendingReview] = useState(null);
+
+	const toggleReviewMode = useCallback(() => {
+		setPreference(REVIEW_PREFERENCE_SCOPE, REVIEW_MODE_PREFERENCE, !isReviewMode);
+	}, [isReviewMode, setPreference]);
+
+	// One proposal at a time: in review mode the dispatcher runs client tools
+	// one by one, so the next one cannot be requested until this promise settles.
+	const requestReview = useCallback(
+		(proposal, signal) =>
+			new Promise((resolve, reject) => {
+				if (signal?.aborted) {
+					reject(createAbortError());
+					return;
+				}
+				const onAbort = () => {
+					setPendingReview(null);
+					reject(createAbortError());
+				};
+				signal?.addEventListener("abort", onAbort, { once: true });
+				setPendingReview({
+					...proposal,
+					decide: (approved) => {
+						signal?.removeEventListener("abort", onAbort);
+						setPendingReview(null);
+						resolve(approved);
+					},
+				});
+			}),
+		[]
+	);
+
+	return { isReviewMode, toggleReviewMode, pendingReview, requestReview };
+};
+
+export default useChangeReview;
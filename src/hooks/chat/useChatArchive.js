@@ -0,0 +1,102 @@
+/**
+ * useChatArchive — mirrors the active chat into the server-side archive.
+ *
+ * Once a turn settles (idle or error), the chat is saved: created on the first
+ * save, updated after that. Saves run one at a time so the create has returned
+ * an ID before any update needs it. The local active-chat copy carries that ID,
+ * so after a reload the chat keeps writing to the same archive entry.
+ */
+import { useCallback, useEffect, useRef } from "@wordpress/element";
+
+import { saveChat } from "../../services/chatArchive";
+import logger from "../../utils/logger";
+import { saveActiveChat } from "./activeChatStorage";
+import { CHAT_STATUS } from "./constants";
+
+/** Quiet period after a turn settles before saving (absorbs the final message flushes). */
+const SAVE_DELAY_MS = 1000;
+
+const SETTLED_STATUSES = [CHAT_STATUS.IDLE, CHAT_STATUS.ERROR];
+
+/**
+ * Drop per-session fields: undo snapshots can't be replayed in another session.
+ *
+ * @param {Array} messages Display messages
+ * @return {Array} Messages safe to archive
+ */
+const toArchivedMessages = (messages) =>
+	messages.map(({ hasActions: _hasActions, undoData: _undoData, ...rest }) => rest);
+
+/**
+ * @param {Object}      deps                        Chat state
+ * @param {Array}       deps.messages               Display messages
+ * @param {Object}      deps.conversationHistoryRef Ref to the model-visible history
+ * @param {string}      deps.status                 Current chat status
+ * @param {number|null} deps.initialArchiveId       Archive entry restored with the active chat
+ * @return {{ archiveIdRef: Object, resetArchive: Function }} Current entry ID and a way to switch it
+ */
+const useChatArchive = ({ messages, conversationHistoryRef, status, initialArchiveId }) => {
+	const archiveIdRef = useRef(initialArchiveId || null);
+	// Bumped whenever the active chat changes, so a save still in flight for
+	// the previous chat can't hand its ID to the new one.
+	const generationRef = useRef(0);
+	const queueRef = useRef(Promise.resolve());
+	const hasUnsavedTurnRef = useRef(false);
+
+	const save = useCallback((snapshot, history) => {
+		const generation = generationRef.current;
+		queueRef.current = queueRef.current.then(async () => {
+			if (generation !== generationRef.current) {
+				return;
+			}
+			try {
+				let saved;
+				try {
+					saved = await saveChat(archiveIdRef.current, snapshot, history);
+				} catch (err) {
+					// Deleted from the history panel while still open: start a new entry.
+					if (err?.code !== "chat_not_found") {
+						throw err;
+					}
+					saved = await saveChat(null, snapshot, history);
+				}
+				if (generation === generationRef.current && saved?.id !== archiveIdRef.current) {
+					archiveIdRef.current = saved.id;
+					saveActiveChat(snapshot, history, saved.id);
+				}
+			} catch (err) {
+				logger.warn("[EditorChat] Failed to archive chat:", err);
+			}
+		});
+	}, []);
+
+	useEffect(() => {
+		if (!SETTLED_STATUSES.includes(status)) {
+			hasUnsavedTurnRef.current = true;
+			return undefined;
+		}
+		if (!hasUnsavedTurnRef.current || messages.length === 0) {
+			return undefined;
+		}
+		const timer = setTimeout(() => {
+			hasUnsavedTurnRef.current = false;
+			save(toArchivedMessages(messages), [...conversationHistoryRef.current]);
+		}, SAVE_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [status, messages, conversationHistoryRef, save]);
+
+	/**
+	 * Point the active chat at another archive entry (or none, for a new chat).
+	 *
+	 * @param {number|null} [archiveId] Entry to keep writing to.
+	 */
+	const resetArchive = useCallback((archiveId = null) => {
+		generationRef.current++;
+		hasUnsavedTurnRef.current = false;
+		archiveIdRef.current = archiveId;
+	}, []);
+
+	return { archiveIdRef, resetArchive };
+};
+
+export default useChatArchive;
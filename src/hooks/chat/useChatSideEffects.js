@@ -15,6 +15,7 @@ import { saveActiveChat } from "./activeChatStorage";
  * @param {Array}    deps.messages                  Chat messages array
  * @param {Object}   deps.messagesRef               Ref kept in sync with messages
  * @param {Object}   deps.conversationHistoryRef    Ref to the model-visible history (for persistence)
+ * @param {Object}   deps.archiveIdRef              Ref to the chat's archive entry ID (for persistence)
  * @param {string}   deps.status                    Current chat status
  * @param {Array}    deps.executedTools             Executed tools array
  * @param {Object}   deps.executedToolsRef          Ref to executed tools
@@ -29,6 +30,7 @@ const useChatSideEffects = ({
 	messages,
 	messagesRef,
 	conversationHistoryRef,
+	archiveIdRef,
 	status,
 	executedTools,
 	executedToolsRef,
@@ -88,7 +90,7 @@ const useChatSideEffects = ({
 			isInitialMountRef.current = false;
 			return;
 		}
-		saveActiveChat(messages, conversationHistoryRef.current);
+		saveActiveChat(messages, conversationHistoryRef.current, archiveIdRef.current);
 		// eslint-disable-next-line react-hooks/exhaustive-deps -- ref deliberately omitted; see note above
 	}, [messages]);
 };
@@ -0,0 +1,105 @@
+/**
+ * useConversationBranches — edit-and-resend and branch switching for editor chat.
+ *
+ * Editing a past user message reverts the editor to before that turn, sets
+ * the turns from there on aside as a branch and sends the edited text as a
+ * new turn. The fork's bubble then switches between branches. The branch
+ * bookkeeping itself lives in services/conversationBranches.js.
+ */
+import { useCallback } from "@wordpress/element";
+
+import { buildMessageWithAttachments } from "./conversationUtils";
+import { forkConversation, switchBranch } from "../../services/conversationBranches";
+
+/**
+ * @param {Object}   deps                        Dependencies.
+ * @param {Function} deps.setMessages            Chat messages setter.
+ * @param {Object}   deps.conversationHistoryRef Ref holding the model-facing history.
+ * @param {Object}   deps.pendingIntentRef       Ref holding the carry-over intent.
+ * @param {Function} deps.waitForRunningTurn     Stops the turn in flight and waits for it to unwind.
+ * @param {Function} deps.revertTurnsFrom        Reverts a turn and every later one (useChangeActions).
+ * @param {Function} deps.sendMessage            handleSendMessage.
+ * @return {{ handleEditMessage: Function, handleSwitchBranch: Function }} Branch handlers
+ */
+const useConversationBranches = ({
+	setMessages,
+	conversationHistoryRef,
+	pendingIntentRef,
+	waitForRunningTurn,
+	revertTurnsFrom,
+	sendMessage,
+}) => {
+	// The latest messages, including updates a turn that just unwound hasn't
+	// rendered yet (such as its rolled-back flag).
+	const readMessages = useCallback(
+		() =>
+			new Promise((resolve) =>
+				setMessages((prev) => {
+					resolve(prev);
+					return prev;
+				})
+			),
+		[setMessages]
+	);
+
+	const handleEditMessage = useCallback(
+		async (messageId, text) => {
+			const content = text.trim();
+			if (!content) {
+				return;
+			}
+			await waitForRunningTurn();
+			const current = await readMessages();
+			const original = current.find((msg) => msg.id === messageId);
+			if (!original) {
+				return;
+			}
+
+			await revertTurnsFrom(current, messageId);
+			const fork = forkConversation(current, conversationHistoryRef.current, messageId);
+			setMessages(fork.messages);
+			conversationHistoryRef.current = fork.history;
+			// An offer made on the old branch doesn't carry over to the new one.
+			pendingIntentRef.current = null;
+
+			const attachments = original.attachments || [];
+			const apiMessage = buildMessageWithAttachments(
+				content,
+				attachments.map((attachment) => ({ ...attachment, status: "ready" }))
+			);
+			await sendMessage(apiMessage, content, null, attachments, null, fork.branch);
+		},
+		[
+			waitForRunningTurn,
+			readMessages,
+			revertTurnsFrom,
+			setMessages,
+			conversationHistoryRef,
+			pendingIntentRef,
+			sendMessage,
+		]
+	);
+
+	const handleSwitchBranch = useCallback(
+		async (messageId, target) => {
+			await waitForRunningTurn();
+			const next = switchBranch(
+				await readMessages(),
+				conversationHistoryRef.current,
+				messageId,
+				target
+			);
+			if (!next) {
+				return;
+			}
+			setMessages(next.messages);
+			conversationHistoryRef.current = next.history;
+			pendingIntentRef.current = null;
+		},
+		[waitForRunningTurn, readMessages, setMessages, conversationHistoryRef, pendingIntentRef]
+	);
+
+	return { handleEditMessage, handleSwitchBranch };
+};
+
+export default useConversationBranches;
@@ -30,24 +30,33 @@ function readToolArgs(raw) {
 	return typeof raw === "object" ? raw : {};
 }
 
+/**
+ * The block an executed tool targeted, unwrapping the `blu-call-ability`
+ * envelope (whose `parameters` may itself be a JSON string) to reach the real
+ * `client_id`.
+ *
+ * @param {Object} entry An executed-tool entry ({ name, arguments, isError }).
+ * @return {string} Target clientId, or "" when the tool named none.
+ */
+export function getToolTarget(entry) {
+	let args = readToolArgs(entry.arguments);
+	if (args.ability_name !== undefined) {
+		args = readToolArgs(args.parameters);
+	}
+	return args.client_id || args.clientId || args.parent_client_id || args.target_client_id || "";
+}
+
 /**
  * Derive a stable identity for an executed tool so a failed attempt and its
  * successful retry compare equal. Combines the normalized ability name with the
- * target block, unwrapping the `blu-call-ability` envelope (whose `parameters`
- * may itself be a JSON string) to reach the real `client_id`.
+ * target block.
  *
  * @param {Object} entry An executed-tool entry ({ name, arguments, isError }).
  * @return {string} `name::target` key.
  */
 function toolActionKey(entry) {
 	const name = (entry.name || "unknown").replace(/\//g, "-");
-	let args = readToolArgs(entry.arguments);
-	if (args.ability_name !== undefined) {
-		args = readToolArgs(args.parameters);
-	}
-	const target =
-		args.client_id || args.clientId || args.parent_client_id || args.target_client_id || "";
-	return `${name}::${target}`;
+	return `${name}::${getToolTarget(entry)}`;
 }
 
 /**
@@ -101,11 +110,12 @@ function isInternalTool(entry) {
  * Pure transformation of messages for display.
  * Exported separately for unit testing without React.
  *
- * @param {Array}  messages       Raw messages array
- * @param {Object} activeToolCall Currently executing tool call
- * @param {Array}  pendingTools   Tools waiting to execute
- * @param {Array}  executedTools  List of executed tools
- * @param {string} toolProgress   Tool progress message
+ * @param {Array}  messages        Raw messages array
+ * @param {Object} activeToolCall  Currently executing tool call
+ * @param {Array}  pendingTools    Tools waiting to execute
+ * @param {Array}  executedTools   List of executed tools
+ * @param {string} toolProgress    Tool progress message
+ * @param {Object} [batchProgress] Live batch-edit progress for the current turn
  * @return {Array} Display-ready messages
  */
 export function buildDisplayMessages(
@@ -113,7 +123,8 @@ export function buildDisplayMessages(
 	activeToolCall,
 	pendingTools,
 	executedTools,
-	toolProgress
+	toolProgress,
+	batchProgress = null
 ) {
 	let msgs = [...messages];
 
@@ -126,6 +137,8 @@ export function buildDisplayMessages(
 				...prev,
 				executedTools: [...(prev.executedTools || []), ...(msg.executedTools || [])],
 				...(msg.hasActions ? { hasActions: true, undoData: msg.undoData } : {}),
+				...(msg.reverted ? { reverted: true } : {}),
+				...(msg.batch ? { batch: msg.batch } : {}),
 			};
 		} else {
 			merged.push(msg);
@@ -175,6 +188,7 @@ export function buildDisplayMessages(
 		}
 
 		const msgTools = toolExecIdx !== -1 ? msgs[toolExecIdx].executedTools || [] : [];
+		const batch = batchProgress || (toolExecIdx !== -1 ? msgs[toolExecIdx].batch : null);
 		const stateIds = new Set(executedTools.map((t) => t.id));
 		const allExecuted = [...msgTools.filter((t) => !stateIds.has(t.id)), ...executedTools];
 
@@ -186,6 +200,7 @@ export function buildDisplayMessages(
 			activeToolCall,
 			pendingTools,
 			toolProgress,
+			...(batch ? { batch } : {}),
 			...(toolExecIdx !== -1 && msgs[toolExecIdx].hasActions
 				? { hasActions: true, undoData: msgs[toolExecIdx].undoData }
 				: {}),
@@ -252,6 +267,7 @@ export function collectCurrentTurnFailures(messages) {
  * @param {Array}  deps.pendingTools   Tools waiting to execute
  * @param {Array}  deps.executedTools  List of executed tools
  * @param {string} deps.toolProgress   Tool progress message
+ * @param {Object} deps.batchProgress  Live batch-edit progress
  * @return {Array} Display-ready messages
  */
 const useDisplayMessages = ({
@@ -260,6 +276,7 @@ const useDisplayMessages = ({
 	pendingTools,
 	executedTools,
 	toolProgress,
+	batchProgress,
 }) => {
 	const isToolsActive = !!activeToolCall || pendingTools.length > 0;
 	const loggedFailureRef = useRef("");
@@ -287,8 +304,16 @@ const useDisplayMessages = ({
 	}, [messages, isToolsActive]);
 
 	return useMemo(
-		() => buildDisplayMessages(messages, activeToolCall, pendingTools, executedTools, toolProgress),
-		[messages, activeToolCall, pendingTools, executedTools, toolProgress]
+		() =>
+			buildDisplayMessages(
+				messages,
+				activeToolCall,
+				pendingTools,
+				executedTools,
+				toolProgress,
+				batchProgress
+			),
+		[messages, activeToolCall, pendingTools, executedTools, toolProgress, batchProgress]
 	);
 };
 
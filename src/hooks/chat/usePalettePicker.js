@@ -0,0 +1,90 @@
+/**
+ * usePalettePicker — hover-to-try and click-to-apply for palette options.
+ *
+ * A preview edits the global styles entity in the editor and is never saved
+ * (see previewGlobalStyles); ending it puts the settings back through
+ * restoreGlobalStyles, the way reverting a turn does. Applying hands the
+ * option to `runToolTurn` as a blu-update-global-styles call, so it lands in
+ * the actions list and reverts like any other change.
+ *
+ * A user who may not run blu-update-global-styles (services/toolPermissions.js)
+ * gets neither: `applyPalette` is null, which leaves the swatches disabled.
+ */
+import { useCallback, useEffect, useRef } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+
+import { previewGlobalStyles } from "../../services/globalStylesService";
+import { buildPaletteApplyCall, getPaletteSettings } from "../../services/palettePicker";
+import { restoreGlobalStyles } from "../../services/restoreHandlers";
+import { getMissingCapability } from "../../services/toolPermissions";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @param {Function} deps.runToolTurn Runs tool calls as a turn; resolves with their results.
+ * @return {{ previewPalette: Function, endPalettePreview: Function, applyPalette: Function|null }} Picker handlers
+ */
+const usePalettePicker = ({ setMessages, runToolTurn }) => {
+	// Undo data of the preview on the site, if any.
+	const previewRef = useRef(null);
+
+	// Not awaited by previewPalette: restoreGlobalStyles makes its edit before
+	// its first await, and the next preview must start from the restored
+	// settings even when the pointer crosses several swatches at once.
+	const endPalettePreview = useCallback(() => {
+		const undoData = previewRef.current;
+		previewRef.current = null;
+		return undoData ? restoreGlobalStyles(undoData) : Promise.resolve();
+	}, []);
+
+	// Closing the chat mid-preview must not leave the preview on the site.
+	useEffect(
+		() => () => {
+			endPalettePreview();
+		},
+		[endPalettePreview]
+	);
+
+	const canApply = !getMissingCapability("blu-update-global-styles");
+
+	const previewPalette = useCallback(
+		(colors) => {
+			endPalettePreview();
+			if (!canApply) {
+				return;
+			}
+			const result = previewGlobalStyles(getPaletteSettings(colors));
+			previewRef.current = result.success ? result.undoData : null;
+		},
+		[canApply, endPalettePreview]
+	);
+
+	const applyPalette = useCallback(
+		async (messageId, index, colors) => {
+			await endPalettePreview();
+			const results = await runToolTurn({
+				displayMessage: sprintf(
+					/* translators: %d: number of the palette option */
+					__("Apply palette option %d", "wp-module-editor-chat"),
+					index + 1
+				),
+				prompt: `Apply color palette option ${index + 1}: ${colors
+					.map((entry) => `${entry.slug} ${entry.color}`)
+					.join(", ")}.`,
+				toolCalls: [buildPaletteApplyCall(colors, `palette-apply-${Date.now()}`)],
+			});
+			if (results.some((result) => !result.isError)) {
+				setMessages((prev) =>
+					prev.map((m) =>
+						m.id === messageId ? { ...m, palettes: { ...m.palettes, applied: index } } : m
+					)
+				);
+			}
+		},
+		[endPalettePreview, runToolTurn, setMessages]
+	);
+
+	return { previewPalette, endPalettePreview, applyPalette: canApply ? applyPalette : null };
+};
+
+export default usePalettePicker;
@@ -0,0 +1,136 @@
+/**
+ * usePlanApproval — plan-first mode state for editor chat.
+ *
+ * Owns the per-user plan-mode preference and the plan of the turn in flight.
+ * runChatLoop awaits `requestPlanApproval` before running a multi-step
+ * request, then reports step statuses through `updatePlan`; both write the
+ * plan onto its checklist message (see services/planChecklist.js).
+ */
+import { useDispatch, useSelect } from "@wordpress/data";
+import { useCallback, useRef, useState } from "@wordpress/element";
+import { store as preferencesStore } from "@wordpress/preferences";
+
+import {
+	PLAN_MESSAGE_TYPE,
+	PLAN_MODE_PREFERENCE,
+	PLAN_PREFERENCE_SCOPE,
+	PLAN_STEP_STATUS,
+	approvePlan,
+	createPlan,
+	setPlanStepStatus,
+	settlePlan,
+} from "../../services/planChecklist";
+import { createAbortError } from "../../utils/abortControl";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @return {{ isPlanMode: boolean, togglePlanMode: Function, planRef: Object, activePlanId: string|null, requestPlanApproval: Function, updatePlan: Function, handleApprovePlan: Function, handleSkipPlanStep: Function, finishPlan: Function }} Plan-mode state and handlers
+ */
+const usePlanApproval = ({ setMessages }) => {
+	const isPlanMode = useSelect(
+		(select) => !!select(preferencesStore).get(PLAN_PREFERENCE_SCOPE, PLAN_MODE_PREFERENCE),
+		[]
+	);
+	const { set: setPreference } = useDispatch(preferencesStore);
+	// The turn's plan; the loop reads it between passes, so it can't wait for a render.
+	const planRef = useRef(null);
+	// Resolves the approval promise of the plan on screen.
+	const approveRef = useRef(null);
+	// Checklist the user can still act on (approve, skip steps): the current turn's.
+	const [activePlanId, setActivePlanId] = useState(null);
+
+	const togglePlanMode = useCallback(() => {
+		setPreference(PLAN_PREFERENCE_SCOPE, PLAN_MODE_PREFERENCE, !isPlanMode);
+	}, [isPlanMode, setPreference]);
+
+	const updatePlan = useCallback(
+		(next) => {
+			planRef.current = next;
+			setMessages((prev) => prev.map((m) => (m.id === next.messageId ? { ...m, plan: next } : m)));
+		},
+		[setMessages]
+	);
+
+	const requestPlanApproval = useCallback(
+		(steps, signal) =>
+			new Promise((resolve, reject) => {
+				if (signal?.aborted) {
+					reject(createAbortError());
+					return;
+				}
+				const plan = createPlan(`checklist-${Date.now()}`, steps);
+				planRef.current = plan;
+				setActivePlanId(plan.messageId);
+				setMessages((prev) => [
+					...prev,
+					{
+						id: plan.messageId,
+						type: PLAN_MESSAGE_TYPE,
+						role: "assistant",
+						plan,
+						timestamp: new Date(),
+					},
+				]);
+				const onAbort = () => {
+					approveRef.current = null;
+					reject(createAbortError());
+				};
+				signal?.addEventListener("abort", onAbort, { once: true });
+				approveRef.current = (approved) => {
+					signal?.removeEventListener("abort", onAbort);
+					approveRef.current = null;
+					resolve(approved.steps.map((step) => step.text));
+				};
+			}),
+		[setMessages]
+	);
+
+	// Run the plan as edited in the checklist.
+	const handleApprovePlan = useCallback(
+		(steps) => {
+			if (!planRef.current?.awaitingApproval || !approveRef.current) {
+				return;
+			}
+			const approved = approvePlan(planRef.current, steps);
+			updatePlan(approved);
+			approveRef.current(approved);
+		},
+		[updatePlan]
+	);
+
+	// Only steps that haven't started can be skipped; the rest of the plan runs on.
+	const handleSkipPlanStep = useCallback(
+		(stepId) => {
+			const step = planRef.current?.steps.find((s) => s.id === stepId);
+			if (step?.status === PLAN_STEP_STATUS.PENDING && !planRef.current.awaitingApproval) {
+				updatePlan(setPlanStepStatus(planRef.current, stepId, PLAN_STEP_STATUS.SKIPPED));
+			}
+		},
+		[updatePlan]
+	);
+
+	// End of turn (finished, failed or stopped): freeze the checklist.
+	const finishPlan = useCallback(() => {
+		if (planRef.current) {
+			updatePlan(settlePlan(planRef.current));
+		}
+		planRef.current = null;
+		approveRef.current = null;
+		setActivePlanId(null);
+	}, [updatePlan]);
+
+	return {
+		isPlanMode,
+		togglePlanMode,
+		planRef,
+		activePlanId,
+		requestPlanApproval,
+		updatePlan,
+		handleApprovePlan,
+		handleSkipPlanStep,
+		finishPlan,
+	};
+};
+
+export default usePlanApproval;
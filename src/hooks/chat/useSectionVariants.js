@@ -0,0 +1,84 @@
+/**
+ * useSectionVariants — the variant picker of a /variants turn.
+ *
+ * The tool dispatcher receives `requestVariantChoice` through the tool context
+ * and awaits it with the candidate designs (see toolHandlers/sectionVariants.js).
+ * The designs go into the chat as a picker message; the promise resolves with
+ * the index the user picks, or null when they turn every design down.
+ */
+import { useCallback, useRef, useState } from "@wordpress/element";
+
+import { VARIANTS_MESSAGE_TYPE } from "../../services/sectionVariants";
+import { createAbortError } from "../../utils/abortControl";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @return {{ activeVariantsId: string|null, requestVariantChoice: Function, handleChooseVariant: Function, finishVariants: Function }} Picker state and handlers
+ */
+const useSectionVariants = ({ setMessages }) => {
+	// Resolves the choice promise of the picker on screen.
+	const chooseRef = useRef(null);
+	// Picker the user can still act on: the current turn's.
+	const [activeVariantsId, setActiveVariantsId] = useState(null);
+
+	const setChosen = useCallback(
+		(messageId, chosen) => {
+			setMessages((prev) =>
+				prev.map((m) => (m.id === messageId ? { ...m, variants: { ...m.variants, chosen } } : m))
+			);
+		},
+		[setMessages]
+	);
+
+	const requestVariantChoice = useCallback(
+		(proposal, signal) =>
+			new Promise((resolve, reject) => {
+				if (signal?.aborted) {
+					reject(createAbortError());
+					return;
+				}
+				const messageId = `variants-${Date.now()}`;
+				setActiveVariantsId(messageId);
+				setMessages((prev) => [
+					...prev,
+					{
+						id: messageId,
+						type: VARIANTS_MESSAGE_TYPE,
+						role: "assistant",
+						variants: proposal,
+						timestamp: new Date(),
+					},
+				]);
+				const onAbort = () => {
+					chooseRef.current = null;
+					setActiveVariantsId(null);
+					reject(createAbortError());
+				};
+				signal?.addEventListener("abort", onAbort, { once: true });
+				chooseRef.current = (index) => {
+					signal?.removeEventListener("abort", onAbort);
+					chooseRef.current = null;
+					setActiveVariantsId(null);
+					setChosen(messageId, index);
+					resolve(index);
+				};
+			}),
+		[setMessages, setChosen]
+	);
+
+	// A design's index, or null for none of them.
+	const handleChooseVariant = useCallback((index) => {
+		chooseRef.current?.(index);
+	}, []);
+
+	// End of turn: nothing left to pick.
+	const finishVariants = useCallback(() => {
+		chooseRef.current = null;
+		setActiveVariantsId(null);
+	}, []);
+
+	return { activeVariantsId, requestVariantChoice, handleChooseVariant, finishVariants };
+};
+
+export default useSectionVariants;
@@ -1,17 +1,21 @@
 /**
- * useSessionConfig — Manages OpenAI client initialization, MCP connection,
- * and session token refresh.
+ * useSessionConfig — Manages OpenAI client initialization, MCP connection
+ * (with automatic reconnect), and session token refresh.
+ *
+ * Clients come from the active AI provider (services/aiProvider.js), so the
+ * same hook runs against the worker or the offline fixture provider.
  */
-import { createMCPClient } from "@newfold/wp-module-ai-chat";
-import apiFetch from "@wordpress/api-fetch";
 import { useCallback, useEffect, useRef, useState } from "@wordpress/element";
-import OpenAI from "openai";
 
+import { MAX_MCP_RETRIES, MCP_RETRY_BASE_DELAY_MS, MCP_RETRY_MAX_DELAY_MS } from "./constants";
 import { mcpToolsToOpenAI } from "./conversationUtils";
+import { getRetryDelay } from "./streamRetry";
+import { getProvider } from "../../services/aiProvider";
+import { TYPOGRAPHY_TOOLS } from "../../services/typography";
 import logger from "../../utils/logger";
 
 // Module-level MCP client (created once at import time)
-export const mcpClient = createMCPClient({ configKey: "nfdEditorChat" });
+export const mcpClient = getProvider().createMcpClient();
 
 // Module-level OpenAI client ref — populated by the hook on first init.
 // Exported so blockAI.js can make direct completions without the agent loop.
@@ -21,11 +25,11 @@ export const openaiClientRef = { current: null };
  * Hook that handles session configuration, OpenAI client setup,
  * MCP tool discovery, and automatic token refresh.
  *
- * @return {{ configStatus: string, openaiClientRef: Object, sessionConfigRef: Object, openaiTools: Array, mcpClient: Object, abortControllerRef: Object }} Session config and client refs
+ * @return {{ configStatus: string, mcpStatus: string, reconnectMcp: Function, openaiClientRef: Object, sessionConfigRef: Object, openaiTools: Array, mcpClient: Object, abortControllerRef: Object, refreshSession: Function }} Session config and client refs
  */
 const useSessionConfig = () => {
 	const [configStatus, setConfigStatus] = useState("idle"); // idle | loading | ready | error
-	const [_mcpStatus, setMcpConnectionStatus] = useState("disconnected");
+	const [mcpStatus, setMcpConnectionStatus] = useState("disconnected"); // connecting | connected | disconnected
 	const [openaiTools, setOpenaiTools] = useState([]);
 	const [configError, setConfigError] = useState(null);
 
@@ -35,6 +39,47 @@ const useSessionConfig = () => {
 	const abortControllerRef = useRef(null);
 	const hasInitializedRef = useRef(false);
 	const refreshTimerRef = useRef(null);
+	const mcpRetryTimerRef = useRef(null);
+	const mcpRetryCountRef = useRef(0);
+
+	// ── MCP connection ──
+	// A failed connect is retried with backoff; each success re-runs listTools,
+	// so the tools come back with the connection.
+
+	const connectMcp = useCallback(async () => {
+		clearTimeout(mcpRetryTimerRef.current);
+		try {
+			setMcpConnectionStatus("connecting");
+			await mcpClient.connect();
+			await mcpClient.initialize();
+			const availableTools = await mcpClient.listTools();
+			// The typography tools run in the chat (services/typography.js).
+			setOpenaiTools([...mcpToolsToOpenAI(availableTools), ...TYPOGRAPHY_TOOLS]);
+			mcpRetryCountRef.current = 0;
+			setMcpConnectionStatus("connected");
+		} catch (err) {
+			console.error("Failed to initialize MCP:", err);
+			setMcpConnectionStatus("disconnected");
+			if (mcpRetryCountRef.current < MAX_MCP_RETRIES) {
+				const delay = getRetryDelay(
+					mcpRetryCountRef.current,
+					MCP_RETRY_BASE_DELAY_MS,
+					MCP_RETRY_MAX_DELAY_MS
+				);
+				mcpRetryCountRef.current++;
+				logger.log(`[EditorChat] MCP reconnect ${mcpRetryCountRef.current} in ${delay}ms`);
+				mcpRetryTimerRef.current = setTimeout(connectMcp, delay);
+			}
+		}
+	}, []);
+
+	// Manual reconnect from the header, with a fresh set of automatic retries.
+	const reconnectMcp = useCallback(() => {
+		mcpRetryCountRef.current = 0;
+		connectMcp();
+	}, [connectMcp]);
+
+	useEffect(() => () => clearTimeout(mcpRetryTimerRef.current), []);
 
 	// ── Initialization: config fetch + MCP ──
 
@@ -48,27 +93,9 @@ const useSessionConfig = () => {
 		const configPromise = (async () => {
 			setConfigStatus("loading");
 			try {
-				const configUrl = window.nfdEditorChat?.configEndpoint || "";
-				if (!configUrl) {
-					throw new Error("Config endpoint not configured");
-				}
-
-				const config = await apiFetch({ url: configUrl });
-				if (!config.session_token || !config.worker_url) {
-					throw new Error("Invalid config response");
-				}
-
-				sessionConfigRef.current = {
-					workerUrl: config.worker_url,
-					sessionToken: config.session_token,
-					expiresAt: Date.now() + (config.expires_in || 3600) * 1000,
-				};
-
-				openaiClientRef.current = new OpenAI({
-					apiKey: config.session_token,
-					baseURL: config.worker_url,
-					dangerouslyAllowBrowser: true,
-				});
+				const { sessionConfig, client } = await getProvider().createSession();
+				sessionConfigRef.current = sessionConfig;
+				openaiClientRef.current = client;
 
 				setConfigStatus("ready");
 			} catch (err) {
@@ -78,30 +105,39 @@ const useSessionConfig = () => {
 			}
 		})();
 
-		const mcpPromise = (async () => {
-			try {
-				setMcpConnectionStatus("connecting");
-				await mcpClient.connect();
-				await mcpClient.initialize();
-				const availableTools = await mcpClient.listTools();
-				setOpenaiTools(mcpToolsToOpenAI(availableTools));
-				setMcpConnectionStatus("connected");
-			} catch (err) {
-				console.error("Failed to initialize MCP:", err);
-				setMcpConnectionStatus("disconnected");
-			}
-		})();
-
-		await Promise.all([configPromise, mcpPromise]);
-	}, []);
+		await Promise.all([configPromise, connectMcp()]);
+	}, [connectMcp]);
 
 	useEffect(() => {
 		initialize();
 	}, [initialize]);
 
 	// ── Session token refresh ──
-	// Self-rescheduling: after each successful refresh, scheduleRefresh is
-	// called again with the new expiry so the timer keeps running.
+	// Proactive: a timer refreshes at 80% of the TTL and reschedules itself.
+	// Reactive: streamCompletion calls refreshSession when the worker answers
+	// 401 anyway (the timer doesn't run while the laptop sleeps). Concurrent
+	// callers share one request.
+
+	const refreshPromiseRef = useRef(null);
+	// scheduleRefresh is defined below and depends on refreshSession.
+	const scheduleRefreshRef = useRef(null);
+
+	const refreshSession = useCallback(() => {
+		if (!refreshPromiseRef.current) {
+			refreshPromiseRef.current = (async () => {
+				try {
+					const { sessionConfig, client } = await getProvider().createSession();
+					sessionConfigRef.current = sessionConfig;
+					openaiClientRef.current = client;
+					logger.log("[EditorChat] Session token refreshed");
+					scheduleRefreshRef.current?.();
+				} finally {
+					refreshPromiseRef.current = null;
+				}
+			})();
+		}
+		return refreshPromiseRef.current;
+	}, []);
 
 	const scheduleRefresh = useCallback(() => {
 		if (refreshTimerRef.current) {
@@ -119,29 +155,13 @@ const useSessionConfig = () => {
 			return;
 		}
 
-		refreshTimerRef.current = setTimeout(async () => {
-			try {
-				const configUrl = window.nfdEditorChat?.configEndpoint || "";
-				const newConfig = await apiFetch({ url: configUrl });
-				if (newConfig.session_token && newConfig.worker_url) {
-					sessionConfigRef.current = {
-						workerUrl: newConfig.worker_url,
-						sessionToken: newConfig.session_token,
-						expiresAt: Date.now() + (newConfig.expires_in || 3600) * 1000,
-					};
-					openaiClientRef.current = new OpenAI({
-						apiKey: newConfig.session_token,
-						baseURL: newConfig.worker_url,
-						dangerouslyAllowBrowser: true,
-					});
-					logger.log("[EditorChat] Session token refreshed");
-					scheduleRefresh();
-				}
-			} catch (err) {
+		refreshTimerRef.current = setTimeout(() => {
+			refreshSession().catch((err) => {
 				console.error("Failed to refresh session token:", err);
-			}
+			});
 		}, delay);
-	}, []);
+	}, [refreshSession]);
+	scheduleRefreshRef.current = scheduleRefresh;
 
 	useEffect(() => {
 		if (configStatus === "ready") {
@@ -157,11 +177,14 @@ const useSessionConfig = () => {
 	return {
 		configStatus,
 		configError,
+		mcpStatus,
+		reconnectMcp,
 		openaiClientRef,
 		sessionConfigRef,
 		openaiTools,
 		mcpClient,
 		abortControllerRef,
+		refreshSession,
 	};
 };
 
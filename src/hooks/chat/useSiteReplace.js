@@ -0,0 +1,86 @@
+/**
+ * useSiteReplace — the match review of a site-wide replacement.
+ *
+ * The chat loop receives `confirmSiteReplace` through the tool context and
+ * awaits it with the matches found (see toolHandlers/siteReplace.js). The
+ * matches go into the chat as a review message; the promise resolves with the
+ * keys of the entities the user approves, or an empty list when they cancel.
+ */
+import { useCallback, useRef, useState } from "@wordpress/element";
+
+import { SITE_REPLACE_MESSAGE_TYPE } from "../../services/siteWideEdit";
+import { createAbortError } from "../../utils/abortControl";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @return {{ activeSiteReplaceId: string|null, confirmSiteReplace: Function, handleConfirmSiteReplace: Function, finishSiteReplace: Function }} Review state and handlers
+ */
+const useSiteReplace = ({ setMessages }) => {
+	// Resolves the approval promise of the review on screen.
+	const confirmRef = useRef(null);
+	// Review the user can still act on: the current turn's.
+	const [activeSiteReplaceId, setActiveSiteReplaceId] = useState(null);
+
+	const setApplied = useCallback(
+		(messageId, applied) => {
+			setMessages((prev) =>
+				prev.map((m) =>
+					m.id === messageId ? { ...m, siteReplace: { ...m.siteReplace, applied } } : m
+				)
+			);
+		},
+		[setMessages]
+	);
+
+	const confirmSiteReplace = useCallback(
+		(preview, signal) =>
+			new Promise((resolve, reject) => {
+				if (signal?.aborted) {
+					reject(createAbortError());
+					return;
+				}
+				const messageId = `site-replace-${Date.now()}`;
+				setActiveSiteReplaceId(messageId);
+				setMessages((prev) => [
+					...prev,
+					{
+						id: messageId,
+						type: SITE_REPLACE_MESSAGE_TYPE,
+						role: "assistant",
+						siteReplace: preview,
+						timestamp: new Date(),
+					},
+				]);
+				const onAbort = () => {
+					confirmRef.current = null;
+					setActiveSiteReplaceId(null);
+					reject(createAbortError());
+				};
+				signal?.addEventListener("abort", onAbort, { once: true });
+				confirmRef.current = (keys) => {
+					signal?.removeEventListener("abort", onAbort);
+					confirmRef.current = null;
+					setActiveSiteReplaceId(null);
+					setApplied(messageId, keys);
+					resolve(keys);
+				};
+			}),
+		[setMessages, setApplied]
+	);
+
+	// Keys of the approved entities, or [] to change nothing.
+	const handleConfirmSiteReplace = useCallback((keys) => {
+		confirmRef.current?.(keys);
+	}, []);
+
+	// End of turn: nothing left to review.
+	const finishSiteReplace = useCallback(() => {
+		confirmRef.current = null;
+		setActiveSiteReplaceId(null);
+	}, []);
+
+	return { activeSiteReplaceId, confirmSiteReplace, handleConfirmSiteReplace, finishSiteReplace };
+};
+
+export default useSiteReplace;
@@ -0,0 +1,59 @@
+/**
+ * useTokenUsage — per-turn and per-session token totals for the chat.
+ *
+ * runChatLoop reports every model pass through `recordUsage`; the totals feed
+ * the sidebar usage footer and the `wp.hooks` action/filter the host plugin
+ * uses to track and cap usage (see services/tokenUsage.js).
+ */
+import { useCallback, useRef, useState } from "@wordpress/element";
+import { applyFilters, doAction } from "@wordpress/hooks";
+
+import { ALLOW_TURN_FILTER, EMPTY_USAGE, USAGE_ACTION, addUsage } from "../../services/tokenUsage";
+
+/**
+ * @return {{ turnUsage: Object, sessionUsage: Object, recordUsage: Function, startTurnUsage: Function, resetUsage: Function, isTurnAllowed: Function }} Usage state and handlers
+ */
+const useTokenUsage = () => {
+	const [turnUsage, setTurnUsage] = useState(EMPTY_USAGE);
+	const [sessionUsage, setSessionUsage] = useState(EMPTY_USAGE);
+	// Refs hold the running totals so back-to-back passes never add to a stale state.
+	const turnRef = useRef(EMPTY_USAGE);
+	const sessionRef = useRef(EMPTY_USAGE);
+
+	const recordUsage = useCallback((usage) => {
+		if (!usage) {
+			return;
+		}
+		turnRef.current = addUsage(turnRef.current, usage);
+		sessionRef.current = addUsage(sessionRef.current, usage);
+		setTurnUsage(turnRef.current);
+		setSessionUsage(sessionRef.current);
+		doAction(USAGE_ACTION, {
+			pass: usage,
+			turn: turnRef.current,
+			session: sessionRef.current,
+		});
+	}, []);
+
+	const startTurnUsage = useCallback(() => {
+		turnRef.current = EMPTY_USAGE;
+		setTurnUsage(EMPTY_USAGE);
+	}, []);
+
+	// A new or resumed chat is a new session.
+	const resetUsage = useCallback(() => {
+		turnRef.current = EMPTY_USAGE;
+		sessionRef.current = EMPTY_USAGE;
+		setTurnUsage(EMPTY_USAGE);
+		setSessionUsage(EMPTY_USAGE);
+	}, []);
+
+	const isTurnAllowed = useCallback(
+		() => applyFilters(ALLOW_TURN_FILTER, true, sessionRef.current) !== false,
+		[]
+	);
+
+	return { turnUsage, sessionUsage, recordUsage, startTurnUsage, resetUsage, isTurnAllowed };
+};
+
+export default useTokenUsage;
@@ -0,0 +1,99 @@
+/**
+ * useTypographyPicker — hover-to-try and click-to-apply for font pairings.
+ *
+ * Works like usePalettePicker. A preview registers the pairing's families
+ * with the font collection's own files, so nothing is installed until a
+ * pairing is applied; applying runs blu-apply-font-pairing as a turn, which
+ * installs the fonts and saves the change.
+ */
+import { useCallback, useEffect, useRef } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+
+import { previewGlobalStyles } from "../../services/globalStylesService";
+import { restoreGlobalStyles } from "../../services/restoreHandlers";
+import {
+	buildFontPairingApplyCall,
+	getTypographyUpdate,
+	resolveFontPairing,
+	toPreviewFontFamily,
+} from "../../services/typography";
+
+/**
+ * @param {Object}   deps             Dependencies.
+ * @param {Function} deps.setMessages Chat messages setter.
+ * @param {Function} deps.runToolTurn Runs tool calls as a turn; resolves with their results.
+ * @return {{ previewFontPairing: Function, endFontPairingPreview: Function, applyFontPairing: Function }} Picker handlers
+ */
+const useTypographyPicker = ({ setMessages, runToolTurn }) => {
+	// Undo data of the preview on the site, if any.
+	const previewRef = useRef(null);
+	// Bumped by every preview and end, so a collection lookup that resolves
+	// after the pointer has moved on is dropped.
+	const tokenRef = useRef(0);
+
+	const endFontPairingPreview = useCallback(() => {
+		tokenRef.current++;
+		const undoData = previewRef.current;
+		previewRef.current = null;
+		return undoData ? restoreGlobalStyles(undoData) : Promise.resolve();
+	}, []);
+
+	// Same as usePalettePicker: no preview outlives the chat.
+	useEffect(
+		() => () => {
+			endFontPairingPreview();
+		},
+		[endFontPairingPreview]
+	);
+
+	const previewFontPairing = useCallback(
+		async (pairing) => {
+			endFontPairingPreview();
+			const token = tokenRef.current;
+			let fonts;
+			try {
+				fonts = await resolveFontPairing(pairing);
+			} catch {
+				return;
+			}
+			if (token !== tokenRef.current || fonts.missing.length > 0) {
+				return;
+			}
+			const { settings, styles } = getTypographyUpdate(
+				toPreviewFontFamily(fonts.heading),
+				toPreviewFontFamily(fonts.body)
+			);
+			const result = previewGlobalStyles(settings, styles);
+			previewRef.current = result.success ? result.undoData : null;
+		},
+		[endFontPairingPreview]
+	);
+
+	const applyFontPairing = useCallback(
+		async (messageId, index, pairing) => {
+			await endFontPairingPreview();
+			const results = await runToolTurn({
+				displayMessage: sprintf(
+					/* translators: 1: heading font family, 2: body font family */
+					__("Use %1$s for headings and %2$s for text", "wp-module-editor-chat"),
+					pairing.heading,
+					pairing.body
+				),
+				prompt: `Apply font pairing ${index + 1}: ${pairing.heading} for headings, ${pairing.body} for body text.`,
+				toolCalls: [buildFontPairingApplyCall(pairing, `fonts-apply-${Date.now()}`)],
+			});
+			if (results.some((result) => !result.isError)) {
+				setMessages((prev) =>
+					prev.map((m) =>
+						m.id === messageId ? { ...m, typography: { ...m.typography, applied: index } } : m
+					)
+				);
+			}
+		},
+		[endFontPairingPreview, runToolTurn, setMessages]
+	);
+
+	return { previewFontPairing, endFontPairingPreview, applyFontPairing };
+};
+
+export default useTypographyPicker;
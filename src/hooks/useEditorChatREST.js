@@ -3,11 +3,21 @@
  *
  * Thin orchestrator that composes focused sub-modules:
  * - useSessionConfig: OpenAI client, MCP, token refresh
- * - streamCompletion: OpenAI streaming
+ * - streamCompletion: OpenAI streaming, with retry on expired tokens and dropped connections
  * - useDisplayMessages: message transformation for display
  * - chatLoop: function-calling loop (reasoning → tools → summarize)
  * - useChatSideEffects: ref syncing, save watching, active-chat persistence
- * - useChangeActions: accept/decline change handlers
+ * - useChangeActions: accept, per-turn revert and decline change handlers
+ * - useChangeReview: opt-in review mode (Apply/Skip before block writes)
+ * - usePlanApproval: opt-in plan-first mode (approve multi-step plans, live step status)
+ * - useConversationBranches: edit-and-resend past messages, switch between branches
+ * - useSectionVariants: /variants design picker (compare previews, apply one)
+ * - useSiteReplace: review of a site-wide find and replace (approve per page/part)
+ * - useAccessibilityAudit: /accessibility report, with fixes run as turns of their own
+ * - usePalettePicker: generated palettes as swatches (hover to preview, click to apply)
+ * - useTypographyPicker: suggested font pairings, previewed and applied the same way
+ * - useAuditLog: server-side audit entry for each turn that changed the editor
+ * - useChatArchive: server-side chat history (save after each turn, resume)
  */
 import { store as coreStore } from "@wordpress/core-data";
 import { useDispatch, useSelect } from "@wordpress/data";
@@ -18,14 +28,31 @@ import { CHAT_STATUS } from "./chat/constants";
 import useSessionConfig from "./chat/useSessionConfig";
 import { streamCompletion as streamCompletionFn } from "./chat/streamCompletion";
 import useDisplayMessages from "./chat/useDisplayMessages";
-import { runChatLoop, markTurnStopped } from "./chat/chatLoop";
+import { runChatLoop, runToolCallTurn, markTurnStopped } from "./chat/chatLoop";
 import useChatSideEffects from "./chat/useChatSideEffects";
 import useChangeActions from "./chat/useChangeActions";
+import useChangeReview from "./chat/useChangeReview";
+import usePlanApproval from "./chat/usePlanApproval";
+import useConversationBranches from "./chat/useConversationBranches";
+import useSectionVariants from "./chat/useSectionVariants";
+import useSiteReplace from "./chat/useSiteReplace";
+import useAccessibilityAudit from "./chat/useAccessibilityAudit";
+import usePalettePicker from "./chat/usePalettePicker";
+import useTypographyPicker from "./chat/useTypographyPicker";
+import useAuditLog from "./chat/useAuditLog";
+import useChatArchive from "./chat/useChatArchive";
+import useTokenUsage from "./chat/useTokenUsage";
 import { loadActiveChat, clearActiveChat } from "./chat/activeChatStorage";
+import { prepareResumedHistory } from "./chat/conversationUtils";
+import { getCurrentChatPost } from "../services/chatArchive";
+import { getProvider } from "../services/aiProvider";
+import { createBatch } from "../services/batchEdit";
+import { clearEditedBlocks } from "../services/contextPlanner";
 import { resetGeneratedImageCache } from "../services/toolDispatcher";
 import { setActiveImageEditTarget } from "../services/imageCache";
 import { useEditorNavigation } from "../context/editorNavigation";
 import { isAbortError } from "../utils/abortControl";
+import { getSelectedBlocks } from "../utils/editorHelpers";
 import logger from "../utils/logger";
 
 /**
@@ -53,6 +80,10 @@ const useEditorChatREST = () => {
 	const [toolProgress, setToolProgress] = useState(null);
 	const [executedTools, setExecutedTools] = useState([]);
 	const [pendingTools, setPendingTools] = useState([]);
+	// Outline of a block-writing tool call still streaming its arguments.
+	const [toolCallPreview, setToolCallPreview] = useState(null);
+	// { reason, attempt, maxAttempts } while a failed completion is being retried.
+	const [reconnecting, setReconnecting] = useState(null);
 
 	// ── Editor state ──
 	const [isSaving, setIsSaving] = useState(false);
@@ -78,16 +109,25 @@ const useEditorChatREST = () => {
 	const pendingIntentRef = useRef(null);
 	// Promise for the turn currently in flight, so a new send can wait it out.
 	const runningTurnRef = useRef(null);
+	// The last turn's session memory fold, which rewrites the history when it lands.
+	const memoryFoldRef = useRef(null);
+	// Multi-block selection the current turn edits (see services/batchEdit.js);
+	// batchProgress mirrors it for the live per-block list.
+	const batchRef = useRef(null);
+	const [batchProgress, setBatchProgress] = useState(null);
 
 	// ── Session config (handles init + token refresh) ──
 	const {
 		configStatus,
 		configError,
+		mcpStatus,
+		reconnectMcp,
 		openaiClientRef,
 		openaiTools,
 		mcpClient,
 		abortControllerRef,
 		sessionConfigRef,
+		refreshSession,
 	} = useSessionConfig();
 
 	// Surface config errors
@@ -97,6 +137,41 @@ const useEditorChatREST = () => {
 		}
 	}, [configError]);
 
+	// ── Chat archive ──
+	const { archiveIdRef, resetArchive } = useChatArchive({
+		messages,
+		conversationHistoryRef,
+		status,
+		initialArchiveId: persisted.archiveId,
+	});
+
+	// ── Review mode ──
+	const { isReviewMode, toggleReviewMode, pendingReview, requestReview } = useChangeReview();
+
+	// ── Plan-first mode ──
+	const {
+		isPlanMode,
+		togglePlanMode,
+		planRef,
+		activePlanId,
+		requestPlanApproval,
+		updatePlan,
+		handleApprovePlan,
+		handleSkipPlanStep,
+		finishPlan,
+	} = usePlanApproval({ setMessages });
+
+	// ── Section variants ──
+	const { activeVariantsId, requestVariantChoice, handleChooseVariant, finishVariants } =
+		useSectionVariants({ setMessages });
+
+	// ── Site-wide replace ──
+	const { activeSiteReplaceId, confirmSiteReplace, handleConfirmSiteReplace, finishSiteReplace } =
+		useSiteReplace({ setMessages });
+
+	// ── Audit log ──
+	const { auditTurn } = useAuditLog({ setMessages });
+
 	// ── WordPress dispatch/select ──
 	const { savePost } = useDispatch("core/editor");
 	const { saveEditedEntityRecord } = useDispatch(coreStore);
@@ -120,6 +195,10 @@ const useEditorChatREST = () => {
 
 	const getSessionConfig = useCallback(() => sessionConfigRef.current, [sessionConfigRef]);
 
+	// ── Token usage (per turn and per session) ──
+	const { turnUsage, sessionUsage, recordUsage, startTurnUsage, resetUsage, isTurnAllowed } =
+		useTokenUsage();
+
 	// ── Tool context builder (shared by executeToolCallsForREST) ──
 	const buildToolCtx = useCallback(
 		() => ({
@@ -135,12 +214,27 @@ const useEditorChatREST = () => {
 			blockSnapshotRef,
 			executedToolsRef,
 			originalGlobalStylesRef,
+			batchRef,
+			setBatchProgress,
 			getMessages: () => messagesRef.current,
 			updateProgress,
 			wait,
 			requestNavigateToContent,
+			// Absent when review mode is off, so block tools write straight through.
+			reviewChange: isReviewMode ? requestReview : null,
+			chooseVariant: requestVariantChoice,
+			confirmSiteReplace,
 		}),
-		[mcpClient, openaiClientRef, updateProgress, requestNavigateToContent]
+		[
+			mcpClient,
+			openaiClientRef,
+			updateProgress,
+			requestNavigateToContent,
+			isReviewMode,
+			requestReview,
+			requestVariantChoice,
+			confirmSiteReplace,
+		]
 	);
 
 	// ── Streaming (bind deps to plain function) ──
@@ -150,8 +244,23 @@ const useEditorChatREST = () => {
 				openaiClientRef,
 				abortControllerRef,
 				setMessages,
+				setToolCallPreview,
+				refreshSession,
+				onReconnecting: setReconnecting,
+			}),
+		[openaiClientRef, abortControllerRef, setMessages, refreshSession]
+	);
+
+	// Session memory folds run between turns: no chat messages, tool call
+	// preview or reconnect notice, so they never show in the next turn.
+	const streamMemoryCompletion = useCallback(
+		(msgs, tools, options) =>
+			streamCompletionFn(msgs, tools, options, {
+				openaiClientRef,
+				abortControllerRef,
+				refreshSession,
 			}),
-		[openaiClientRef, abortControllerRef, setMessages]
+		[openaiClientRef, abortControllerRef, refreshSession]
 	);
 
 	// ── Derived state ──
@@ -168,6 +277,7 @@ const useEditorChatREST = () => {
 		pendingTools,
 		executedTools,
 		toolProgress,
+		batchProgress,
 	});
 
 	// ── Side effects ──
@@ -175,6 +285,7 @@ const useEditorChatREST = () => {
 		messages,
 		messagesRef,
 		conversationHistoryRef,
+		archiveIdRef,
 		status,
 		executedTools,
 		executedToolsRef,
@@ -192,12 +303,23 @@ const useEditorChatREST = () => {
 			messageContent,
 			displayMessage = messageContent,
 			editClientId = null,
-			attachments = []
+			attachments = [],
+			command = null,
+			branch = null
 		) => {
 			if (!openaiClientRef.current || configStatus !== "ready") {
 				setError("Chat is not ready. Please wait for initialization.");
 				return;
 			}
+			if (!isTurnAllowed()) {
+				setError(
+					__(
+						"You've reached your AI usage limit for now. Please try again later.",
+						"wp-module-editor-chat"
+					)
+				);
+				return;
+			}
 
 			setWasStopped(false);
 
@@ -212,10 +334,17 @@ const useEditorChatREST = () => {
 			setActiveToolCall(null);
 			setToolProgress(null);
 			setError(null);
+			startTurnUsage();
+			// Each turn gets its own undo snapshot, taken before its first write.
+			blockSnapshotRef.current = null;
+			originalGlobalStylesRef.current = null;
 			resetGeneratedImageCache();
 			// Record the image block being edited AFTER the reset, so the dispatcher
 			// can route generate→edit even though the chat sidebar steals selection.
 			setActiveImageEditTarget(editClientId);
+			const selectedBlocks = getSelectedBlocks();
+			batchRef.current = selectedBlocks.length > 1 ? createBatch(selectedBlocks) : null;
+			setBatchProgress(batchRef.current);
 
 			const requestStart = performance.now();
 			// Rollback point for a stopped turn — runChatLoop appends from here.
@@ -229,11 +358,22 @@ const useEditorChatREST = () => {
 					setStatus,
 					openaiTools,
 					streamCompletion,
+					streamMemoryCompletion,
+					memoryFoldRef,
 					buildToolCtx,
 					abortControllerRef,
 					displayMessage,
 					attachments,
 					getSessionConfig,
+					classifyUserIntent: getProvider().classifyIntent,
+					command,
+					batchRef,
+					onUsage: recordUsage,
+					planRef,
+					// Absent when plan mode is off, so multi-step requests run straight away.
+					requestPlanApproval: isPlanMode ? requestPlanApproval : null,
+					updatePlan,
+					branch,
 				});
 
 				logger.debug(
@@ -246,7 +386,12 @@ const useEditorChatREST = () => {
 				// run it here.
 				if (isAbortError(err, turnController.signal)) {
 					logger.log("[EditorChat] Request aborted");
-					markTurnStopped(conversationHistoryRef, pendingIntentRef, historyStartLength);
+					markTurnStopped(
+						conversationHistoryRef,
+						pendingIntentRef,
+						historyStartLength,
+						setMessages
+					);
 					setStatus(CHAT_STATUS.IDLE);
 					return;
 				}
@@ -268,6 +413,15 @@ const useEditorChatREST = () => {
 				setActiveToolCall(null);
 				setToolProgress(null);
 				setPendingTools([]);
+				setToolCallPreview(null);
+				setReconnecting(null);
+				// The turn's tool_execution message keeps the final batch state.
+				batchRef.current = null;
+				setBatchProgress(null);
+				finishPlan();
+				finishVariants();
+				finishSiteReplace();
+				auditTurn(displayMessage);
 			}
 		},
 		[
@@ -275,59 +429,169 @@ const useEditorChatREST = () => {
 			openaiClientRef,
 			openaiTools,
 			streamCompletion,
+			streamMemoryCompletion,
 			buildToolCtx,
 			abortControllerRef,
 			getSessionConfig,
+			isTurnAllowed,
+			startTurnUsage,
+			recordUsage,
+			planRef,
+			isPlanMode,
+			requestPlanApproval,
+			updatePlan,
+			finishPlan,
+			finishVariants,
+			finishSiteReplace,
+			auditTurn,
 		]
 	);
 
+	// Turns run one at a time. Stop sets IDLE immediately, which re-enables the
+	// input while the previous turn is still unwinding — an in-flight ability
+	// has to resolve before it can exit. Two loops sharing conversationHistoryRef
+	// corrupt it, so wait the previous one out (aborting to hurry it along).
+	const waitForRunningTurn = useCallback(async () => {
+		const previous = runningTurnRef.current;
+		if (previous) {
+			abortControllerRef.current?.abort();
+			// Swallow: a failed previous turn must not block this one forever.
+			await previous.catch(() => {});
+		}
+		// Not aborted: the fold is what carries the older turns forward.
+		await memoryFoldRef.current;
+	}, [abortControllerRef]);
+
 	// ── handleSendMessage ──
 	const handleSendMessage = useCallback(
 		async (
 			messageContent,
 			displayMessage = messageContent,
 			editClientId = null,
-			attachments = []
+			attachments = [],
+			command = null,
+			branch = null
 		) => {
-			// Turns run one at a time. Stop sets IDLE immediately, which re-enables the
-			// input while the previous turn is still unwinding — an in-flight ability
-			// has to resolve before it can exit. Two loops sharing conversationHistoryRef
-			// corrupt it, so wait the previous one out (aborting to hurry it along).
-			const previous = runningTurnRef.current;
-			if (previous) {
-				abortControllerRef.current?.abort();
-				// Swallow: a failed previous turn must not block this one forever.
-				await previous.catch(() => {});
+			await waitForRunningTurn();
+
+			const turn = runTurn(
+				messageContent,
+				displayMessage,
+				editClientId,
+				attachments,
+				command,
+				branch
+			);
+			runningTurnRef.current = turn;
+			try {
+				await turn;
+			} finally {
+				if (runningTurnRef.current === turn) {
+					runningTurnRef.current = null;
+				}
 			}
+		},
+		[runTurn, waitForRunningTurn]
+	);
+
+	// ── A turn of known tool calls (accessibility fixes): no model pass ──
+	// The calls still go through the executor, so the turn gets its actions
+	// list, undo data and audit entry like any other.
+	const runToolTurn = useCallback(
+		async ({ displayMessage, prompt, toolCalls }) => {
+			await waitForRunningTurn();
+
+			const turn = (async () => {
+				setWasStopped(false);
+				const turnController = new AbortController();
+				abortControllerRef.current = turnController;
+
+				setExecutedTools([]);
+				executedToolsRef.current = [];
+				setError(null);
+				blockSnapshotRef.current = null;
+				originalGlobalStylesRef.current = null;
+				batchRef.current = null;
+				if (isFirstMessageRef.current) {
+					conversationHistoryRef.current = [];
+					isFirstMessageRef.current = false;
+				}
+				setMessages((prev) => [
+					...prev,
+					{
+						id: `user-${Date.now()}`,
+						type: "user",
+						role: "user",
+						content: displayMessage,
+						timestamp: new Date(),
+					},
+				]);
 
-			const turn = runTurn(messageContent, displayMessage, editClientId, attachments);
+				try {
+					const results = await runToolCallTurn(prompt, toolCalls, {
+						conversationHistoryRef,
+						setMessages,
+						toolCtx: { ...buildToolCtx(), abortSignal: turnController.signal },
+					});
+					setStatus(CHAT_STATUS.COMPLETED);
+					setTimeout(() => setStatus(CHAT_STATUS.IDLE), 500);
+					return results;
+				} catch (err) {
+					if (isAbortError(err, turnController.signal)) {
+						logger.log("[EditorChat] Tool turn aborted");
+						setStatus(CHAT_STATUS.IDLE);
+						return [];
+					}
+					console.error("[EditorChat] Error running tool turn:", err);
+					setError(err.message);
+					setStatus(CHAT_STATUS.ERROR);
+					return [];
+				} finally {
+					setActiveToolCall(null);
+					setToolProgress(null);
+					setPendingTools([]);
+					auditTurn(displayMessage);
+				}
+			})();
 			runningTurnRef.current = turn;
 			try {
-				await turn;
+				return await turn;
 			} finally {
 				if (runningTurnRef.current === turn) {
 					runningTurnRef.current = null;
 				}
 			}
 		},
-		[runTurn, abortControllerRef]
+		[waitForRunningTurn, abortControllerRef, buildToolCtx, auditTurn]
 	);
 
-	// ── handleNewChat ──
-	const handleNewChat = useCallback(() => {
-		// Drop the persisted active chat — we're starting fresh.
-		clearActiveChat();
+	// ── /accessibility report and fixes ──
+	const { runAccessibilityAudit, showA11yFinding, fixA11yFindings } = useAccessibilityAudit({
+		setMessages,
+		runToolTurn,
+	});
+
+	// ── Palette picker (swatches of generated palettes) ──
+	const { previewPalette, endPalettePreview, applyPalette } = usePalettePicker({
+		setMessages,
+		runToolTurn,
+	});
+
+	// ── Typography picker (suggested font pairings) ──
+	const { previewFontPairing, endFontPairingPreview, applyFontPairing } = useTypographyPicker({
+		setMessages,
+		runToolTurn,
+	});
 
-		// Reset everything
+	// ── Shared reset for starting over and switching chats ──
+	const resetChatState = useCallback(() => {
 		resetGeneratedImageCache();
-		setMessages([]);
-		conversationHistoryRef.current = [];
-		isFirstMessageRef.current = true;
 		pendingIntentRef.current = null;
 		setHasGlobalStylesChanges(false);
 		setExecutedTools([]);
 		executedToolsRef.current = [];
 		setPendingTools([]);
+		setToolCallPreview(null);
 		setActiveToolCall(null);
 		setToolProgress(null);
 		setError(null);
@@ -335,7 +599,61 @@ const useEditorChatREST = () => {
 		setStatus(CHAT_STATUS.IDLE);
 		originalGlobalStylesRef.current = null;
 		blockSnapshotRef.current = null;
-	}, []);
+		resetUsage();
+		finishPlan();
+		finishVariants();
+		finishSiteReplace();
+		endPalettePreview();
+		endFontPairingPreview();
+	}, [
+		resetUsage,
+		finishPlan,
+		finishVariants,
+		finishSiteReplace,
+		endPalettePreview,
+		endFontPairingPreview,
+	]);
+
+	// ── handleNewChat ──
+	const handleNewChat = useCallback(() => {
+		// Drop the persisted active chat — we're starting fresh. Its archive entry stays.
+		clearActiveChat();
+		resetArchive();
+		resetChatState();
+		clearEditedBlocks();
+		setMessages([]);
+		conversationHistoryRef.current = [];
+		isFirstMessageRef.current = true;
+	}, [resetArchive, resetChatState]);
+
+	// ── handleResumeChat ──
+	const handleResumeChat = useCallback(
+		(chat) => {
+			resetArchive(chat.id);
+			resetChatState();
+			// Undo snapshots belong to the session that recorded them.
+			setMessages(
+				(chat.messages || []).map(
+					({ hasActions: _hasActions, undoData: _undoData, ...rest }) => rest
+				)
+			);
+			conversationHistoryRef.current = prepareResumedHistory(chat.history);
+			isFirstMessageRef.current = conversationHistoryRef.current.length === 0;
+
+			// Rebuild the editor context where the chat was held: the next turn's
+			// editor_context then describes the same page the conversation is about.
+			const current = getCurrentChatPost();
+			const postId = Number(chat.post_id);
+			if (
+				["page", "post"].includes(chat.post_type) &&
+				postId > 0 &&
+				(chat.post_type !== current.post_type || chat.post_id !== current.post_id)
+			) {
+				requestNavigateToContent(chat.post_type, postId);
+			}
+		},
+		[resetArchive, resetChatState, requestNavigateToContent]
+	);
 
 	// ── handleStopRequest ──
 	const handleStopRequest = useCallback(() => {
@@ -346,13 +664,21 @@ const useEditorChatREST = () => {
 		setActiveToolCall(null);
 		setToolProgress(null);
 		setPendingTools([]);
+		setToolCallPreview(null);
 		setError(null);
 		setMessages((prev) => prev.map((m) => (m.isStreaming ? { ...m, isStreaming: false } : m)));
 		setStatus(CHAT_STATUS.IDLE);
 	}, [abortControllerRef, setMessages]);
 
-	// ── Accept / Decline changes ──
-	const { handleAcceptChanges, handleDeclineChanges } = useChangeActions({
+	// ── Accept / Revert / Decline changes ──
+	const {
+		handleAcceptChanges,
+		handleDeclineChanges,
+		handleRevertTurn,
+		handleUndoLastTurn,
+		revertTurnsFrom,
+		getDependentTurns,
+	} = useChangeActions({
 		messages,
 		setMessages,
 		setIsSaving,
@@ -365,6 +691,16 @@ const useEditorChatREST = () => {
 		__experimentalGetCurrentGlobalStylesId,
 	});
 
+	// ── Edit-and-resend / branches ──
+	const { handleEditMessage, handleSwitchBranch } = useConversationBranches({
+		setMessages,
+		conversationHistoryRef,
+		pendingIntentRef,
+		waitForRunningTurn,
+		revertTurnsFrom,
+		sendMessage: handleSendMessage,
+	});
+
 	// Suppress unused — wired up via ChatMessages action buttons
 	void handleAcceptChanges;
 	void handleDeclineChanges;
@@ -380,9 +716,41 @@ const useEditorChatREST = () => {
 		executedTools,
 		pendingTools,
 		wasStopped,
+		reconnecting,
+		connection: { configStatus, mcpStatus, openaiTools, onReconnect: reconnectMcp },
 		handleSendMessage,
 		handleNewChat,
+		handleResumeChat,
 		handleStopRequest,
+		handleRevertTurn,
+		handleUndoLastTurn,
+		getDependentTurns,
+		handleEditMessage,
+		handleSwitchBranch,
+		isReviewMode,
+		toggleReviewMode,
+		pendingReview,
+		isPlanMode,
+		togglePlanMode,
+		activePlanId,
+		handleApprovePlan,
+		handleSkipPlanStep,
+		activeVariantsId,
+		handleChooseVariant,
+		activeSiteReplaceId,
+		handleConfirmSiteReplace,
+		runAccessibilityAudit,
+		showA11yFinding,
+		fixA11yFindings,
+		previewPalette,
+		endPalettePreview,
+		applyPalette,
+		previewFontPairing,
+		endFontPairingPreview,
+		applyFontPairing,
+		turnUsage,
+		sessionUsage,
+		toolCallPreview,
 	};
 };
 
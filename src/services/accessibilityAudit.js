@@ -0,0 +1,518 @@
+/**
+ * Accessibility audit — the /accessibility command.
+ *
+ * Walks the open page's blocks (getCurrentPageBlocks(), template parts
+ * included) in document order and reports four kinds of problem: images
+ * without alt text, skipped heading levels, buttons and links whose text says
+ * nothing out of context ("click here"), and text colors below WCAG AA against
+ * their background. Colors resolve through the global styles palette; a
+ * combination that can't be resolved (gradients, images, theme button styles)
+ * is left out rather than guessed.
+ *
+ * A finding names its block, which the chat highlights with blu-highlight-block,
+ * and, when the page itself says what the fix should be, carries the tool calls
+ * that make it. Those run through the regular tool executor, so a fix is a turn
+ * the user can revert like any other.
+ */
+import { serialize } from "@wordpress/blocks";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+import {
+	getContrastRatio,
+	resolvePaletteColor,
+	WCAG_AA_LARGE,
+	WCAG_AA_NORMAL,
+} from "../utils/colorContrast";
+import { resolveAlt, setAltForImageSrc } from "../utils/imageAlt";
+
+/** Message type of the audit report in the chat transcript. */
+export const A11Y_AUDIT_MESSAGE_TYPE = "a11y_audit";
+
+/** Kinds of finding, in the order the report lists them. */
+export const A11Y_FINDING_KINDS = ["image-alt", "heading-order", "link-text", "contrast"];
+
+/** Link and button texts that mean nothing read on their own, lowercased, punctuation stripped. */
+const VAGUE_LINK_TEXTS = new Set([
+	"click",
+	"click here",
+	"continue",
+	"details",
+	"find out more",
+	"go",
+	"here",
+	"learn more",
+	"link",
+	"more",
+	"more info",
+	"read more",
+	"see more",
+	"this",
+	"this link",
+]);
+
+/** Words of a file name that say nothing about the picture. */
+const FILENAME_NOISE = /^(img|dsc|dscn|pxl|image|screenshot|copy|edited|final|scaled|unsplash)$/i;
+
+/** Palette slugs block themes use for the page's own background and text colors. */
+const PAGE_BACKGROUND_SLUGS = ["base", "background", "white"];
+const PAGE_TEXT_SLUGS = ["contrast", "foreground", "black"];
+
+/** Longest heading text quoted in a rewritten link. */
+const MAX_HEADING_CONTEXT = 60;
+
+/**
+ * Plain text of a rich text value.
+ *
+ * @param {*} value String or RichTextData.
+ * @return {string} Text without tags, whitespace collapsed.
+ */
+function toPlainText(value) {
+	const html = typeof value?.toHTMLString === "function" ? value.toHTMLString() : value;
+	return typeof html === "string"
+		? html
+				.replace(/<[^>]*>/g, "")
+				.replace(/&nbsp;/g, " ")
+				.replace(/&amp;/g, "&")
+				.replace(/\s+/g, " ")
+				.trim()
+		: "";
+}
+
+/**
+ * Whether a link or button text is one of the vague ones.
+ *
+ * @param {string} text Plain text.
+ * @return {boolean} True when it says nothing about the destination.
+ */
+function isVagueLinkText(text) {
+	const normalized = text
+		.toLowerCase()
+		.replace(/[^a-z0-9\s]/g, "")
+		.replace(/\s+/g, " ")
+		.trim();
+	return VAGUE_LINK_TEXTS.has(normalized);
+}
+
+/**
+ * A descriptive replacement for a vague link text, from the section heading it
+ * sits under: "Read more" → "Read more about Our services".
+ *
+ * @param {string} text    The vague text.
+ * @param {string} heading Text of the nearest heading above it.
+ * @return {string} New link text.
+ */
+function describeLinkText(text, heading) {
+	let topic = heading;
+	if (topic.length > MAX_HEADING_CONTEXT) {
+		topic = topic.slice(0, MAX_HEADING_CONTEXT).replace(/\s+\S*$/, "");
+	}
+	topic = topic.replace(/[\s,;:.!?\-–—]+$/, "");
+	return /more|details|continue/i.test(text)
+		? sprintf(
+				/* translators: 1: vague link text such as "Read more", 2: heading of the section */
+				__("%1$s about %2$s", "wp-module-editor-chat"),
+				text,
+				topic
+			)
+		: sprintf(
+				/* translators: %s: heading of the section the link is in */
+				__("Learn more about %s", "wp-module-editor-chat"),
+				topic
+			);
+}
+
+/**
+ * Alt text read off an image file name, when the name is made of words:
+ * "team-at-work-1024x768.jpg" → "Team at work". Camera names (IMG_2041.jpg)
+ * yield nothing.
+ *
+ * @param {string} url Image URL.
+ * @return {string} Alt text, or "".
+ */
+function altFromFileName(url) {
+	let file = "";
+	try {
+		file = decodeURIComponent(String(url).split(/[?#]/)[0].split("/").pop() || "");
+	} catch {
+		return "";
+	}
+	const words = file
+		.replace(/\.[a-z0-9]+$/i, "")
+		.replace(/-\d+x\d+$/, "")
+		.split(/[\s._-]+/)
+		.filter((word) => /^[a-z]+$/i.test(word) && !FILENAME_NOISE.test(word));
+	if (words.length < 2) {
+		return "";
+	}
+	const text = words.join(" ").toLowerCase();
+	return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * blu-update-block-attrs call for a fix.
+ *
+ * @param {string} id         Tool call id.
+ * @param {string} clientId   Block to update.
+ * @param {Object} attributes Attribute patch.
+ * @return {Object} Tool call.
+ */
+const updateAttrsCall = (id, clientId, attributes) => ({
+	id,
+	name: "blu-update-block-attrs",
+	arguments: JSON.stringify({ client_id: clientId, attributes }),
+});
+
+/**
+ * The page's own colors, for blocks that set only one side of a pair.
+ *
+ * @param {Array} palette Palette entries.
+ * @return {{ text: string|null, background: string|null }} Resolved colors.
+ */
+function getPageColors(palette) {
+	const first = (slugs) =>
+		slugs.map((slug) => resolvePaletteColor(slug, palette)).find(Boolean) || null;
+	return { text: first(PAGE_TEXT_SLUGS), background: first(PAGE_BACKGROUND_SLUGS) };
+}
+
+/**
+ * Text and background a block sets itself. A gradient or image background
+ * makes the background unknown for the block and everything inside it.
+ *
+ * @param {Object} block   Block.
+ * @param {Array}  palette Palette entries.
+ * @return {{ text?: string|null, background?: string|null }} Only the sides the block sets.
+ */
+function getOwnColors(block, palette) {
+	const attributes = block.attributes || {};
+	const style = attributes.style || {};
+	const own = {};
+	const text = attributes.textColor || style.color?.text;
+	if (text) {
+		own.text = resolvePaletteColor(text, palette);
+	}
+	if (
+		block.name === "core/cover" ||
+		attributes.gradient ||
+		style.color?.gradient ||
+		style.background?.backgroundImage
+	) {
+		own.background = null;
+	} else {
+		const background = attributes.backgroundColor || style.color?.background;
+		if (background) {
+			own.background = resolvePaletteColor(background, palette);
+		}
+	}
+	return own;
+}
+
+/**
+ * Whether a block or anything inside it shows text.
+ *
+ * @param {Object} block Block.
+ * @return {boolean} True when there is text to read.
+ */
+function hasText(block) {
+	const { content, text, label, value, citation } = block.attributes || {};
+	return (
+		[content, text, label, value, citation].some((field) => toPlainText(field) !== "") ||
+		(block.innerBlocks || []).some(hasText)
+	);
+}
+
+/**
+ * Audit the page.
+ *
+ * @param {Array} blocks  Page blocks, as getCurrentPageBlocks() returns them.
+ * @param {Array} palette Global styles palette (getCurrentGlobalStyles().palette).
+ * @return {Array<{ id: string, kind: string, clientId: string, blockName: string, excerpt: string, message: string, fix: { label: string, toolCalls: Array }|null }>} Findings, grouped by kind, page order within each.
+ */
+export function auditAccessibility(blocks, palette = []) {
+	const findings = [];
+	// The page title is the h1, whether or not a post-title block is on the canvas.
+	let previousLevel = 1;
+	let headingText = "";
+
+	const report = (kind, block, excerpt, message, fix = null) => {
+		const id = `${kind}:${block.clientId}`;
+		findings.push({
+			id,
+			kind,
+			clientId: block.clientId,
+			blockName: block.name,
+			excerpt,
+			message,
+			fix: fix
+				? { label: fix.label, toolCalls: fix.toolCalls(`a11y-${kind}-${block.clientId}`) }
+				: null,
+		});
+	};
+
+	const checkImage = (block) => {
+		const attributes = block.attributes || {};
+		let url = "";
+		let attribute = "alt";
+		if (block.name === "core/image") {
+			url = attributes.url;
+		} else if (block.name === "core/media-text" && (attributes.mediaType || "image") === "image") {
+			url = attributes.mediaUrl;
+			attribute = "mediaAlt";
+		}
+		if (!url || String(attributes[attribute] || "").trim()) {
+			return;
+		}
+		const alt = resolveAlt(
+			toPlainText(attributes.caption) || attributes.title || altFromFileName(url)
+		);
+		report(
+			"image-alt",
+			block,
+			url.split("/").pop(),
+			__("Image has no alt text.", "wp-module-editor-chat"),
+			alt && {
+				label: sprintf(
+					/* translators: %s: proposed alt text */
+					__("Set alt text to “%s”", "wp-module-editor-chat"),
+					alt
+				),
+				toolCalls: (id) => [updateAttrsCall(id, block.clientId, { [attribute]: alt })],
+			}
+		);
+	};
+
+	const checkHtmlImages = (block) => {
+		const content = String(block.attributes?.content || "");
+		// alt="" is a deliberate "decorative"; only a missing attribute is a problem.
+		const missing = (content.match(/<img\b[^>]*>/gi) || []).filter(
+			(tag) => !/\balt\s*=/i.test(tag)
+		);
+		if (missing.length === 0) {
+			return;
+		}
+		let fixed = content;
+		let fixedCount = 0;
+		for (const tag of missing) {
+			const src = /\bsrc\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1];
+			const alt = src && resolveAlt(altFromFileName(src));
+			if (alt) {
+				fixed = setAltForImageSrc(fixed, src, alt);
+				fixedCount++;
+			}
+		}
+		report(
+			"image-alt",
+			block,
+			__("Custom HTML", "wp-module-editor-chat"),
+			sprintf(
+				/* translators: %d: number of images */
+				_n(
+					"%d image has no alt text.",
+					"%d images have no alt text.",
+					missing.length,
+					"wp-module-editor-chat"
+				),
+				missing.length
+			),
+			fixedCount > 0 && {
+				label: sprintf(
+					/* translators: %d: number of images */
+					_n(
+						"Add alt text from the file name to %d image",
+						"Add alt text from the file names to %d images",
+						fixedCount,
+						"wp-module-editor-chat"
+					),
+					fixedCount
+				),
+				toolCalls: (id) => [
+					{
+						id,
+						name: "blu-edit-block",
+						arguments: JSON.stringify({
+							client_id: block.clientId,
+							block_content: serialize({
+								...block,
+								attributes: { ...block.attributes, content: fixed },
+							}),
+						}),
+					},
+				],
+			}
+		);
+	};
+
+	const checkHeading = (block) => {
+		const level = Number(block.attributes?.level) || (block.name === "core/post-title" ? 1 : 2);
+		const text = toPlainText(block.attributes?.content);
+		if (level > previousLevel + 1) {
+			const target = previousLevel + 1;
+			report(
+				"heading-order",
+				block,
+				text,
+				sprintf(
+					/* translators: 1: heading level, 2: level of the heading before it */
+					__("Heading level %1$d follows level %2$d, skipping a level.", "wp-module-editor-chat"),
+					level,
+					previousLevel
+				),
+				block.name === "core/heading" && {
+					label: sprintf(
+						/* translators: %d: heading level */
+						__("Make it a level %d heading", "wp-module-editor-chat"),
+						target
+					),
+					toolCalls: (id) => [updateAttrsCall(id, block.clientId, { level: target })],
+				}
+			);
+		}
+		previousLevel = level;
+		if (text && !isVagueLinkText(text)) {
+			headingText = text;
+		}
+	};
+
+	const checkLinkText = (block) => {
+		const attributes = block.attributes || {};
+		const field = { "core/button": "text", "core/navigation-link": "label" }[block.name];
+		if (field) {
+			const text = toPlainText(attributes[field]);
+			if (!isVagueLinkText(text)) {
+				return;
+			}
+			const replacement = headingText && describeLinkText(text, headingText);
+			report(
+				"link-text",
+				block,
+				text,
+				sprintf(
+					/* translators: %s: link or button text */
+					__("“%s” doesn't say where the link goes.", "wp-module-editor-chat"),
+					text
+				),
+				replacement && {
+					label: sprintf(
+						/* translators: %s: new link text */
+						__("Change to “%s”", "wp-module-editor-chat"),
+						replacement
+					),
+					toolCalls: (id) => [updateAttrsCall(id, block.clientId, { [field]: replacement })],
+				}
+			);
+			return;
+		}
+
+		const content = attributes.content;
+		const html = typeof content?.toHTMLString === "function" ? content.toHTMLString() : content;
+		if (typeof html !== "string" || !html.includes("<a")) {
+			return;
+		}
+		const anchor = /(<a\b[^>]*>)([\s\S]*?)(<\/a>)/gi;
+		const vague = [...html.matchAll(anchor)]
+			.map((match) => toPlainText(match[2]))
+			.filter(isVagueLinkText);
+		if (vague.length === 0) {
+			return;
+		}
+		const fixed = html.replace(anchor, (match, open, inner, close) => {
+			const text = toPlainText(inner);
+			return isVagueLinkText(text)
+				? `${open}${describeLinkText(text, headingText)}${close}`
+				: match;
+		});
+		report(
+			"link-text",
+			block,
+			toPlainText(html),
+			sprintf(
+				/* translators: %s: link text */
+				_n(
+					"The link “%s” doesn't say where it goes.",
+					"Links like “%s” don't say where they go.",
+					vague.length,
+					"wp-module-editor-chat"
+				),
+				vague[0]
+			),
+			headingText && {
+				label: sprintf(
+					/* translators: %s: heading the links are rewritten after */
+					__("Describe the link with “%s”", "wp-module-editor-chat"),
+					headingText.slice(0, MAX_HEADING_CONTEXT)
+				),
+				toolCalls: (id) => [updateAttrsCall(id, block.clientId, { content: fixed })],
+			}
+		);
+	};
+
+	const checkContrast = (block, colors, own) => {
+		if (!("text" in own) && !("background" in own)) {
+			return;
+		}
+		const ratio = getContrastRatio(colors.text, colors.background);
+		if (ratio === null || !hasText(block)) {
+			return;
+		}
+		const isLarge =
+			(block.name === "core/heading" && (Number(block.attributes?.level) || 2) <= 3) ||
+			block.name === "core/post-title" ||
+			block.name === "core/site-title";
+		const minimum = isLarge ? WCAG_AA_LARGE : WCAG_AA_NORMAL;
+		if (ratio >= minimum) {
+			return;
+		}
+		const best = palette
+			.map((entry) => ({ entry, ratio: getContrastRatio(entry?.color, colors.background) }))
+			.filter((candidate) => candidate.ratio !== null && candidate.ratio >= minimum)
+			.sort((a, b) => b.ratio - a.ratio)[0];
+		report(
+			"contrast",
+			block,
+			toPlainText(block.attributes?.content || block.attributes?.text),
+			sprintf(
+				/* translators: 1: contrast ratio, 2: minimum ratio */
+				__("Text contrast is %1$s:1, below the %2$s:1 minimum.", "wp-module-editor-chat"),
+				ratio,
+				minimum
+			),
+			best && {
+				label: sprintf(
+					/* translators: 1: palette color name, 2: contrast ratio */
+					__("Use “%1$s” for the text (%2$s:1)", "wp-module-editor-chat"),
+					best.entry.name || best.entry.slug,
+					best.ratio
+				),
+				toolCalls: (id) => [updateAttrsCall(id, block.clientId, { textColor: best.entry.slug })],
+			}
+		);
+	};
+
+	const pageColors = getPageColors(palette);
+	const visit = (block, inherited) => {
+		if (!block?.name) {
+			return;
+		}
+		if (block.name === "core/image" || block.name === "core/media-text") {
+			checkImage(block);
+		} else if (block.name === "core/html") {
+			checkHtmlImages(block);
+		} else if (block.name === "core/heading" || block.name === "core/post-title") {
+			checkHeading(block);
+		}
+		checkLinkText(block);
+
+		const own = getOwnColors(block, palette);
+		// Buttons paint their own text and background from the theme's button
+		// styles, which the page colors say nothing about.
+		const colors =
+			block.name === "core/button"
+				? { text: own.text ?? null, background: own.background ?? null }
+				: { ...inherited, ...own };
+		checkContrast(block, colors, own);
+
+		(block.innerBlocks || []).forEach((inner) => visit(inner, colors));
+	};
+	(blocks || []).forEach((block) => visit(block, pageColors));
+
+	return A11Y_FINDING_KINDS.flatMap((kind) => findings.filter((finding) => finding.kind === kind));
+}
@@ -0,0 +1,37 @@
+/**
+ * AI provider selection.
+ *
+ * A provider supplies everything the chat needs from the outside world:
+ *
+ *   - createMcpClient()  → client with connect, initialize, listTools, callTool
+ *   - createSession()    → Promise<{ sessionConfig, client }>, where client is
+ *                          OpenAI-compatible (chat.completions.create, streaming)
+ *   - classifyIntent(message, sessionConfig, signal) → Promise<intent>
+ *
+ * The worker provider is the default. Setting NFD_EDITOR_CHAT_PROVIDER to
+ * "fixture" in wp-config.php swaps in the scripted offline provider, fed from
+ * the JSON file named by NFD_EDITOR_CHAT_FIXTURE.
+ */
+import { createFixtureProvider } from "./providers/fixtureProvider";
+import workerProvider from "./providers/workerProvider";
+import logger from "../utils/logger";
+
+let activeProvider = null;
+
+/**
+ * The provider for this page load, chosen once from the localized config.
+ *
+ * @return {Object} Active provider.
+ */
+export function getProvider() {
+	if (!activeProvider) {
+		const config = window.nfdEditorChat || {};
+		if (config.provider === "fixture") {
+			logger.warn("[EditorChat] Using the fixture AI provider — responses are scripted");
+			activeProvider = createFixtureProvider(config.fixture || {});
+		} else {
+			activeProvider = workerProvider;
+		}
+	}
+	return activeProvider;
+}
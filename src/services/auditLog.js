@@ -0,0 +1,115 @@
+/**
+ * Audit log — who asked the chat to change what.
+ *
+ * Once a turn that changed the editor has finished, its prompt, the tools it
+ * ran (with their target blocks) and SHA-256 hashes of the markup before and
+ * after each change are sent to the `nfd-editor-chat/v1/audit` route, filed
+ * under the post open in the editor. Administrators read the log per post,
+ * with a link to the revision that saved the change.
+ */
+import apiFetch from "@wordpress/api-fetch";
+import { addQueryArgs } from "@wordpress/url";
+
+import { getTurnChangeMarkup } from "./changeHistory";
+import { getCurrentChatPost } from "./chatArchive";
+import { getToolTarget } from "../hooks/chat/useDisplayMessages";
+
+const AUDIT_PATH = "/nfd-editor-chat/v1/audit";
+
+/** Whether the current user can read the audit log (administrators). */
+export const canViewAuditLog = () => window.nfdEditorChat?.auditLog?.canView === true;
+
+/**
+ * SHA-256 of a markup string, as hex.
+ *
+ * @param {string|null} markup Markup, or null when there is none (e.g. before an add).
+ * @return {Promise<string|null>} Digest, or null without markup or Web Crypto (plain-http admin).
+ */
+async function hashMarkup(markup) {
+	const subtle = window.crypto?.subtle;
+	if (typeof markup !== "string" || !subtle) {
+		return null;
+	}
+	const digest = await subtle.digest("SHA-256", new TextEncoder().encode(markup));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The current turn's tool_execution message, when the turn changed anything.
+ *
+ * @param {Array} messages Raw chat messages.
+ * @return {Object|null} Message with the turn's executedTools and undoData.
+ */
+export function findTurnChangesMessage(messages) {
+	for (let i = messages.length - 1; i >= 0; i--) {
+		if (messages[i].role === "user") {
+			return null;
+		}
+		if (messages[i].type === "tool_execution") {
+			return messages[i].undoData ? messages[i] : null;
+		}
+	}
+	return null;
+}
+
+/**
+ * The audit entry for a finished turn.
+ *
+ * @param {string} prompt      What the user asked, as they typed it.
+ * @param {Object} turnMessage The turn's tool_execution message (see findTurnChangesMessage).
+ * @return {Promise<{ prompt: string, tools: Array, changes: Array }>} Entry for the REST route.
+ */
+export async function buildAuditEntry(prompt, turnMessage) {
+	const changes = await Promise.all(
+		getTurnChangeMarkup(turnMessage.undoData).map(async ({ before, after, ...change }) => ({
+			...change,
+			before_hash: await hashMarkup(before),
+			after_hash: await hashMarkup(after),
+		}))
+	);
+	const tools = (turnMessage.executedTools || []).map((tool) => {
+		const target = getToolTarget(tool);
+		return { name: tool.name, is_error: !!tool.isError, targets: target ? [target] : [] };
+	});
+	return { prompt, tools, changes };
+}
+
+/**
+ * Record a finished turn, if it changed the editor.
+ *
+ * @param {string} prompt   What the user asked, as they typed it.
+ * @param {Array}  messages Raw chat messages at the end of the turn.
+ * @return {Promise<Object|null>} The stored entry, or null when nothing changed.
+ */
+export async function recordTurnAudit(prompt, messages) {
+	const turnMessage = findTurnChangesMessage(messages);
+	if (!turnMessage) {
+		return null;
+	}
+	const entry = await buildAuditEntry(prompt, turnMessage);
+	if (entry.changes.length === 0) {
+		return null;
+	}
+	return apiFetch({
+		path: AUDIT_PATH,
+		method: "POST",
+		data: { ...getCurrentChatPost(), ...entry },
+	});
+}
+
+/**
+ * List audit entries, newest first.
+ *
+ * @param {Object} [query]           Filters.
+ * @param {string} [query.post_id]   Only entries for this post.
+ * @param {string} [query.post_type] Post type of `post_id`.
+ * @param {number} [query.page]      Page of results (1-based).
+ * @return {Promise<{ entries: Array, total: number }>} Entries with their revision links.
+ */
+export const listAuditEntries = (query = {}) =>
+	apiFetch({
+		path: addQueryArgs(
+			AUDIT_PATH,
+			Object.fromEntries(Object.entries(query).filter(([, value]) => value))
+		),
+	});
@@ -0,0 +1,139 @@
+/**
+ * Batch edits — one instruction applied across a multi-block selection.
+ *
+ * A batch is fixed when the turn starts, so it survives the selection changing
+ * (or the edited blocks being replaced) mid-turn. Each target goes from
+ * "pending" to "done" once a tool changes it or one of its inner blocks, or to
+ * "failed" if the tool errors; a later success still turns a failure into done.
+ * The whole batch runs in one turn, so it shares the turn's single undo.
+ */
+import { select } from "@wordpress/data";
+
+/** Characters of a block's text shown next to its type. */
+const EXCERPT_LENGTH = 40;
+
+/**
+ * Readable block type: "core/media-text" → "Media Text".
+ *
+ * @param {string} name Block name.
+ * @return {string} Type label.
+ */
+export function getBlockTypeLabel(name) {
+	return (name || "")
+		.split("/")
+		.pop()
+		.split("-")
+		.map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(" ");
+}
+
+/**
+ * Human-readable name for a block: its type plus a short text excerpt.
+ *
+ * @param {Object} block Block from core/block-editor.
+ * @return {string} e.g. `Heading “Our services”`.
+ */
+export function describeBlock(block) {
+	const type = getBlockTypeLabel(block.name);
+	const rawText = block.attributes?.content;
+	const text = String(rawText?.text ?? rawText ?? "")
+		.replace(/<[^>]*>/g, "")
+		.trim();
+	if (!text) {
+		return type;
+	}
+	const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+	return `${type} “${excerpt}”`;
+}
+
+/**
+ * Start a batch for the selected blocks.
+ *
+ * @param {Array} blocks Selected blocks (two or more).
+ * @return {{ targets: Array<{ clientId: string, name: string, label: string, status: string }> }} Batch.
+ */
+export function createBatch(blocks) {
+	return {
+		targets: blocks.map((block) => ({
+			clientId: block.clientId,
+			name: block.name,
+			label: describeBlock(block),
+			status: "pending",
+		})),
+	};
+}
+
+/**
+ * Targets a tool call touches: those it names directly and those containing a
+ * block it names (an edit to a card's inner paragraph counts for the card).
+ * Call before the tool runs — edits can replace the blocks and their ancestry.
+ *
+ * @param {Object} batch Current batch.
+ * @param {Object} args  Resolved tool arguments.
+ * @return {string[]} Target clientIds.
+ */
+export function getToolBatchTargets(batch, args) {
+	const ids = [args?.client_id, ...(Array.isArray(args?.client_ids) ? args.client_ids : [])].filter(
+		(id) => typeof id === "string" && id
+	);
+	if (!ids.length) {
+		return [];
+	}
+	const blockEditor = select("core/block-editor");
+	const targetIds = new Set(batch.targets.map((target) => target.clientId));
+	const hit = new Set();
+	for (const id of ids) {
+		for (const candidate of [id, ...(blockEditor.getBlockParents(id) || [])]) {
+			if (targetIds.has(candidate)) {
+				hit.add(candidate);
+			}
+		}
+	}
+	return [...hit];
+}
+
+/**
+ * Record a tool's outcome on the targets it touched.
+ *
+ * @param {Object}   batch     Current batch.
+ * @param {string[]} clientIds Targets from {@link getToolBatchTargets}.
+ * @param {string}   status    "done" or "failed".
+ * @return {Object} Updated batch (the same object when nothing changed).
+ */
+export function markBatchTargets(batch, clientIds, status) {
+	let changed = false;
+	const targets = batch.targets.map((target) => {
+		if (!clientIds.includes(target.clientId) || target.status === "done") {
+			return target;
+		}
+		changed = target.status !== status || changed;
+		return { ...target, status };
+	});
+	return changed ? { ...batch, targets } : batch;
+}
+
+/**
+ * Targets no tool has changed yet.
+ *
+ * @param {Object|null} batch Current batch.
+ * @return {Array} Unfinished targets.
+ */
+export function getUnfinishedTargets(batch) {
+	return batch ? batch.targets.filter((target) => target.status !== "done") : [];
+}
+
+/**
+ * Enrich the user's instruction with the blocks it applies to.
+ *
+ * @param {string} instruction User instruction.
+ * @param {Array}  blocks      Selected blocks.
+ * @return {string} The formatted user message for the batch edit request.
+ */
+export function formatBatchEditUserMessage(instruction, blocks) {
+	const list = blocks.map((block) => `${block.name} (id:${block.clientId})`).join(", ");
+	return (
+		`[Batch edit request] ${blocks.length} selected blocks: ${list}. ` +
+		"Apply the instruction to EVERY one of them — call the tools for all of them in this same response. " +
+		`User instruction: ${instruction}`
+	);
+}
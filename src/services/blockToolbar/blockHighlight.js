@@ -111,6 +111,21 @@ function getBlockSnapshot(clientId) {
 
 const PROCESSING_TIMEOUT_MS = 90_000;
 
+/**
+ * Whether a block is still selected, on its own or as part of a multi-selection
+ * (where getSelectedBlockClientId() is null).
+ *
+ * @param {string} clientId Block clientId.
+ * @return {boolean} True while the block is in the selection.
+ */
+function isStillSelected(clientId) {
+	const store = select("core/block-editor");
+	return (
+		store.getSelectedBlockClientId() === clientId ||
+		store.getMultiSelectedBlockClientIds().includes(clientId)
+	);
+}
+
 function watchUntilDone(clientId, onDone) {
 	const initialSnapshot = getBlockSnapshot(clientId);
 	let done = false;
@@ -129,10 +144,9 @@ function watchUntilDone(clientId, onDone) {
 	const timer = setTimeout(finish, PROCESSING_TIMEOUT_MS);
 
 	const unsubscribe = subscribe(() => {
-		const selectedId = select("core/block-editor").getSelectedBlockClientId();
 		const currentSnapshot = getBlockSnapshot(clientId);
 
-		if (selectedId !== clientId || currentSnapshot !== initialSnapshot) {
+		if (!isStillSelected(clientId) || currentSnapshot !== initialSnapshot) {
 			finish();
 		}
 	});
@@ -143,7 +157,8 @@ function watchUntilDone(clientId, onDone) {
 /**
  * Spinning gradient border — for all non-image blocks.
  * Suppresses the native editor selection outline while active, then restores it.
- * Removed automatically when the block is deselected or its content changes.
+ * Removed automatically when the block is deselected or its content changes, so
+ * across a multi-selection each block's border clears as that block is edited.
  * @param {string} clientId
  */
 export function startBlockProcessing(clientId) {
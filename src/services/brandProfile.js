@@ -0,0 +1,98 @@
+/**
+ * Brand profile — site-level tone, wording and style preferences.
+ *
+ * Stored server-side in one option (`nfd-editor-chat/v1/brand-profile`) and
+ * shipped with the page in `nfdEditorChat.brandProfile`, so the first turn
+ * already has it. buildEditorContext injects it every turn; saving updates
+ * the in-page copy so the next turn uses the new profile without a reload.
+ */
+import apiFetch from "@wordpress/api-fetch";
+
+const BRAND_PROFILE_PATH = "/nfd-editor-chat/v1/brand-profile";
+
+/** A profile with no preferences set. */
+export const EMPTY_BRAND_PROFILE = {
+	tone: "",
+	banned_words: [],
+	cta_phrasing: "",
+	reading_level: "",
+	palette_slugs: [],
+	fonts: [],
+};
+
+/** How each reading level is described to the model. */
+const READING_LEVEL_GUIDANCE = {
+	simple: "simple — short sentences and everyday words (about grade 6)",
+	general: "general audience — plain language (about grade 8–10)",
+	advanced: "advanced — precise, specialist vocabulary is fine",
+};
+
+/**
+ * The current brand profile.
+ *
+ * @return {Object} Profile with every field present.
+ */
+export const getBrandProfile = () => ({
+	...EMPTY_BRAND_PROFILE,
+	...window.nfdEditorChat?.brandProfile?.profile,
+});
+
+/**
+ * Whether the current user may change the profile (admins only).
+ *
+ * @return {boolean} True when the profile is editable.
+ */
+export const canEditBrandProfile = () => window.nfdEditorChat?.brandProfile?.canEdit === true;
+
+/**
+ * Save the profile and make it the one the next turn sends.
+ *
+ * @param {Object} profile Profile fields.
+ * @return {Promise<Object>} The profile as stored (sanitized by the server).
+ */
+export const saveBrandProfile = async (profile) => {
+	const saved = await apiFetch({ path: BRAND_PROFILE_PATH, method: "POST", data: profile });
+	if (window.nfdEditorChat) {
+		window.nfdEditorChat.brandProfile = {
+			...window.nfdEditorChat.brandProfile,
+			profile: saved,
+		};
+	}
+	return saved;
+};
+
+/**
+ * Describe the profile for the editor context.
+ *
+ * @param {Object} profile Brand profile.
+ * @return {string} Context section, or "" when no preference is set.
+ */
+export const formatBrandProfileContext = (profile) => {
+	const lines = [];
+	if (profile.tone) {
+		lines.push(`- Tone of voice: ${profile.tone}`);
+	}
+	if (profile.reading_level && READING_LEVEL_GUIDANCE[profile.reading_level]) {
+		lines.push(`- Reading level: ${READING_LEVEL_GUIDANCE[profile.reading_level]}`);
+	}
+	if (profile.cta_phrasing) {
+		lines.push(`- Call-to-action phrasing: ${profile.cta_phrasing}`);
+	}
+	if (profile.banned_words?.length) {
+		lines.push(`- Never use these words: ${profile.banned_words.join(", ")}`);
+	}
+	if (profile.palette_slugs?.length) {
+		lines.push(`- Preferred palette colors (slugs): ${profile.palette_slugs.join(", ")}`);
+	}
+	if (profile.fonts?.length) {
+		lines.push(`- Preferred fonts: ${profile.fonts.join(", ")}`);
+	}
+	if (lines.length === 0) {
+		return "";
+	}
+	return (
+		"Brand profile (apply to all copy you write and every section you add; " +
+		"the user's explicit request for this turn wins over it):\n" +
+		lines.join("\n")
+	);
+};
@@ -0,0 +1,335 @@
+/**
+ * Change history — per-turn undo records.
+ *
+ * Each chat turn that mutates the editor captures a snapshot before its first
+ * write and, once its tools have run, turns it into a diff against the live
+ * editor. The diff only names what the turn touched, so reverting turn 3 leaves
+ * turns 1, 2 and 4 in place unless they changed the same blocks. Restoring a
+ * diff lives in restoreHandlers.js.
+ */
+import { serialize } from "@wordpress/blocks";
+import { select } from "@wordpress/data";
+
+import { getEffectiveRootBlocks } from "../utils/blockUtils";
+import { isRefNavigation, serializeNavigationMenuBlocks } from "./navigationEditor";
+import { getEntityContent } from "./siteWideEdit";
+import { isTemplatePart } from "./templatePartEditor";
+
+/** Longest user-message excerpt used to label a turn. */
+const TURN_LABEL_LENGTH = 48;
+
+/**
+ * Serialized content of every template part and linked navigation menu on the
+ * canvas. Their blocks are driven by entity records and serialize to a
+ * self-closing comment, so the page markup alone never shows they changed.
+ *
+ * @return {Array<{type: string, clientId: string, content: string}>} Entity content, keyed by the block that renders it.
+ */
+function collectEntityContent() {
+	const blockEditor = select("core/block-editor");
+	const entities = [];
+
+	const walk = (parentClientId) => {
+		const blocks = parentClientId ? blockEditor.getBlocks(parentClientId) : blockEditor.getBlocks();
+		for (const block of blocks) {
+			if (isTemplatePart(block)) {
+				const inner = blockEditor.getBlocks(block.clientId);
+				entities.push({
+					type: "wp_template_part",
+					clientId: block.clientId,
+					content: inner.map((b) => serialize(b)).join(""),
+				});
+			} else if (isRefNavigation(block)) {
+				entities.push({
+					type: "wp_navigation",
+					clientId: block.clientId,
+					content: serializeNavigationMenuBlocks(blockEditor.getBlocks(block.clientId)),
+				});
+				// Menu items belong to the menu entity; nothing nested needs its own entry.
+				continue;
+			}
+			walk(block.clientId);
+		}
+	};
+	walk(null);
+
+	return entities;
+}
+
+/**
+ * Capture the editor state a turn may change.
+ *
+ * @return {Object} Snapshot for buildTurnUndo(): root blocks by clientId plus entity content.
+ */
+export function captureTurnSnapshot() {
+	const { blocks, parentClientId } = getEffectiveRootBlocks();
+	return {
+		parentClientId,
+		blocks: blocks.map((b) => ({ clientId: b.clientId, markup: serialize(b) })),
+		entities: collectEntityContent(),
+	};
+}
+
+/**
+ * Diff a turn's snapshot against the live editor.
+ *
+ * @param {Object|null} snapshot Result of captureTurnSnapshot() taken before the turn's first write.
+ * @return {Object|null} Undo record for restoreTurnChanges(), or null when nothing changed.
+ */
+export function buildTurnUndo(snapshot) {
+	if (!snapshot) {
+		return null;
+	}
+
+	const { blocks: currentBlocks } = getEffectiveRootBlocks();
+	const current = new Map(currentBlocks.map((b) => [b.clientId, serialize(b)]));
+	const before = new Map(snapshot.blocks.map((b) => [b.clientId, b.markup]));
+
+	const changed = [];
+	const removed = [];
+	snapshot.blocks.forEach(({ clientId, markup }, index) => {
+		if (!current.has(clientId)) {
+			removed.push({
+				clientId,
+				markup,
+				index,
+				previousClientId: index > 0 ? snapshot.blocks[index - 1].clientId : null,
+			});
+		} else if (current.get(clientId) !== markup) {
+			changed.push({ clientId, markup });
+		}
+	});
+	const added = currentBlocks.filter((b) => !before.has(b.clientId)).map((b) => b.clientId);
+
+	// A move changes no markup, only the order of the blocks that stayed.
+	const survivorsBefore = snapshot.blocks.map((b) => b.clientId).filter((id) => current.has(id));
+	const survivorsNow = currentBlocks.map((b) => b.clientId).filter((id) => before.has(id));
+	const moved = survivorsBefore.filter((id, i) => survivorsNow[i] !== id);
+
+	const liveEntities = new Map(collectEntityContent().map((e) => [e.clientId, e.content]));
+	const entities = snapshot.entities.filter(
+		(e) => liveEntities.has(e.clientId) && liveEntities.get(e.clientId) !== e.content
+	);
+
+	if (!changed.length && !removed.length && !added.length && !moved.length && !entities.length) {
+		return null;
+	}
+
+	return {
+		parentClientId: snapshot.parentClientId,
+		order: snapshot.blocks.map((b) => b.clientId),
+		changed,
+		removed,
+		added,
+		moved,
+		entities,
+	};
+}
+
+/**
+ * Everything a turn's undo data would overwrite when restored.
+ *
+ * @param {Object} undoData Composite undo data ({ blocks, siteEdits, globalStyles }).
+ * @return {Set<string>} Block clientIds, `entity:<clientId>`, `site:<postType>:<id>` and `globalStyles` keys.
+ */
+export function getTouchedKeys(undoData) {
+	const keys = new Set();
+	const blocks = undoData?.blocks;
+	if (blocks) {
+		blocks.changed.forEach((b) => keys.add(b.clientId));
+		blocks.removed.forEach((b) => keys.add(b.clientId));
+		blocks.added.forEach((id) => keys.add(id));
+		blocks.moved.forEach((id) => keys.add(id));
+		blocks.entities.forEach((e) => keys.add(`entity:${e.clientId}`));
+	}
+	(undoData?.siteEdits || []).forEach((e) => keys.add(`site:${e.postType}:${e.id}`));
+	if (undoData?.globalStyles) {
+		keys.add("globalStyles");
+	}
+	return keys;
+}
+
+/**
+ * A later turn's undo data once an earlier revert has restored `keys`: the
+ * entries for those keys would bring the reverted content back, so they go;
+ * the turn's other changes stay undoable.
+ *
+ * @param {Object}      undoData Composite undo data ({ blocks, siteEdits, globalStyles }).
+ * @param {Set<string>} keys     Keys the revert restored (see getTouchedKeys).
+ * @return {Object|null} Remaining undo data, or null when nothing is left to undo.
+ */
+export function withoutTouchedKeys(undoData, keys) {
+	const rest = {};
+	const blocks = undoData?.blocks;
+	if (blocks) {
+		const keep = (clientId) => !keys.has(clientId);
+		const remaining = {
+			...blocks,
+			changed: blocks.changed.filter((b) => keep(b.clientId)),
+			removed: blocks.removed.filter((b) => keep(b.clientId)),
+			added: blocks.added.filter(keep),
+			moved: blocks.moved.filter(keep),
+			entities: blocks.entities.filter((e) => keep(`entity:${e.clientId}`)),
+		};
+		if (
+			["changed", "removed", "added", "moved", "entities"].some((kind) => remaining[kind].length)
+		) {
+			rest.blocks = remaining;
+		}
+	}
+	const siteEdits = (undoData?.siteEdits || []).filter(
+		(e) => !keys.has(`site:${e.postType}:${e.id}`)
+	);
+	if (siteEdits.length > 0) {
+		rest.siteEdits = siteEdits;
+	}
+	if (undoData?.globalStyles && !keys.has("globalStyles")) {
+		rest.globalStyles = undoData.globalStyles;
+	}
+	return Object.keys(rest).length > 0 ? rest : null;
+}
+
+/**
+ * Markup before and after each change of a turn, for the audit log. "After"
+ * is read from the live editor, so call this once the turn has finished.
+ *
+ * @param {Object} undoData Composite undo data ({ blocks, siteEdits, globalStyles }).
+ * @return {Array<{kind: string, target: string, entity?: string, before: string|null, after: string|null}>} One entry per change.
+ */
+export function getTurnChangeMarkup(undoData) {
+	const blockEditor = select("core/block-editor");
+	const markupOf = (clientId) => {
+		const block = blockEditor.getBlock(clientId);
+		return block ? serialize(block) : null;
+	};
+	const changes = [];
+	const blocks = undoData?.blocks;
+	if (blocks) {
+		const changedIds = new Set(blocks.changed.map((b) => b.clientId));
+		blocks.changed.forEach(({ clientId, markup }) =>
+			changes.push({ kind: "changed", target: clientId, before: markup, after: markupOf(clientId) })
+		);
+		blocks.added.forEach((clientId) =>
+			changes.push({ kind: "added", target: clientId, before: null, after: markupOf(clientId) })
+		);
+		blocks.removed.forEach(({ clientId, markup }) =>
+			changes.push({ kind: "removed", target: clientId, before: markup, after: null })
+		);
+		blocks.moved
+			.filter((clientId) => !changedIds.has(clientId))
+			.forEach((clientId) => {
+				const markup = markupOf(clientId);
+				changes.push({ kind: "moved", target: clientId, before: markup, after: markup });
+			});
+		const liveEntities = new Map(collectEntityContent().map((e) => [e.clientId, e.content]));
+		blocks.entities.forEach(({ type, clientId, content }) =>
+			changes.push({
+				kind: "entity",
+				target: clientId,
+				entity: type,
+				before: content,
+				after: liveEntities.get(clientId) ?? null,
+			})
+		);
+	}
+	(undoData?.siteEdits || []).forEach(({ postType, id, content }) =>
+		changes.push({
+			kind: "entity",
+			target: `${postType}:${id}`,
+			entity: postType,
+			before: content,
+			after: getEntityContent(postType, id),
+		})
+	);
+	const globalStyles = undoData?.globalStyles;
+	if (globalStyles) {
+		const live = select("core").getEditedEntityRecord(
+			"root",
+			"globalStyles",
+			globalStyles.globalStylesId
+		);
+		changes.push({
+			kind: "global_styles",
+			target: String(globalStyles.globalStylesId || ""),
+			// `originalStyles` holds the settings; `originalCssStyles` the styles.
+			before: JSON.stringify({
+				settings: globalStyles.originalStyles ?? null,
+				styles: globalStyles.originalCssStyles ?? null,
+			}),
+			after: JSON.stringify({ settings: live?.settings ?? null, styles: live?.styles ?? null }),
+		});
+	}
+	return changes;
+}
+
+/**
+ * Index of the message carrying a turn's undo data.
+ *
+ * Display messages can merge a turn's tool_execution messages under the first
+ * id, so the search covers the whole turn rather than the id alone.
+ *
+ * @param {Array}  messages  Raw chat messages.
+ * @param {string} messageId Id of any message in the turn.
+ * @return {number} Index of the message with undo data, or -1.
+ */
+export function findTurnActionIndex(messages, messageId) {
+	const start = messages.findIndex((m) => m.id === messageId);
+	if (start === -1) {
+		return -1;
+	}
+	for (let i = start; i < messages.length && (i === start || messages[i].role !== "user"); i++) {
+		if (messages[i].hasActions && messages[i].undoData) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Short label for the turn a message belongs to: the user's request.
+ *
+ * @param {Array}  messages Raw chat messages.
+ * @param {number} index    Index of a message in the turn.
+ * @return {string} Excerpt of the user message that started the turn.
+ */
+function getTurnLabel(messages, index) {
+	for (let i = index; i >= 0; i--) {
+		if (messages[i].role === "user" || messages[i].type === "user") {
+			const text = String(messages[i].content || "").trim();
+			return text.length > TURN_LABEL_LENGTH ? text.substring(0, TURN_LABEL_LENGTH) + "…" : text;
+		}
+	}
+	return "";
+}
+
+/**
+ * Later turns with pending changes to anything this turn's revert restores.
+ *
+ * Restoring overwrites their edits to the shared blocks, so the user is told
+ * before reverting and their undo entries for those blocks are dropped
+ * afterwards (see withoutTouchedKeys).
+ *
+ * @param {Array}  messages  Raw chat messages.
+ * @param {string} messageId Id of any message in the turn being reverted.
+ * @return {Array<{id: string, label: string}>} Dependent turns, oldest first.
+ */
+export function findDependentTurns(messages, messageId) {
+	const index = findTurnActionIndex(messages, messageId);
+	if (index === -1) {
+		return [];
+	}
+	const touched = getTouchedKeys(messages[index].undoData);
+
+	const dependents = [];
+	for (let i = index + 1; i < messages.length; i++) {
+		const msg = messages[i];
+		if (!msg.hasActions || !msg.undoData) {
+			continue;
+		}
+		const overlaps = [...getTouchedKeys(msg.undoData)].some((key) => touched.has(key));
+		if (overlaps) {
+			dependents.push({ id: msg.id, label: getTurnLabel(messages, i) });
+		}
+	}
+	return dependents;
+}
@@ -0,0 +1,64 @@
+/**
+ * Change review — the opt-in "review mode" gate in front of block mutations.
+ *
+ * With review mode on, edit-block, add-section and update-block-attrs stop
+ * just before they write to the editor and hand the change to the chat as a
+ * proposal: the block's current markup and the validated markup that would
+ * replace it. The tool resumes only once the user applies or skips it.
+ */
+import { __ } from "@wordpress/i18n";
+
+/** Preferences scope and key holding the per-user review-mode toggle. */
+export const REVIEW_PREFERENCE_SCOPE = "nfd-editor-chat";
+export const REVIEW_MODE_PREFERENCE = "reviewMode";
+
+/**
+ * Ask the user to approve a block change before it is applied.
+ *
+ * Resolves immediately when review mode is off. Rejects with an AbortError
+ * when the turn is stopped while the proposal is open.
+ *
+ * @param {Object} ctx                  Tool context (reviewChange, abortSignal, updateProgress).
+ * @param {Object} proposal             The pending change.
+ * @param {string} proposal.toolCallId  Tool call that produced it.
+ * @param {string} proposal.toolName    Resolved tool name (blu-edit-block, …).
+ * @param {string} [proposal.clientId]  Block being changed; absent for insertions.
+ * @param {string} [proposal.blockName] Block type being changed.
+ * @param {string} proposal.before      Current markup ("" for an insertion).
+ * @param {string} proposal.after       Markup that would be written.
+ * @return {Promise<boolean>} True to apply, false to skip.
+ */
+export async function requestChangeReview(ctx, proposal) {
+	if (typeof ctx.reviewChange !== "function") {
+		return true;
+	}
+	await ctx.updateProgress(__("Waiting for your review…", "wp-module-editor-chat"), 0);
+	return ctx.reviewChange(proposal, ctx.abortSignal);
+}
+
+/**
+ * Tool result for a change the user skipped. Not an error — the model should
+ * move on, not repair and resend the same change.
+ *
+ * @param {string} toolCallId The tool call to answer.
+ * @return {Object} Handler result with no changes.
+ */
+export function skippedChangeResult(toolCallId) {
+	return {
+		id: toolCallId,
+		result: [
+			{
+				type: "text",
+				text: JSON.stringify({
+					success: false,
+					skipped: true,
+					message:
+						"The user reviewed this change and chose not to apply it. Nothing was changed. " +
+						"Do not resend it; continue with the remaining steps or ask what they would prefer.",
+				}),
+			},
+		],
+		isError: false,
+		hasChanges: false,
+	};
+}
@@ -0,0 +1,74 @@
+/**
+ * Chat archive — server-side store of past editor chats.
+ *
+ * Conversations are kept per user (and tagged with the post they were held
+ * on) by the `nfd-editor-chat/v1/chats` routes, so they survive browser
+ * switches and the 24-hour TTL of the local active-chat copy.
+ */
+import apiFetch from "@wordpress/api-fetch";
+import { select } from "@wordpress/data";
+import { addQueryArgs } from "@wordpress/url";
+
+const CHATS_PATH = "/nfd-editor-chat/v1/chats";
+
+/**
+ * The entity open in the editor, which an archived chat is filed under.
+ *
+ * @return {{ post_id: string, post_type: string }} Current post reference.
+ */
+export const getCurrentChatPost = () => {
+	const editor = select("core/editor");
+	return {
+		post_id: String(editor.getCurrentPostId() ?? ""),
+		post_type: editor.getCurrentPostType() || "",
+	};
+};
+
+/**
+ * List the current user's archived chats, newest first.
+ *
+ * @param {Object} [query]           Filters.
+ * @param {string} [query.post_id]   Only chats held on this post.
+ * @param {string} [query.post_type] Post type of `post_id`.
+ * @param {string} [query.search]    Text to search titles and messages for.
+ * @param {number} [query.page]      Page of results (1-based).
+ * @return {Promise<{ chats: Array, total: number }>} Chat summaries (no messages).
+ */
+export const listChats = (query = {}) =>
+	apiFetch({
+		path: addQueryArgs(
+			CHATS_PATH,
+			Object.fromEntries(Object.entries(query).filter(([, value]) => value))
+		),
+	});
+
+/**
+ * Fetch one archived chat with its messages and model history.
+ *
+ * @param {number} id Archived chat ID.
+ * @return {Promise<Object>} The chat.
+ */
+export const getChat = (id) => apiFetch({ path: `${CHATS_PATH}/${id}` });
+
+/**
+ * Create or update an archived chat.
+ *
+ * @param {number|null} id       Archived chat ID, or null to create one.
+ * @param {Array}       messages Display messages.
+ * @param {Array}       history  Model-visible conversation history.
+ * @return {Promise<Object>} The saved chat summary (with its ID).
+ */
+export const saveChat = (id, messages, history) =>
+	apiFetch({
+		path: id ? `${CHATS_PATH}/${id}` : CHATS_PATH,
+		method: id ? "PUT" : "POST",
+		data: { ...getCurrentChatPost(), messages, history },
+	});
+
+/**
+ * Delete an archived chat.
+ *
+ * @param {number} id Archived chat ID.
+ * @return {Promise<Object>} The response from the API.
+ */
+export const deleteChat = (id) => apiFetch({ path: `${CHATS_PATH}/${id}`, method: "DELETE" });
@@ -0,0 +1,70 @@
+/**
+ * Connection health — one status for the chat's two backends.
+ *
+ * The chat needs a session with the AI worker (config) and the site's MCP
+ * server, which serves the editor tools. Either can be down on its own: the
+ * header's status dot shows the worse of the two, with a tooltip saying which.
+ */
+import { __ } from "@wordpress/i18n";
+
+import { hasEditorWriteTools } from "../hooks/chat/conversationUtils";
+
+export const CONNECTION_HEALTH = {
+	OK: "ok",
+	PENDING: "pending",
+	DOWN: "down",
+};
+
+/**
+ * Health of the chat's connections.
+ *
+ * @param {Object} state              Connection state from useSessionConfig.
+ * @param {string} state.configStatus idle | loading | ready | error
+ * @param {string} state.mcpStatus    connecting | connected | disconnected
+ * @param {Array}  state.openaiTools  Tools loaded from the MCP server.
+ * @return {{ level: string, message: string, canReconnect: boolean }} Level, tooltip text, and whether a manual MCP reconnect applies.
+ */
+export function getConnectionHealth({ configStatus, mcpStatus, openaiTools }) {
+	if (configStatus === "error") {
+		return {
+			level: CONNECTION_HEALTH.DOWN,
+			message: __(
+				"Couldn't start an AI session. Reload the editor to try again.",
+				"wp-module-editor-chat"
+			),
+			canReconnect: false,
+		};
+	}
+	if (mcpStatus === "disconnected") {
+		return {
+			level: CONNECTION_HEALTH.DOWN,
+			message: __(
+				"Editor tools are disconnected, so the assistant can't make changes. Click to reconnect.",
+				"wp-module-editor-chat"
+			),
+			canReconnect: true,
+		};
+	}
+	if (configStatus !== "ready" || mcpStatus !== "connected") {
+		return {
+			level: CONNECTION_HEALTH.PENDING,
+			message: __("Connecting…", "wp-module-editor-chat"),
+			canReconnect: false,
+		};
+	}
+	if (!hasEditorWriteTools(openaiTools)) {
+		return {
+			level: CONNECTION_HEALTH.DOWN,
+			message: __(
+				"Connected, but no editor tools were loaded, so the assistant can't make changes. Click to reconnect.",
+				"wp-module-editor-chat"
+			),
+			canReconnect: true,
+		};
+	}
+	return {
+		level: CONNECTION_HEALTH.OK,
+		message: __("Connected", "wp-module-editor-chat"),
+		canReconnect: false,
+	};
+}
@@ -0,0 +1,370 @@
+/**
+ * Context planner — which parts of a very large page the AI gets to see.
+ *
+ * buildEditorContext sends the whole compact block tree every pass. On long
+ * landing pages (hundreds of blocks) that alone can blow the context, and the
+ * section the user means is still just one line among hundreds. Once the tree
+ * is over budget, the planner ranks the page's sections against the user's
+ * message and picks the few whose full markup goes into the context; every
+ * other section is collapsed to a one-line summary in the tree.
+ *
+ * A block scores for:
+ * - words of the message found in its text (content, labels, alt text…),
+ * - being a kind the message names ("the pricing cards", "the FAQ"), via BLOCK_LEXICON,
+ * - having been edited by the chat in the last few turns,
+ * and a section for its best block, a little for the rest, and for being near
+ * the selection.
+ *
+ * The last plan is kept for the `/context` debug view.
+ */
+import { BLOCK_LEXICON, blockMatchesKind, normalizeKind } from "../utils/blockLexicon";
+
+/** Compact tree size (chars) above which the planner takes over. */
+export const CONTEXT_TREE_BUDGET = 12000;
+
+/** Chars of full markup the planner may add. */
+export const CONTEXT_MARKUP_BUDGET = 16000;
+
+/** Most blocks whose markup the planner includes. */
+const MAX_PLANNED_BLOCKS = 4;
+
+/** How many recently edited blocks are remembered. */
+const MAX_RECENT_EDITS = 12;
+
+const TEXT_MATCH_SCORE = 2;
+const KIND_MATCH_SCORE = 1.5;
+const RECENT_EDIT_SCORE = 2;
+const SELECTION_SCORE = 3;
+/** Weight of a section's other matching blocks, next to its best one. */
+const SPREAD_WEIGHT = 0.25;
+
+/** Words too common in editing requests to say anything about a section. */
+const STOP_WORDS = new Set(
+	(
+		"the and for with this that these those from into onto make change update edit " +
+		"please can could would you your our add remove delete replace put set use " +
+		"page block blocks text more less some all any new now there here then what which " +
+		"want like need just also about over under below above"
+	).split(" ")
+);
+
+/** Recently edited clientIds, most recent last. */
+let recentEdits = [];
+
+/** @type {Object|null} */
+let lastPlan = null;
+
+/**
+ * Remember blocks the chat just changed, so follow-ups ("make it bigger")
+ * rank them first.
+ *
+ * @param {string[]} clientIds Blocks changed by successful tool calls.
+ */
+export function rememberEditedBlocks(clientIds) {
+	const fresh = clientIds.filter(Boolean);
+	if (!fresh.length) {
+		return;
+	}
+	recentEdits = [...recentEdits.filter((id) => !fresh.includes(id)), ...fresh].slice(
+		-MAX_RECENT_EDITS
+	);
+}
+
+/**
+ * Blocks a successful tool call changed, for rememberEditedBlocks: its
+ * target, and for insertions the blocks it added (blu-add-section and
+ * blu-insert-inner-block report them as inserted_client_ids), or else the
+ * block they went next to.
+ *
+ * @param {Object} args            Tool call arguments.
+ * @param {string} [resultContent] Tool result text.
+ * @return {string[]} Client IDs.
+ */
+export function getEditedBlockIds(args, resultContent) {
+	let inserted = [];
+	try {
+		const ids = JSON.parse(resultContent)?.inserted_client_ids;
+		inserted = Array.isArray(ids) ? ids : [];
+	} catch {
+		// A plain-text result names no inserted blocks.
+	}
+	const neighbours = inserted.length ? [] : [args?.before_client_id, args?.after_client_id];
+	return [args?.client_id, args?.parent_client_id, ...neighbours, ...inserted].filter(
+		(id) => typeof id === "string" && id
+	);
+}
+
+/**
+ * Forget the recent edits (new chat, tests).
+ */
+export function clearEditedBlocks() {
+	recentEdits = [];
+	lastPlan = null;
+}
+
+/**
+ * The plan behind the latest editor context, for the debug view.
+ *
+ * @return {Object|null} Plan from {@link planEditorContext}, or null before the first one.
+ */
+export function getLastContextPlan() {
+	return lastPlan;
+}
+
+/**
+ * Lowercase words of a text, minus short and stop words.
+ *
+ * @param {string} text Any text.
+ * @return {string[]} Distinct words.
+ */
+function tokenize(text) {
+	const words = (text || "")
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter((word) => word.length >= 3 && !STOP_WORDS.has(word));
+	return [...new Set(words)];
+}
+
+/**
+ * The text a user would recognize a block by.
+ *
+ * @param {Object} block Block object from the editor store.
+ * @return {string} Plain text (may be empty).
+ */
+function getBlockText(block) {
+	const attrs = block.attributes || {};
+	return [
+		attrs.content,
+		attrs.text,
+		attrs.label,
+		attrs.alt,
+		attrs.caption,
+		attrs.citation,
+		attrs.value,
+		attrs.metadata?.name,
+	]
+		.filter((value) => typeof value === "string")
+		.join(" ")
+		.replace(/<[^>]*>/g, " ");
+}
+
+/**
+ * Whether a message word matches a block word. Words of four letters or more
+ * also match by prefix, so "testimonials" finds "testimonial".
+ *
+ * @param {string} term Word of the message.
+ * @param {string} word Word of the block.
+ * @return {boolean} True on a match.
+ */
+function wordMatches(term, word) {
+	if (term === word) {
+		return true;
+	}
+	return (
+		Math.min(term.length, word.length) >= 4 && (word.startsWith(term) || term.startsWith(word))
+	);
+}
+
+/**
+ * The message's words and the block kinds they name.
+ *
+ * @param {string} message User message.
+ * @return {{ terms: string[], kinds: string[] }} Words to match and BLOCK_LEXICON keys.
+ */
+export function parseContextQuery(message) {
+	const terms = tokenize(message);
+	const kinds = [...new Set(terms.map(normalizeKind).filter(Boolean))];
+	return { terms, kinds };
+}
+
+/**
+ * Score one block on its own (selection proximity is a section matter).
+ *
+ * @param {Object}      block       Block object from the editor store.
+ * @param {Object}      query       From {@link parseContextQuery}.
+ * @param {string[]}    query.terms Words to match.
+ * @param {string[]}    query.kinds BLOCK_LEXICON keys.
+ * @param {Set<string>} recentSet   Recently edited clientIds.
+ * @return {{ score: number, reasons: string[] }} Score and why.
+ */
+export function scoreBlock(block, { terms, kinds }, recentSet) {
+	let score = 0;
+	const reasons = [];
+	const words = tokenize(getBlockText(block));
+	const matched = terms.filter((term) => words.some((word) => wordMatches(term, word)));
+	if (matched.length) {
+		score += matched.length * TEXT_MATCH_SCORE;
+		reasons.push(`text: ${matched.map((term) => `"${term}"`).join(", ")}`);
+	}
+	// "section" and "row" name half the groups on a page: not worth a point.
+	const namedKinds = kinds.filter(
+		(kind) => kind !== "section" && kind !== "row" && blockMatchesKind(block, BLOCK_LEXICON[kind])
+	);
+	if (namedKinds.length) {
+		score += namedKinds.length * KIND_MATCH_SCORE;
+		reasons.push(`kind: ${namedKinds.join(", ")}`);
+	}
+	if (recentSet.has(block.clientId)) {
+		score += RECENT_EDIT_SCORE;
+		reasons.push("recently edited");
+	}
+	return { score, reasons };
+}
+
+/**
+ * The page's sections: root blocks, with post content split into its own
+ * top-level blocks (on a landing page, those are the sections).
+ *
+ * @param {Array} blocks Top-level blocks (inner blocks resolved).
+ * @return {Array} Section blocks, in page order.
+ */
+export function getContextSections(blocks) {
+	return blocks.flatMap((block) =>
+		block.name === "core/post-content" ? block.innerBlocks || [] : [block]
+	);
+}
+
+/**
+ * Every block of a subtree, the root included.
+ *
+ * @param {Object} block Root block.
+ * @return {Array} Blocks, depth first.
+ */
+function flattenBlock(block) {
+	return [block, ...(block.innerBlocks || []).flatMap(flattenBlock)];
+}
+
+/**
+ * Short label for a block in the debug view.
+ *
+ * @param {Object} block Block object from the editor store.
+ * @return {string} Block name, with the first text found in it.
+ */
+function describeBlock(block) {
+	const text = flattenBlock(block)
+		.map((inner) => getBlockText(inner).replace(/\s+/g, " ").trim())
+		.find(Boolean);
+	return text ? `${block.name} "${text.length > 40 ? text.slice(0, 40) + "…" : text}"` : block.name;
+}
+
+/**
+ * Rank the page's sections against the user's message and pick the markup to
+ * include.
+ *
+ * @param {Array}    blocks                      Top-level blocks (inner blocks resolved).
+ * @param {Object}   options                     Options.
+ * @param {string}   options.message             User message of the turn.
+ * @param {string[]} [options.selectedClientIds] Selected blocks.
+ * @param {string[]} [options.skipClientIds]     Blocks whose markup the context already has.
+ * @param {Function} options.measure             clientId → markup length in chars (0 when unknown).
+ * @param {number}   [options.budget]            Markup chars available.
+ * @return {Object} Plan: `included` blocks (full markup) and `summarized` sections, each with
+ *                  `clientId`, `label`, `score` and `reasons`.
+ */
+export function planEditorContext(
+	blocks,
+	{ message, selectedClientIds = [], skipClientIds = [], measure, budget = CONTEXT_MARKUP_BUDGET }
+) {
+	const query = parseContextQuery(message);
+	const recentSet = new Set(recentEdits);
+	const selectedSet = new Set(selectedClientIds);
+	const skipSet = new Set(skipClientIds);
+	const sections = getContextSections(blocks);
+
+	const selectedIndex = sections.findIndex((section) =>
+		flattenBlock(section).some((block) => selectedSet.has(block.clientId))
+	);
+
+	const ranked = sections.map((section, index) => {
+		const scored = flattenBlock(section).map((block) => ({
+			block,
+			...scoreBlock(block, query, recentSet),
+		}));
+		const scores = scored.map((entry) => entry.score);
+		const best = Math.max(...scores);
+		const total = scores.reduce((sum, score) => sum + score, 0);
+		let score = best + SPREAD_WEIGHT * (total - best);
+		const reasons = [...new Set(scored.flatMap((entry) => entry.reasons))];
+		if (selectedIndex !== -1) {
+			const distance = Math.abs(index - selectedIndex);
+			score += SELECTION_SCORE / (1 + distance);
+			reasons.push(
+				distance === 0 ? "contains the selection" : `${distance} section(s) from the selection`
+			);
+		}
+		return {
+			section,
+			index,
+			score: Math.round(score * 100) / 100,
+			reasons,
+			// Best parts first, for when the whole section doesn't fit.
+			parts: scored
+				.filter((entry) => entry.block !== section && entry.score > 0)
+				.sort((a, b) => b.score - a.score),
+		};
+	});
+
+	const included = [];
+	let remaining = budget;
+	const order = [...ranked].sort((a, b) => b.score - a.score || a.index - b.index);
+	for (const entry of order) {
+		if (included.length >= MAX_PLANNED_BLOCKS || entry.score <= 0) {
+			break;
+		}
+		const candidates = [
+			{ block: entry.section, reasons: entry.reasons },
+			...entry.parts.map((part) => ({
+				block: part.block,
+				reasons: [...part.reasons, "best part of a section too large to include whole"],
+			})),
+		];
+		const pick = candidates.find(({ block }) => {
+			const chars = measure(block.clientId);
+			return !skipSet.has(block.clientId) && chars > 0 && chars <= remaining;
+		});
+		if (!pick) {
+			continue;
+		}
+		const chars = measure(pick.block.clientId);
+		remaining -= chars;
+		included.push({
+			clientId: pick.block.clientId,
+			sectionId: entry.section.clientId,
+			label: describeBlock(pick.block),
+			score: entry.score,
+			reasons: pick.reasons,
+			chars,
+		});
+	}
+
+	const includedSections = new Set(included.map((entry) => entry.sectionId));
+	const summarized = ranked
+		.filter((entry) => !includedSections.has(entry.section.clientId))
+		.map((entry) => ({
+			clientId: entry.section.clientId,
+			label: describeBlock(entry.section),
+			score: entry.score,
+			reasons: entry.reasons,
+		}));
+
+	lastPlan = {
+		message,
+		terms: query.terms,
+		kinds: query.kinds,
+		budget,
+		used: budget - remaining,
+		included,
+		summarized,
+		createdAt: Date.now(),
+	};
+	return lastPlan;
+}
+
+/**
+ * Record that the page fit whole, so the debug view doesn't show a stale plan.
+ *
+ * @param {number} treeChars Size of the full compact tree.
+ */
+export function recordUnplannedContext(treeChars) {
+	lastPlan = { skipped: true, treeChars, createdAt: Date.now() };
+}
@@ -0,0 +1,155 @@
+/**
+ * Conversation branches — edit-and-resend for past user messages.
+ *
+ * Editing a user message forks the conversation at that message. The turns
+ * from there on are set aside as a branch, the editor is put back the way it
+ * was before them (useChangeActions.revertTurnsFrom), and the edited text runs
+ * as a new turn. The fork's user bubble keeps every branch, so the chat can
+ * switch between them to compare outcomes ("branch 1 of 2").
+ *
+ * A branch is the transcript from its user message on, plus the model history
+ * of the same turns. Branches are stored on the fork's user message —
+ * `branches`, with the live branch's slot null, and `branchIndex` — so they are
+ * saved and resumed with the chat. A branch set aside loses its undo data: its
+ * snapshots describe a page the other branches have changed since.
+ */
+
+/**
+ * Whether a chat message is one of the user's.
+ *
+ * @param {Object} message Chat message.
+ * @return {boolean} True for user messages.
+ */
+const isUserMessage = (message) => message.role === "user" || message.type === "user";
+
+/**
+ * Flag the latest user message as rolled back: its turn was stopped, so the
+ * model history no longer holds it (see chatLoop.markTurnStopped).
+ *
+ * @param {Array} messages Chat messages.
+ * @return {Array} Messages, the latest user message flagged.
+ */
+export function markLastTurnRolledBack(messages) {
+	let index = messages.length - 1;
+	while (index >= 0 && !isUserMessage(messages[index])) {
+		index--;
+	}
+	if (index === -1) {
+		return messages;
+	}
+	return messages.map((m, i) => (i === index ? { ...m, rolledBack: true } : m));
+}
+
+/**
+ * Where the model history of the turn at `index` begins.
+ *
+ * History entries are compressed after every turn, so positions can't be
+ * recorded up front. Every turn that wasn't rolled back keeps exactly one
+ * user entry, though, and only the oldest ones are ever dropped — so the turn
+ * is found by counting user entries back from the end.
+ *
+ * @param {Array}  messages Chat messages.
+ * @param {number} index    Index of the user message that starts the turn.
+ * @param {Array}  history  Model-facing history.
+ * @return {number} History length to keep so the turn and every later one are gone.
+ */
+export function findHistoryCut(messages, index, history) {
+	let turns = messages.slice(index).filter((m) => isUserMessage(m) && !m.rolledBack).length;
+	if (turns === 0) {
+		return history.length;
+	}
+	for (let i = history.length - 1; i >= 0; i--) {
+		if (history[i].role === "user" && --turns === 0) {
+			return i;
+		}
+	}
+	// The turn itself was collapsed away: every user entry left is a later turn.
+	return Math.max(
+		0,
+		history.findIndex((entry) => entry.role === "user")
+	);
+}
+
+/**
+ * A branch as stored on its fork.
+ *
+ * @param {Array}   messages Transcript from the fork's user message on.
+ * @param {Array}   history  Model history of the same turns.
+ * @param {boolean} reverted Whether the branch's changes were just reverted.
+ * @return {{ messages: Array, history: Array }} Branch without undo data.
+ */
+function setAsideBranch(messages, history, reverted) {
+	const [fork, ...rest] = messages;
+	const { branches: _branches, branchIndex: _branchIndex, ...first } = fork;
+	return {
+		messages: [
+			first,
+			...rest.map((msg) => {
+				if (!msg.hasActions) {
+					return msg;
+				}
+				const { hasActions: _hasActions, undoData: _undoData, ...kept } = msg;
+				return reverted ? { ...kept, reverted: true } : kept;
+			}),
+		],
+		history,
+	};
+}
+
+/**
+ * Fork the conversation at a user message, for an edited resend.
+ *
+ * Call once the editor has been reverted to before the turn: the branch set
+ * aside is marked reverted.
+ *
+ * @param {Array}  messages  Chat messages.
+ * @param {Array}  history   Model-facing history.
+ * @param {string} messageId User message being edited.
+ * @return {{ messages: Array, history: Array, branch: Object }|null} The
+ *   conversation up to the fork, and the `branches`/`branchIndex` fields for
+ *   the edited message. Null when the message is gone.
+ */
+export function forkConversation(messages, history, messageId) {
+	const index = messages.findIndex((m) => m.id === messageId);
+	if (index === -1 || !isUserMessage(messages[index])) {
+		return null;
+	}
+	const cut = findHistoryCut(messages, index, history);
+	const { branches = [null], branchIndex = 0 } = messages[index];
+	const kept = [...branches];
+	kept[branchIndex] = setAsideBranch(messages.slice(index), history.slice(cut), true);
+	return {
+		messages: messages.slice(0, index),
+		history: history.slice(0, cut),
+		branch: { branches: [...kept, null], branchIndex: kept.length },
+	};
+}
+
+/**
+ * Show another branch of a fork. Only the transcript and the model history
+ * change; the page keeps its current content.
+ *
+ * @param {Array}  messages  Chat messages.
+ * @param {Array}  history   Model-facing history.
+ * @param {string} messageId The fork's user message.
+ * @param {number} target    Index of the branch to show.
+ * @return {{ messages: Array, history: Array }|null} The conversation on the
+ *   target branch, or null when there is no such branch.
+ */
+export function switchBranch(messages, history, messageId, target) {
+	const index = messages.findIndex((m) => m.id === messageId);
+	const fork = messages[index];
+	if (!fork?.branches?.[target]) {
+		return null;
+	}
+	const cut = findHistoryCut(messages, index, history);
+	const branches = [...fork.branches];
+	branches[fork.branchIndex] = setAsideBranch(messages.slice(index), history.slice(cut), false);
+	const [first, ...rest] = branches[target].messages;
+	const targetHistory = branches[target].history;
+	branches[target] = null;
+	return {
+		messages: [...messages.slice(0, index), { ...first, branches, branchIndex: target }, ...rest],
+		history: [...history.slice(0, cut), ...targetHistory],
+	};
+}
@@ -3,11 +3,13 @@
  *
  * wp_navigation menus edited entity-first (navigationEditor.js) must be saved
  * explicitly — savePost() does not persist them, and dirty detection can miss
- * edits when content is stored as { raw } vs a plain string.
+ * edits when content is stored as { raw } vs a plain string. The same goes for
+ * other pages and posts changed by a site-wide edit (siteWideEdit.js).
  */
 import { select } from "@wordpress/data";
 
 import { clearTouchedNavigationEntityIds, getTouchedNavigationEntityIds } from "./navigationEditor";
+import { clearTouchedSiteEntities, getTouchedSiteEntities } from "./siteWideEdit";
 
 // wp_template is here so template-scope edits actually reach the database.
 // editEntityRecord only makes a local edit: without this the block disappears
@@ -15,7 +17,7 @@ import { clearTouchedNavigationEntityIds, getTouchedNavigationEntityIds } from "
 const EDITABLE_ENTITY_TYPES = ["wp_template", "wp_template_part", "wp_navigation"];
 
 /**
- * Save all pending template-part and navigation entity edits.
+ * Save all pending template-part, navigation and site-wide edit entity edits.
  *
  * @param {Function} saveEditedEntityRecord core-data saveEditedEntityRecord dispatcher.
  * @return {Promise<void>}
@@ -47,4 +49,14 @@ export async function saveDirtyEditorEntities(saveEditedEntityRecord) {
 	}
 
 	clearTouchedNavigationEntityIds();
+
+	// savePost() covers the open page only.
+	for (const { postType, id } of getTouchedSiteEntities()) {
+		const key = `${postType}:${id}`;
+		if (!savedKeys.has(key)) {
+			await saveEditedEntityRecord("postType", postType, id);
+		}
+	}
+
+	clearTouchedSiteEntities();
 }
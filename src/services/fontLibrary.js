@@ -0,0 +1,182 @@
+/**
+ * Font Library — find fonts in a font collection and install them on the site
+ * through the WordPress Font Library REST API (WordPress 6.5+).
+ *
+ * Families come from a collection (`/wp/v2/font-collections/<slug>`, Google
+ * Fonts by default), in theme.json shape. Installing creates a font family
+ * post (`/wp/v2/font-families`) and one font face post per weight and style;
+ * each face file is downloaded in the browser and uploaded, so the site serves
+ * it locally instead of from the collection's CDN, as the Site Editor's own
+ * font library does. Installing does not activate a family: that is the
+ * global styles `settings.typography.fontFamilies` entry (see services/typography.js).
+ */
+import apiFetch from "@wordpress/api-fetch";
+import { addQueryArgs } from "@wordpress/url";
+
+/** Collection fonts are looked up in. */
+export const DEFAULT_FONT_COLLECTION = "google-fonts";
+
+/** Weights installed for each family, when the collection has them. */
+export const FONT_WEIGHTS = ["400", "700"];
+
+const FONT_FAMILIES_PATH = "/wp/v2/font-families";
+
+// Collections are large and never change during a session.
+const collections = new Map();
+
+/**
+ * Families of a font collection, loaded once.
+ *
+ * @param {string} slug Collection slug.
+ * @return {Promise<Array>} Families ({ font_family_settings, categories }).
+ */
+export function getFontCollection(slug = DEFAULT_FONT_COLLECTION) {
+	if (!collections.has(slug)) {
+		const request = apiFetch({ path: `/wp/v2/font-collections/${slug}` }).then(
+			(collection) => collection?.font_families || []
+		);
+		// A failed load is retried on the next call.
+		request.catch(() => collections.delete(slug));
+		collections.set(slug, request);
+	}
+	return collections.get(slug);
+}
+
+/**
+ * Forget the loaded collections.
+ */
+export function clearFontCollections() {
+	collections.clear();
+}
+
+/**
+ * Normalize a family name for lookup: "Source Sans 3" → "source-sans-3".
+ *
+ * @param {string} name Family name or slug.
+ * @return {string} Slug-like key.
+ */
+export function toFontSlug(name) {
+	return String(name || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "");
+}
+
+/**
+ * A family of the collection, by name or slug.
+ *
+ * @param {Array}  families Collection families.
+ * @param {string} name     Family name, e.g. "Playfair Display".
+ * @return {Object|null} Its font_family_settings, or null when the collection has no such family.
+ */
+export function findFontFamily(families, name) {
+	const key = toFontSlug(name);
+	const match = families.find(
+		({ font_family_settings: settings }) =>
+			toFontSlug(settings?.slug) === key || toFontSlug(settings?.name) === key
+	);
+	return match?.font_family_settings || null;
+}
+
+/**
+ * The upright faces of a family in the weights wanted, or its first face when
+ * it has none of them (display fonts often ship a single weight).
+ *
+ * @param {Object} family  Family settings with `fontFace`.
+ * @param {Array}  weights Weights wanted.
+ * @return {Array} Face settings.
+ */
+export function selectFontFaces(family, weights = FONT_WEIGHTS) {
+	const faces = family?.fontFace || [];
+	const wanted = faces.filter(
+		(face) => (face.fontStyle || "normal") === "normal" && weights.includes(String(face.fontWeight))
+	);
+	return wanted.length > 0 ? wanted : faces.slice(0, 1);
+}
+
+/**
+ * Download a face's file for upload.
+ *
+ * @param {string} src   Face URL.
+ * @param {string} field Upload field name, also used for the file name.
+ * @return {Promise<File>} The font file.
+ */
+async function downloadFontFile(src, field) {
+	const response = await fetch(src);
+	if (!response.ok) {
+		throw new Error(`Could not download ${src} (HTTP ${response.status}).`);
+	}
+	const blob = await response.blob();
+	const name = src.split("/").pop().split("?")[0] || `${field}.woff2`;
+	return new File([blob], name, { type: blob.type || "font/woff2" });
+}
+
+/**
+ * Install a family and the faces given, reusing what is already installed.
+ *
+ * @param {Object} family Family settings from the collection.
+ * @param {Array}  faces  Face settings to install (see selectFontFaces).
+ * @return {Promise<{ family: Object, installed: number }>} theme.json family entry, its faces
+ *         served by the site, and how many faces this call uploaded.
+ */
+export async function installFontFamily(family, faces) {
+	const [existing] = await apiFetch({
+		path: addQueryArgs(FONT_FAMILIES_PATH, { slug: family.slug, _embed: "true" }),
+	});
+
+	let familyId = existing?.id;
+	const installedFaces = (existing?._embedded?.font_faces || []).map(
+		(face) => face.font_face_settings
+	);
+	if (!familyId) {
+		const body = new FormData();
+		body.append(
+			"font_family_settings",
+			JSON.stringify({ name: family.name, slug: family.slug, fontFamily: family.fontFamily })
+		);
+		const created = await apiFetch({ path: FONT_FAMILIES_PATH, method: "POST", body });
+		familyId = created.id;
+	}
+
+	let installed = 0;
+	for (const [index, face] of faces.entries()) {
+		const isInstalled = installedFaces.some(
+			(other) =>
+				String(other.fontWeight) === String(face.fontWeight) &&
+				(other.fontStyle || "normal") === (face.fontStyle || "normal")
+		);
+		if (isInstalled) {
+			continue;
+		}
+		const src = Array.isArray(face.src) ? face.src[0] : face.src;
+		const field = `file-0-${index}`;
+		const body = new FormData();
+		body.append(
+			"font_face_settings",
+			JSON.stringify({
+				fontFamily: face.fontFamily || family.fontFamily,
+				fontWeight: String(face.fontWeight),
+				fontStyle: face.fontStyle || "normal",
+				src: field,
+			})
+		);
+		body.append(field, await downloadFontFile(src, field));
+		const created = await apiFetch({
+			path: `${FONT_FAMILIES_PATH}/${familyId}/font-faces`,
+			method: "POST",
+			body,
+		});
+		installedFaces.push(created.font_face_settings);
+		installed++;
+	}
+
+	return {
+		family: {
+			name: family.name,
+			slug: family.slug,
+			fontFamily: family.fontFamily,
+			fontFace: installedFaces,
+		},
+		installed,
+	};
+}
@@ -6,8 +6,57 @@
  * Changes made through this service are immediately reflected in the Site Editor.
  */
 
+import {
+	adjustForContrast,
+	getContrastRatio,
+	getPresetSlug,
+	resolvePaletteColor,
+	WCAG_AA_LARGE,
+	WCAG_AA_NORMAL,
+} from "../utils/colorContrast";
 import { deepMergeStyles as deepMerge } from "../utils/deepMerge";
 
+/**
+ * Color pairs the palette validator checks, read from the merged styles the
+ * way the site renders them. `foreground` and `background` return a color
+ * reference (preset slug, preset variable or CSS color); `path` is where the
+ * foreground lives in styles, for pairs whose fix may point it at another
+ * palette color instead of changing one.
+ */
+const CONTRAST_PAIRS = [
+	{
+		pair: "text",
+		label: "Text on background",
+		foreground: (styles) => styles?.color?.text || "contrast",
+		background: (styles) => styles?.color?.background || "base",
+		minimum: WCAG_AA_NORMAL,
+	},
+	{
+		pair: "primary",
+		label: "Primary on base",
+		foreground: () => "primary",
+		background: () => "base",
+		// Accents are headings, icons and borders more than body text.
+		minimum: WCAG_AA_LARGE,
+	},
+	{
+		pair: "link",
+		label: "Links on background",
+		foreground: (styles) => styles?.elements?.link?.color?.text,
+		background: (styles) => styles?.color?.background || "base",
+		minimum: WCAG_AA_NORMAL,
+		path: ["elements", "link", "color", "text"],
+	},
+	{
+		pair: "button",
+		label: "Button text on button background",
+		foreground: (styles) => styles?.elements?.button?.color?.text,
+		background: (styles) => styles?.elements?.button?.color?.background,
+		minimum: WCAG_AA_NORMAL,
+		path: ["elements", "button", "color", "text"],
+	},
+];
+
 /**
  * Get the WordPress data module
  * @return {Object|null} WordPress data object or null if not available
@@ -181,6 +230,264 @@ export function getCurrentGlobalStyles() {
 	}
 }
 
+/**
+ * Contrast of each pair the palette and styles produce. Pairs whose colors
+ * can't be resolved (no `primary` slug, theme button styles unset) are left out.
+ *
+ * @param {Array}  palette Palette entries ({ slug, color }).
+ * @param {Object} styles  Merged global styles (theme.json `styles`).
+ * @return {Array<{ pair: string, label: string, foreground: string, background: string, foregroundRef: string, backgroundRef: string, ratio: number, minimum: number, passes: boolean }>} Checked pairs.
+ */
+export function checkPaletteContrast(palette, styles) {
+	return CONTRAST_PAIRS.map(({ pair, label, foreground, background, minimum }) => {
+		const foregroundRef = foreground(styles);
+		const backgroundRef = background(styles);
+		const fg = resolvePaletteColor(foregroundRef, palette);
+		const bg = resolvePaletteColor(backgroundRef, palette);
+		const ratio = getContrastRatio(fg, bg);
+		if (ratio === null) {
+			return null;
+		}
+		return {
+			pair,
+			label,
+			foreground: fg,
+			background: bg,
+			foregroundRef,
+			backgroundRef,
+			ratio,
+			minimum,
+			passes: ratio >= minimum,
+		};
+	}).filter(Boolean);
+}
+
+/**
+ * Set a value at a path, creating the objects on the way.
+ *
+ * @param {Object} target Object to write into (modified).
+ * @param {Array}  path   Keys.
+ * @param {*}      value  Value.
+ * @return {Object} target
+ */
+function setPath(target, path, value) {
+	let node = target;
+	path.slice(0, -1).forEach((key) => {
+		node[key] = node[key] && typeof node[key] === "object" ? node[key] : {};
+		node = node[key];
+	});
+	node[path[path.length - 1]] = value;
+	return target;
+}
+
+/**
+ * Palette validator: check a palette/styles update against WCAG AA before it
+ * is applied, fixing what it can.
+ *
+ * Only pairs the update changes are held to the minimum; a pair that already
+ * failed is reported but does not block an unrelated change. A failing link or
+ * button pair first has its text pointed at the palette color that reads best
+ * on its background. Otherwise the color this update changed is darkened or
+ * lightened until the pair passes. A pair neither fix applies to is rejected.
+ *
+ * @param {{ palette: Array, styles: Object }} after  Palette and merged styles the update would leave.
+ * @param {{ palette: Array, styles: Object }} before Palette and merged styles now.
+ * @return {{ palette: Array, stylesPatch: Object|null, report: Object }} Adjusted palette, the
+ *          styles to add to the update (or null), and the report: { passed, pairs, adjustments, rejected }.
+ */
+export function validatePaletteContrast(after, before) {
+	const previous = new Map(
+		checkPaletteContrast(before.palette, before.styles).map((checked) => [checked.pair, checked])
+	);
+	const changedSlugs = new Set(
+		after.palette
+			.filter(
+				(entry) =>
+					String(resolvePaletteColor(entry.slug, before.palette)).toLowerCase() !==
+					String(entry.color).toLowerCase()
+			)
+			.map((entry) => entry.slug)
+	);
+	let palette = after.palette.map((entry) => ({ ...entry }));
+	let styles = after.styles || {};
+	let stylesPatch = null;
+	const adjustments = [];
+	const rejected = [];
+
+	for (const { pair, path } of CONTRAST_PAIRS) {
+		const current = checkPaletteContrast(palette, styles).find((checked) => checked.pair === pair);
+		if (!current || current.passes) {
+			continue;
+		}
+		const old = previous.get(pair);
+		if (old && old.foreground === current.foreground && old.background === current.background) {
+			continue;
+		}
+
+		const best = path
+			? palette
+					.map((entry) => ({
+						slug: entry.slug,
+						ratio: getContrastRatio(entry.color, current.background),
+					}))
+					.filter((candidate) => candidate.ratio !== null && candidate.ratio >= current.minimum)
+					.sort((a, b) => b.ratio - a.ratio)[0]
+			: null;
+		if (best) {
+			const value = `var:preset|color|${best.slug}`;
+			stylesPatch = setPath(stylesPatch || {}, path, value);
+			styles = deepMerge(styles, setPath({}, path, value));
+			adjustments.push({
+				pair,
+				label: current.label,
+				target: `styles.${path.join(".")}`,
+				from: current.foregroundRef,
+				to: value,
+				ratio: best.ratio,
+			});
+			continue;
+		}
+
+		const sides = [
+			[getPresetSlug(current.foregroundRef), current.background],
+			[getPresetSlug(current.backgroundRef), current.foreground],
+		];
+		const [slug, against] = sides.find(([candidate]) => changedSlugs.has(candidate)) || [];
+		const from = slug && resolvePaletteColor(slug, palette);
+		const to = from && adjustForContrast(from, against, current.minimum);
+		if (to) {
+			palette = palette.map((entry) => (entry.slug === slug ? { ...entry, color: to } : entry));
+			adjustments.push({
+				pair,
+				label: current.label,
+				target: `palette.${slug}`,
+				from,
+				to,
+				ratio: getContrastRatio(to, against),
+			});
+			continue;
+		}
+		rejected.push(pair);
+	}
+
+	const pairs = checkPaletteContrast(palette, styles).map(
+		({ foregroundRef: _fg, backgroundRef: _bg, ...checked }) => checked
+	);
+	return {
+		palette,
+		stylesPatch,
+		report: { passed: pairs.every((checked) => checked.passes), pairs, adjustments, rejected },
+	};
+}
+
+/**
+ * One-line summary of a contrast report for the model and the chat.
+ *
+ * @param {Object} report From {@link validatePaletteContrast}.
+ * @return {string} Summary, or "" when every pair passed untouched.
+ */
+export function describeContrastReport(report) {
+	const parts = report.adjustments.map((adjustment) =>
+		adjustment.target.startsWith("palette.")
+			? `${adjustment.label}: ${adjustment.target.slice(8)} adjusted from ${adjustment.from} to ${adjustment.to} (${adjustment.ratio}:1).`
+			: `${adjustment.label}: text now uses ${getPresetSlug(adjustment.to)} (${adjustment.ratio}:1).`
+	);
+	const failing = report.pairs.filter((checked) => !checked.passes);
+	if (failing.length > 0) {
+		parts.push(
+			`Below WCAG AA: ${failing
+				.map((checked) => `${checked.label} ${checked.ratio}:1 (needs ${checked.minimum}:1)`)
+				.join(", ")}.`
+		);
+	}
+	return parts.length > 0 ? `Contrast check (WCAG AA): ${parts.join(" ")}` : "";
+}
+
+/**
+ * Why an update the validator rejected was not made, for the model.
+ *
+ * @param {Object} report From {@link validatePaletteContrast}, with rejected pairs.
+ * @return {string} Error message.
+ */
+function describeContrastRejection(report) {
+	const failing = report.pairs.filter((checked) => report.rejected.includes(checked.pair));
+	return `Rejected: ${failing
+		.map((checked) => `${checked.label} ${checked.ratio}:1 (needs ${checked.minimum}:1)`)
+		.join(
+			", "
+		)} fails WCAG AA contrast and no color in this update can be adjusted to fix it. Nothing was changed. Choose colors with more contrast and try again.`;
+}
+
+/**
+ * Palette and merged styles of the site, for contrast checks: the theme's
+ * base global styles with the user's settings and styles on top.
+ *
+ * @param {Object} coreStore        core data selectors.
+ * @param {Object} userSettings     User global styles settings.
+ * @param {Object} userStyles       User global styles styles.
+ * @param {Array}  themeJsonPalette Theme palette from the block editor settings.
+ * @return {{ palette: Array, styles: Object }} Effective palette and styles.
+ */
+function getEffectiveColors(coreStore, userSettings, userStyles, themeJsonPalette) {
+	const base = coreStore.__experimentalGetCurrentThemeBaseGlobalStyles?.() || {};
+	const basePalette = base.settings?.color?.palette?.theme || themeJsonPalette;
+	const userPalette = userSettings?.color?.palette || {};
+	const { palette: themePalette } = deepMerge(
+		{ palette: basePalette || [] },
+		{ palette: Array.isArray(userPalette) ? userPalette : userPalette.theme || [] }
+	);
+	return {
+		palette: [...themePalette, ...(userPalette.custom || [])],
+		styles: deepMerge(base.styles || {}, userStyles || {}),
+	};
+}
+
+/**
+ * Palette and merged styles the site renders now, for contrast checks.
+ *
+ * @return {{ palette: Array, styles: Object }} Effective palette and styles.
+ */
+export function getEffectiveSiteColors() {
+	const data = getWPData();
+	if (!data) {
+		return { palette: [], styles: {} };
+	}
+	const coreStore = data.select("core");
+	const globalStylesId = getGlobalStylesId();
+	const record = globalStylesId
+		? coreStore.getEditedEntityRecord("root", "globalStyles", globalStylesId)
+		: null;
+	const themeJsonPalette =
+		data.select("core/block-editor")?.getSettings?.()?.__experimentalFeatures?.color?.palette
+			?.theme || [];
+	return getEffectiveColors(coreStore, record?.settings, record?.styles, themeJsonPalette);
+}
+
+/**
+ * Write a validator's palette adjustments into the settings about to be saved.
+ *
+ * @param {Object} settings Merged settings of the update (modified).
+ * @param {Object} contrast Result of {@link validatePaletteContrast}.
+ * @return {Object|null} The styles the validator adds to the update, or null.
+ */
+function applyContrastFixes(settings, contrast) {
+	for (const adjustment of contrast.report.adjustments) {
+		if (!adjustment.target.startsWith("palette.")) {
+			continue;
+		}
+		const slug = adjustment.target.slice(8);
+		for (const key of ["theme", "custom"]) {
+			const entries = settings.color?.palette?.[key];
+			if (Array.isArray(entries)) {
+				settings.color.palette[key] = entries.map((entry) =>
+					entry.slug === slug ? { ...entry, color: adjustment.to } : entry
+				);
+			}
+		}
+	}
+	return contrast.stylesPatch;
+}
+
 /**
  * Update global styles using the full settings object (theme.json format)
  *
@@ -262,6 +569,28 @@ export async function updateGlobalStyles(settings, styles = null) {
 			updateData.styles = deepMerge(currentCssStyles, styles);
 		}
 
+		// Check the colors the site would render before writing any of them.
+		const contrast = validatePaletteContrast(
+			getEffectiveColors(
+				coreStore,
+				newSettings,
+				updateData.styles || currentRecord.styles,
+				themeJsonPalette
+			),
+			getEffectiveColors(coreStore, currentSettings, currentRecord.styles, themeJsonPalette)
+		);
+		if (contrast.report.rejected.length > 0) {
+			return {
+				success: false,
+				error: describeContrastRejection(contrast.report),
+				contrast: contrast.report,
+			};
+		}
+		const stylesPatch = applyContrastFixes(newSettings, contrast);
+		if (stylesPatch) {
+			updateData.styles = deepMerge(updateData.styles || currentRecord.styles || {}, stylesPatch);
+		}
+
 		// Apply changes in the editor, then persist immediately.
 		await coreDispatch.editEntityRecord("root", "globalStyles", globalStylesId, updateData);
 
@@ -273,10 +602,13 @@ export async function updateGlobalStyles(settings, styles = null) {
 			};
 		}
 
-		// Extract updated colors for the response message
+		// Extract updated colors for the response message, as adjusted
 		const themeColors = settings?.color?.palette?.theme || [];
 		const customColors = settings?.color?.palette?.custom || [];
-		const updatedColors = [...themeColors, ...customColors];
+		const updatedColors = [...themeColors, ...customColors].map((entry) => {
+			const adjusted = contrast.palette.find((e) => e.slug === entry.slug);
+			return adjusted ? { ...entry, color: adjusted.color } : entry;
+		});
 		const colorCount = updatedColors.length;
 		const hasTypography = !!settings?.typography;
 		const hasSpacing = !!settings?.spacing;
@@ -292,11 +624,16 @@ export async function updateGlobalStyles(settings, styles = null) {
 			message += " Spacing settings updated.";
 		}
 		message += " Changes saved to your site.";
+		const contrastSummary = describeContrastReport(contrast.report);
+		if (contrastSummary) {
+			message += ` ${contrastSummary}`;
+		}
 
 		return {
 			success: true,
 			updatedColors,
 			message,
+			contrast: contrast.report,
 			undoData: {
 				globalStyles: {
 					originalStyles,
@@ -314,4 +651,68 @@ export async function updateGlobalStyles(settings, styles = null) {
 	}
 }
 
+/**
+ * Show settings on the site without saving them: the global styles entity is
+ * edited in the editor only, after the same contrast fixes
+ * {@link updateGlobalStyles} would make, so the preview matches what applying
+ * would save. Settings applying would reject are not shown at all. Pass the
+ * returned undo data to restoreGlobalStyles to end it.
+ *
+ * @param {Object} settings Settings object in theme.json format
+ * @param {Object} styles   Optional styles object in theme.json format
+ * @return {Object} Result object with success status, undo data and the contrast report
+ */
+export function previewGlobalStyles(settings, styles = null) {
+	const data = getWPData();
+	const globalStylesId = data ? getGlobalStylesId() : null;
+	if (!globalStylesId) {
+		return { success: false, error: "Could not find global styles." };
+	}
+
+	try {
+		const coreStore = data.select("core");
+		const currentRecord = coreStore.getEditedEntityRecord("root", "globalStyles", globalStylesId);
+		const currentSettings = currentRecord?.settings || {};
+		const currentStyles = currentRecord?.styles || {};
+		const themeJsonPalette =
+			data.select("core/block-editor")?.getSettings?.()?.__experimentalFeatures?.color?.palette
+				?.theme || [];
+
+		const newSettings = deepMerge(currentSettings, settings);
+		const newStyles = styles ? deepMerge(currentStyles, styles) : currentStyles;
+		const contrast = validatePaletteContrast(
+			getEffectiveColors(coreStore, newSettings, newStyles, themeJsonPalette),
+			getEffectiveColors(coreStore, currentSettings, currentStyles, themeJsonPalette)
+		);
+		if (contrast.report.rejected.length > 0) {
+			return {
+				success: false,
+				error: describeContrastRejection(contrast.report),
+				contrast: contrast.report,
+			};
+		}
+		const stylesPatch = applyContrastFixes(newSettings, contrast);
+
+		data.dispatch("core").editEntityRecord("root", "globalStyles", globalStylesId, {
+			settings: newSettings,
+			...(styles || stylesPatch
+				? { styles: stylesPatch ? deepMerge(newStyles, stylesPatch) : newStyles }
+				: {}),
+		});
+
+		return {
+			success: true,
+			contrast: contrast.report,
+			undoData: {
+				originalStyles: JSON.parse(JSON.stringify(currentSettings)),
+				originalCssStyles: JSON.parse(JSON.stringify(currentStyles)),
+				globalStylesId,
+			},
+		};
+	} catch (error) {
+		console.error("Error previewing global styles:", error);
+		return { success: false, error: error.message };
+	}
+}
+
 // deepMerge and slug-array helpers moved to utils/deepMerge.js
@@ -4,6 +4,7 @@ import { __ } from "@wordpress/i18n";
 import { callAbility } from "./callAbility";
 import { appendGeneratedImageUrl, getGeneratedImages } from "./imageCache";
 import { IMAGE_BLOCKS } from "./blockToolbar/blockAI";
+import { getToolConcurrency, mapWithConcurrency } from "./toolScheduler";
 import { resolveAlt } from "../utils/imageAlt";
 import { findImagePlaceholders, substituteImagePlaceholders } from "../utils/imagePlaceholders";
 import logger from "../utils/logger";
@@ -84,6 +85,8 @@ export async function callImageAbility(mcpClient, { prompt, sourceUrl, ...opts }
 /**
  * Generate the images for a run of `__IMG_N__` placeholders.
  *
+ * Each placeholder gets its own image, so the generations run side by side
+ * (up to the tool concurrency cap) rather than as back-to-back round-trips.
  * Failures are collected rather than thrown; the caller's unresolved-placeholder
  * guard decides what a partial run means.
  *
@@ -96,36 +99,45 @@ export async function callImageAbility(mcpClient, { prompt, sourceUrl, ...opts }
  */
 export async function resolveImagePrompts(prompts, ctx, { limit, sourceUrlForFirst = null } = {}) {
 	const count = Math.min(prompts.length, limit ?? prompts.length);
-	const images = [];
-
-	for (let i = 0; i < count; i++) {
-		const entry = prompts[i];
-		const { prompt, alt, ...opts } = typeof entry === "string" ? { prompt: entry } : { ...entry };
-		const sourceUrl = i === 0 ? sourceUrlForFirst : null;
-
-		await ctx.updateProgress(
-			(sourceUrl
-				? __("Editing image…", "wp-module-editor-chat")
-				: __("Generating image…", "wp-module-editor-chat")) + ` (${i + 1}/${count})`,
-			500
-		);
-
-		try {
-			const mcpResult = await callImageAbility(ctx.mcpClient, { prompt, sourceUrl, ...opts });
-			const url = parseImageAbilityUrl(mcpResult);
-			if (!url) {
-				logger.warn(`[imageAbility] image ${i + 1}/${count} returned no URL`, mcpResult);
-				continue;
+	const label =
+		sourceUrlForFirst && count === 1
+			? __("Editing image…", "wp-module-editor-chat")
+			: __("Generating images…", "wp-module-editor-chat");
+	let finished = 0;
+
+	await ctx.updateProgress(`${label} (0/${count})`, 500);
+
+	const results = await mapWithConcurrency(
+		prompts.slice(0, count),
+		getToolConcurrency(),
+		async (entry, i) => {
+			const { prompt, alt, ...opts } = typeof entry === "string" ? { prompt: entry } : { ...entry };
+			const sourceUrl = i === 0 ? sourceUrlForFirst : null;
+
+			try {
+				const mcpResult = await callImageAbility(ctx.mcpClient, { prompt, sourceUrl, ...opts });
+				const url = parseImageAbilityUrl(mcpResult);
+				if (!url) {
+					logger.warn(`[imageAbility] image ${i + 1}/${count} returned no URL`, mcpResult);
+					return null;
+				}
+				logger.log(`[imageAbility] image ${i + 1}/${count} ready`, { prompt, sourceUrl, url });
+				return { url, alt: resolveAlt(alt, prompt) };
+			} catch (err) {
+				logger.error(`[imageAbility] image ${i + 1}/${count} threw`, err);
+				return null;
+			} finally {
+				finished++;
+				ctx.updateProgress(`${label} (${finished}/${count})`, 0);
 			}
-			const resolvedAlt = resolveAlt(alt, prompt);
-			images.push({ url, alt: resolvedAlt });
-			appendGeneratedImageUrl(url, resolvedAlt);
-			logger.log(`[imageAbility] image ${i + 1}/${count} ready`, { prompt, sourceUrl, url });
-		} catch (err) {
-			logger.error(`[imageAbility] image ${i + 1}/${count} threw`, err);
 		}
-	}
+	);
 
+	// Cached in prompt order, whatever order the generations finished in.
+	const images = results.filter(Boolean);
+	for (const { url, alt } of images) {
+		appendGeneratedImageUrl(url, alt);
+	}
 	return images;
 }
 
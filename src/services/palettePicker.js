@@ -0,0 +1,43 @@
+/**
+ * Palette picker — the options of blu-generate-color-palette as swatches.
+ *
+ * After a turn that generated palettes, the chat shows each option as a row of
+ * swatches. Hovering one previews it on the site through the global styles
+ * entity, unsaved; clicking applies it with blu-update-global-styles as a turn
+ * of its own, so it is contrast-checked, saved and reverted like any palette
+ * change the model makes (see hooks/chat/usePalettePicker.js).
+ */
+
+/** Message type of the palette picker in the chat transcript. */
+export const PALETTE_PICKER_MESSAGE_TYPE = "palette_picker";
+
+/**
+ * Global styles settings that put an option's colors in the theme palette.
+ *
+ * @param {Array<{ slug: string, name: string, color: string }>} colors Colors of the option.
+ * @return {Object} Settings in theme.json format.
+ */
+export function getPaletteSettings(colors) {
+	return {
+		color: {
+			palette: {
+				theme: colors.map(({ slug, name, color }) => ({ slug, name, color })),
+			},
+		},
+	};
+}
+
+/**
+ * The tool call that applies an option.
+ *
+ * @param {Array}  colors Colors of the option.
+ * @param {string} id     Tool call id.
+ * @return {{ id: string, name: string, arguments: string }} blu-update-global-styles call.
+ */
+export function buildPaletteApplyCall(colors, id) {
+	return {
+		id,
+		name: "blu-update-global-styles",
+		arguments: JSON.stringify({ settings: getPaletteSettings(colors) }),
+	};
+}
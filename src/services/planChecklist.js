@@ -0,0 +1,122 @@
+/**
+ * Plan checklist — the opt-in "plan first" mode for multi-step requests.
+ *
+ * With plan mode on, a request the intent classifier splits into two or more
+ * steps is not run straight away. The steps appear in the chat as a checklist
+ * the user can reorder, trim or extend; the turn resumes once they run it.
+ * runChatLoop then works through the approved steps one at a time, and each
+ * step's status updates live. Pending steps can be skipped without stopping
+ * the rest of the turn.
+ *
+ * The plan lives on a `plan_checklist` message, so it stays in the transcript
+ * (and the saved chat) with its final statuses.
+ */
+import { REVIEW_PREFERENCE_SCOPE } from "./changeReview";
+
+/** Preferences scope and key holding the per-user plan-mode toggle. */
+export const PLAN_PREFERENCE_SCOPE = REVIEW_PREFERENCE_SCOPE;
+export const PLAN_MODE_PREFERENCE = "planFirst";
+
+/** Message type of the checklist in the chat transcript. */
+export const PLAN_MESSAGE_TYPE = "plan_checklist";
+
+export const PLAN_STEP_STATUS = {
+	PENDING: "pending",
+	RUNNING: "running",
+	DONE: "done",
+	FAILED: "failed",
+	SKIPPED: "skipped",
+};
+
+let stepCounter = 0;
+
+/**
+ * A checklist step.
+ *
+ * @param {string} text Step description.
+ * @return {{ id: string, text: string, status: string }} Pending step.
+ */
+export function createPlanStep(text) {
+	stepCounter++;
+	return { id: `step-${Date.now()}-${stepCounter}`, text, status: PLAN_STEP_STATUS.PENDING };
+}
+
+/**
+ * A plan waiting for the user's approval.
+ *
+ * @param {string}   messageId Id of the checklist message.
+ * @param {string[]} steps     Steps from the intent classifier.
+ * @return {{ messageId: string, awaitingApproval: boolean, steps: Array }} Plan.
+ */
+export function createPlan(messageId, steps) {
+	return { messageId, awaitingApproval: true, steps: steps.map(createPlanStep) };
+}
+
+/**
+ * The plan as the user approved it. Empty steps are dropped.
+ *
+ * @param {Object} plan  Plan awaiting approval.
+ * @param {Array}  steps Edited steps ({ id, text }), in the order to run them.
+ * @return {Object} Approved plan, every step pending.
+ */
+export function approvePlan(plan, steps) {
+	return {
+		...plan,
+		awaitingApproval: false,
+		steps: steps
+			.map((step) => ({ ...step, text: step.text.trim(), status: PLAN_STEP_STATUS.PENDING }))
+			.filter((step) => step.text),
+	};
+}
+
+/**
+ * Set one step's status.
+ *
+ * @param {Object} plan   Plan.
+ * @param {string} stepId Step to update.
+ * @param {string} status New status (PLAN_STEP_STATUS).
+ * @return {Object} Updated plan (the same object when nothing changed).
+ */
+export function setPlanStepStatus(plan, stepId, status) {
+	if (!plan.steps.some((step) => step.id === stepId && step.status !== status)) {
+		return plan;
+	}
+	return {
+		...plan,
+		steps: plan.steps.map((step) => (step.id === stepId ? { ...step, status } : step)),
+	};
+}
+
+/**
+ * The step being worked on: the running one, else the next pending one.
+ *
+ * @param {Object|null} plan Plan.
+ * @return {Object|null} Step, or null once every step is settled.
+ */
+export function getCurrentPlanStep(plan) {
+	if (!plan || plan.awaitingApproval) {
+		return null;
+	}
+	return (
+		plan.steps.find((step) => step.status === PLAN_STEP_STATUS.RUNNING) ||
+		plan.steps.find((step) => step.status === PLAN_STEP_STATUS.PENDING) ||
+		null
+	);
+}
+
+/**
+ * Close a plan when its turn ends: a step still running did not finish.
+ * Pending steps stay pending — they never ran.
+ *
+ * @param {Object} plan Plan.
+ * @return {Object} Settled plan.
+ */
+export function settlePlan(plan) {
+	return {
+		...plan,
+		awaitingApproval: false,
+		steps: plan.steps.map((step) =>
+			step.status === PLAN_STEP_STATUS.RUNNING ? { ...step, status: PLAN_STEP_STATUS.FAILED } : step
+		),
+	};
+}
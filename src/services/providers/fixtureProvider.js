@@ -0,0 +1,163 @@
+/**
+ * Fixture provider — a scripted, offline stand-in for the worker.
+ *
+ * Each chat completion replays the next scripted response as a stream of
+ * OpenAI chunks, intent classification returns scripted intents, and tools are
+ * served by the mock MCP client. No network access and no session token, so
+ * runChatLoop can be developed against and tested deterministically.
+ *
+ * Fixture shape:
+ *
+ *   {
+ *     "responses": [
+ *       { "chunks": [ ...recorded chat.completion.chunk objects ] },
+ *       { "content": "{\"message\":\"Done\"}" },
+ *       { "tool_calls": [ { "id": "call_1", "name": "blu-edit-block", "arguments": { ... } } ] }
+ *     ],
+ *     "intents": [ { "task": "edit_page", "steps": [] } ],
+ *     "tools": [ ...MCP tools ],
+ *     "results": { "blu-get-global-styles": { ... } },
+ *     "chunkDelay": 20
+ *   }
+ */
+import { DEFAULT_INTENT } from "../intentClassifier";
+import { createMockMcpClient } from "./mockMcpClient";
+
+/** Characters per synthesized content / arguments delta. */
+const CHUNK_SIZE = 24;
+
+/**
+ * Split a string into stream-sized pieces.
+ *
+ * @param {string} text Text to split.
+ * @return {string[]} Pieces, in order.
+ */
+function splitText(text) {
+	const pieces = [];
+	for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+		pieces.push(text.slice(i, i + CHUNK_SIZE));
+	}
+	return pieces;
+}
+
+/**
+ * Stream chunks for a scripted response. Recorded `chunks` replay verbatim;
+ * `content` and `tool_calls` are synthesized into the deltas the OpenAI SDK
+ * would emit, arguments arriving in pieces like a real stream.
+ *
+ * @param {Object} response Scripted response.
+ * @return {Array} chat.completion.chunk objects.
+ */
+export function toStreamChunks(response) {
+	if (Array.isArray(response.chunks)) {
+		return response.chunks;
+	}
+
+	const chunk = (delta, finishReason = null) => ({
+		choices: [{ index: 0, delta, finish_reason: finishReason }],
+	});
+	const chunks = splitText(response.content || "").map((content) => chunk({ content }));
+
+	const toolCalls = response.tool_calls || [];
+	toolCalls.forEach((tc, index) => {
+		const args =
+			typeof tc.arguments === "string" ? tc.arguments : JSON.stringify(tc.arguments || {});
+		chunks.push(
+			chunk({
+				tool_calls: [
+					{
+						index,
+						id: tc.id || `call_fixture_${index}`,
+						type: "function",
+						function: { name: tc.name, arguments: "" },
+					},
+				],
+			})
+		);
+		for (const piece of splitText(args)) {
+			chunks.push(chunk({ tool_calls: [{ index, function: { arguments: piece } }] }));
+		}
+	});
+
+	chunks.push(chunk({}, response.finish_reason || (toolCalls.length > 0 ? "tool_calls" : "stop")));
+	return chunks;
+}
+
+/**
+ * OpenAI-compatible client that answers each `chat.completions.create` call
+ * with the next scripted response.
+ *
+ * Like the SDK, a stream ends quietly when its signal aborts; streamCompletion
+ * turns that into an AbortError. Every request body is kept on `requests` so a
+ * test can assert what the loop sent.
+ *
+ * @param {Array}  responses    Scripted responses, consumed in order.
+ * @param {number} [chunkDelay] Milliseconds between chunks, for watching the UI stream.
+ * @param {Array}  [requests]   Request log, shared by clients that replay one script.
+ * @return {Object} Chat client.
+ */
+export function createFixtureChatClient(responses, chunkDelay = 0, requests = []) {
+	return {
+		requests,
+		chat: {
+			completions: {
+				create: async (params, { signal } = {}) => {
+					requests.push(params);
+					const response = responses[requests.length - 1];
+					if (!response) {
+						throw new Error(
+							`Fixture has no response for completion #${requests.length} (${responses.length} scripted)`
+						);
+					}
+					const chunks = toStreamChunks(response);
+
+					return {
+						async *[Symbol.asyncIterator]() {
+							for (const chunk of chunks) {
+								if (signal?.aborted) {
+									return;
+								}
+								if (chunkDelay > 0) {
+									await new Promise((resolve) => setTimeout(resolve, chunkDelay));
+								}
+								yield chunk;
+							}
+						},
+					};
+				},
+			},
+		},
+	};
+}
+
+/**
+ * Create a fixture provider.
+ *
+ * @param {Object} [fixture] Fixture data (see the shape at the top of this file).
+ * @return {Object} Provider with createMcpClient, createSession and classifyIntent.
+ */
+export function createFixtureProvider(fixture = {}) {
+	const responses = fixture.responses || [];
+	const intents = fixture.intents || [];
+	// One log for every session, so a refreshed session (e.g. after a 401)
+	// carries on with the script instead of replaying it from the start.
+	const requests = [];
+	let classified = 0;
+
+	return {
+		name: "fixture",
+		createMcpClient: () => createMockMcpClient({ tools: fixture.tools, results: fixture.results }),
+		// No expiry, so the token refresh timer never starts.
+		createSession: async () => ({
+			sessionConfig: { workerUrl: "fixture://", sessionToken: "fixture", expiresAt: null },
+			client: createFixtureChatClient(responses, fixture.chunkDelay, requests),
+		}),
+		classifyIntent: async (message) => {
+			if (!message?.trim()) {
+				return DEFAULT_INTENT;
+			}
+			const intent = intents[Math.min(classified++, intents.length - 1)];
+			return intent ? { ...DEFAULT_INTENT, ...intent } : DEFAULT_INTENT;
+		},
+	};
+}
@@ -0,0 +1,69 @@
+/**
+ * Mock MCP client — serves listTools and callTool from JSON.
+ *
+ * Stands in for the blu/mcp client when developing offline or driving
+ * runChatLoop from a test. Results are looked up by ability name, so a call
+ * routed through the blu-call-ability gateway (see services/callAbility.js)
+ * matches the same entry as a direct call.
+ */
+
+/**
+ * Normalise a fixture entry into an MCP tool result. Entries that already have
+ * a `content` array are MCP results; anything else is the ability payload.
+ *
+ * @param {*} entry Fixture value.
+ * @return {Object} MCP result.
+ */
+function toMcpResult(entry) {
+	if (Array.isArray(entry?.content)) {
+		return entry;
+	}
+	return {
+		content: [{ type: "text", text: typeof entry === "string" ? entry : JSON.stringify(entry) }],
+	};
+}
+
+/**
+ * Create a mock MCP client.
+ *
+ * A `results` entry may be a single result, returned for every call, or an
+ * array of results consumed in order (the last one repeats). A call with no
+ * entry returns an MCP error result rather than throwing, like a real server
+ * that does not know the ability.
+ *
+ * @param {Object} [fixture]         MCP fixture.
+ * @param {Array}  [fixture.tools]   Tools returned by listTools(), in MCP shape (name, description, inputSchema).
+ * @param {Object} [fixture.results] Results keyed by tool or ability name.
+ * @return {Object} Client with connect, initialize, listTools, callTool and a `calls` log.
+ */
+export function createMockMcpClient({ tools = [], results = {} } = {}) {
+	const served = {};
+	const calls = [];
+
+	return {
+		calls,
+		connect: async () => {},
+		initialize: async () => {},
+		listTools: async () => tools.map((tool) => ({ ...tool })),
+		callTool: async (name, args = {}) => {
+			calls.push({ name, args });
+
+			const key =
+				name === "blu-call-ability" && args.ability_name in results ? args.ability_name : name;
+			const entry = results[key];
+			if (entry === undefined) {
+				return {
+					isError: true,
+					content: [{ type: "text", text: `No fixture result for ${key}` }],
+				};
+			}
+			if (!Array.isArray(entry)) {
+				return toMcpResult(entry);
+			}
+
+			const index = Math.min(served[key] || 0, entry.length - 1);
+			served[key] = index + 1;
+			return toMcpResult(entry[index]);
+		},
+	};
+}
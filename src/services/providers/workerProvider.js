@@ -0,0 +1,54 @@
+/**
+ * Worker provider — the production AI backend.
+ *
+ * Sessions come from the module's /config route (a short-lived Hiive session
+ * token plus the Cloudflare worker URL); completions and intent classification
+ * go to that worker; tools come from the site's blu/mcp server.
+ */
+import { createMCPClient } from "@newfold/wp-module-ai-chat";
+import apiFetch from "@wordpress/api-fetch";
+import OpenAI from "openai";
+
+import { classifyUserIntent } from "../intentClassifier";
+
+/**
+ * Fetch a session token and build an OpenAI client pointed at the worker.
+ *
+ * @return {Promise<{ sessionConfig: Object, client: Object }>} Session config and chat client
+ */
+async function createSession() {
+	const configUrl = window.nfdEditorChat?.configEndpoint || "";
+	if (!configUrl) {
+		throw new Error("Config endpoint not configured");
+	}
+
+	const config = await apiFetch({ url: configUrl });
+	if (!config.session_token || !config.worker_url) {
+		throw new Error("Invalid config response");
+	}
+
+	return {
+		sessionConfig: {
+			workerUrl: config.worker_url,
+			sessionToken: config.session_token,
+			expiresAt: Date.now() + (config.expires_in || 3600) * 1000,
+		},
+		client: new OpenAI({
+			apiKey: config.session_token,
+			baseURL: config.worker_url,
+			dangerouslyAllowBrowser: true,
+			// streamCompletion owns retries (hooks/chat/streamRetry.js); SDK
+			// retries on top would multiply the wait.
+			maxRetries: 0,
+		}),
+	};
+}
+
+const workerProvider = {
+	name: "worker",
+	createMcpClient: () => createMCPClient({ configKey: "nfdEditorChat" }),
+	createSession,
+	classifyIntent: classifyUserIntent,
+};
+
+export default workerProvider;
@@ -1,132 +1,220 @@
 /**
- * Undo / restore handlers — invoked when the user clicks Decline on a
- * tool execution message to revert applied block and global-style changes.
+ * Undo / restore handlers — invoked when the user reverts a turn to undo its
+ * block, entity and global-style changes.
  */
 import { parse } from "@wordpress/blocks";
-import { store as coreStore } from "@wordpress/core-data";
 import { dispatch, select } from "@wordpress/data";
 
 import { createBlockFromParsed } from "../utils/blockUtils";
+import { persistGlobalStyles } from "./globalStylesService";
+import { modifyNavigationEntity } from "./navigationEditor";
+import { restoreSiteEdits } from "./siteWideEdit";
 import { updateTemplatePartContent } from "./templatePartEditor";
 
 /**
- * Restore blocks to their previous state.
+ * Restore global styles to their previous state.
+ *
+ * Global style tools save as they apply, so reverting one saves too: pass
+ * `persist`. Ending an unsaved preview only puts the editor back.
  *
- * @param {Array} undoData Array of original block states.
+ * @param {Object}  undoData        Object containing originalStyles, originalCssStyles and globalStylesId.
+ * @param {Object}  options         Options.
+ * @param {boolean} options.persist Save the restored styles to the site.
  * @return {Promise<Object>} Result of the restore operation.
  */
-export async function restoreBlocks(undoData) {
-	if (!undoData || !Array.isArray(undoData)) {
-		return { success: false, message: "No undo data available" };
+export async function restoreGlobalStyles(undoData, { persist = false } = {}) {
+	if (!undoData || !undoData.originalStyles || !undoData.globalStylesId) {
+		return { success: false, message: "No undo data available for global styles" };
 	}
 
-	const { updateBlockAttributes, replaceInnerBlocks } = dispatch("core/block-editor");
-	const { getBlock } = select("core/block-editor");
-	const results = [];
+	const { originalStyles, originalCssStyles, globalStylesId } = undoData;
+	const { editEntityRecord } = dispatch("core");
+
+	try {
+		// Styles too: the contrast check may have changed button or link colors.
+		editEntityRecord("root", "globalStyles", globalStylesId, {
+			settings: originalStyles,
+			...(originalCssStyles ? { styles: originalCssStyles } : {}),
+		});
+		if (persist) {
+			const saveResult = await persistGlobalStyles(globalStylesId);
+			if (!saveResult.success) {
+				return {
+					success: false,
+					message: `Restored global styles could not be saved: ${saveResult.error}`,
+				};
+			}
+		}
+
+		return {
+			success: true,
+			message: "Global styles restored successfully",
+		};
+	} catch (error) {
+		// eslint-disable-next-line no-console
+		console.error("Failed to restore global styles:", error);
+		return {
+			success: false,
+			message: `Failed to restore global styles: ${error.message}`,
+		};
+	}
+}
+
+/**
+ * Put a turn's root blocks back the way its snapshot found them.
+ *
+ * Blocks the turn changed keep their clientId, so later turns that reference
+ * them still resolve. Blocks it added are removed and blocks it removed come
+ * back beside their old neighbour.
+ *
+ * @param {Object} blocksUndo The `blocks` part of a turn's undo data (see changeHistory.js).
+ * @return {Array<string>} Errors, empty when everything was restored.
+ */
+function restoreRootBlocks(blocksUndo) {
+	const { getBlock, getBlockOrder } = select("core/block-editor");
+	const { removeBlocks, updateBlockAttributes, replaceInnerBlocks, replaceBlock, insertBlocks } =
+		dispatch("core/block-editor");
+	const rootClientId = blocksUndo.parentClientId || "";
 	const errors = [];
 
-	for (const blockData of undoData) {
-		try {
-			const {
+	const added = blocksUndo.added.filter((id) => getBlock(id));
+	if (added.length > 0) {
+		removeBlocks(added, false);
+	}
+
+	const reinsert = [...blocksUndo.removed];
+	for (const { clientId, markup } of blocksUndo.changed) {
+		const block = getBlock(clientId);
+		const [original] = parse(markup);
+		if (!original) {
+			errors.push(`Could not parse the saved state of block ${clientId}`);
+			continue;
+		}
+		if (!block) {
+			// Deleted by a later turn: bring it back at its old position.
+			const index = blocksUndo.order.indexOf(clientId);
+			reinsert.push({
 				clientId,
-				attributes,
-				innerBlocks,
-				isTemplatePart: isTemplatePartBlock,
-				entityContent,
-			} = blockData;
-
-			if (!clientId) {
-				errors.push("Missing clientId in undo data");
+				markup,
+				index,
+				previousClientId: index > 0 ? blocksUndo.order[index - 1] : null,
+			});
+			continue;
+		}
+		if (block.name !== original.name) {
+			replaceBlock(clientId, createBlockFromParsed(original));
+			continue;
+		}
+		updateBlockAttributes(clientId, original.attributes || {});
+		replaceInnerBlocks(clientId, (original.innerBlocks || []).map(createBlockFromParsed), false);
+	}
+
+	reinsert.sort((a, b) => a.index - b.index);
+	for (const { markup, index, previousClientId } of reinsert) {
+		const restored = parse(markup).map(createBlockFromParsed);
+		if (restored.length === 0) {
+			errors.push("Could not parse the saved state of a removed block");
+			continue;
+		}
+		const order = getBlockOrder(rootClientId);
+		const anchor = previousClientId ? order.indexOf(previousClientId) : -1;
+		const at = anchor !== -1 ? anchor + 1 : Math.min(index, order.length);
+		insertBlocks(restored, at, rootClientId, false);
+	}
+
+	if (blocksUndo.moved.length > 0) {
+		const { moveBlockToPosition } = dispatch("core/block-editor");
+		let previous = null;
+		for (const clientId of blocksUndo.order) {
+			if (!getBlock(clientId)) {
 				continue;
 			}
+			const order = getBlockOrder(rootClientId);
+			const target = previous ? order.indexOf(previous) + 1 : 0;
+			const from = order.indexOf(clientId);
+			if (from !== -1 && from !== target) {
+				moveBlockToPosition(
+					clientId,
+					rootClientId,
+					rootClientId,
+					from < target ? target - 1 : target
+				);
+			}
+			previous = clientId;
+		}
+	}
 
-			if (isTemplatePartBlock && entityContent) {
-				const block = getBlock(clientId);
-				if (block) {
-					const contentString =
-						typeof entityContent === "string"
-							? entityContent
-							: entityContent.raw || entityContent.rendered;
-
-					if (contentString) {
-						const originalBlocks = parse(contentString);
-						const updateResult = await updateTemplatePartContent(block, originalBlocks);
-
-						if (!updateResult.success) {
-							// eslint-disable-next-line no-console
-							console.warn("Failed to restore template part entity:", updateResult.message);
-							errors.push(`Template part entity restore failed: ${updateResult.message}`);
-						}
-
-						const restoredInnerBlocks = originalBlocks.map((inner) => createBlockFromParsed(inner));
-						replaceInnerBlocks(clientId, restoredInnerBlocks);
-					} else {
-						// eslint-disable-next-line no-console
-						console.error("No content string to restore for template part");
-					}
-				} else {
-					// eslint-disable-next-line no-console
-					console.error("Could not find block with clientId:", clientId);
-				}
-			} else {
-				updateBlockAttributes(clientId, attributes);
+	return errors;
+}
+
+/**
+ * Restore template-part and linked-navigation content saved by a turn.
+ *
+ * @param {Array<{type: string, clientId: string, content: string}>} entities Entity content from the undo data.
+ * @return {Promise<Array<string>>} Errors, empty when everything was restored.
+ */
+async function restoreEntityContent(entities) {
+	const { getBlock } = select("core/block-editor");
+	const errors = [];
 
-				if (innerBlocks && Array.isArray(innerBlocks)) {
-					const restoredInnerBlocks = innerBlocks.map((inner) => createBlockFromParsed(inner));
-					replaceInnerBlocks(clientId, restoredInnerBlocks);
+	for (const { type, clientId, content } of entities) {
+		const block = getBlock(clientId);
+		if (!block) {
+			errors.push(`The ${type} block ${clientId} is no longer on the page`);
+			continue;
+		}
+		try {
+			if (type === "wp_navigation") {
+				await modifyNavigationEntity(block, () => parse(content));
+			} else {
+				const originalBlocks = parse(content);
+				const updateResult = await updateTemplatePartContent(block, originalBlocks);
+				if (!updateResult.success) {
+					errors.push(`Template part entity restore failed: ${updateResult.message}`);
 				}
+				dispatch("core/block-editor").replaceInnerBlocks(
+					clientId,
+					originalBlocks.map((inner) => createBlockFromParsed(inner))
+				);
 			}
-
-			const messageType = isTemplatePartBlock ? "Template part" : "Block";
-			results.push({
-				clientId,
-				message: `${messageType} restored successfully`,
-			});
 		} catch (error) {
-			errors.push(`Failed to restore block: ${error.message}`);
-			// eslint-disable-next-line no-console
-			console.error("Failed to restore block:", error);
+			errors.push(`Failed to restore ${type}: ${error.message}`);
 		}
 	}
 
-	return {
-		success: errors.length === 0,
-		message:
-			errors.length === 0 ? "All blocks restored successfully" : "Some blocks failed to restore",
-		results,
-		errors,
-	};
+	return errors;
 }
 
 /**
- * Restore global styles to their previous state.
+ * Revert one turn's changes: root blocks, entity content, site-wide edits and
+ * global styles.
  *
- * @param {Object} undoData Object containing originalStyles and globalStylesId.
+ * @param {Object} undoData Composite undo data ({ blocks, siteEdits, globalStyles }) from the turn's tool_execution message.
  * @return {Promise<Object>} Result of the restore operation.
  */
-export async function restoreGlobalStyles(undoData) {
-	if (!undoData || !undoData.originalStyles || !undoData.globalStylesId) {
-		return { success: false, message: "No undo data available for global styles" };
+export async function restoreTurnChanges(undoData) {
+	if (!undoData || (!undoData.blocks && !undoData.siteEdits && !undoData.globalStyles)) {
+		return { success: false, message: "No undo data available", errors: [] };
 	}
 
-	const { originalStyles, globalStylesId } = undoData;
-	const { editEntityRecord } = dispatch(coreStore);
-
-	try {
-		editEntityRecord("root", "globalStyles", globalStylesId, {
-			settings: originalStyles,
-		});
-
-		return {
-			success: true,
-			message: "Global styles restored successfully",
-		};
-	} catch (error) {
-		// eslint-disable-next-line no-console
-		console.error("Failed to restore global styles:", error);
-		return {
-			success: false,
-			message: `Failed to restore global styles: ${error.message}`,
-		};
+	const errors = [];
+	if (undoData.blocks) {
+		errors.push(...restoreRootBlocks(undoData.blocks));
+		errors.push(...(await restoreEntityContent(undoData.blocks.entities)));
+	}
+	if (undoData.siteEdits) {
+		errors.push(...restoreSiteEdits(undoData.siteEdits));
+	}
+	if (undoData.globalStyles) {
+		const result = await restoreGlobalStyles(undoData.globalStyles, { persist: true });
+		if (!result.success) {
+			errors.push(result.message);
+		}
 	}
+
+	return {
+		success: errors.length === 0,
+		message: errors.length === 0 ? "Turn reverted successfully" : "Some changes failed to revert",
+		errors,
+	};
 }
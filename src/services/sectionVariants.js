@@ -0,0 +1,83 @@
+/**
+ * Section variants — "show me 3 options" for new sections and block rewrites.
+ *
+ * The /variants command asks the model for several designs at once: N
+ * blu-add-section calls for the same spot, or N blu-edit-block calls on the
+ * same block, in one response. The dispatcher hands that group to
+ * toolHandlers/sectionVariants.js, which validates every candidate and shows
+ * the valid ones in the chat as live previews. Only the design the user picks
+ * is written to the page; the rest are answered as not chosen.
+ */
+
+/** Designs the /variants command asks for. */
+export const SECTION_VARIANT_COUNT = 3;
+
+/** Message type of the variant picker in the chat transcript. */
+export const VARIANTS_MESSAGE_TYPE = "section_variants";
+
+/**
+ * Markup of a block-writing call, under any of the names the model uses.
+ *
+ * @param {Object} args Tool arguments.
+ * @return {string} Markup, or "".
+ */
+export function getVariantMarkup(args) {
+	return args.block_content || args.content || args.markup || args.html || args.block_markup || "";
+}
+
+/**
+ * The calls of one response that are alternatives to each other: every
+ * add-section call, or the edit-block calls on the same block — whichever
+ * group is larger, as long as there are at least two.
+ *
+ * @param {Array<{ toolName: string, args: Object }>} calls Resolved tool calls, in order.
+ * @return {number[]} Indexes of the calls in the group (empty when there is none).
+ */
+export function findVariantGroup(calls) {
+	const groups = new Map();
+	calls.forEach(({ toolName, args }, index) => {
+		if (!getVariantMarkup(args)) {
+			return;
+		}
+		const clientId = args.client_id || args.clientId;
+		let key = null;
+		if (toolName === "blu-add-section" || (toolName === "blu-edit-block" && !clientId)) {
+			key = "add";
+		} else if (toolName === "blu-edit-block") {
+			key = `edit:${clientId}`;
+		}
+		if (key) {
+			groups.set(key, [...(groups.get(key) || []), index]);
+		}
+	});
+	const largest = [...groups.values()].sort((a, b) => b.length - a.length)[0] || [];
+	return largest.length > 1 ? largest : [];
+}
+
+/**
+ * Tool result for a candidate the user didn't pick. Not an error — the model
+ * should report the chosen design, not resend this one.
+ *
+ * @param {string}  toolCallId The tool call to answer.
+ * @param {boolean} dismissed  Whether the user turned every design down.
+ * @return {Object} Handler result with no changes.
+ */
+export function unchosenVariantResult(toolCallId, dismissed) {
+	return {
+		id: toolCallId,
+		result: [
+			{
+				type: "text",
+				text: JSON.stringify({
+					success: false,
+					skipped: true,
+					message: dismissed
+						? "The user looked at every design and chose none of them. Nothing was changed. Do not apply any of them; ask what they would like to see instead."
+						: "The user compared the designs and picked another one, which was applied. Nothing else was changed by this call. Do not resend it.",
+				}),
+			},
+		],
+		isError: false,
+		hasChanges: false,
+	};
+}
@@ -0,0 +1,459 @@
+/**
+ * Site-wide edits — find and replace text across pages, posts and template parts.
+ *
+ * Block tools only reach the page loaded in the editor, so "update our phone
+ * number everywhere" used to stop at the current page. For requests like that
+ * the model replies with a `site_replace` request instead of tool calls (see
+ * ASSISTANT_JSON_FORMAT), and the chat loop:
+ * 1. searches page, post and template-part content through core-data entity
+ *    records — the open page through its live blocks,
+ * 2. shows the matches per entity and waits for the user to approve them,
+ * 3. rewrites each approved entity's content with parse/serialize, as
+ *    templatePartEditor does for parts — pending edits, saved with the page,
+ * 4. keeps every original in the turn's undo data, so the whole replacement
+ *    reverts as one change set.
+ *
+ * Only text attributes change (headings, paragraphs, button labels, alt
+ * text…), never tags, URLs or class names. Text split by formatting ("Book
+ * <strong>now</strong>") does not match.
+ *
+ * Template parts are shared by every page, so they are only searched and
+ * changed under TEMPLATE_SCOPE, like block tools writing to them.
+ */
+import { parse, serialize } from "@wordpress/blocks";
+import { dispatch, resolveSelect, select } from "@wordpress/data";
+
+import { getEffectiveRootBlocks } from "../utils/blockUtils";
+import { isTemplatePart, modifyTemplatePartEntity } from "./templatePartEditor";
+import { getMissingCapability, TEMPLATE_POST_TYPES, TEMPLATE_SCOPE } from "./toolPermissions";
+
+/** Message type of the replacement preview in the chat transcript. */
+export const SITE_REPLACE_MESSAGE_TYPE = "site_replace";
+
+/** Post types a site-wide edit searches. */
+export const SITE_EDIT_POST_TYPES = ["page", "post", "wp_template_part"];
+
+/** Most records searched per post type. */
+const MAX_RECORDS_PER_TYPE = 100;
+
+/** Statuses searched for pages and posts: everything but the trash. */
+const SEARCHED_STATUSES = "publish,future,draft,pending,private";
+
+/** Chars of context on each side of a match in the preview. */
+const EXCERPT_CONTEXT = 30;
+
+/** Most preview excerpts per entity. */
+const MAX_EXCERPTS = 3;
+
+/**
+ * Block attributes that hold visible text, and whether they hold HTML.
+ * Everything else (URLs, class names, ids) is left alone.
+ */
+const TEXT_ATTRIBUTES = {
+	content: true,
+	text: true,
+	label: true,
+	value: true,
+	citation: true,
+	caption: true,
+	alt: false,
+};
+
+/** Entities changed by site-wide edits since the last save, as { postType, id }. */
+let touchedEntities = [];
+
+/**
+ * Escape text for use inside HTML.
+ *
+ * @param {string} text Plain text.
+ * @return {string} Text with &, < and > escaped.
+ */
+function escapeHTML(text) {
+	return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Case-insensitive pattern for a literal string.
+ *
+ * @param {string} text Text to find.
+ * @return {RegExp} Global pattern.
+ */
+function literalPattern(text) {
+	return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+}
+
+/**
+ * Plain text of an HTML string, for previews.
+ *
+ * @param {string} html HTML.
+ * @return {string} Text with tags removed and common entities decoded.
+ */
+function toPlainText(html) {
+	return html
+		.replace(/<[^>]*>/g, "")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#0?39;/g, "'")
+		.replace(/&amp;/g, "&");
+}
+
+/**
+ * Replace text in an attribute value, outside of tags.
+ *
+ * @param {string}  value       Attribute value.
+ * @param {string}  find        Text to find (plain text, case-insensitive).
+ * @param {string}  replacement Text to put in its place (plain text).
+ * @param {boolean} isHTML      Whether the value holds HTML (rich text).
+ * @return {{ value: string, count: number }} New value and how many matches were replaced.
+ */
+export function replaceInText(value, find, replacement, isHTML = true) {
+	const pattern = literalPattern(isHTML ? escapeHTML(find) : find);
+	const insert = isHTML ? escapeHTML(replacement) : replacement;
+	let count = 0;
+	const replaceText = (text) =>
+		text.replace(pattern, () => {
+			count++;
+			return insert;
+		});
+	const next = isHTML
+		? value
+				.split(/(<[^>]*>)/)
+				.map((part) => (part.startsWith("<") ? part : replaceText(part)))
+				.join("")
+		: replaceText(value);
+	return { value: next, count };
+}
+
+/**
+ * Short before/after excerpt around the first match, for the preview.
+ *
+ * @param {string} before      Value before the replacement.
+ * @param {string} after       Value after it.
+ * @param {string} find        Text that was found.
+ * @param {string} replacement Text put in its place.
+ * @return {{ before: string, after: string }} Plain-text excerpts.
+ */
+function buildExcerpt(before, after, find, replacement) {
+	const plainBefore = toPlainText(before);
+	const plainAfter = toPlainText(after);
+	// Text ahead of the first match is the same in both.
+	const at = Math.max(0, plainBefore.toLowerCase().indexOf(find.toLowerCase()));
+	const start = Math.max(0, at - EXCERPT_CONTEXT);
+	const clip = (text, end) =>
+		(start > 0 ? "…" : "") + text.slice(start, end) + (end < text.length ? "…" : "");
+	return {
+		before: clip(plainBefore, at + find.length + EXCERPT_CONTEXT),
+		after: clip(plainAfter, at + replacement.length + EXCERPT_CONTEXT),
+	};
+}
+
+/**
+ * Replace text in a block tree.
+ *
+ * Template parts inside the tree are separate entities and are left alone, as
+ * are blocks that failed validation (their saved HTML would be rewritten).
+ *
+ * @param {Array}  blocks      Parsed or live blocks.
+ * @param {string} find        Text to find.
+ * @param {string} replacement Text to put in its place.
+ * @return {{ blocks: Array, matches: Array }} New blocks (unchanged ones are
+ *   reused) and one match per changed attribute ({ clientId, blockName,
+ *   attribute, count, value, before, after }).
+ */
+export function replaceInBlocks(blocks, find, replacement) {
+	const matches = [];
+	const walk = (block) => {
+		if (isTemplatePart(block) || block.isValid === false) {
+			return block;
+		}
+		let attributes = block.attributes;
+		for (const [attribute, isHTML] of Object.entries(TEXT_ATTRIBUTES)) {
+			const raw = attributes?.[attribute];
+			// Rich text is a RichTextData object in recent WordPress versions.
+			const current = typeof raw?.toHTMLString === "function" ? raw.toHTMLString() : raw;
+			if (typeof current !== "string" || !current) {
+				continue;
+			}
+			const { value, count } = replaceInText(current, find, replacement, isHTML);
+			if (count > 0) {
+				attributes = { ...attributes, [attribute]: value };
+				matches.push({
+					clientId: block.clientId,
+					blockName: block.name,
+					attribute,
+					count,
+					value,
+					...buildExcerpt(current, value, find, replacement),
+				});
+			}
+		}
+		const innerBlocks = (block.innerBlocks || []).map(walk);
+		const innerChanged = innerBlocks.some((inner, i) => inner !== block.innerBlocks[i]);
+		return attributes !== block.attributes || innerChanged
+			? { ...block, attributes, innerBlocks }
+			: block;
+	};
+	return { blocks: blocks.map(walk), matches };
+}
+
+/**
+ * Current content of an entity record, pending edits included.
+ *
+ * @param {string}        postType Post type.
+ * @param {number|string} id       Record id.
+ * @param {Object}        [record] The record as fetched, when the store has no edits for it.
+ * @return {string} Serialized blocks.
+ */
+export function getEntityContent(postType, id, record = null) {
+	const edited = select("core").getEditedEntityRecord("postType", postType, id) || record || {};
+	const { content } = edited;
+	if (typeof content === "function") {
+		return content(edited);
+	}
+	if (typeof content === "string") {
+		return content;
+	}
+	if (Array.isArray(edited.blocks)) {
+		return serialize(edited.blocks);
+	}
+	return content?.raw ?? "";
+}
+
+/**
+ * Template-part blocks on the canvas, with the entity id each one renders.
+ *
+ * @param {Array} blocks Live root blocks.
+ * @return {Array<{ id: string|number, block: Object }>} Template parts, depth first.
+ */
+function findCanvasTemplateParts(blocks) {
+	const parts = [];
+	const walk = (list) => {
+		for (const block of list) {
+			if (isTemplatePart(block)) {
+				const { ref, slug, theme } = block.attributes || {};
+				parts.push({ block, id: ref || (slug && theme ? `${theme}//${slug}` : slug) });
+				continue;
+			}
+			walk(block.innerBlocks || []);
+		}
+	};
+	walk(blocks);
+	return parts;
+}
+
+/**
+ * Human label for a record.
+ *
+ * @param {Object} record Entity record.
+ * @return {string} Its title, or its slug.
+ */
+function getRecordTitle(record) {
+	const title = record.title;
+	const text = typeof title === "string" ? title : title?.raw || title?.rendered;
+	return text || record.slug || String(record.id);
+}
+
+/**
+ * Whether the current user may change entities of a post type here.
+ *
+ * @param {string} postType Post type.
+ * @return {boolean} False for templates, their parts and menus without TEMPLATE_SCOPE.
+ */
+function mayEditPostType(postType) {
+	return !TEMPLATE_POST_TYPES.has(postType) || !getMissingCapability(TEMPLATE_SCOPE);
+}
+
+/**
+ * Find every match of a site-wide replacement.
+ *
+ * @param {string} find        Text to find.
+ * @param {string} replacement Text to put in its place.
+ * @return {Promise<Array>} One entry per entity with matches: { key, postType,
+ *   id, title, isCurrent, matches, blocks, content, templatePartBlock }, the
+ *   open page first.
+ */
+export async function findSiteMatches(find, replacement) {
+	const editor = select("core/editor");
+	const currentType = editor.getCurrentPostType();
+	const currentId = editor.getCurrentPostId();
+	const entities = [];
+
+	const { blocks: liveBlocks } = getEffectiveRootBlocks();
+	const current = replaceInBlocks(liveBlocks, find, replacement);
+	if (current.matches.length > 0 && mayEditPostType(currentType)) {
+		const record = select("core").getEditedEntityRecord("postType", currentType, currentId);
+		entities.push({
+			key: `${currentType}:${currentId}`,
+			postType: currentType,
+			id: currentId,
+			title: record ? getRecordTitle(record) : "",
+			isCurrent: true,
+			matches: current.matches,
+		});
+	}
+
+	const canvasParts = findCanvasTemplateParts(select("core/block-editor").getBlocks());
+
+	for (const postType of SITE_EDIT_POST_TYPES.filter(mayEditPostType)) {
+		const query = { per_page: MAX_RECORDS_PER_TYPE, context: "edit" };
+		// The templates endpoint has no search or status filter.
+		if (postType !== "wp_template_part") {
+			query.search = find;
+			query.status = SEARCHED_STATUSES;
+		}
+		const records =
+			(await resolveSelect("core").getEntityRecords("postType", postType, query)) || [];
+		for (const record of records) {
+			if (postType === currentType && String(record.id) === String(currentId)) {
+				continue;
+			}
+			const content = getEntityContent(postType, record.id, record);
+			if (!content) {
+				continue;
+			}
+			const result = replaceInBlocks(parse(content), find, replacement);
+			if (result.matches.length === 0) {
+				continue;
+			}
+			const canvasPart =
+				postType === "wp_template_part"
+					? canvasParts.find(
+							(part) => part.id === record.id || (record.slug && part.id === record.slug)
+						)
+					: null;
+			entities.push({
+				key: `${postType}:${record.id}`,
+				postType,
+				id: record.id,
+				title: getRecordTitle(record),
+				isCurrent: false,
+				matches: result.matches,
+				blocks: result.blocks,
+				content,
+				templatePartBlock: canvasPart?.block || null,
+			});
+		}
+	}
+
+	return entities;
+}
+
+/**
+ * What the preview shows of the matches: small enough to keep in the chat
+ * transcript (no blocks or full content).
+ *
+ * @param {string} find        Text to find.
+ * @param {string} replacement Text to put in its place.
+ * @param {Array}  entities    From {@link findSiteMatches}.
+ * @return {Object} Preview data: find, replace, entities ({ key, postType,
+ *   title, isCurrent, count, excerpts }).
+ */
+export function buildSiteReplacePreview(find, replacement, entities) {
+	return {
+		find,
+		replace: replacement,
+		entities: entities.map((entity) => ({
+			key: entity.key,
+			postType: entity.postType,
+			title: entity.title,
+			isCurrent: entity.isCurrent,
+			count: entity.matches.reduce((sum, match) => sum + match.count, 0),
+			excerpts: entity.matches
+				.slice(0, MAX_EXCERPTS)
+				.map(({ before, after }) => ({ before, after })),
+		})),
+		applied: null,
+	};
+}
+
+/**
+ * Apply the approved replacements as pending edits.
+ *
+ * The open page and template parts on the canvas are covered by the turn's
+ * block snapshot; every other entity's original content is returned for the
+ * undo data.
+ *
+ * @param {Array}    entities     From {@link findSiteMatches}.
+ * @param {string[]} approvedKeys Keys of the entities the user approved.
+ * @param {string}   find         Text to find.
+ * @param {string}   replacement  Text to put in its place.
+ * @return {Promise<{ applied: string[], siteEdits: Array, errors: string[] }>} Keys
+ *   applied, originals ({ postType, id, title, content }) and failures.
+ */
+export async function applySiteMatches(entities, approvedKeys, find, replacement) {
+	const approved = new Set(approvedKeys);
+	const applied = [];
+	const siteEdits = [];
+	const errors = [];
+
+	for (const entity of entities.filter((e) => approved.has(e.key) && mayEditPostType(e.postType))) {
+		try {
+			if (entity.isCurrent) {
+				const { updateBlockAttributes } = dispatch("core/block-editor");
+				for (const match of entity.matches) {
+					updateBlockAttributes(match.clientId, { [match.attribute]: match.value });
+				}
+			} else if (entity.templatePartBlock) {
+				await modifyTemplatePartEntity(
+					entity.templatePartBlock,
+					(blocks) => replaceInBlocks(blocks, find, replacement).blocks
+				);
+			} else {
+				dispatch("core").editEntityRecord("postType", entity.postType, entity.id, {
+					content: serialize(entity.blocks),
+				});
+				siteEdits.push({
+					postType: entity.postType,
+					id: entity.id,
+					title: entity.title,
+					content: entity.content,
+				});
+				if (!touchedEntities.some((t) => t.postType === entity.postType && t.id === entity.id)) {
+					touchedEntities.push({ postType: entity.postType, id: entity.id });
+				}
+			}
+			applied.push(entity.key);
+		} catch (error) {
+			errors.push(`${entity.title}: ${error.message}`);
+		}
+	}
+
+	return { applied, siteEdits, errors };
+}
+
+/**
+ * Put entities changed by a site-wide edit back to their original content.
+ *
+ * @param {Array} siteEdits Originals from {@link applySiteMatches}.
+ * @return {Array<string>} Errors, empty when everything was restored.
+ */
+export function restoreSiteEdits(siteEdits) {
+	const errors = [];
+	for (const { postType, id, title, content } of siteEdits) {
+		try {
+			dispatch("core").editEntityRecord("postType", postType, id, { content });
+		} catch (error) {
+			errors.push(`Failed to restore ${title}: ${error.message}`);
+		}
+	}
+	return errors;
+}
+
+/**
+ * Entities changed by site-wide edits since the last save. The editor's save
+ * only covers the open page, so these are saved explicitly.
+ *
+ * @return {Array<{ postType: string, id: number|string }>} Touched entities.
+ */
+export function getTouchedSiteEntities() {
+	return [...touchedEntities];
+}
+
+/**
+ * Forget the touched entities (after saving them).
+ */
+export function clearTouchedSiteEntities() {
+	touchedEntities = [];
+}
@@ -0,0 +1,212 @@
+/**
+ * Slash commands — typed shortcuts that skip intent classification.
+ *
+ * `/section pricing` already says what the user wants, so a command carries
+ * its own intent and first-pass nudge (naming the tool to call) instead of
+ * waiting on the /classify-intent round-trip and the generic EXECUTE_NUDGE.
+ * `/undo`, `/new` and `/accessibility` never reach the model at all: the chat
+ * runs them itself.
+ */
+import { __ } from "@wordpress/i18n";
+
+import { SECTION_VARIANT_COUNT } from "./sectionVariants";
+import { ASSISTANT_JSON_FORMAT } from "../utils/editorContext";
+import { debugEnabled } from "../utils/logger";
+
+/**
+ * Nudge for a command's first tool-calling pass.
+ *
+ * @param {string} name        Command name, without the slash.
+ * @param {string} instruction What to call and how.
+ * @return {string} Nudge string.
+ */
+const commandNudge = (name, instruction) => `${ASSISTANT_JSON_FORMAT}
+
+The user ran the /${name} command, so the request is unambiguous. ${instruction} Do not ask clarifying questions first.`;
+
+/**
+ * Available commands, in the order the autocomplete lists them.
+ *
+ * `action` commands are run by the chat UI. The others build a model turn:
+ * `prompt` is the instruction sent in place of the typed command, `task` the
+ * intent it maps to, `instruction` what the nudge tells the model to call.
+ * A command with `argument` set refuses to run without one, and a `debug` one
+ * only exists while debug logging is on (see utils/logger.js).
+ */
+export const SLASH_COMMANDS = [
+	{
+		name: "palette",
+		hint: __("[mood]", "wp-module-editor-chat"),
+		description: __("Generate color palette options", "wp-module-editor-chat"),
+		task: "site_management",
+		prompt: (args) =>
+			args
+				? `Generate color palette options for the site: ${args}`
+				: "Generate color palette options for the site.",
+		instruction:
+			"Call blu-generate-color-palette now, passing any mood or colors from the message as its prompt.",
+	},
+	{
+		name: "fonts",
+		hint: __("[mood]", "wp-module-editor-chat"),
+		description: __("Suggest font pairings for the site", "wp-module-editor-chat"),
+		task: "site_management",
+		prompt: (args) =>
+			args ? `Suggest font pairings for the site: ${args}` : "Suggest font pairings for the site.",
+		instruction:
+			"Call blu-suggest-font-pairings now with three or four heading/body pairings from Google Fonts that suit the site and any mood in the message.",
+	},
+	{
+		name: "section",
+		hint: __("<type>", "wp-module-editor-chat"),
+		argument: true,
+		description: __("Add a new section to the page", "wp-module-editor-chat"),
+		task: "edit_page",
+		prompt: (args) => `Add a new ${args} section to the page.`,
+		instruction:
+			"Call blu-add-section now with complete markup for that section, matching the page's existing design. Insert it after the selected block when there is one.",
+	},
+	{
+		name: "variants",
+		hint: __("<section>", "wp-module-editor-chat"),
+		argument: true,
+		description: __("Compare several designs, then pick one", "wp-module-editor-chat"),
+		task: "edit_page",
+		variants: SECTION_VARIANT_COUNT,
+		prompt: (args) => `Show me ${SECTION_VARIANT_COUNT} options: ${args}`,
+		instruction: `Make ${SECTION_VARIANT_COUNT} blu-add-section calls in this one response, each complete markup for a clearly different design of the requested section, all for the same position. If the request changes an existing block, make ${SECTION_VARIANT_COUNT} blu-edit-block calls with that block's client_id instead. The user previews them side by side and only the one they pick is applied.`,
+	},
+	{
+		name: "rewrite",
+		hint: __("[instructions]", "wp-module-editor-chat"),
+		description: __("Rewrite the text of the selected block", "wp-module-editor-chat"),
+		task: "edit_page",
+		prompt: (args) =>
+			args
+				? `Rewrite the text of the selected block: ${args}`
+				: "Rewrite the text of the selected block.",
+		instruction:
+			"Rewrite the copy of the selected block with blu-edit-block (or blu-update-block-attrs for a single attribute), keeping its structure and styling. If no block is selected, say so instead of guessing.",
+	},
+	{
+		name: "logo",
+		hint: __("[changes]", "wp-module-editor-chat"),
+		description: __("Create or edit the site logo", "wp-module-editor-chat"),
+		task: "site_management",
+		prompt: (args) => (args ? `Edit the site logo: ${args}` : "Generate a new site logo."),
+		instruction:
+			"Call blu-edit-logo with the requested changes as its prompt, or blu-regenerate-logo when no changes are given.",
+	},
+	{
+		name: "image",
+		hint: __("<description>", "wp-module-editor-chat"),
+		argument: true,
+		description: __("Generate an image", "wp-module-editor-chat"),
+		task: "site_management",
+		prompt: (args) => `Generate an image: ${args}`,
+		instruction:
+			"Call blu-generate-image now with the description as its prompt. It replaces the selected image block's image; with no image block selected, add the result to the page in a new image block.",
+	},
+	{
+		name: "menu",
+		hint: __("add <page>", "wp-module-editor-chat"),
+		argument: true,
+		description: __("Add a page to the navigation menu", "wp-module-editor-chat"),
+		task: "edit_page",
+		menuEdit: { requested: true, add: true, remove: false },
+		// Only the "add" form exists; the page title is everything after it.
+		parseArgs: (args) => args.match(/^add\s+(.+)$/i)?.[1].trim() || "",
+		prompt: (page) => `Add the "${page}" page to the navigation menu.`,
+		instruction:
+			"Find the page with the pages-search ability, then add it to the core/navigation block with blu-insert-inner-block.",
+	},
+	{
+		name: "accessibility",
+		description: __("Audit accessibility of this page", "wp-module-editor-chat"),
+		action: "audit",
+	},
+	{
+		name: "undo",
+		description: __("Undo the last change", "wp-module-editor-chat"),
+		action: "undo",
+	},
+	{
+		name: "new",
+		description: __("Start a new chat", "wp-module-editor-chat"),
+		action: "new",
+	},
+	{
+		name: "context",
+		description: __("Show what the last editor context included", "wp-module-editor-chat"),
+		action: "context",
+		debug: true,
+	},
+];
+
+/**
+ * Commands available right now.
+ *
+ * @return {Array} SLASH_COMMANDS, without the debug ones unless debug logging is on.
+ */
+const availableCommands = () =>
+	debugEnabled() ? SLASH_COMMANDS : SLASH_COMMANDS.filter((command) => !command.debug);
+
+/**
+ * Commands matching the name being typed. Suggestions only show while the
+ * input is a lone `/word` — once there's a space the user is typing arguments.
+ *
+ * @param {string} text Current input value.
+ * @return {Array} Matching commands (empty when not typing a command name).
+ */
+export function getSlashSuggestions(text) {
+	const match = /^\/(\S*)$/.exec(text);
+	if (!match) {
+		return [];
+	}
+	const typed = match[1].toLowerCase();
+	return availableCommands().filter((command) => command.name.startsWith(typed));
+}
+
+/**
+ * Recognize a slash command. Unknown commands return null, so text that merely
+ * starts with a slash is still sent as a normal message.
+ *
+ * @param {string} text Submitted input value.
+ * @return {{ command: Object, args: string, missingArgument: boolean }|null} Parsed command.
+ */
+export function parseSlashCommand(text) {
+	const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(text.trim());
+	if (!match) {
+		return null;
+	}
+	const command = availableCommands().find((entry) => entry.name === match[1].toLowerCase());
+	if (!command) {
+		return null;
+	}
+	const rawArgs = (match[2] || "").trim();
+	const args = command.parseArgs ? command.parseArgs(rawArgs) : rawArgs;
+	return { command, args, missingArgument: Boolean(command.argument) && !args };
+}
+
+/**
+ * Build the model turn for a (non-action) command.
+ *
+ * @param {{ command: Object, args: string }} parsed From {@link parseSlashCommand}.
+ * @return {{ message: string, intent: Object, nudge: string }} Message to send, the intent to
+ *                                                             use instead of classifying, and the
+ *                                                             first-pass nudge.
+ */
+export function buildCommandTurn({ command, args }) {
+	const message = command.prompt(args);
+	return {
+		message,
+		intent: {
+			task: command.task,
+			content_type: null,
+			menu_edit: command.menuEdit || null,
+			steps: [message],
+			...(command.variants ? { variants: command.variants } : {}),
+		},
+		nudge: commandNudge(command.name, command.instruction),
+	};
+}
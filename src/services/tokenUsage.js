@@ -0,0 +1,72 @@
+/**
+ * Token usage — prompt and completion tokens per model pass, summed per turn
+ * and per chat session.
+ *
+ * Every pass reports its usage (streamCompletion asks for it with
+ * `stream_options.include_usage`). The host plugin can follow it through
+ * `wp.hooks`: the USAGE_ACTION action fires after every pass, and the
+ * ALLOW_TURN_FILTER filter can refuse a new turn, e.g. once a quota is spent.
+ * Cost is only estimated when the host supplies prices via TOKEN_PRICING_FILTER,
+ * since the model (and so the price) is chosen by the worker.
+ */
+
+/** Action fired after every pass: ( { pass, turn, session } ). */
+export const USAGE_ACTION = "nfd-editor-chat.tokenUsage";
+
+/** Filter deciding whether a new turn may start: ( allowed, session ). */
+export const ALLOW_TURN_FILTER = "nfd-editor-chat.allowTurn";
+
+/** Filter returning prices in USD per million tokens: ( null ) → { prompt, completion }. */
+export const TOKEN_PRICING_FILTER = "nfd-editor-chat.tokenPricing";
+
+/** Usage before any pass has run. */
+export const EMPTY_USAGE = Object.freeze({ promptTokens: 0, completionTokens: 0, passes: 0 });
+
+/**
+ * Read the usage object of an OpenAI-compatible response.
+ *
+ * @param {Object} raw Usage from the stream's final chunk.
+ * @return {{ promptTokens: number, completionTokens: number }|null} Usage, or null when missing.
+ */
+export function normalizeUsage(raw) {
+	if (!raw || typeof raw !== "object") {
+		return null;
+	}
+	const promptTokens = Number(raw.prompt_tokens) || 0;
+	const completionTokens = Number(raw.completion_tokens) || 0;
+	if (promptTokens === 0 && completionTokens === 0) {
+		return null;
+	}
+	return { promptTokens, completionTokens };
+}
+
+/**
+ * Add one pass to a running total.
+ *
+ * @param {Object} total Running total.
+ * @param {Object} usage One pass, from {@link normalizeUsage}.
+ * @return {Object} New total.
+ */
+export function addUsage(total, usage) {
+	return {
+		promptTokens: total.promptTokens + usage.promptTokens,
+		completionTokens: total.completionTokens + usage.completionTokens,
+		passes: total.passes + 1,
+	};
+}
+
+/**
+ * Estimated cost of a total.
+ *
+ * @param {Object}      usage   Usage total.
+ * @param {Object|null} pricing USD per million tokens: { prompt, completion }.
+ * @return {number|null} Cost in USD, or null without valid pricing.
+ */
+export function estimateCost(usage, pricing) {
+	const prompt = Number(pricing?.prompt);
+	const completion = Number(pricing?.completion);
+	if (!Number.isFinite(prompt) || !Number.isFinite(completion)) {
+		return null;
+	}
+	return (usage.promptTokens * prompt + usage.completionTokens * completion) / 1e6;
+}
@@ -0,0 +1,105 @@
+/**
+ * Tool-call preview — what a block-writing tool call is building while its
+ * arguments are still streaming.
+ *
+ * A large `blu-add-section` call streams its `block_content` for many seconds
+ * before it can run. Reading the block delimiters out of the partial markup
+ * lets the chat show the section taking shape (which blocks, how many images)
+ * instead of silence. Nothing here writes to the editor; the tool only runs
+ * once the stream completes.
+ */
+import { IMAGE_BLOCKS } from "./blockToolbar/blockAI";
+
+/** Tools whose `block_content` is previewed. */
+export const PREVIEW_TOOLS = new Set(["blu-add-section", "blu-edit-block"]);
+
+const BLOCK_DELIMITER =
+	/<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(?:\{[\s\S]*?\}\s+)?(\/)?-->/g;
+
+/**
+ * Tool a call invokes, unwrapping the `blu-call-ability` gateway when its
+ * ability name has already streamed in.
+ *
+ * @param {string} name          Tool name as streamed so far.
+ * @param {string} argumentsText Partial JSON arguments.
+ * @return {string} Normalized tool name (dash form).
+ */
+export function getPreviewToolName(name, argumentsText) {
+	const toolName = (name || "").replace(/\//g, "-");
+	if (toolName !== "blu-call-ability") {
+		return toolName;
+	}
+	const ability = /"ability_name"\s*:\s*"([^"]+)"/.exec(argumentsText || "");
+	return ability ? ability[1].replace(/\//g, "-") : toolName;
+}
+
+/**
+ * Value of a string field in partially-streamed JSON, decoded as far as it
+ * has arrived. Works at any nesting depth (gateway parameters included).
+ *
+ * @param {string} argumentsText Partial JSON text.
+ * @param {string} field         Field name.
+ * @return {string|null} The value so far, or null before the field starts.
+ */
+export function readPartialStringField(argumentsText, field) {
+	const match = new RegExp(`\\\\?"${field}\\\\?"\\s*:\\s*\\\\?"((?:[^"\\\\]|\\\\.)*)`).exec(
+		argumentsText || ""
+	);
+	if (!match) {
+		return null;
+	}
+	// Drop an escape cut off mid-sequence (a lone "\" is never matched).
+	const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, "");
+	try {
+		return JSON.parse(`"${raw}"`);
+	} catch {
+		return raw.replace(/\\n/g, "\n").replace(/\\"/g, '"');
+	}
+}
+
+/**
+ * Blocks opened so far in partial block markup.
+ *
+ * @param {string} markup Partial serialized blocks.
+ * @return {{ blocks: Array<{ name: string, depth: number }>, imageCount: number }} Outline.
+ */
+export function outlinePartialMarkup(markup) {
+	const blocks = [];
+	let imageCount = 0;
+	let depth = 0;
+	for (const [, closing, rawName, selfClosing] of (markup || "").matchAll(BLOCK_DELIMITER)) {
+		if (closing) {
+			depth = Math.max(0, depth - 1);
+			continue;
+		}
+		const name = rawName.includes("/") ? rawName : `core/${rawName}`;
+		blocks.push({ name, depth });
+		if (IMAGE_BLOCKS.has(name)) {
+			imageCount++;
+		}
+		if (!selfClosing) {
+			depth++;
+		}
+	}
+	return { blocks, imageCount };
+}
+
+/**
+ * Preview of a streaming tool call, or null for tools that aren't previewed
+ * (or before any markup has arrived).
+ *
+ * @param {string} name          Tool name as streamed so far.
+ * @param {string} argumentsText Partial JSON arguments.
+ * @return {{ toolName: string, blocks: Array, imageCount: number }|null} Preview.
+ */
+export function buildToolCallPreview(name, argumentsText) {
+	const toolName = getPreviewToolName(name, argumentsText);
+	if (!PREVIEW_TOOLS.has(toolName)) {
+		return null;
+	}
+	const markup = readPartialStringField(argumentsText, "block_content");
+	if (markup === null) {
+		return null;
+	}
+	return { toolName, ...outlinePartialMarkup(markup) };
+}
@@ -5,7 +5,8 @@
  *
  * Responsibilities:
  *   - separate client-side (blu-*) and server-side (MCP) tools
- *   - capture a block snapshot for atomic undo before any mutation
+ *   - capture a per-turn snapshot before any mutation, so each turn can be
+ *     reverted on its own
  *   - normalize arg aliases the AI commonly emits
  *   - upsert the single tool_execution message that drives the chat UI
  *
@@ -21,9 +22,10 @@ import {
 } from "../utils/entityContentValidation";
 import { createAbortError } from "../utils/abortControl";
 import { resolveAlt } from "../utils/imageAlt";
-import { snapshotBlocks } from "../utils/editorContext";
 import { safeParseJSON } from "../utils/jsonUtils";
+import { getToolBatchTargets, markBatchTargets } from "./batchEdit";
 import { callAbility, mcpResultIsError } from "./callAbility";
+import { buildTurnUndo, captureTurnSnapshot } from "./changeHistory";
 import { handleContentCreation, CREATE_ABILITIES } from "./contentNavigation";
 import { findHeaderRefNavigationBlock, hydrateAllRefNavigationBlocks } from "./navigationEditor";
 import {
@@ -36,7 +38,11 @@ import { handleDeleteBlock } from "./toolHandlers/deleteBlock";
 import { handleDuplicate } from "./toolHandlers/duplicate";
 import { handleEditBlock } from "./toolHandlers/editBlock";
 import { handleGetBlockMarkup } from "./toolHandlers/getBlockMarkup";
-import { handleGetGlobalStyles, handleUpdateGlobalStyles } from "./toolHandlers/globalStyles";
+import {
+	annotatePaletteOptions,
+	handleGetGlobalStyles,
+	handleUpdateGlobalStyles,
+} from "./toolHandlers/globalStyles";
 import { handleHighlightBlock } from "./toolHandlers/highlightBlock";
 import { handleInsertInnerBlock } from "./toolHandlers/insertInnerBlock";
 import { handleMoveBlock } from "./toolHandlers/moveBlock";
@@ -45,6 +51,11 @@ import { handleEditLogo } from "./toolHandlers/editLogo";
 import { handleSetLogoFromImage } from "./toolHandlers/setLogoFromImage";
 import { handleUpdateBlockAttrs } from "./toolHandlers/updateBlockAttrs";
 import { handleEditImage } from "./toolHandlers/editImage";
+import { handleSectionVariants } from "./toolHandlers/sectionVariants";
+import { handleApplyFontPairing, handleSuggestFontPairings } from "./toolHandlers/typography";
+import { findVariantGroup } from "./sectionVariants";
+import { deniedToolResult, TEMPLATE_SCOPE, writesTemplate } from "./toolPermissions";
+import { getToolConcurrency, getToolFootprint, runScheduledTools } from "./toolScheduler";
 import {
 	applyImageToBlock,
 	callImageAbility,
@@ -61,12 +72,15 @@ export { resetGeneratedImageCache };
  * Create or replace the single tool_execution message for the current turn.
  * Caller passes the COMPLETE list of tools; any existing message is replaced
  * (not appended) so duplicates are impossible across multi-round calls.
+ * Undo data is merged part by part, so a later round that only touched blocks
+ * keeps the global-style snapshot an earlier round recorded.
  *
  * @param {Function} setMessages React state setter for messages
  * @param {Array}    tools       Complete list of tool objects for this turn
- * @param {Object}   [undoData]  Optional undo data for accept/decline
+ * @param {Object}   [undoData]  Optional undo data for reverting this turn
+ * @param {Object}   [batch]     Optional batch-edit progress for this turn
  */
-export function upsertToolExecMsg(setMessages, tools, undoData) {
+export function upsertToolExecMsg(setMessages, tools, undoData, batch) {
 	if (!tools || tools.length === 0) {
 		return;
 	}
@@ -100,7 +114,8 @@ export function upsertToolExecMsg(setMessages, tools, undoData) {
 				...existing,
 				id: existing.id || stableToolExecId,
 				executedTools: [...tools],
-				...(undoData ? { hasActions: true, undoData } : {}),
+				...(undoData ? { hasActions: true, undoData: { ...existing.undoData, ...undoData } } : {}),
+				...(batch ? { batch } : {}),
 			};
 			return [...prev.slice(0, existingIdx), updated, ...prev.slice(existingIdx + 1)];
 		}
@@ -112,6 +127,7 @@ export function upsertToolExecMsg(setMessages, tools, undoData) {
 			type: "tool_execution",
 			executedTools: [...tools],
 			...(undoData ? { hasActions: true, undoData } : {}),
+			...(batch ? { batch } : {}),
 			timestamp: new Date(),
 		};
 
@@ -175,12 +191,13 @@ function normalizeBlockToolName(toolName) {
 
 /**
  * Unwrap blu-call-ability and normalize slash/alias names to the client handler name.
+ * Exported for unit testing.
  *
  * @param {string} toolName
  * @param {Object} args
  * @return {{ toolName: string, args: Object }} The unwrapped tool name and its arguments.
  */
-function resolveClientToolCall(toolName, args) {
+export function resolveClientToolCall(toolName, args) {
 	let resolvedName = toolName || "";
 	let resolvedArgs = args || {};
 
@@ -211,6 +228,52 @@ function resolveClientToolCall(toolName, args) {
 	};
 }
 
+/**
+ * Normalize the alternative param names models send for block tools.
+ *
+ * Runs when the call is resolved, so its footprint (toolScheduler.js) and
+ * permission check see the same arguments as its handler.
+ *
+ * @param {string} toolName Resolved tool name.
+ * @param {Object} args     Tool arguments; normalized in place.
+ * @return {Object} The arguments.
+ */
+function normalizeClientToolArgs(toolName, args) {
+	if (!args.client_id && args.clientId) {
+		args.client_id = args.clientId;
+	}
+	if (toolName === "blu-delete-block") {
+		if (!args.label && typeof args.item_label === "string") {
+			args.label = args.item_label;
+		}
+		if (!args.label && typeof args.menu_item_label === "string") {
+			args.label = args.menu_item_label;
+		}
+		// Nav menu client_ids go stale after every entity edit — never mix with label.
+		if (args.label) {
+			delete args.client_id;
+			delete args.clientId;
+		}
+	}
+	// The model commonly sends `instruction` (singular) even though the
+	// ability schema is `instructions` — accept both.
+	if (!args.instructions && args.instruction) {
+		args.instructions = args.instruction;
+	}
+	if (
+		(toolName === "blu-edit-block" ||
+			toolName === "blu-add-section" ||
+			toolName === "blu-insert-inner-block") &&
+		!args.block_content
+	) {
+		const alt = args.content || args.markup || args.html || args.block_markup;
+		if (alt) {
+			args.block_content = alt;
+		}
+	}
+	return args;
+}
+
 /**
  * Normalize common alias param names for blu-insert-inner-block.
  *
@@ -435,6 +498,7 @@ const READ_TOOLS = new Set([
 	"blu-read-document",
 	"blu-extract-image-colors",
 	"blu-generate-color-palette",
+	"blu-suggest-font-pairings",
 	// Gateway tools return data the model needs — pass their full content through.
 	// Without these the LLM receives "No changes needed" instead of the ability
 	// list/schema, causing it to loop indefinitely without finding the ability.
@@ -442,6 +506,25 @@ const READ_TOOLS = new Set([
 	"blu-get-ability-schema",
 ]);
 
+/**
+ * Record a tool's outcome on the batch targets it touched, and publish the
+ * updated batch for the live progress list.
+ *
+ * @param {Object}   ctx       Tool context (batchRef, setBatchProgress).
+ * @param {string[]} clientIds Batch targets the tool touched.
+ * @param {string}   status    "done" or "failed".
+ */
+function recordBatchOutcome(ctx, clientIds, status) {
+	if (!ctx.batchRef?.current || clientIds.length === 0) {
+		return;
+	}
+	const next = markBatchTargets(ctx.batchRef.current, clientIds, status);
+	if (next !== ctx.batchRef.current) {
+		ctx.batchRef.current = next;
+		ctx.setBatchProgress?.(next);
+	}
+}
+
 /**
  * Placeholder result for a tool the user stopped before it ran. Every tool_call
  * needs a reply — one without is a hard 400 on the next request.
@@ -455,6 +538,21 @@ const cancelledResult = (toolCall) => ({
 	isError: true,
 });
 
+/**
+ * Results in the order of the tool calls they answer. Server tools run before
+ * client tools, so the raw order differs whenever a pass mixes both.
+ *
+ * @param {Array} results   Tool results ({ tool_call_id, … })
+ * @param {Array} toolCalls The pass's tool calls, in the model's order
+ * @return {Array} Results sorted by tool_call position
+ */
+function inCallOrder(results, toolCalls) {
+	const position = new Map(toolCalls.map((tc, idx) => [tc.id, idx]));
+	return [...results].sort(
+		(a, b) => (position.get(a.tool_call_id) ?? 0) - (position.get(b.tool_call_id) ?? 0)
+	);
+}
+
 /**
  * MCP client that refuses to deliver a result once the turn is stopped.
  *
@@ -550,12 +648,11 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 		return toolResults;
 	}
 
-	// Capture block snapshot before any tool execution for atomic undo
+	// Capture the turn's snapshot before its first mutation. The ref is cleared
+	// at the start of every turn, so later rounds of the same turn reuse it.
 	const hasBlockTools = clientToolCalls.some((tc) => toolCallUsesBlockMutation(tc));
 	if (hasBlockTools && !ctx.blockSnapshotRef.current) {
-		const { select: wpSelect } = wp.data;
-		const allBlocks = wpSelect("core/block-editor").getBlocks();
-		ctx.blockSnapshotRef.current = snapshotBlocks(allBlocks);
+		ctx.blockSnapshotRef.current = captureTurnSnapshot();
 	}
 
 	await ctx.wait(300);
@@ -570,12 +667,13 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 	// ability arrives as blu-call-ability, so the raw name would label the whole
 	// actions list "Blu Call Ability" and hide discovery calls from the
 	// internal-tool filter, which matches on ability names.
-	const resolvedCalls = clientToolCalls.map((tc) =>
-		resolveClientToolCall(
+	const resolvedCalls = clientToolCalls.map((tc) => {
+		const resolved = resolveClientToolCall(
 			tc.name || "",
 			typeof tc.arguments === "string" ? safeParseJSON(tc.arguments).value : tc.arguments || {}
-		)
-	);
+		);
+		return { ...resolved, args: normalizeClientToolArgs(resolved.toolName, resolved.args) };
+	});
 
 	ctx.setPendingTools(
 		clientToolCalls.map((tc, idx) => ({
@@ -585,13 +683,33 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 		}))
 	);
 
-	// Execute client-side tools sequentially
-	for (let i = 0; i < clientToolCalls.length; i++) {
+	// A /variants turn: alternative designs arrive as several calls and run as
+	// one group, the first of them showing the picker. The group's calls write
+	// the same spot, so the scheduler runs them in order and the rest only
+	// collect their share of its results.
+	const variantGroup = ctx.variantCount && ctx.chooseVariant ? findVariantGroup(resolvedCalls) : [];
+	let variantResults = null;
+	const runVariantGroup = () => {
+		if (!variantResults) {
+			variantResults = handleSectionVariants(
+				variantGroup.map((index) => ({
+					toolCall: { ...clientToolCalls[index], name: resolvedCalls[index].toolName },
+					toolName: resolvedCalls[index].toolName,
+					args: resolvedCalls[index].args,
+				})),
+				ctx
+			);
+		}
+		return variantResults;
+	};
+
+	// Execute client-side tools. Independent calls run side by side (see
+	// toolScheduler.js); the actions list keeps tool_call order regardless.
+	const completedByIndex = [];
+	const runClientTool = async (i) => {
 		if (ctx.abortSignal?.aborted) {
-			const remaining = clientToolCalls.slice(i);
-			logger.log(`[ToolExecutor:REST] Stopped — cancelling ${remaining.length} pending tool(s)`);
-			toolResults.push(...remaining.map(cancelledResult));
-			break;
+			logger.log(`[ToolExecutor:REST] Stopped — cancelling ${clientToolCalls[i].name}`);
+			return cancelledResult(clientToolCalls[i]);
 		}
 
 		const toolIndex = i + 1;
@@ -600,8 +718,9 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 		let { toolName, args } = resolvedCalls[i];
 		const rawToolName = clientToolCalls[i].name;
 		const toolCall = { ...clientToolCalls[i], name: toolName };
+		const pendingId = clientToolCalls[i].id || `tool-${i}`;
 
-		ctx.setPendingTools((prev) => prev.filter((_, idx) => idx !== 0));
+		ctx.setPendingTools((prev) => prev.filter((tool) => tool.id !== pendingId));
 		ctx.setActiveToolCall({
 			id: toolCall.id || `tool-${i}`,
 			name: toolName,
@@ -612,6 +731,7 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 
 		await new Promise((r) => requestAnimationFrame(r));
 
+		let batchTargets = [];
 		try {
 			logger.log(
 				`[ToolExecutor:REST] Executing ${toolIndex}/${totalTools}: ${toolName}`,
@@ -621,40 +741,6 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 				logger.log(`[ToolExecutor:REST] Resolved tool: ${toolName}`, args);
 			}
 
-			// Normalize alt param names
-			if (!args.client_id && args.clientId) {
-				args.client_id = args.clientId;
-			}
-			if (toolName === "blu-delete-block") {
-				if (!args.label && typeof args.item_label === "string") {
-					args.label = args.item_label;
-				}
-				if (!args.label && typeof args.menu_item_label === "string") {
-					args.label = args.menu_item_label;
-				}
-				// Nav menu client_ids go stale after every entity edit — never mix with label.
-				if (args.label) {
-					delete args.client_id;
-					delete args.clientId;
-				}
-			}
-			// The model commonly sends `instruction` (singular) even though the
-			// ability schema is `instructions` — accept both.
-			if (!args.instructions && args.instruction) {
-				args.instructions = args.instruction;
-			}
-			if (
-				(toolName === "blu-edit-block" ||
-					toolName === "blu-add-section" ||
-					toolName === "blu-insert-inner-block") &&
-				!args.block_content
-			) {
-				const alt = args.content || args.markup || args.html || args.block_markup;
-				if (alt) {
-					args.block_content = alt;
-				}
-			}
-
 			if (toolName === "blu-insert-inner-block") {
 				await resolveInsertInnerBlockArgs(args);
 			}
@@ -664,10 +750,29 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 				toolName = "blu-add-section";
 			}
 
+			// Resolved now: the edit may replace the blocks it names.
+			if (ctx.batchRef?.current) {
+				batchTargets = getToolBatchTargets(ctx.batchRef.current, args);
+			}
+
 			let result;
 
+			// Refuse tools the user lacks the capability for (services/toolPermissions.js)
+			// before any handler can touch the editor, and block writes that would
+			// change the template, a template part or a menu for every page.
+			const denied =
+				deniedToolResult(toolCall, toolName) ||
+				(writesTemplate(toolName, args) ? deniedToolResult(toolCall, TEMPLATE_SCOPE) : null);
+
 			// Dispatch to tool handlers
-			if (
+			if (denied) {
+				result = denied;
+			} else if (variantGroup.includes(i)) {
+				result = (await runVariantGroup())[variantGroup.indexOf(i)];
+				if (!result.isError && result.hasChanges) {
+					hasBlockEdits = true;
+				}
+			} else if (
 				toolName === "blu-update-global-styles" &&
 				(args.settings || args.palette || args.styles)
 			) {
@@ -680,6 +785,14 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 				if (gsResult.globalStylesUndoData) {
 					globalStylesUndoData = gsResult.globalStylesUndoData;
 				}
+			} else if (toolName === "blu-suggest-font-pairings") {
+				result = await handleSuggestFontPairings(toolCall, args, ctx);
+			} else if (toolName === "blu-apply-font-pairing") {
+				const fontResult = await handleApplyFontPairing(toolCall, args, ctx);
+				result = fontResult.toolResult;
+				if (fontResult.globalStylesUndoData) {
+					globalStylesUndoData = fontResult.globalStylesUndoData;
+				}
 			} else if (
 				toolName === "blu-get-global-styles" ||
 				toolName === "blu-get-active-global-styles"
@@ -968,8 +1081,16 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 				}
 			}
 
+			// Palette options go to the model with their contrast checked.
+			if (toolName === "blu-generate-color-palette" && result && !result.isError) {
+				result = annotatePaletteOptions(result);
+			}
+
 			// Build tool result for conversation
 			const isError = result?.isError ?? false;
+			if (isError || result?.hasChanges) {
+				recordBatchOutcome(ctx, batchTargets, isError ? "failed" : "done");
+			}
 			let creationMeta = null;
 			let content;
 			if (isError) {
@@ -1017,42 +1138,52 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 				isError ? toolCall.arguments : ""
 			);
 
-			toolResults.push({
+			completedByIndex[i] = { ...toolCall, isError };
+			ctx.setExecutedTools((prev) => [...prev, { ...toolCall, isError }]);
+			return {
 				tool_call_id: toolCall.id,
 				content,
 				isError,
 				hasChanges: result?.hasChanges || false,
 				isContentCreation: !!creationMeta,
 				creationMeta,
-			});
-			completedToolsList.push({ ...toolCall, isError });
-			ctx.setExecutedTools((prev) => [...prev, { ...toolCall, isError }]);
+			};
 		} catch (err) {
 			console.error(`[ToolExecutor:REST] Error executing ${toolCall.name}:`, err);
+			recordBatchOutcome(ctx, batchTargets, "failed");
 			await ctx.updateProgress(
 				__("Action failed:", "wp-module-editor-chat") + " " + err.message,
 				1000
 			);
-			toolResults.push({
-				tool_call_id: toolCall.id,
-				content: JSON.stringify({ error: err.message }),
-				isError: true,
-			});
-			completedToolsList.push({ ...toolCall, isError: true, errorMessage: err.message });
+			completedByIndex[i] = { ...toolCall, isError: true, errorMessage: err.message };
 			ctx.setExecutedTools((prev) => [
 				...prev,
 				{ ...toolCall, isError: true, errorMessage: err.message },
 			]);
+			return {
+				tool_call_id: toolCall.id,
+				content: JSON.stringify({ error: err.message }),
+				isError: true,
+			};
 		}
-	}
+	};
+
+	const footprints = resolvedCalls.map(({ toolName, args }) => getToolFootprint(toolName, args));
+	// Review mode shows one proposal at a time, so its tools run one at a time too.
+	const concurrency = ctx.reviewChange ? 1 : getToolConcurrency();
+	toolResults.push(...(await runScheduledTools(footprints, concurrency, runClientTool)));
+	completedToolsList.push(...completedByIndex.filter(Boolean));
 
 	// Build composite undo data
 	const hasChanges = toolResults.some((r) => r.hasChanges);
 	let compositeUndoData = null;
 	if (hasChanges || hasBlockEdits) {
 		const undoParts = {};
-		if (hasBlockEdits && ctx.blockSnapshotRef.current) {
-			undoParts.blocks = ctx.blockSnapshotRef.current;
+		// Diff against the turn's snapshot rather than this round's, so the undo
+		// covers every round of the turn.
+		const blocksUndo = buildTurnUndo(ctx.blockSnapshotRef.current);
+		if (blocksUndo) {
+			undoParts.blocks = blocksUndo;
 		}
 		if (globalStylesUndoData) {
 			undoParts.globalStyles = globalStylesUndoData;
@@ -1074,7 +1205,7 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 	}
 
 	if (compositeUndoData || allCompletedTools.length > 0) {
-		upsertToolExecMsg(ctx.setMessages, allCompletedTools, compositeUndoData);
+		upsertToolExecMsg(ctx.setMessages, allCompletedTools, compositeUndoData, ctx.batchRef?.current);
 	}
 
 	if (allCompletedTools.length > 0) {
@@ -1087,5 +1218,5 @@ export async function executeToolCallsForREST(toolCalls, rawCtx) {
 	ctx.setToolProgress(null);
 	ctx.setPendingTools([]);
 
-	return toolResults;
+	return inCallOrder(toolResults, toolCalls);
 }
@@ -3,6 +3,7 @@ import { __ } from "@wordpress/i18n";
 import { validateBlockMarkup } from "../../utils/blockValidator";
 import { findImagePlaceholders } from "../../utils/imagePlaceholders";
 import { handleAddAction } from "../blockActions";
+import { requestChangeReview, skippedChangeResult } from "../changeReview";
 import { resolveMarkupImages } from "../imageAbility";
 import { deduplicateImages, getGeneratedImages, unresolvedPlaceholderResult } from "../imageCache";
 
@@ -75,14 +76,28 @@ export async function handleAddSection(toolCall, args, ctx) {
 		// Non-critical — proceed without constrained layout
 	}
 
+	// The MCP schema exposes mutually-exclusive after_client_id / before_client_id.
+	// Prefer before_client_id when set so "insert above X" requests land correctly.
+	const beforeClientId = args.before_client_id || null;
+	const afterClientId = args.after_client_id || null;
+	const targetClientId = beforeClientId || afterClientId;
+	const position = beforeClientId ? "before" : "after";
+
+	// ── Review mode: an insertion has no "before", so the diff is all additions ──
+	const approved = await requestChangeReview(ctx, {
+		toolCallId: toolCall.id,
+		toolName: "blu-add-section",
+		clientId: targetClientId,
+		position,
+		before: "",
+		after: sectionContent,
+	});
+	if (!approved) {
+		return skippedChangeResult(toolCall.id);
+	}
+
 	await ctx.updateProgress(__("Adding new section…", "wp-module-editor-chat"), 400);
 	try {
-		// The MCP schema exposes mutually-exclusive after_client_id / before_client_id.
-		// Prefer before_client_id when set so "insert above X" requests land correctly.
-		const beforeClientId = args.before_client_id || null;
-		const afterClientId = args.after_client_id || null;
-		const targetClientId = beforeClientId || afterClientId;
-		const position = beforeClientId ? "before" : "after";
 		const addResult = await handleAddAction(
 			targetClientId,
 			[{ block_content: sectionContent }],
@@ -94,6 +109,7 @@ export async function handleAddSection(toolCall, args, ctx) {
 			success: true,
 			message: addResult.message,
 			blocksAdded: addResult.blocksAdded,
+			inserted_client_ids: addResult.insertedClientIds,
 		};
 
 		return {
@@ -2,7 +2,9 @@ import { __ } from "@wordpress/i18n";
 
 import { validateBlockMarkup } from "../../utils/blockValidator";
 import { findImagePlaceholders } from "../../utils/imagePlaceholders";
+import { getBlockMarkup } from "../../utils/editorHelpers";
 import { handleRewriteAction } from "../blockActions";
+import { requestChangeReview, skippedChangeResult } from "../changeReview";
 import { getBlockImageUrl, resolveMarkupImages } from "../imageAbility";
 import { deduplicateImages, getGeneratedImages, unresolvedPlaceholderResult } from "../imageCache";
 
@@ -163,6 +165,19 @@ export async function handleEditBlock(toolCall, args, ctx) {
 		}
 	}
 
+	// ── Review mode: hold the edit until the user has seen the diff ──
+	const approved = await requestChangeReview(ctx, {
+		toolCallId: toolCall.id,
+		toolName: "blu-edit-block",
+		clientId: args.client_id,
+		blockName: wpSelect("core/block-editor").getBlock(args.client_id)?.name,
+		before: getBlockMarkup(args.client_id)?.block_content || "",
+		after: finalContent,
+	});
+	if (!approved) {
+		return skippedChangeResult(toolCall.id);
+	}
+
 	// ── Apply the edit ──
 	await ctx.updateProgress(__("Editing block content…", "wp-module-editor-chat"), 400);
 
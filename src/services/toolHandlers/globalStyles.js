@@ -4,7 +4,120 @@
 import { __ } from "@wordpress/i18n";
 
 import { callAbility } from "../callAbility";
-import { getCurrentGlobalStyles, updateGlobalStyles } from "../globalStylesService";
+import {
+	checkPaletteContrast,
+	describeContrastReport,
+	getCurrentGlobalStyles,
+	getEffectiveSiteColors,
+	updateGlobalStyles,
+	validatePaletteContrast,
+} from "../globalStylesService";
+import { deepMergeStyles } from "../../utils/deepMerge";
+import { safeParseJSON } from "../../utils/jsonUtils";
+
+/**
+ * Palettes in a blu-generate-color-palette result. The ability's shape varies
+ * (one palette, a list of options, options nested under a key), so any array
+ * of two or more { slug|name, color } entries counts as one option.
+ *
+ * @param {*}      value Parsed result.
+ * @param {number} depth Nesting level, to stop on pathological input.
+ * @return {Array<Array<{ slug: string, name: string, color: string }>>} Palette options, in order.
+ */
+export function findPaletteOptions(value, depth = 0) {
+	if (depth > 6 || !value || typeof value !== "object") {
+		return [];
+	}
+	if (Array.isArray(value)) {
+		const isPalette =
+			value.length >= 2 &&
+			value.every(
+				(entry) => entry && typeof entry.color === "string" && (entry.slug || entry.name)
+			);
+		if (isPalette) {
+			return [
+				value.map((entry) => ({
+					slug:
+						entry.slug ||
+						String(entry.name)
+							.toLowerCase()
+							.replace(/[^a-z0-9]+/g, "-")
+							.replace(/^-|-$/g, ""),
+					name: entry.name || entry.slug,
+					color: entry.color,
+				})),
+			];
+		}
+		return value.flatMap((item) => findPaletteOptions(item, depth + 1));
+	}
+	return Object.values(value).flatMap((item) => findPaletteOptions(item, depth + 1));
+}
+
+/**
+ * Parse a tool result's text. Plain-text results carry no options, so they are
+ * skipped before the parser warns about them.
+ *
+ * @param {*} text Result text.
+ * @return {*} Parsed value, or null.
+ */
+function parseResultText(text) {
+	return typeof text === "string" && /^\s*[[{]/.test(text) ? safeParseJSON(text, null).value : null;
+}
+
+/**
+ * Add a contrast check of every palette option to a blu-generate-color-palette
+ * result, so the options are presented with what applying them would change.
+ *
+ * @param {Object} result Tool result ({ result: [{ type, text }], isError }).
+ * @param {Object} site   Current palette and merged styles (getEffectiveSiteColors()).
+ * @return {Object} The result, its text extended with `contrast_check` when there were options.
+ */
+export function annotatePaletteOptions(result, site = getEffectiveSiteColors()) {
+	const parsed = parseResultText(result?.result?.[0]?.text);
+	const options = findPaletteOptions(parsed);
+	if (options.length === 0) {
+		return result;
+	}
+	const contrastCheck = options.map((option, index) => {
+		const { palette } = deepMergeStyles({ palette: site.palette }, { palette: option });
+		const failing = checkPaletteContrast(palette, site.styles).filter((checked) => !checked.passes);
+		const { report } = validatePaletteContrast({ palette, styles: site.styles }, site);
+		return {
+			option: index + 1,
+			passed: failing.length === 0,
+			failing: failing.map(
+				(checked) => `${checked.label} ${checked.ratio}:1 (needs ${checked.minimum}:1)`
+			),
+			on_apply:
+				report.rejected.length > 0
+					? "Would be rejected: no color of this option can be adjusted to pass."
+					: describeContrastReport(report),
+		};
+	});
+	const annotated = Array.isArray(parsed)
+		? { palettes: parsed, contrast_check: contrastCheck }
+		: { ...parsed, contrast_check: contrastCheck };
+	return {
+		...result,
+		result: [{ ...result.result[0], text: JSON.stringify(annotated) }, ...result.result.slice(1)],
+	};
+}
+
+/**
+ * Palette options of an annotated blu-generate-color-palette result, for the
+ * palette picker (services/palettePicker.js).
+ *
+ * @param {string} text Result text, as {@link annotatePaletteOptions} left it.
+ * @return {Array<{ colors: Array, passed: boolean }>} Options, each with whether it passed the contrast check as is.
+ */
+export function getPaletteOptions(text) {
+	const parsed = parseResultText(text);
+	const checks = Array.isArray(parsed?.contrast_check) ? parsed.contrast_check : [];
+	return findPaletteOptions(parsed).map((colors, index) => ({
+		colors,
+		passed: checks[index]?.passed !== false,
+	}));
+}
 
 export async function handleUpdateGlobalStyles(toolCall, args, ctx) {
 	await ctx.updateProgress(__("Reading current styles…", "wp-module-editor-chat"), 500);
@@ -32,7 +145,12 @@ export async function handleUpdateGlobalStyles(toolCall, args, ctx) {
 		const jsResult = await updateGlobalStyles(args.settings, args.styles);
 
 		if (jsResult.success) {
-			await ctx.updateProgress(__("✓ Styles saved to your site.", "wp-module-editor-chat"), 800);
+			await ctx.updateProgress(
+				jsResult.contrast?.adjustments.length > 0
+					? __("✓ Styles saved, with colors adjusted for legibility.", "wp-module-editor-chat")
+					: __("✓ Styles saved to your site.", "wp-module-editor-chat"),
+				800
+			);
 
 			if (jsResult.undoData && !ctx.originalGlobalStylesRef.current) {
 				ctx.originalGlobalStylesRef.current = jsResult.undoData;
@@ -50,6 +168,22 @@ export async function handleUpdateGlobalStyles(toolCall, args, ctx) {
 				globalStylesUndoData,
 			};
 		}
+		// Failing contrast is an answer, not an outage: the MCP fallback would
+		// apply the same colors unchecked.
+		if (jsResult.contrast) {
+			await ctx.updateProgress(
+				__("These colors are too hard to read — nothing was changed.", "wp-module-editor-chat"),
+				800
+			);
+			return {
+				toolResult: {
+					id: toolCall.id,
+					result: [{ type: "text", text: JSON.stringify(jsResult) }],
+					isError: true,
+				},
+				globalStylesUndoData: null,
+			};
+		}
 		await ctx.updateProgress(__("Retrying with alternative method…", "wp-module-editor-chat"), 400);
 	} catch {
 		await ctx.updateProgress(__("Retrying with alternative method…", "wp-module-editor-chat"), 400);
@@ -0,0 +1,111 @@
+import { select } from "@wordpress/data";
+import { __, sprintf } from "@wordpress/i18n";
+
+import { validateBlockMarkup } from "../../utils/blockValidator";
+import { getBlockMarkup } from "../../utils/editorHelpers";
+import { getBlockImageUrl, resolveMarkupImages } from "../imageAbility";
+import { unresolvedPlaceholderResult } from "../imageCache";
+import { getVariantMarkup, unchosenVariantResult } from "../sectionVariants";
+import { handleAddSection } from "./addSection";
+import { handleEditBlock } from "./editBlock";
+
+/**
+ * Validate a candidate design and resolve its images, so its preview shows
+ * what would actually be written.
+ *
+ * @param {Object} member          Group member.
+ * @param {Object} member.toolCall The tool call.
+ * @param {Object} member.args     Its arguments.
+ * @param {Object} ctx             Tool context.
+ * @param {string} sourceImageUrl  Image of the block being rewritten, for edits.
+ * @return {Promise<{ markup?: string, error?: Object }>} Valid markup, or the error result to return.
+ */
+async function prepareVariant({ toolCall, args }, ctx, sourceImageUrl) {
+	const images = await resolveMarkupImages(getVariantMarkup(args), args, ctx, {
+		sourceUrlForFirst: sourceImageUrl,
+	});
+	const unresolved = unresolvedPlaceholderResult(toolCall.id, images.markup, images);
+	if (unresolved) {
+		return { error: unresolved };
+	}
+	// Strip escaped quotes the LLM may copy from JSON-encoded tool results
+	const markup = images.markup.replace(/\\"/g, '"');
+	const validation = validateBlockMarkup(markup);
+	if (!validation.valid) {
+		return {
+			error: {
+				id: toolCall.id,
+				result: [
+					{ type: "text", text: JSON.stringify({ success: false, error: validation.error }) },
+				],
+				isError: true,
+			},
+		};
+	}
+	return { markup: validation.correctedContent || markup };
+}
+
+/**
+ * Run a group of alternative designs (see services/sectionVariants.js): show
+ * the valid ones, wait for the user's pick, and write only that one.
+ *
+ * @param {Object[]} group Calls in the group, in order ({ toolCall, toolName, args }).
+ * @param {Object}   ctx   Tool context (chooseVariant, abortSignal, updateProgress…).
+ * @return {Promise<Object[]>} One handler result per call, in group order.
+ */
+export async function handleSectionVariants(group, ctx) {
+	const clientId = group[0].args.client_id || group[0].args.clientId || null;
+	const isEdit = group[0].toolName === "blu-edit-block" && !!clientId;
+	const sourceImageUrl = isEdit
+		? getBlockImageUrl(select("core/block-editor").getBlock(clientId))
+		: null;
+
+	const prepared = [];
+	for (const [index, member] of group.entries()) {
+		await ctx.updateProgress(
+			sprintf(
+				/* translators: 1: design number, 2: number of designs */
+				__("Preparing design %1$d of %2$d…", "wp-module-editor-chat"),
+				index + 1,
+				group.length
+			),
+			200
+		);
+		prepared.push(await prepareVariant(member, ctx, sourceImageUrl));
+	}
+
+	const valid = prepared
+		.map((variant, index) => ({ ...variant, index }))
+		.filter((variant) => variant.markup);
+	if (valid.length === 0) {
+		return prepared.map((variant) => variant.error);
+	}
+
+	await ctx.updateProgress(__("Waiting for you to pick a design…", "wp-module-editor-chat"), 0);
+	const picked = await ctx.chooseVariant(
+		{
+			toolName: isEdit ? "blu-edit-block" : "blu-add-section",
+			before: isEdit ? getBlockMarkup(clientId)?.block_content || "" : "",
+			variants: valid.map((variant) => ({ markup: variant.markup })),
+		},
+		ctx.abortSignal
+	);
+	const chosen = picked === null ? null : valid[picked];
+
+	return Promise.all(
+		group.map(async ({ toolCall, args }, index) => {
+			if (prepared[index].error) {
+				return prepared[index].error;
+			}
+			if (!chosen || chosen.index !== index) {
+				return unchosenVariantResult(toolCall.id, !chosen);
+			}
+			// Picking a design is the review: don't ask again in review mode.
+			const writeCtx = { ...ctx, reviewChange: null };
+			const writeArgs = { ...args, block_content: chosen.markup };
+			return isEdit
+				? handleEditBlock(toolCall, { ...writeArgs, client_id: clientId }, writeCtx)
+				: handleAddSection(toolCall, writeArgs, writeCtx);
+		})
+	);
+}
@@ -0,0 +1,106 @@
+import { __, sprintf } from "@wordpress/i18n";
+
+import { buildTurnUndo, captureTurnSnapshot } from "../changeHistory";
+import { applySiteMatches, buildSiteReplacePreview, findSiteMatches } from "../siteWideEdit";
+import { upsertToolExecMsg } from "../toolDispatcher";
+
+/** Name of the action in the turn's executed tools (not an MCP tool). */
+export const SITE_REPLACE_ACTION = "site-replace";
+
+/**
+ * Run a site-wide replacement the model asked for (see services/siteWideEdit.js):
+ * search, wait for the user to approve the matches, apply them, and record the
+ * whole change set in the turn's undo data.
+ *
+ * @param {Object} request         The model's `site_replace` request.
+ * @param {string} request.find    Text to find.
+ * @param {string} request.replace Text to put in its place.
+ * @param {Object} ctx             Tool context (confirmSiteReplace, abortSignal, updateProgress…).
+ * @param {Array}  turnSiteEdits   Originals recorded by earlier replacements of the turn; extended in place.
+ * @return {Promise<{ applied: number, note: string }>} Entities changed, and a note for the model.
+ */
+export async function handleSiteReplace({ find, replace }, ctx, turnSiteEdits) {
+	await ctx.updateProgress(__("Searching your site…", "wp-module-editor-chat"), 0);
+	const entities = await findSiteMatches(find, replace);
+	if (entities.length === 0) {
+		return {
+			applied: 0,
+			note: `Site-wide replace: no page, post or template part contains "${find}" as text. Nothing was changed. Tell the user.`,
+		};
+	}
+
+	await ctx.updateProgress(
+		__("Waiting for you to review the matches…", "wp-module-editor-chat"),
+		0
+	);
+	const approvedKeys = await ctx.confirmSiteReplace(
+		buildSiteReplacePreview(find, replace, entities),
+		ctx.abortSignal
+	);
+	if (approvedKeys.length === 0) {
+		return {
+			applied: 0,
+			note: `Site-wide replace: the user turned down every match of "${find}". Nothing was changed. Do not ask again.`,
+		};
+	}
+
+	// The open page and template parts on the canvas revert through the block snapshot.
+	if (!ctx.blockSnapshotRef.current) {
+		ctx.blockSnapshotRef.current = captureTurnSnapshot();
+	}
+	await ctx.updateProgress(
+		sprintf(
+			/* translators: %d: number of pages, posts and template parts */
+			__("Updating %d items…", "wp-module-editor-chat"),
+			approvedKeys.length
+		),
+		0
+	);
+	const { applied, siteEdits, errors } = await applySiteMatches(
+		entities,
+		approvedKeys,
+		find,
+		replace
+	);
+
+	// Keep the first original of each entity, so one revert undoes every replacement of the turn.
+	for (const edit of siteEdits) {
+		if (!turnSiteEdits.some((e) => e.postType === edit.postType && e.id === edit.id)) {
+			turnSiteEdits.push(edit);
+		}
+	}
+	const undoData = {};
+	const blocksUndo = buildTurnUndo(ctx.blockSnapshotRef.current);
+	if (blocksUndo) {
+		undoData.blocks = blocksUndo;
+	}
+	if (turnSiteEdits.length > 0) {
+		undoData.siteEdits = [...turnSiteEdits];
+	}
+
+	const action = {
+		id: `site-replace-${Date.now()}`,
+		name: SITE_REPLACE_ACTION,
+		arguments: JSON.stringify({ find, replace }),
+		isError: applied.length === 0,
+		...(errors.length > 0 ? { errorMessage: errors.join("; ") } : {}),
+	};
+	const tools = [...(ctx.executedToolsRef.current || []), action];
+	ctx.executedToolsRef.current = tools;
+	upsertToolExecMsg(
+		ctx.setMessages,
+		tools,
+		Object.keys(undoData).length > 0 ? undoData : null,
+		ctx.batchRef?.current
+	);
+
+	const titles = entities.filter((e) => applied.includes(e.key)).map((e) => e.title);
+	let note = `Site-wide replace: "${find}" → "${replace}" applied in ${applied.length} item(s): ${titles.join(", ")}. The changes are pending until the user saves.`;
+	if (approvedKeys.length < entities.length) {
+		note += ` The user left ${entities.length - approvedKeys.length} item(s) unchanged on purpose.`;
+	}
+	if (errors.length > 0) {
+		note += ` Failed: ${errors.join("; ")}.`;
+	}
+	return { applied: applied.length, note };
+}
@@ -0,0 +1,150 @@
+/**
+ * Tool handlers for blu-suggest-font-pairings and blu-apply-font-pairing
+ * (see services/typography.js).
+ */
+import { __, sprintf } from "@wordpress/i18n";
+
+import { updateGlobalStyles } from "../globalStylesService";
+import {
+	MAX_FONT_PAIRINGS,
+	getTypographyUpdate,
+	installFontPairing,
+	resolveFontPairing,
+} from "../typography";
+
+/**
+ * Error result in the shape the dispatcher expects.
+ *
+ * @param {Object} toolCall The tool call.
+ * @param {string} error    What went wrong, for the model.
+ * @return {Object} Handler result.
+ */
+const errorResult = (toolCall, error) => ({
+	id: toolCall.id,
+	result: [{ type: "text", text: JSON.stringify({ success: false, error }) }],
+	isError: true,
+});
+
+// The collection or install endpoints fail when the Font Library is missing
+// (WordPress before 6.5) or the user can't manage fonts.
+const fontLibraryError = (error) =>
+	`The WordPress Font Library is not available (${error.message}). Nothing was changed. Tell the user fonts can be changed in the Site Editor's Styles panel instead.`;
+
+export async function handleSuggestFontPairings(toolCall, args, ctx) {
+	await ctx.updateProgress(__("Looking up fonts…", "wp-module-editor-chat"), 300);
+
+	const requested = (Array.isArray(args.pairings) ? args.pairings : [])
+		.filter((pairing) => pairing?.heading && pairing?.body)
+		.slice(0, MAX_FONT_PAIRINGS);
+	if (requested.length === 0) {
+		return errorResult(toolCall, "Pass pairings as [{ heading, body, reason }].");
+	}
+
+	const pairings = [];
+	const unknown = new Set();
+	try {
+		for (const pairing of requested) {
+			const { heading, body, missing } = await resolveFontPairing(pairing);
+			missing.forEach((name) => unknown.add(name));
+			if (missing.length === 0) {
+				pairings.push({ heading: heading.name, body: body.name, reason: pairing.reason || "" });
+			}
+		}
+	} catch (error) {
+		return errorResult(toolCall, fontLibraryError(error));
+	}
+
+	if (pairings.length === 0) {
+		return errorResult(
+			toolCall,
+			`None of these fonts are in Google Fonts: ${[...unknown].join(", ")}. Suggest families Google Fonts has, spelled as it lists them.`
+		);
+	}
+	return {
+		id: toolCall.id,
+		result: [
+			{
+				type: "text",
+				text: JSON.stringify({
+					pairings,
+					...(unknown.size > 0 ? { unknown: [...unknown] } : {}),
+					note: "The user previews these pairings in the chat and picks one. Nothing is applied yet.",
+				}),
+			},
+		],
+		isError: false,
+	};
+}
+
+export async function handleApplyFontPairing(toolCall, args, ctx) {
+	if (!args.heading || !args.body) {
+		return {
+			toolResult: errorResult(toolCall, "Pass both heading and body font family names."),
+			globalStylesUndoData: null,
+		};
+	}
+
+	let fonts;
+	try {
+		await ctx.updateProgress(__("Looking up fonts…", "wp-module-editor-chat"), 300);
+		const { heading, body, missing } = await resolveFontPairing(args);
+		if (missing.length > 0) {
+			return {
+				toolResult: errorResult(
+					toolCall,
+					`Not in Google Fonts: ${missing.join(", ")}. Nothing was changed. Choose families Google Fonts has, spelled as it lists them.`
+				),
+				globalStylesUndoData: null,
+			};
+		}
+
+		await ctx.updateProgress(
+			sprintf(
+				/* translators: 1: heading font family, 2: body font family */
+				__("Installing %1$s and %2$s…", "wp-module-editor-chat"),
+				heading.name,
+				body.name
+			),
+			400
+		);
+		fonts = await installFontPairing(heading, body);
+	} catch (error) {
+		return {
+			toolResult: errorResult(toolCall, fontLibraryError(error)),
+			globalStylesUndoData: null,
+		};
+	}
+
+	await ctx.updateProgress(__("Applying fonts to your site…", "wp-module-editor-chat"), 400);
+	const update = getTypographyUpdate(fonts.heading, fonts.body);
+	const jsResult = await updateGlobalStyles(update.settings, update.styles);
+	if (!jsResult.success) {
+		return { toolResult: errorResult(toolCall, jsResult.error), globalStylesUndoData: null };
+	}
+	await ctx.updateProgress(__("✓ Fonts saved to your site.", "wp-module-editor-chat"), 600);
+
+	if (jsResult.undoData && !ctx.originalGlobalStylesRef.current) {
+		ctx.originalGlobalStylesRef.current = jsResult.undoData;
+	}
+	return {
+		toolResult: {
+			id: toolCall.id,
+			result: [
+				{
+					type: "text",
+					text: JSON.stringify({
+						success: true,
+						message: `Headings now use ${fonts.heading.name} and body text uses ${fonts.body.name}. ${
+							fonts.installed > 0
+								? `Installed ${fonts.installed} font file(s) in the Font Library.`
+								: "The fonts were already installed."
+						} Changes saved to your site.`,
+					}),
+				},
+			],
+			isError: false,
+			hasChanges: true,
+		},
+		globalStylesUndoData: ctx.originalGlobalStylesRef.current || null,
+	};
+}
@@ -1,6 +1,9 @@
+import { createBlock, serialize } from "@wordpress/blocks";
 import { __ } from "@wordpress/i18n";
 
 import { deepMergeAttrs as deepMerge } from "../../utils/deepMerge";
+import { isAbortError } from "../../utils/abortControl";
+import { requestChangeReview, skippedChangeResult } from "../changeReview";
 import { appendGeneratedImageUrl } from "../imageCache";
 import { resolveAlt } from "../../utils/imageAlt";
 import { hasImagePlaceholder } from "../../utils/imagePlaceholders";
@@ -250,6 +253,19 @@ export async function handleUpdateBlockAttrs(toolCall, args, ctx) {
 				? applyNavigationLinkAttrPatch(block.attributes, args.attributes)
 				: deepMerge(block.attributes, args.attributes);
 
+		// ── Review mode: show the block as it is and as the patch would leave it ──
+		const approved = await requestChangeReview(ctx, {
+			toolCallId: toolCall.id,
+			toolName: "blu-update-block-attrs",
+			clientId: args.client_id,
+			blockName: block.name,
+			before: serialize(block),
+			after: serialize(createBlock(block.name, merged, block.innerBlocks)),
+		});
+		if (!approved) {
+			return skippedChangeResult(toolCall.id);
+		}
+
 		const ancestorNav = await resolveRefNavigationForEdit(args.client_id);
 		let menuItems = null;
 		if (
@@ -289,6 +305,10 @@ export async function handleUpdateBlockAttrs(toolCall, args, ctx) {
 			hasChanges: true,
 		};
 	} catch (err) {
+		// A turn stopped mid-review is not a failed edit.
+		if (isAbortError(err, ctx.abortSignal)) {
+			throw err;
+		}
 		return {
 			id: toolCall.id,
 			result: [{ type: "text", text: JSON.stringify({ success: false, error: err.message }) }],
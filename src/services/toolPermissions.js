@@ -0,0 +1,177 @@
+/**
+ * Tool permissions — which chat tools the current user may run.
+ *
+ * Opening the chat only needs `edit_pages` (see includes/Permissions.php).
+ * Tools that reach past the open page — global styles, templates, new
+ * content, the site logo — need their own WordPress capability. The map
+ * ships with the page in `nfdEditorChat.toolCapabilities`:
+ * `{ [toolName]: { capability, allowed } }`. Denied tools are withheld from
+ * the model, and the dispatcher refuses any call to one that gets through
+ * (e.g. by name through blu-call-ability) before a handler runs.
+ *
+ * Block tools are not gated by name: they are refused under TEMPLATE_SCOPE
+ * when their target is in the template, a template part or a navigation
+ * menu, which every page using them shares (see writesTemplate).
+ */
+import { select } from "@wordpress/data";
+
+/** Map key for block writes to the template, its parts and navigation menus. */
+export const TEMPLATE_SCOPE = "template";
+
+/** Tools that write blocks in the editor. */
+const BLOCK_WRITE_TOOLS = new Set([
+	"blu-edit-block",
+	"blu-update-block-attrs",
+	"blu-insert-inner-block",
+	"blu-move-block",
+	"blu-add-section",
+	"blu-delete-block",
+	"blu-duplicate-block",
+]);
+
+/** Arguments that name a block the write changes or inserts next to or into. */
+const TARGET_ARGS = [
+	"client_id",
+	"parent_client_id",
+	"target_client_id",
+	"as_child_of",
+	"after_client_id",
+	"before_client_id",
+];
+
+/** Blocks whose content is stored outside the page. */
+const SHARED_BLOCKS = new Set(["core/template-part", "core/navigation"]);
+
+/** Post types that are themselves shared by the site's pages. */
+export const TEMPLATE_POST_TYPES = new Set(["wp_template", "wp_template_part", "wp_navigation"]);
+
+/**
+ * Whether a post content block is rendered anywhere in the editor, i.e. the
+ * page is shown inside its template.
+ *
+ * @param {Object} blockEditor  core/block-editor selectors.
+ * @param {string} rootClientId Root to search from ("" for the top).
+ * @return {boolean} True when core/post-content is in the tree.
+ */
+function hasPostContent(blockEditor, rootClientId = "") {
+	return blockEditor
+		.getBlocks(rootClientId)
+		.some(
+			(block) => block.name === "core/post-content" || hasPostContent(blockEditor, block.clientId)
+		);
+}
+
+/**
+ * Whether a block belongs to the template rather than the page: it is in a
+ * template part or navigation menu, or the template is rendered around the
+ * page and the block sits outside its post content.
+ *
+ * @param {Object} blockEditor core/block-editor selectors.
+ * @param {string} clientId    Block to check.
+ * @return {boolean} True for a template block.
+ */
+function isTemplateBlock(blockEditor, clientId) {
+	const lineage = [...blockEditor.getBlockParents(clientId), clientId].map((id) =>
+		blockEditor.getBlockName(id)
+	);
+	if (lineage.some((name) => SHARED_BLOCKS.has(name))) {
+		return true;
+	}
+	// The post content block itself is part of the template; its inner blocks are the page.
+	return !lineage.slice(0, -1).includes("core/post-content") && hasPostContent(blockEditor);
+}
+
+/**
+ * Whether a block tool call would write to the template, a template part or
+ * a navigation menu.
+ *
+ * @param {string} toolName Resolved tool name.
+ * @param {Object} args     Tool arguments, normalized by the dispatcher.
+ * @return {boolean} True when the call needs TEMPLATE_SCOPE.
+ */
+export function writesTemplate(toolName, args = {}) {
+	if (!BLOCK_WRITE_TOOLS.has(toolName)) {
+		return false;
+	}
+	if (TEMPLATE_POST_TYPES.has(select("core/editor").getCurrentPostType())) {
+		return true;
+	}
+	const blockEditor = select("core/block-editor");
+	if (toolName === "blu-delete-block") {
+		// Deletes by label, or by an id no longer in the editor, go to the
+		// header navigation menu (blockActions.handleDeleteAction).
+		if (args.label || (args.client_id && !blockEditor.getBlock(args.client_id))) {
+			return true;
+		}
+	}
+	return TARGET_ARGS.some(
+		(key) =>
+			typeof args[key] === "string" &&
+			blockEditor.getBlock(args[key]) &&
+			isTemplateBlock(blockEditor, args[key])
+	);
+}
+
+/**
+ * The capability a tool needs, when the current user lacks it.
+ *
+ * @param {string} toolName Resolved (unwrapped, dash-form) tool name, or TEMPLATE_SCOPE.
+ * @return {string|null} Missing capability, or null when the tool is allowed.
+ */
+export function getMissingCapability(toolName) {
+	const entry = window.nfdEditorChat?.toolCapabilities?.[toolName];
+	return entry && entry.allowed === false ? entry.capability : null;
+}
+
+/**
+ * Drop the tool definitions the current user may not run.
+ *
+ * @param {Array} tools OpenAI-format tool definitions.
+ * @return {Array} The tools that are allowed.
+ */
+export function filterAllowedTools(tools) {
+	return tools.filter((t) => !getMissingCapability(t.function?.name));
+}
+
+/**
+ * Why the user can't do this, for the model to pass on.
+ *
+ * @param {string} toolName   Tool name, or TEMPLATE_SCOPE.
+ * @param {string} capability The missing capability.
+ * @return {string} Refusal reason.
+ */
+export function describeDenial(toolName, capability) {
+	const action =
+		toolName === TEMPLATE_SCOPE
+			? "Changing the site template, header, footer or navigation menus"
+			: `The ${toolName} tool`;
+	return `${action} requires the WordPress "${capability}" capability, which the current user does not have. Nothing was changed. Do not retry or work around it with other tools; tell the user a site administrator has to make this change.`;
+}
+
+/**
+ * Handler-shaped refusal for a call to a tool the user may not run.
+ *
+ * @param {Object} toolCall The tool call.
+ * @param {string} toolName Resolved tool name.
+ * @return {Object|null} Error result, or null when the tool is allowed.
+ */
+export function deniedToolResult(toolCall, toolName) {
+	const capability = getMissingCapability(toolName);
+	if (!capability) {
+		return null;
+	}
+	return {
+		id: toolCall.id,
+		result: [
+			{
+				type: "text",
+				text: JSON.stringify({
+					success: false,
+					denied: true,
+					error: describeDenial(toolName, capability),
+				}),
+			},
+		],
+		isError: true,
+	};
+}
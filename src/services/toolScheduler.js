@@ -0,0 +1,153 @@
+/**
+ * Tool scheduler — runs the tool calls of one pass concurrently where they
+ * can't interfere, and in order where they can.
+ *
+ * Each call gets a footprint: whether it writes, and which block subtrees it
+ * touches. A call waits for every earlier call it conflicts with (two writes,
+ * or a read and a write, on overlapping subtrees), then for a free slot under
+ * the concurrency cap. Reads never wait for each other; a write whose scope is
+ * unknown (add-section, move, MCP abilities…) waits for everything before it
+ * and holds back everything after it.
+ */
+import { select } from "@wordpress/data";
+
+import { READ_ONLY_TOOLS } from "../hooks/chat/constants";
+
+/** Concurrent tool calls (and image generations) when the host sets no cap. */
+export const DEFAULT_TOOL_CONCURRENCY = 3;
+
+/**
+ * Writes scoped to the blocks their arguments name. Every other write may
+ * touch anything.
+ */
+const BLOCK_SCOPED_WRITES = {
+	"blu-edit-block": (args) => args.client_id,
+	"blu-update-block-attrs": (args) => args.client_id,
+	"blu-insert-inner-block": (args) => args.parent_client_id,
+	// By label, the block is only found when the tool runs.
+	"blu-delete-block": (args) => (args.label ? null : args.client_id),
+};
+
+/**
+ * Concurrency cap, from the `NFD_EDITOR_CHAT_TOOL_CONCURRENCY` constant the
+ * host can define (localized as `nfdEditorChat.toolConcurrency`).
+ *
+ * @return {number} Maximum calls in flight at once.
+ */
+export function getToolConcurrency() {
+	const configured = Number(window.nfdEditorChat?.toolConcurrency);
+	return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_TOOL_CONCURRENCY;
+}
+
+/**
+ * What a tool call reads or writes.
+ *
+ * @param {string} toolName Resolved (unwrapped, dash-form) tool name.
+ * @param {Object} args     Tool arguments.
+ * @return {{ writes: boolean, blocks: string[]|null }} Footprint; `blocks` is
+ *   null when the call may touch any block.
+ */
+export function getToolFootprint(toolName, args = {}) {
+	const clientId = args.client_id || args.clientId;
+	// Image tools apply their result to the targeted block.
+	const isImageTool = toolName === "blu-generate-image" || toolName === "blu-edit-image";
+	if (READ_ONLY_TOOLS.has(toolName) && !isImageTool) {
+		return { writes: false, blocks: clientId ? [clientId] : [] };
+	}
+	const scopeOf = isImageTool ? () => clientId : BLOCK_SCOPED_WRITES[toolName];
+	const scope = scopeOf?.({ ...args, client_id: clientId });
+	return { writes: true, blocks: scope ? [scope] : null };
+}
+
+/**
+ * Whether two footprints must run in order.
+ *
+ * @param {Object}   a         Earlier footprint.
+ * @param {Object}   b         Later footprint.
+ * @param {Function} getParent Ancestors of a clientId.
+ * @return {boolean} True when `b` has to wait for `a`.
+ */
+function conflicts(a, b, getParent) {
+	if (!a.writes && !b.writes) {
+		return false;
+	}
+	if (a.blocks === null || b.blocks === null) {
+		return true;
+	}
+	// Overlapping subtrees: the same block, or one inside the other.
+	return a.blocks.some((x) =>
+		b.blocks.some((y) => x === y || getParent(y).includes(x) || getParent(x).includes(y))
+	);
+}
+
+/**
+ * Run `task` for every item, at most `limit` at a time.
+ *
+ * @param {Array}    items Items to process.
+ * @param {number}   limit Maximum tasks in flight.
+ * @param {Function} task  ( item, index ) → Promise.
+ * @return {Promise<Array>} Results, in item order.
+ */
+export async function mapWithConcurrency(items, limit, task) {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await task(items[index], index);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+	return results;
+}
+
+/**
+ * Run tool calls as their footprints allow.
+ *
+ * @param {Object[]} footprints One footprint per call, in tool_call order.
+ * @param {number}   limit      Maximum calls in flight.
+ * @param {Function} run        ( index ) → Promise of the call's result.
+ * @return {Promise<Array>} Results, in tool_call order.
+ */
+export async function runScheduledTools(footprints, limit, run) {
+	const parents = new Map();
+	const getParent = (clientId) => {
+		if (!parents.has(clientId)) {
+			parents.set(clientId, select("core/block-editor").getBlockParents(clientId) || []);
+		}
+		return parents.get(clientId);
+	};
+
+	let active = 0;
+	const waiting = [];
+	const acquire = () => {
+		if (active < limit) {
+			active++;
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => waiting.push(resolve));
+	};
+	// A freed slot passes straight to the next waiter.
+	const release = () => {
+		const nextInLine = waiting.shift();
+		if (nextInLine) {
+			nextInLine();
+		} else {
+			active--;
+		}
+	};
+
+	const tasks = [];
+	footprints.forEach((footprint, index) => {
+		const blockers = tasks.filter((_, earlier) =>
+			conflicts(footprints[earlier], footprint, getParent)
+		);
+		tasks.push(
+			Promise.allSettled(blockers)
+				.then(acquire)
+				.then(() => run(index))
+				.finally(release)
+		);
+	});
+	return Promise.all(tasks);
+}
@@ -0,0 +1,198 @@
+/**
+ * Typography — heading/body font pairings, previewed and applied like palettes.
+ *
+ * Two chat-side tools, sent to the model with the MCP ones:
+ * - blu-suggest-font-pairings checks the model's pairings against the font
+ *   collection and shows the ones it has as a picker in the chat. Hovering
+ *   one previews it from the collection's files, unsaved; clicking applies it.
+ * - blu-apply-font-pairing installs both families through the Font Library
+ *   (services/fontLibrary.js), registers them in
+ *   `settings.typography.fontFamilies` and points `styles.typography` (body)
+ *   and `styles.elements.heading` at them. It goes through updateGlobalStyles,
+ *   so the turn reverts like a palette change. Installed fonts stay in the
+ *   Font Library; reverting only stops the site using them.
+ */
+import {
+	findFontFamily,
+	getFontCollection,
+	installFontFamily,
+	selectFontFaces,
+} from "./fontLibrary";
+import { safeParseJSON } from "../utils/jsonUtils";
+
+/** Message type of the font pairing picker in the chat transcript. */
+export const TYPOGRAPHY_PICKER_MESSAGE_TYPE = "typography_picker";
+
+/** Pairings the model may propose at once. */
+export const MAX_FONT_PAIRINGS = 4;
+
+const pairingProperties = {
+	heading: {
+		type: "string",
+		description: 'Heading font family, as Google Fonts names it (e.g. "Playfair Display").',
+	},
+	body: {
+		type: "string",
+		description: 'Body text font family, as Google Fonts names it (e.g. "Source Sans 3").',
+	},
+};
+
+/** OpenAI-format definitions of the typography tools. */
+export const TYPOGRAPHY_TOOLS = [
+	{
+		type: "function",
+		function: {
+			name: "blu-suggest-font-pairings",
+			description:
+				"Propose heading/body font pairings from Google Fonts for the site. The chat shows them to the user, who previews and picks one; nothing is applied. Use it when the user asks for font ideas or a new look without naming fonts.",
+			parameters: {
+				type: "object",
+				properties: {
+					pairings: {
+						type: "array",
+						minItems: 1,
+						maxItems: MAX_FONT_PAIRINGS,
+						items: {
+							type: "object",
+							properties: {
+								...pairingProperties,
+								reason: {
+									type: "string",
+									description: "Why the two work together, in one short sentence.",
+								},
+							},
+							required: ["heading", "body"],
+						},
+					},
+				},
+				required: ["pairings"],
+			},
+		},
+	},
+	{
+		type: "function",
+		function: {
+			name: "blu-apply-font-pairing",
+			description:
+				"Install a heading font and a body font from Google Fonts on the site and use them site-wide: headings get the heading font, all other text the body font. Use it once the user has chosen or named the fonts. Pass the same family twice to use one font everywhere.",
+			parameters: {
+				type: "object",
+				properties: pairingProperties,
+				required: ["heading", "body"],
+			},
+		},
+	},
+];
+
+/**
+ * Style value that refers to a font family preset.
+ *
+ * @param {string} slug Font family slug.
+ * @return {string} `var:preset|font-family|<slug>` reference.
+ */
+export const fontFamilyPreset = (slug) => `var:preset|font-family|${slug}`;
+
+/**
+ * Look a pairing's families up in the font collection.
+ *
+ * @param {{ heading: string, body: string }} pairing Family names.
+ * @return {Promise<{ heading: Object|null, body: Object|null, missing: string[] }>} Collection
+ *         family settings (null when not found), and the names not found.
+ */
+export async function resolveFontPairing({ heading, body }) {
+	const families = await getFontCollection();
+	const resolved = {
+		heading: findFontFamily(families, heading),
+		body: findFontFamily(families, body),
+	};
+	const missing = [
+		[heading, resolved.heading],
+		[body, resolved.body],
+	]
+		.filter(([, family]) => !family)
+		.map(([name]) => name);
+	return { ...resolved, missing: [...new Set(missing)] };
+}
+
+/**
+ * Global styles update that registers two families and uses them for
+ * headings and body text.
+ *
+ * @param {Object} heading theme.json font family entry for headings.
+ * @param {Object} body    theme.json font family entry for body text.
+ * @return {{ settings: Object, styles: Object }} Settings and styles in theme.json format.
+ */
+export function getTypographyUpdate(heading, body) {
+	return {
+		settings: {
+			typography: {
+				fontFamilies: { custom: heading.slug === body.slug ? [body] : [heading, body] },
+			},
+		},
+		styles: {
+			typography: { fontFamily: fontFamilyPreset(body.slug) },
+			elements: {
+				heading: { typography: { fontFamily: fontFamilyPreset(heading.slug) } },
+			},
+		},
+	};
+}
+
+/**
+ * A collection family as a theme.json entry served from the collection's own
+ * files, for previews: nothing is installed.
+ *
+ * @param {Object} family Collection family settings.
+ * @return {Object} Font family entry.
+ */
+export function toPreviewFontFamily(family) {
+	return {
+		name: family.name,
+		slug: family.slug,
+		fontFamily: family.fontFamily,
+		fontFace: selectFontFaces(family),
+	};
+}
+
+/**
+ * Install a pairing's families (once when both are the same).
+ *
+ * @param {Object} heading Collection family settings for headings.
+ * @param {Object} body    Collection family settings for body text.
+ * @return {Promise<{ heading: Object, body: Object, installed: number }>} Installed theme.json
+ *         entries and how many font files were uploaded.
+ */
+export async function installFontPairing(heading, body) {
+	const headingResult = await installFontFamily(heading, selectFontFaces(heading));
+	const bodyResult =
+		body.slug === heading.slug
+			? { ...headingResult, installed: 0 }
+			: await installFontFamily(body, selectFontFaces(body));
+	return {
+		heading: headingResult.family,
+		body: bodyResult.family,
+		installed: headingResult.installed + bodyResult.installed,
+	};
+}
+
+/**
+ * The pairings a blu-suggest-font-pairings result offers.
+ *
+ * @param {string} text Tool result text.
+ * @return {Array<{ heading: string, body: string, reason: string }>} Pairings, empty when none.
+ */
+export function getFontPairings(text) {
+	const { value } = safeParseJSON(text, null);
+	return Array.isArray(value?.pairings) ? value.pairings : [];
+}
+
+/**
+ * The tool call that applies a pairing.
+ *
+ * @param {{ heading: string, body: string }} pairing Family names.
+ * @param {string}                            id      Tool call id.
+ * @return {{ id: string, name: string, arguments: string }} blu-apply-font-pairing call.
+ */
+export function buildFontPairingApplyCall({ heading, body }, id) {
+	return { id, name: "blu-apply-font-pairing", arguments: JSON.stringify({ heading, body }) };
+}
@@ -33,12 +33,12 @@ function deepBlockCount(blocks) {
  * Check that every opening HTML tag in the markup has a matching closing tag.
  * Only checks block-relevant container tags (div, figure, figcaption, ul, ol, li,
  * blockquote, table, thead, tbody, tr, td, th, section, nav, header, footer, main, aside).
- * Self-closing tags (img, br, hr, input) are ignored.
+ * Self-closing tags (img, br, hr, input) are ignored. Exported for unit testing.
  *
  * @param {string} markup The HTML markup to check
  * @return {{ balanced: boolean, details?: string }} Result with optional details on mismatch
  */
-function checkTagBalance(markup) {
+export function checkTagBalance(markup) {
 	// Strip block comments so they don't interfere with tag matching
 	const html = markup.replace(/<!--[\s\S]*?-->/g, "");
 
@@ -0,0 +1,150 @@
+/**
+ * Color contrast (WCAG 2.x).
+ *
+ * Colors come from block attributes and theme.json, so they are hex strings,
+ * rgb()/rgba() or references to a palette entry: a preset slug, a
+ * `var:preset|color|slug` style value or its `var(--wp--preset--color--slug)`
+ * CSS form. Anything else (gradients, color-mix(), named colors) is reported as
+ * unknown rather than guessed.
+ */
+
+/** Minimum AA ratio for body text. */
+export const WCAG_AA_NORMAL = 4.5;
+
+/** Minimum AA ratio for large text (24px, or 18.66px bold) and UI components. */
+export const WCAG_AA_LARGE = 3;
+
+/**
+ * Parse a hex or rgb()/rgba() color.
+ *
+ * @param {string} value CSS color
+ * @return {{ r: number, g: number, b: number }|null} Channels 0–255, or null when not parseable
+ */
+export function parseColor(value) {
+	if (typeof value !== "string") {
+		return null;
+	}
+	const color = value.trim().toLowerCase();
+
+	const hex = /^#([0-9a-f]{3,8})$/.exec(color);
+	if (hex) {
+		let digits = hex[1];
+		if (digits.length === 3 || digits.length === 4) {
+			digits = [...digits.slice(0, 3)].map((d) => d + d).join("");
+		}
+		if (digits.length !== 6 && digits.length !== 8) {
+			return null;
+		}
+		return {
+			r: parseInt(digits.slice(0, 2), 16),
+			g: parseInt(digits.slice(2, 4), 16),
+			b: parseInt(digits.slice(4, 6), 16),
+		};
+	}
+
+	const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(color);
+	if (rgb) {
+		const [r, g, b] = rgb.slice(1, 4).map((channel) => Math.min(255, Number(channel)));
+		return { r, g, b };
+	}
+	return null;
+}
+
+/**
+ * Relative luminance of a color.
+ *
+ * @param {{ r: number, g: number, b: number }} color Parsed color
+ * @return {number} Luminance from 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+	const [lr, lg, lb] = [r, g, b].map((channel) => {
+		const c = channel / 255;
+		return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+	});
+	return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Contrast ratio between two colors.
+ *
+ * @param {string} foreground CSS color
+ * @param {string} background CSS color
+ * @return {number|null} Ratio from 1 to 21 (two decimals), or null when either color is unknown
+ */
+export function getContrastRatio(foreground, background) {
+	const fg = parseColor(foreground);
+	const bg = parseColor(background);
+	if (!fg || !bg) {
+		return null;
+	}
+	const [light, dark] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+	return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+/**
+ * Palette slug a color value refers to.
+ *
+ * @param {string} value Preset slug, preset reference or CSS color
+ * @return {string|null} Slug, or null for a literal color
+ */
+export function getPresetSlug(value) {
+	if (typeof value !== "string" || !value) {
+		return null;
+	}
+	const preset =
+		/^var:preset\|color\|(.+)$/.exec(value) || /^var\(--wp--preset--color--([^,)]+)/.exec(value);
+	if (preset) {
+		return preset[1];
+	}
+	return /^(#|rgb)/i.test(value) ? null : value;
+}
+
+/**
+ * Resolve a color value to a concrete color through the palette.
+ *
+ * @param {string} value   Preset slug, preset reference or CSS color
+ * @param {Array}  palette Palette entries ({ slug, color })
+ * @return {string|null} CSS color, or null when the value names no known color
+ */
+export function resolvePaletteColor(value, palette = []) {
+	if (typeof value !== "string" || !value) {
+		return null;
+	}
+	const slug = getPresetSlug(value);
+	if (slug) {
+		return palette.find((entry) => entry?.slug === slug)?.color || null;
+	}
+	return value;
+}
+
+/**
+ * Move a color toward black or white, away from the color it sits on, until
+ * the pair meets `minimum`. Mixing with black or white keeps the hue, so a
+ * pale yellow becomes an ochre rather than a grey.
+ *
+ * @param {string} color   CSS color to adjust
+ * @param {string} against CSS color it must stand out from
+ * @param {number} minimum Contrast ratio to reach
+ * @return {string|null} Adjusted hex color, or null when either color is unknown
+ */
+export function adjustForContrast(color, against, minimum) {
+	const start = parseColor(color);
+	const other = parseColor(against);
+	if (!start || !other) {
+		return null;
+	}
+	// Above this luminance black text beats white; darken on light colors.
+	const target = relativeLuminance(other) > 0.179 ? 0 : 255;
+	const toHex = (channels) =>
+		"#" + channels.map((channel) => Math.round(channel).toString(16).padStart(2, "0")).join("");
+	for (let step = 0; step <= 20; step++) {
+		const amount = step / 20;
+		const hex = toHex(
+			[start.r, start.g, start.b].map((channel) => channel + (target - channel) * amount)
+		);
+		if (getContrastRatio(hex, against) >= minimum) {
+			return hex;
+		}
+	}
+	return null;
+}
@@ -11,6 +11,7 @@ import {
 	getCurrentPageId,
 	getSelectedBlocks,
 } from "./editorHelpers";
+import { formatBrandProfileContext, getBrandProfile } from "../services/brandProfile";
 import { getCurrentGlobalStyles } from "../services/globalStylesService";
 import {
 	buildNavigationMenuContextLines,
@@ -19,6 +20,11 @@ import {
 import { IMAGE_BLOCKS, LOGO_BLOCK } from "../services/blockToolbar/blockAI";
 import { getBlockImageUrl } from "../services/imageAbility";
 import { NFD_CLASS_REFERENCE } from "./nfdClassReference";
+import {
+	CONTEXT_TREE_BUDGET,
+	planEditorContext,
+	recordUnplannedContext,
+} from "../services/contextPlanner";
 
 /** Max blocks whose full markup is injected via extraClientIds. */
 export const MAX_CONTEXT_TARGET_BLOCKS = 2;
@@ -72,6 +78,23 @@ function serializeBlockMarkup(blockEditor, clientId) {
 	return { markup, blockName: fullBlock.name, block: fullBlock };
 }
 
+/**
+ * Length of the markup appendMarkupSections would include for a block.
+ *
+ * @param {Object} blockEditor core/block-editor selector
+ * @param {string} clientId    Block clientId
+ * @return {number} Markup length, or 0 when the block would be left out or
+ *   truncated (missing, LARGE, over MAX_MARKUP_CHARS).
+ */
+function measureBlockMarkup(blockEditor, clientId) {
+	const serialized = serializeBlockMarkup(blockEditor, clientId);
+	if (!serialized || countInnerBlocks(serialized.block) >= LARGE_BLOCK_INNER_THRESHOLD) {
+		return 0;
+	}
+	const { length } = serialized.markup || "";
+	return length <= MAX_MARKUP_CHARS ? length : 0;
+}
+
 /**
  * Append ancestor chain for a target block.
  *
@@ -146,7 +169,11 @@ When you will call editing tools in the same response, put your plan ONLY in "me
 
 If no block is selected and you need serialized block markup before editing, reply with JSON only (no tool calls):
 {"message":"Brief note","need_blocks_markup":["exact-clientId-from-block-tree"]}
-Use 1–2 exact clientIds from the block tree. If markup is already under "Selected block markup" or "Target block markup", or blu-update-block-attrs is enough, use the first format and call tools instead.
+Use 1–2 exact clientIds from the block tree. If markup is already under "Selected block markup", "Target block markup" or "Relevant sections markup", or blu-update-block-attrs is enough, use the first format and call tools instead.
+
+If the user wants the same text changed across the whole site — other pages, posts, the header or footer (e.g. "update our phone number everywhere", "change every 'Book now' button") — reply with JSON only (no tool calls):
+{"message":"Brief note","site_replace":{"find":"exact current text","replace":"new text"}}
+The user reviews every match before anything changes. Use it for plain text only; for anything else on this page, call tools.
 
 If the request is purely conversational, reply with JSON only and no tool calls:
 {"message":"Your reply"}
@@ -182,6 +209,23 @@ export const PRESENT_PALETTE_OPTIONS_NUDGE = `Your entire text output MUST be a
 
 The tool result above contains the generated color palette option(s), each with its own hex codes. In "message", list every option in full using markdown (a heading or bold label per palette, then a bullet per color with its exact hex code as returned — do not paraphrase, invent, or omit any value). End by asking which one to apply. Do not call any tools in this response.
 
+The result's "contrast_check" has one entry per option, in order. Under each option whose check did not pass, add one short line naming the hard-to-read pairing and what applying it would change ("on_apply"). Never call an option accessible or high-contrast when its check failed.
+
+Output rules:
+- Return ONLY valid JSON.
+- No explanations, no comments, no extra text.
+`;
+
+/**
+ * Nudge injected after blu-suggest-font-pairings. The chat shows the pairings
+ * as a picker under the reply, so the model introduces them instead of
+ * confirming a change nobody has made yet.
+ */
+export const PRESENT_FONT_PAIRINGS_NUDGE = `Your entire text output MUST be a single JSON object — no markdown fences, no text before or after:
+{"message":"..."}
+
+The tool result above contains the font pairings the user can choose from. In "message", list every pairing in full using markdown: a bold "Heading / Body" label per pairing, then its reason. Say the user can hover a pairing below to preview it on the site and click it to apply, or name the one they want. Nothing has been applied yet. Do not call any tools in this response.
+
 Output rules:
 - Return ONLY valid JSON.
 - No explanations, no comments, no extra text.
@@ -205,6 +249,27 @@ When everything is done, reply with JSON only and no tool calls:
 {"message":"One brief sentence covering what was done."}`;
 }
 
+/**
+ * Nudge for one step of a plan the user approved (plan-first mode). The steps
+ * run one per pass so each can be tracked, and skipped, on its own.
+ *
+ * @param {string}   step  Step to apply now.
+ * @param {string[]} later Steps that run after it.
+ * @return {string} Nudge string for the next pass.
+ */
+export function buildPlanStepNudge(step, later) {
+	const upcoming =
+		later.length > 0
+			? `\n\nThese steps run after it; do not start them yet:\n${later.map((s) => `- ${s}`).join("\n")}`
+			: "";
+	return `${ASSISTANT_JSON_FORMAT}
+
+The user approved a plan. Apply this step now, and only this step:
+- ${step}${upcoming}
+
+Call the tool(s) for it in this response. If it genuinely cannot be done, reply with JSON only, no tool calls, saying why.`;
+}
+
 /**
  * Build a summarize nudge after successful content creation.
  *
@@ -271,11 +336,16 @@ export function formatImageEditUserMessage(instruction, clientId) {
  * Build editor context string with block tree and selected block markup.
  * This is prepended to user messages so the AI has current page state.
  *
+ * On a page whose block tree is over CONTEXT_TREE_BUDGET, the context planner
+ * ranks the sections against `message`: the best matches get their full markup,
+ * the rest are collapsed to a summary line in the tree.
+ *
  * @param {Object}   [options]
  * @param {string[]} [options.extraClientIds] Target blocks (AI-requested) whose markup is included
+ * @param {string}   [options.message]        User message of the turn, for the context planner
  * @return {string} Editor context string
  */
-export const buildEditorContext = ({ extraClientIds = [] } = {}) => {
+export const buildEditorContext = ({ extraClientIds = [], message = "" } = {}) => {
 	const { select: wpSelect } = wp.data;
 	const blockEditor = wpSelect("core/block-editor");
 	const blocks = getCurrentPageBlocks();
@@ -313,11 +383,34 @@ export const buildEditorContext = ({ extraClientIds = [] } = {}) => {
 	if (site.locale) {
 		context += `\nLocale: ${site.locale}`;
 	}
+	const brandProfile = formatBrandProfileContext(getBrandProfile());
+	if (brandProfile) {
+		context += `\n\n${brandProfile}\n`;
+	}
 	context += `\n${contentLabel}: "${pageTitle}" (ID: ${pageId})\n\n`;
-	context += "Block tree:\n";
-	context += buildCompactBlockTree(blocks, selectedClientIds, {
+	let blockTree = buildCompactBlockTree(blocks, selectedClientIds, {
 		collapseUnselected: selectedBlocks.length > 0,
 	});
+	let plannedClientIds = [];
+	if (message && blockTree.length > CONTEXT_TREE_BUDGET) {
+		const plan = planEditorContext(blocks, {
+			message,
+			selectedClientIds,
+			skipClientIds: [...selectedClientIds, ...extraTargets],
+			measure: (clientId) => measureBlockMarkup(blockEditor, clientId),
+		});
+		plannedClientIds = plan.included.map((entry) => entry.clientId);
+		blockTree = buildCompactBlockTree(blocks, selectedClientIds, {
+			expandClientIds: plannedClientIds,
+		});
+		context += "Block tree (long page: sections unrelated to the request are collapsed):\n";
+	} else {
+		if (message) {
+			recordUnplannedContext(blockTree.length);
+		}
+		context += "Block tree:\n";
+	}
+	context += blockTree;
 
 	if (refNavBlocks.length > 0) {
 		context += "\n\nHeader/footer navigation menus (edit navigation-link children below):";
@@ -357,6 +450,16 @@ export const buildEditorContext = ({ extraClientIds = [] } = {}) => {
 		context = appendMarkupSections(context, blockEditor, extraTargets, label);
 	}
 
+	// Layer 2d: Sections the context planner ranked as relevant to the request
+	if (plannedClientIds.length > 0) {
+		context = appendMarkupSections(
+			context,
+			blockEditor,
+			plannedClientIds,
+			"Relevant sections markup (ranked for this request — for a collapsed section, ask for its markup with need_blocks_markup)"
+		);
+	}
+
 	// Inject active color palette so the AI knows actual hex values
 	try {
 		const { palette } = getCurrentGlobalStyles();
@@ -418,22 +521,3 @@ function blockTreeContainsName(blocks, name) {
 	}
 	return false;
 }
-
-/**
- * Deep clone blocks for snapshot undo.
- * Uses the block editor's getBlocks() and serializes/re-parses for a clean deep copy.
- *
- * @param {Array} blocks Array of block objects from getBlocks()
- * @return {Array} Deep-cloned block array
- */
-export const snapshotBlocks = (blocks) => {
-	try {
-		const { serialize: wpSerialize } = wp.blocks;
-		const { parse: wpParse } = wp.blocks;
-		const serialized = blocks.map((b) => wpSerialize(b)).join("");
-		return wpParse(serialized);
-	} catch (e) {
-		console.error("Failed to snapshot blocks:", e);
-		return [];
-	}
-};
@@ -98,27 +98,32 @@ function describeBlockStructure(block) {
  *
  * Produces a human-readable indented tree with index paths, block names,
  * clientIds, and text previews. Template parts include area/slug metadata.
- * Selected blocks are marked with [SELECTED].
+ * Selected blocks are marked with [SELECTED]. Collapsed subtrees are summarized
+ * by their headings.
  *
- * @param {Array}      blocks                     Top-level blocks from getBlocks()
- * @param {Array|null} selectedClientIds          Array of clientIds of the currently selected blocks
- * @param {Object}     options                    Options object
- * @param {boolean}    options.collapseUnselected Whether to collapse unselected blocks
+ * @param {Array}         blocks                     Top-level blocks from getBlocks()
+ * @param {Array|null}    selectedClientIds          Array of clientIds of the currently selected blocks
+ * @param {Object}        options                    Options object
+ * @param {boolean}       options.collapseUnselected Whether to collapse unselected blocks
+ * @param {string[]|null} options.expandClientIds    Blocks to expand (with the selection) when the
+ *                                                   rest of the tree is collapsed; see
+ *                                                   services/contextPlanner.js
  * @return {string} Compact block tree text
  */
 export const buildCompactBlockTree = (
 	blocks,
 	selectedClientIds = null,
-	{ collapseUnselected = false } = {}
+	{ collapseUnselected = false, expandClientIds = null } = {}
 ) => {
 	const lines = [];
 	const selectedSet = new Set(selectedClientIds || []);
-	const hasSelection = collapseUnselected && selectedSet.size > 0;
+	const expandSet = new Set([...selectedSet, ...(expandClientIds || [])]);
+	const hasSelection = (collapseUnselected && selectedSet.size > 0) || expandClientIds !== null;
 
-	// Check if any block in a subtree contains a selected block
+	// Check if any block in a subtree contains a selected (or expanded) block
 	const subtreeHasSelected = (blockList) => {
 		for (const block of blockList) {
-			if (selectedSet.has(block.clientId)) {
+			if (expandSet.has(block.clientId)) {
 				return true;
 			}
 			if (block.innerBlocks?.length > 0 && subtreeHasSelected(block.innerBlocks)) {
@@ -128,6 +133,28 @@ export const buildCompactBlockTree = (
 		return false;
 	};
 
+	// Up to three heading texts of a collapsed subtree, so it can still be told apart
+	const summarizeHeadings = (blockList) => {
+		const headings = [];
+		const walk = (list) => {
+			for (const block of list) {
+				if (headings.length >= 3) {
+					return;
+				}
+				const text =
+					block.name === "core/heading"
+						? (block.attributes?.content || "").replace(/<[^>]*>/g, "").trim()
+						: "";
+				if (text) {
+					headings.push(`"${text.length > 30 ? text.substring(0, 30) + "…" : text}"`);
+				}
+				walk(block.innerBlocks || []);
+			}
+		};
+		walk(blockList);
+		return headings.length ? `: ${headings.join(", ")}` : "";
+	};
+
 	const extractTextPreview = (block) => {
 		// Navigation links use label (and optionally url for custom links)
 		if (block.name === "core/navigation-link" || block.name === "core/navigation-submenu") {
@@ -217,9 +244,12 @@ export const buildCompactBlockTree = (
 			// Recurse into inner blocks.
 			// Always expand children of selected blocks and navigation menus.
 			if (block.innerBlocks && block.innerBlocks.length > 0) {
-				const expandChildren = isSelected || insideSelected || block.name === "core/navigation";
+				const expandChildren =
+					expandSet.has(block.clientId) || insideSelected || block.name === "core/navigation";
 				if (hasSelection && !expandChildren && !subtreeHasSelected(block.innerBlocks)) {
-					lines.push(`${"  ".repeat(depth + 1)}... (${block.innerBlocks.length} inner blocks)`);
+					lines.push(
+						`${"  ".repeat(depth + 1)}... (${block.innerBlocks.length} inner blocks${summarizeHeadings(block.innerBlocks)})`
+					);
 				} else {
 					walkBlocks(block.innerBlocks, indexPath, depth + 1, expandChildren);
 				}
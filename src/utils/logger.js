@@ -22,7 +22,7 @@ const isDev = process.env.NODE_ENV !== "production";
  *
  * @return {boolean} True when log/info/debug should emit.
  */
-function debugEnabled() {
+export function debugEnabled() {
 	if (isDev) {
 		return true;
 	}
@@ -0,0 +1,77 @@
+/**
+ * markupDiff — line diff of two block-markup strings, for reviewing a change
+ * before it is applied.
+ */
+
+/**
+ * Above this many line pairs the LCS table costs more than the review is worth;
+ * the diff degrades to "everything removed, everything added".
+ */
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Split markup into comparable lines. Block comments get their own line so a
+ * changed attribute shows up against its block rather than a whole paragraph.
+ *
+ * @param {string} markup Serialized block markup.
+ * @return {string[]} Non-empty trimmed lines.
+ */
+function toLines(markup) {
+	return (markup || "")
+		.replace(/(<!--[\s\S]*?-->)/g, "\n$1\n")
+		.split("\n")
+		.map((line) => line.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Diff two markup strings line by line (longest common subsequence).
+ *
+ * @param {string} before Markup before the change ("" for an insertion).
+ * @param {string} after  Markup after the change.
+ * @return {Array<{type: "same"|"added"|"removed", text: string}>} Diff rows, in document order.
+ */
+export function diffMarkup(before, after) {
+	const a = toLines(before);
+	const b = toLines(after);
+
+	if (a.length * b.length > MAX_DIFF_CELLS) {
+		return [
+			...a.map((text) => ({ type: "removed", text })),
+			...b.map((text) => ({ type: "added", text })),
+		];
+	}
+
+	// lcs[i][j] = common-subsequence length of a[i..] and b[j..]
+	const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	const rows = [];
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			rows.push({ type: "same", text: a[i] });
+			i++;
+			j++;
+		} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+			rows.push({ type: "removed", text: a[i] });
+			i++;
+		} else {
+			rows.push({ type: "added", text: b[j] });
+			j++;
+		}
+	}
+	while (i < a.length) {
+		rows.push({ type: "removed", text: a[i++] });
+	}
+	while (j < b.length) {
+		rows.push({ type: "added", text: b[j++] });
+	}
+
+	return rows;
+}
@@ -0,0 +1,9 @@
+/**
+ * Fake @newfold/wp-module-ai-chat for unit tests: the chat status constants
+ * and an MCP client served from JSON.
+ */
+import { createMockMcpClient } from "../../../src/services/providers/mockMcpClient";
+
+export { CHAT_STATUS } from "../../../src/hooks/chat/constants";
+
+export const createMCPClient = () => createMockMcpClient();
@@ -0,0 +1,9 @@
+/**
+ * Fake @wordpress/api-fetch for unit tests. Rejects unless a test mocks a
+ * response, so no code path reaches the network by accident.
+ */
+const apiFetch = jest.fn(({ path, url } = {}) =>
+	Promise.reject(new Error(`Unexpected apiFetch: ${path || url}`))
+);
+
+export default apiFetch;
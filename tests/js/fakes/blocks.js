@@ -0,0 +1,154 @@
+/**
+ * Fake @wordpress/blocks for unit tests.
+ *
+ * Parses and serializes block delimiters the way the default block parser
+ * does, without any registered block types: every block is valid, attributes
+ * come only from the comment JSON, and createBlock() keeps no saved HTML. That
+ * is enough to test what our code does with block trees, not what core's
+ * save() functions would render.
+ */
+
+const DELIMITER =
+	/<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(\{[\s\S]*?\}\s+)?(\/)?-->/g;
+
+let nextClientId = 1;
+const blockTypes = new Map();
+
+/**
+ * Deterministic clientId, so assertions can name blocks.
+ *
+ * @return {string} Fresh clientId.
+ */
+function newClientId() {
+	return `block-${nextClientId++}`;
+}
+
+function fullName(name) {
+	return name.includes("/") ? name : `core/${name}`;
+}
+
+export function createBlock(name, attributes = {}, innerBlocks = []) {
+	return {
+		clientId: newClientId(),
+		name,
+		isValid: true,
+		attributes: { ...attributes },
+		innerBlocks,
+		innerContent: innerBlocks.map(() => null),
+	};
+}
+
+export function cloneBlock(block, attributes = {}, innerBlocks) {
+	return {
+		...block,
+		clientId: newClientId(),
+		attributes: { ...block.attributes, ...attributes },
+		innerBlocks: innerBlocks || block.innerBlocks.map((inner) => cloneBlock(inner)),
+	};
+}
+
+export function parse(content = "") {
+	const root = { innerBlocks: [], innerContent: [] };
+	const stack = [root];
+	let cursor = 0;
+
+	const pushText = (text) => {
+		if (!text) {
+			return;
+		}
+		const current = stack[stack.length - 1];
+		if (current === root) {
+			if (text.trim()) {
+				root.innerBlocks.push({
+					...createBlock("core/freeform", { content: text }),
+					innerContent: [text],
+				});
+			}
+			return;
+		}
+		current.innerContent.push(text);
+	};
+
+	DELIMITER.lastIndex = 0;
+	let match;
+	while ((match = DELIMITER.exec(content)) !== null) {
+		pushText(content.slice(cursor, match.index));
+		cursor = DELIMITER.lastIndex;
+
+		const [, closer, rawName, rawAttrs, voidMarker] = match;
+		const name = fullName(rawName);
+
+		if (closer) {
+			const block = stack.pop();
+			if (!block || block === root || block.name !== name) {
+				throw new Error(`Unexpected closing delimiter for ${name}`);
+			}
+			stack[stack.length - 1].innerBlocks.push(block);
+			stack[stack.length - 1].innerContent.push(null);
+			continue;
+		}
+
+		const block = {
+			...createBlock(name, rawAttrs ? JSON.parse(rawAttrs) : {}),
+			innerContent: [],
+		};
+		if (voidMarker) {
+			stack[stack.length - 1].innerBlocks.push(block);
+			stack[stack.length - 1].innerContent.push(null);
+		} else {
+			stack.push(block);
+		}
+	}
+	pushText(content.slice(cursor));
+
+	// Unclosed blocks keep what they collected, like the default parser.
+	while (stack.length > 1) {
+		const block = stack.pop();
+		stack[stack.length - 1].innerBlocks.push(block);
+	}
+	return root.innerBlocks;
+}
+
+function serializeBlock(block) {
+	if (block.name === "core/freeform") {
+		return block.attributes.content || "";
+	}
+	let childIndex = 0;
+	const inner = (block.innerContent || block.innerBlocks.map(() => null))
+		.map((piece) => (piece === null ? serializeBlock(block.innerBlocks[childIndex++]) : piece))
+		.join("");
+	const name = block.name.startsWith("core/") ? block.name.slice(5) : block.name;
+	const attrs = Object.keys(block.attributes || {}).length
+		? ` ${JSON.stringify(block.attributes)}`
+		: "";
+
+	if (!inner) {
+		return `<!-- wp:${name}${attrs} /-->`;
+	}
+	return `<!-- wp:${name}${attrs} -->${inner}<!-- /wp:${name} -->`;
+}
+
+export function serialize(blocks) {
+	return (Array.isArray(blocks) ? blocks : [blocks]).map(serializeBlock).join("\n\n");
+}
+
+export function registerBlockType(name, settings = {}) {
+	blockTypes.set(name, { name, ...settings });
+	return blockTypes.get(name);
+}
+
+export function getBlockType(name) {
+	return blockTypes.get(name);
+}
+
+export function getBlockTypes() {
+	return [...blockTypes.values()];
+}
+
+/**
+ * Forget registered block types and restart clientIds. Called before each test.
+ */
+export function __resetBlocks() {
+	blockTypes.clear();
+	nextClientId = 1;
+}
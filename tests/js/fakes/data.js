@@ -0,0 +1,321 @@
+/**
+ * Fake wp.data registry for unit tests.
+ *
+ * One in-memory editor shared by `@wordpress/data` imports and the `wp.data`
+ * global (see tests/js/setup.js): a block tree for core/block-editor, entity
+ * records for core, block types for core/blocks. Selectors and actions keep
+ * their real names and argument order, so services run against it unchanged.
+ * Calling anything that is not implemented throws, naming the store and
+ * member, instead of quietly returning undefined.
+ */
+import { getBlockType, getBlockTypes } from "./blocks";
+
+const state = {
+	blocks: [],
+	selectedClientId: null,
+	settings: {},
+	themeStyles: {},
+	records: {},
+	edits: {},
+	editor: {},
+	preferences: {},
+	actions: [],
+};
+
+/**
+ * Reset the registry to a fresh editor.
+ *
+ * @param {Object} [initial]                  Initial state.
+ * @param {Array}  [initial.blocks]           Root blocks (see createBlock in fakes/blocks.js).
+ * @param {string} [initial.selectedClientId] Selected block.
+ * @param {Object} [initial.records]          Entity records keyed "kind/name/id".
+ * @param {Object} [initial.editor]           core/editor values (postId, postType, templateId, globalStylesId).
+ * @param {Object} [initial.settings]         Block editor settings.
+ * @param {Object} [initial.themeStyles]      The theme's base global styles (theme.json).
+ */
+export function resetRegistry({
+	blocks = [],
+	selectedClientId = null,
+	records = {},
+	editor = {},
+	settings = {},
+	themeStyles = {},
+} = {}) {
+	state.blocks = blocks;
+	state.selectedClientId = selectedClientId;
+	state.records = records;
+	state.edits = {};
+	state.editor = editor;
+	state.settings = settings;
+	state.themeStyles = themeStyles;
+	state.preferences = {};
+	state.actions = [];
+}
+
+/**
+ * Actions dispatched since the last reset, as [store, action, ...args].
+ *
+ * @return {Array} Dispatch log.
+ */
+export function getDispatchedActions() {
+	return state.actions;
+}
+
+// ── Block tree helpers ──
+
+function findWithParent(clientId, blocks = state.blocks, parent = null) {
+	for (const block of blocks) {
+		if (block.clientId === clientId) {
+			return { block, parent, siblings: blocks };
+		}
+		const found = findWithParent(clientId, block.innerBlocks || [], block);
+		if (found) {
+			return found;
+		}
+	}
+	return null;
+}
+
+function childrenOf(rootClientId) {
+	if (!rootClientId) {
+		return state.blocks;
+	}
+	return findWithParent(rootClientId)?.block.innerBlocks || [];
+}
+
+function setChildren(rootClientId, blocks) {
+	if (!rootClientId) {
+		state.blocks = blocks;
+		return;
+	}
+	const found = findWithParent(rootClientId);
+	if (found) {
+		found.block.innerBlocks = blocks;
+	}
+}
+
+function detach(clientId) {
+	const found = findWithParent(clientId);
+	if (!found) {
+		return null;
+	}
+	setChildren(
+		found.parent?.clientId || null,
+		found.siblings.filter((b) => b.clientId !== clientId)
+	);
+	return found.block;
+}
+
+function insertAt(blocks, index, rootClientId) {
+	const children = [...childrenOf(rootClientId)];
+	const at = typeof index === "number" ? index : children.length;
+	children.splice(at, 0, ...blocks);
+	setChildren(rootClientId, children);
+}
+
+const recordKey = (kind, name, id) => `${kind}/${name}/${id}`;
+
+// ── Stores ──
+
+const stores = {
+	"core/block-editor": {
+		selectors: {
+			getBlocks: (rootClientId) => childrenOf(rootClientId),
+			getBlock: (clientId) => findWithParent(clientId)?.block || null,
+			getBlockName: (clientId) => findWithParent(clientId)?.block.name || null,
+			getBlockAttributes: (clientId) => findWithParent(clientId)?.block.attributes || null,
+			getBlockOrder: (rootClientId) => childrenOf(rootClientId).map((b) => b.clientId),
+			getBlockCount: (rootClientId) => childrenOf(rootClientId).length,
+			getBlockRootClientId: (clientId) => {
+				const found = findWithParent(clientId);
+				if (!found) {
+					return null;
+				}
+				return found.parent?.clientId || "";
+			},
+			getBlockIndex: (clientId) => {
+				const found = findWithParent(clientId);
+				return found ? found.siblings.indexOf(found.block) : -1;
+			},
+			getBlockParents: (clientId) => {
+				const parents = [];
+				let found = findWithParent(clientId);
+				while (found?.parent) {
+					parents.unshift(found.parent.clientId);
+					found = findWithParent(found.parent.clientId);
+				}
+				return parents;
+			},
+			getSelectedBlockClientId: () => state.selectedClientId,
+			getSelectedBlock: () =>
+				state.selectedClientId ? findWithParent(state.selectedClientId)?.block || null : null,
+			getSelectedBlockClientIds: () => (state.selectedClientId ? [state.selectedClientId] : []),
+			getMultiSelectedBlocks: () => [],
+			getMultiSelectedBlockClientIds: () => [],
+			getSettings: () => state.settings,
+			canInsertBlockType: () => true,
+		},
+		actions: {
+			updateBlockAttributes: (clientIds, attributes) => {
+				for (const clientId of [].concat(clientIds)) {
+					const block = findWithParent(clientId)?.block;
+					if (block) {
+						block.attributes = { ...block.attributes, ...attributes };
+					}
+				}
+			},
+			replaceBlocks: (clientIds, blocks) => {
+				const ids = [].concat(clientIds);
+				const found = findWithParent(ids[0]);
+				if (!found) {
+					return;
+				}
+				const rootClientId = found.parent?.clientId || null;
+				const index = found.siblings.indexOf(found.block);
+				ids.forEach(detach);
+				insertAt([].concat(blocks), index, rootClientId);
+			},
+			replaceBlock: (clientId, blocks) =>
+				stores["core/block-editor"].actions.replaceBlocks(clientId, blocks),
+			insertBlocks: (blocks, index, rootClientId) =>
+				insertAt([].concat(blocks), index, rootClientId),
+			insertBlock: (block, index, rootClientId) => insertAt([block], index, rootClientId),
+			removeBlocks: (clientIds) => [].concat(clientIds).forEach(detach),
+			removeBlock: (clientId) => detach(clientId),
+			moveBlockToPosition: (clientId, _fromRootClientId, toRootClientId, index) => {
+				const block = detach(clientId);
+				if (block) {
+					insertAt([block], index, toRootClientId || null);
+				}
+			},
+			replaceInnerBlocks: (rootClientId, blocks) => setChildren(rootClientId, blocks),
+			selectBlock: (clientId) => {
+				state.selectedClientId = clientId;
+			},
+			clearSelectedBlock: () => {
+				state.selectedClientId = null;
+			},
+			flashBlock: () => {},
+		},
+	},
+	core: {
+		selectors: {
+			getEntityRecord: (kind, name, id) => state.records[recordKey(kind, name, id)],
+			getEditedEntityRecord: (kind, name, id) => {
+				const key = recordKey(kind, name, id);
+				return state.records[key] ? { ...state.records[key], ...state.edits[key] } : undefined;
+			},
+			hasEditsForEntityRecord: (kind, name, id) => !!state.edits[recordKey(kind, name, id)],
+			// Every record of the kind and name; queries are not applied.
+			getEntityRecords: (kind, name) =>
+				Object.entries(state.records)
+					.filter(([key]) => key.startsWith(`${kind}/${name}/`))
+					.map(([, record]) => record),
+			__experimentalGetCurrentGlobalStylesId: () => state.editor.globalStylesId,
+			__experimentalGetCurrentThemeBaseGlobalStyles: () => state.themeStyles,
+		},
+		actions: {
+			editEntityRecord: (kind, name, id, edits) => {
+				const key = recordKey(kind, name, id);
+				state.edits[key] = { ...state.edits[key], ...edits };
+			},
+			saveEditedEntityRecord: async (kind, name, id) => {
+				const key = recordKey(kind, name, id);
+				if (state.records[key] && state.edits[key]) {
+					state.records[key] = { ...state.records[key], ...state.edits[key] };
+					delete state.edits[key];
+				}
+			},
+			invalidateResolution: () => {},
+		},
+	},
+	"core/editor": {
+		selectors: {
+			getCurrentPostId: () => state.editor.postId,
+			getCurrentPostType: () => state.editor.postType,
+			getCurrentTemplateId: () => state.editor.templateId,
+			isSavingPost: () => false,
+		},
+		actions: {
+			savePost: async () => {},
+		},
+	},
+	"core/blocks": {
+		selectors: { getBlockType, getBlockTypes },
+		actions: {},
+	},
+	"core/preferences": {
+		selectors: {
+			get: (scope, name) => state.preferences[`${scope}/${name}`],
+		},
+		actions: {
+			set: (scope, name, value) => {
+				state.preferences[`${scope}/${name}`] = value;
+			},
+		},
+	},
+};
+
+function storeName(storeNameOrDescriptor) {
+	return typeof storeNameOrDescriptor === "string"
+		? storeNameOrDescriptor
+		: storeNameOrDescriptor?.name;
+}
+
+/**
+ * Members of a fake store, throwing for anything not implemented.
+ *
+ * @param {string}   name    Store name.
+ * @param {Object}   members Selectors or actions.
+ * @param {Function} [wrap]  Applied to each member on access.
+ * @return {Object} Proxy over the members.
+ */
+function strict(name, members, wrap = (fn) => fn) {
+	return new Proxy(members, {
+		get(target, key) {
+			if (typeof key !== "string" || key === "then") {
+				return undefined;
+			}
+			if (!(key in target)) {
+				throw new Error(`Fake registry: ${name}.${key} is not implemented`);
+			}
+			return wrap(target[key], key);
+		},
+	});
+}
+
+function getStore(storeNameOrDescriptor) {
+	const name = storeName(storeNameOrDescriptor);
+	if (!stores[name]) {
+		throw new Error(`Fake registry: unknown store "${name}"`);
+	}
+	return { name, store: stores[name] };
+}
+
+export function select(storeNameOrDescriptor) {
+	const { name, store } = getStore(storeNameOrDescriptor);
+	return strict(name, store.selectors);
+}
+
+export function resolveSelect(storeNameOrDescriptor) {
+	const { name, store } = getStore(storeNameOrDescriptor);
+	return strict(
+		name,
+		store.selectors,
+		(fn) =>
+			async (...args) =>
+				fn(...args)
+	);
+}
+
+export function dispatch(storeNameOrDescriptor) {
+	const { name, store } = getStore(storeNameOrDescriptor);
+	return strict(name, store.actions, (fn, key) => (...args) => {
+		state.actions.push([name, key, ...args]);
+		return fn(...args);
+	});
+}
+
+export const useSelect = (mapSelect) => mapSelect(select);
+
+export const useDispatch = (storeNameOrDescriptor) => dispatch(storeNameOrDescriptor);
@@ -0,0 +1,4 @@
+/**
+ * Fake @wordpress/element for unit tests: the React it wraps.
+ */
+export * from "react";
@@ -0,0 +1,29 @@
+/**
+ * Fake @wordpress/i18n for unit tests.
+ */
+
+/**
+ * Untranslated string.
+ *
+ * @param {string} text Text to translate.
+ * @return {string} The same text.
+ */
+export const __ = (text) => text;
+
+export const _x = (text) => text;
+
+export const _n = (single, plural, number) => (number === 1 ? single : plural);
+
+/**
+ * printf-style placeholders (%s, %d, %1$s) filled in order.
+ *
+ * @param {string} format Format string.
+ * @param {...*}   args   Values for the placeholders.
+ * @return {string} Formatted string.
+ */
+export const sprintf = (format, ...args) => {
+	let index = 0;
+	return format.replace(/%(\d+\$)?[sd]/g, (_match, position) =>
+		String(position ? args[parseInt(position, 10) - 1] : args[index++])
+	);
+};
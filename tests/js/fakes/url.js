@@ -0,0 +1,22 @@
+/**
+ * Fake @wordpress/url for unit tests.
+ */
+
+/**
+ * Append query arguments to a URL.
+ *
+ * @param {string} [url]  Base URL.
+ * @param {Object} [args] Query arguments.
+ * @return {string} URL with the arguments appended.
+ */
+export function addQueryArgs(url = "", args = {}) {
+	const query = new URLSearchParams(args).toString();
+	if (!query) {
+		return url;
+	}
+	return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+}
+
+export function getQueryArg(url, name) {
+	return new URL(url, "http://example.org").searchParams.get(name) ?? undefined;
+}
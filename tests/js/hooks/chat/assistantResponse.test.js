@@ -0,0 +1,87 @@
+/**
+ * Internal dependencies
+ */
+import {
+	MAX_MARKUP_CLIENT_IDS,
+	parseAssistantResponse,
+} from "../../../../src/hooks/chat/assistantResponse";
+
+const UUID_A = "0f8fad5b-d9cb-469f-a165-70867728950e";
+const UUID_B = "7c9e6679-7425-40de-944b-e07fc1f90ae7";
+const UUID_C = "9b2f4a2e-1c3d-4e5f-8a9b-0c1d2e3f4a5b";
+
+describe("parseAssistantResponse", () => {
+	it("returns null for empty output", () => {
+		expect(parseAssistantResponse("")).toBeNull();
+		expect(parseAssistantResponse("  \n")).toBeNull();
+	});
+
+	it("passes prose through as the message", () => {
+		expect(parseAssistantResponse("  Sure, updating the heading now. ")).toEqual({
+			message: "Sure, updating the heading now.",
+		});
+	});
+
+	it("parses the JSON contract", () => {
+		expect(parseAssistantResponse('{"message":" Changing the title. "}')).toEqual({
+			message: "Changing the title.",
+		});
+	});
+
+	it("caps need_blocks_markup and drops invalid ids", () => {
+		const parsed = parseAssistantResponse(
+			JSON.stringify({
+				message: "Reading the hero.",
+				need_blocks_markup: ["", 42, UUID_A, UUID_B, UUID_C],
+			})
+		);
+
+		expect(parsed.need_blocks_markup).toEqual([UUID_A, UUID_B]);
+		expect(parsed.need_blocks_markup).toHaveLength(MAX_MARKUP_CLIENT_IDS);
+	});
+
+	it("keeps a complete site_replace request only", () => {
+		const parse = (siteReplace) =>
+			parseAssistantResponse(JSON.stringify({ message: "Updating.", site_replace: siteReplace }));
+
+		expect(parse({ find: "555-0100", replace: "555-0199", extra: true }).site_replace).toEqual({
+			find: "555-0100",
+			replace: "555-0199",
+		});
+		expect(parse({ find: " ", replace: "x" }).site_replace).toBeUndefined();
+		expect(parse({ find: "555-0100" }).site_replace).toBeUndefined();
+	});
+
+	it("extracts the JSON object from surrounding text", () => {
+		expect(parseAssistantResponse('Here you go:\n```json\n{"message":"Done."}\n```')).toEqual({
+			message: "Done.",
+		});
+		expect(console).toHaveWarned();
+	});
+
+	it("recovers a message broken by an unescaped quote", () => {
+		expect(parseAssistantResponse('{"message":"Renamed it to "Our Team" for you."}')).toEqual({
+			message: 'Renamed it to "Our Team" for you.',
+		});
+		expect(console).toHaveWarned();
+	});
+
+	it("recovers a message cut off mid-string", () => {
+		expect(parseAssistantResponse('{"message":"I\'ll tighten the spacing')).toEqual({
+			message: "I'll tighten the spacing",
+		});
+		expect(console).toHaveWarned();
+	});
+
+	it("recovers markup ids from broken JSON with a fallback message", () => {
+		const parsed = parseAssistantResponse(
+			`{"need_blocks_markup":["${UUID_A}", ${UUID_B}, "${UUID_C}"]`
+		);
+
+		expect(parsed).toEqual({
+			message: "Reading the current page content…",
+			need_blocks_markup: [UUID_A, UUID_B],
+		});
+		expect(console).toHaveWarned();
+	});
+});
@@ -0,0 +1,352 @@
+/**
+ * Internal dependencies
+ */
+import { runChatLoop, runToolCallTurn } from "../../../../src/hooks/chat/chatLoop";
+import { MAX_HISTORY_CHARS } from "../../../../src/hooks/chat/constants";
+import { isSessionMemory } from "../../../../src/hooks/chat/conversationUtils";
+import { streamCompletion } from "../../../../src/hooks/chat/streamCompletion";
+import { findHistoryCut } from "../../../../src/services/conversationBranches";
+import { PLAN_STEP_STATUS, approvePlan, createPlan } from "../../../../src/services/planChecklist";
+import { createFixtureProvider } from "../../../../src/services/providers/fixtureProvider";
+import * as toolDispatcher from "../../../../src/services/toolDispatcher";
+
+// The editor context is covered on its own; here it only has to be there.
+jest.mock("../../../../src/utils/editorContext", () => ({
+	...jest.requireActual("../../../../src/utils/editorContext"),
+	buildEditorContext: jest.fn(() => "Page: Home"),
+}));
+
+const LIST_ABILITIES = {
+	type: "function",
+	function: { name: "blu-list-abilities", description: "List abilities", parameters: {} },
+};
+
+const EDIT_BLOCK = {
+	type: "function",
+	function: { name: "blu-edit-block", description: "Edit a block", parameters: {} },
+};
+
+const ABILITIES = { abilities: [{ name: "blu-add-page", description: "Add a page" }] };
+
+// One tool pass, then the reply.
+const FIXTURE = {
+	responses: [
+		{
+			content: '{"message":"Let me check what I can do."}',
+			tool_calls: [{ id: "call_1", name: "blu-list-abilities", arguments: {} }],
+		},
+		{ content: '{"message":"I can add pages."}' },
+	],
+	intents: [{ task: "conversational" }],
+	results: { "blu-list-abilities": ABILITIES },
+};
+
+/**
+ * A history over budget: `turns` exchanges with long replies.
+ *
+ * @param {number} turns Exchanges.
+ * @return {Array} History.
+ */
+const longHistory = (turns) => {
+	const history = [];
+	for (let n = 1; n <= turns; n++) {
+		history.push(
+			{ role: "user", content: `Request ${n}` },
+			{ role: "assistant", content: `Reply ${n} ${"r".repeat(MAX_HISTORY_CHARS / turns)}` }
+		);
+	}
+	return history;
+};
+
+const MEMORY_REPLY = JSON.stringify({
+	decisions: ["The palette is navy"],
+	entities: [],
+	preferences: [],
+});
+
+// A reply, then the session memory fold over the history.
+const FOLD_FIXTURE = {
+	responses: [{ content: '{"message":"You are welcome."}' }, { content: MEMORY_REPLY }],
+	intents: [{ task: "conversational" }],
+};
+
+/**
+ * Run one turn against the fixture provider, wired the way useEditorChatREST
+ * wires the loop.
+ *
+ * @param {string}  message               User message.
+ * @param {Object}  [options]             Options.
+ * @param {Object}  [options.fixture]     Fixture to replay.
+ * @param {Array}   [options.history]     Model history from earlier turns.
+ * @param {Promise} [options.foldGate]    The session memory request waits for it.
+ * @param {Array}   [options.openaiTools] Tools the MCP server offers.
+ * @param {boolean} [options.planFirst]   Approve the classified steps as a plan, as plan-first mode does.
+ * @return {Promise<Object>} The history, fold and plan refs, chat messages, clients and the turn's stream callbacks.
+ */
+async function runFixtureTurn(
+	message,
+	{
+		fixture = FIXTURE,
+		history = [],
+		foldGate = null,
+		openaiTools = [LIST_ABILITIES],
+		planFirst = false,
+	} = {}
+) {
+	const provider = createFixtureProvider(fixture);
+	const mcpClient = provider.createMcpClient();
+	const { sessionConfig, client } = await provider.createSession();
+
+	const abortControllerRef = { current: new AbortController() };
+	const conversationHistoryRef = { current: history };
+	const memoryFoldRef = { current: null };
+	const turnCallbacks = { setToolCallPreview: jest.fn(), onReconnecting: jest.fn() };
+	let messages = [];
+	const setMessages = (update) => {
+		messages = typeof update === "function" ? update(messages) : update;
+	};
+	const openaiClientRef = { current: client };
+	const planRef = { current: null };
+	const planDeps = planFirst
+		? {
+				planRef,
+				requestPlanApproval: async (steps) => {
+					const plan = createPlan("checklist-1", steps);
+					planRef.current = approvePlan(plan, plan.steps);
+					return steps;
+				},
+				updatePlan: (plan) => {
+					planRef.current = plan;
+				},
+			}
+		: {};
+
+	await runChatLoop(message, {
+		conversationHistoryRef,
+		isFirstMessageRef: { current: history.length === 0 },
+		pendingIntentRef: { current: null },
+		setMessages,
+		setStatus: jest.fn(),
+		openaiTools,
+		streamCompletion: (msgs, tools, options) =>
+			streamCompletion(msgs, tools, options, {
+				openaiClientRef,
+				abortControllerRef,
+				setMessages,
+				...turnCallbacks,
+			}),
+		streamMemoryCompletion: async (msgs, tools, options) => {
+			await foldGate;
+			return streamCompletion(msgs, tools, options, { openaiClientRef, abortControllerRef });
+		},
+		memoryFoldRef,
+		buildToolCtx: () => ({
+			mcpClient,
+			blockSnapshotRef: { current: null },
+			executedToolsRef: { current: [] },
+			originalGlobalStylesRef: { current: null },
+			wait: () => Promise.resolve(),
+			updateProgress: () => Promise.resolve(),
+			setStatus: jest.fn(),
+			setActiveToolCall: jest.fn(),
+			setPendingTools: jest.fn(),
+			setExecutedTools: jest.fn(),
+			setToolProgress: jest.fn(),
+			setMessages,
+		}),
+		abortControllerRef,
+		getSessionConfig: () => sessionConfig,
+		classifyUserIntent: provider.classifyIntent,
+		...planDeps,
+	});
+
+	return {
+		conversationHistoryRef,
+		memoryFoldRef,
+		planRef,
+		messages,
+		client,
+		mcpClient,
+		turnCallbacks,
+	};
+}
+describe("runChatLoop", () => {
+	it("runs a fixture turn's tool call and replies with its result", async () => {
+		const { conversationHistoryRef, messages, client, mcpClient } = await runFixtureTurn(
+			"What can you do on this site?"
+		);
+		const history = conversationHistoryRef.current;
+
+		expect(mcpClient.calls).toEqual([{ name: "blu-list-abilities", args: {} }]);
+		expect(history.map((entry) => entry.role)).toEqual([
+			"user",
+			"assistant",
+			"tool",
+			"system",
+			"assistant",
+		]);
+		expect(history[0].content).toBe("What can you do on this site?");
+		expect(history[1].tool_calls).toEqual([
+			{
+				id: "call_1",
+				type: "function",
+				function: { name: "blu-list-abilities", arguments: "{}" },
+			},
+		]);
+		expect(history[2].tool_call_id).toBe("call_1");
+		expect(JSON.parse(history[2].content)).toEqual(ABILITIES);
+		expect(history[3].content).toBe("All tool calls above succeeded.");
+		expect(history[4].content).toBe('{"message":"I can add pages."}');
+
+		// The second pass sent the tool result back to the model.
+		expect(client.requests).toHaveLength(2);
+		expect(client.requests[1].messages).toEqual(
+			expect.arrayContaining([expect.objectContaining({ role: "tool", tool_call_id: "call_1" })])
+		);
+		expect(messages.map((m) => m.type)).toEqual([
+			"user",
+			"assistant",
+			"tool_execution",
+			"assistant",
+		]);
+		expect(messages[1].content).toBe("Let me check what I can do.");
+		expect(messages[2].executedTools).toEqual([
+			expect.objectContaining({ id: "call_1", name: "blu-list-abilities", isError: false }),
+		]);
+		expect(messages[3].content).toBe("I can add pages.");
+	});
+
+	it("fails a plan step whose tools only read", async () => {
+		const { planRef, client } = await runFixtureTurn("Check what you can do, then add a page", {
+			planFirst: true,
+			openaiTools: [LIST_ABILITIES, EDIT_BLOCK],
+			fixture: {
+				...FIXTURE,
+				responses: [
+					FIXTURE.responses[0],
+					{ content: '{"message":"Checked."}' },
+					{ content: '{"message":"I could not add the page."}' },
+				],
+				intents: [{ task: "edit", steps: ["Check the abilities", "Add a page"] }],
+			},
+		});
+
+		expect(client.requests).toHaveLength(3);
+		expect(planRef.current.steps.map((step) => step.status)).toEqual([
+			PLAN_STEP_STATUS.FAILED,
+			PLAN_STEP_STATUS.FAILED,
+		]);
+	});
+
+	it("leaves the session memory fold for the next turn to wait for", async () => {
+		let releaseFold;
+		const foldGate = new Promise((resolve) => {
+			releaseFold = resolve;
+		});
+
+		const { conversationHistoryRef, memoryFoldRef, client, turnCallbacks } = await runFixtureTurn(
+			"Thanks!",
+			{ fixture: FOLD_FIXTURE, history: longHistory(4), foldGate }
+		);
+
+		expect(client.requests).toHaveLength(1);
+		expect(conversationHistoryRef.current.some(isSessionMemory)).toBe(false);
+		const previewCalls = turnCallbacks.setToolCallPreview.mock.calls.length;
+
+		releaseFold();
+		await memoryFoldRef.current;
+
+		expect(client.requests).toHaveLength(2);
+		expect(client.requests[1].messages[1].content).toContain("User: Request 1");
+		expect(conversationHistoryRef.current.some(isSessionMemory)).toBe(true);
+		expect(conversationHistoryRef.current.at(-1).content).toBe('{"message":"You are welcome."}');
+		// The fold streams with callbacks of its own.
+		expect(turnCallbacks.setToolCallPreview).toHaveBeenCalledTimes(previewCalls);
+		expect(turnCallbacks.onReconnecting).not.toHaveBeenCalledWith(expect.anything());
+	});
+
+	it("drops the fold when the chat was replaced", async () => {
+		let releaseFold;
+		const foldGate = new Promise((resolve) => {
+			releaseFold = resolve;
+		});
+
+		const { conversationHistoryRef, memoryFoldRef } = await runFixtureTurn("Thanks!", {
+			fixture: FOLD_FIXTURE,
+			history: longHistory(4),
+			foldGate,
+		});
+		conversationHistoryRef.current = [];
+
+		releaseFold();
+		await memoryFoldRef.current;
+
+		expect(conversationHistoryRef.current).toEqual([]);
+	});
+});
+
+describe("runToolCallTurn", () => {
+	afterEach(() => jest.restoreAllMocks());
+
+	it("flags the turn's bubble when its calls throw, so later turns still pair up", async () => {
+		const conversationHistoryRef = {
+			current: [
+				{ role: "user", content: "Make the hero darker" },
+				{ role: "assistant", content: '{"message":"Done."}' },
+			],
+		};
+		let messages = [
+			{ type: "user", content: "Make the hero darker" },
+			{ type: "assistant", content: "Done." },
+			{ type: "user", content: "Fix 2 accessibility issues" },
+		];
+		const setMessages = (update) => {
+			messages = update(messages);
+		};
+		jest
+			.spyOn(toolDispatcher, "executeToolCallsForREST")
+			.mockRejectedValue(new Error("Editor went away"));
+
+		await expect(
+			runToolCallTurn("Fix the contrast", [{ id: "call_1", name: "blu-edit-block" }], {
+				conversationHistoryRef,
+				setMessages,
+				toolCtx: {},
+			})
+		).rejects.toThrow("Editor went away");
+
+		expect(conversationHistoryRef.current).toHaveLength(2);
+		expect(messages[2].rolledBack).toBe(true);
+
+		// A later turn, then edit-and-resend from the failed one: the first turn stays.
+		messages.push({ type: "user", content: "Add a footer note" });
+		conversationHistoryRef.current.push(
+			{ role: "user", content: "Add a footer note" },
+			{ role: "assistant", content: '{"message":"Added."}' }
+		);
+		expect(findHistoryCut(messages, 2, conversationHistoryRef.current)).toBe(2);
+		expect(findHistoryCut(messages, 3, conversationHistoryRef.current)).toBe(2);
+	});
+
+	it("records the prompt and what was applied", async () => {
+		const conversationHistoryRef = { current: [] };
+		jest.spyOn(toolDispatcher, "executeToolCallsForREST").mockResolvedValue([
+			{ tool_call_id: "call_1", isError: false },
+			{ tool_call_id: "call_2", isError: true },
+		]);
+
+		await runToolCallTurn(
+			"Fix the contrast",
+			[
+				{ id: "call_1", name: "blu-edit-block" },
+				{ id: "call_2", name: "blu-edit-block" },
+			],
+			{ conversationHistoryRef, setMessages: jest.fn(), toolCtx: {} }
+		);
+
+		expect(conversationHistoryRef.current).toEqual([
+			{ role: "user", content: "Fix the contrast" },
+			{ role: "assistant", content: '{"message":"Applied 1 of 2 change(s)."}' },
+		]);
+	});
+});
@@ -0,0 +1,213 @@
+/**
+ * Internal dependencies
+ */
+import {
+	compressConversationHistory,
+	createRetryTracker,
+	prepareResumedHistory,
+	RESUMED_CHAT_NOTE,
+} from "../../../../src/hooks/chat/conversationUtils";
+import { MAX_HISTORY_CHARS, MAX_HISTORY_MESSAGES } from "../../../../src/hooks/chat/constants";
+
+const system = { role: "system", content: "You are the editor assistant." };
+
+/**
+ * One earlier exchange: user → tool call → tool result → closing reply.
+ *
+ * @param {number} n Exchange number, used in the content.
+ * @return {Array} Messages.
+ */
+const exchange = (n) => [
+	{
+		role: "user",
+		content: `<editor_context>tree ${n}</editor_context>\nChange heading ${n}`,
+	},
+	{
+		role: "assistant",
+		content: "",
+		tool_calls: [
+			{
+				id: `call_${n}`,
+				type: "function",
+				function: { name: "blu-edit-block", arguments: `{"client_id":"b${n}"}` },
+			},
+		],
+	},
+	{ role: "tool", tool_call_id: `call_${n}`, content: "x".repeat(400) },
+	{ role: "system", content: "All tool calls above succeeded." },
+	{ role: "assistant", content: `Updated heading ${n}.` },
+];
+
+describe("compressConversationHistory", () => {
+	it("returns short histories untouched", () => {
+		const history = [system, ...exchange(1).slice(0, 3)];
+
+		expect(compressConversationHistory(history)).toBe(history);
+	});
+
+	it("keeps the system prompt and the current exchange intact", () => {
+		const current = { role: "user", content: "<editor_context>live</editor_context>\nNow" };
+		const history = [system, ...exchange(1), ...exchange(2), current];
+
+		const compressed = compressConversationHistory(history);
+
+		expect(compressed[0]).toBe(system);
+		expect(compressed[compressed.length - 1]).toBe(current);
+	});
+
+	it("lightly compresses older messages", () => {
+		const current = { role: "user", content: "Now" };
+		const compressed = compressConversationHistory([system, ...exchange(1), current]);
+
+		// Intermediate system note dropped.
+		expect(compressed.filter((m) => m.role === "system")).toEqual([system]);
+		// Editor context stripped from the old user message.
+		expect(compressed[1].content).toBe("Change heading 1");
+		// Tool-call arguments stubbed, names kept.
+		expect(compressed[2].tool_calls[0].function).toEqual({
+			name: "blu-edit-block",
+			arguments: "{}",
+		});
+		// Tool results truncated.
+		expect(compressed[3].content).toBe("x".repeat(150) + "\n...[truncated]");
+	});
+
+	it("collapses old exchanges to user + summary pairs when over budget", () => {
+		const history = [system];
+		for (let n = 1; n <= 8; n++) {
+			history.push(...exchange(n));
+		}
+		const current = { role: "user", content: "Now" };
+		history.push(current);
+
+		const compressed = compressConversationHistory(history);
+
+		expect(compressed.length).toBeLessThanOrEqual(MAX_HISTORY_MESSAGES);
+		expect(compressed.some((m) => m.role === "tool" || m.tool_calls)).toBe(false);
+		expect(compressed.slice(1, 3)).toEqual([
+			{ role: "user", content: "Change heading 1" },
+			{ role: "assistant", content: "Updated heading 1." },
+		]);
+		expect(compressed[compressed.length - 1]).toBe(current);
+	});
+
+	it("drops the oldest pairs until the history fits the char budget", () => {
+		const history = [system];
+		for (let n = 1; n <= 40; n++) {
+			history.push({ role: "user", content: `${n} ${"u".repeat(195)}` });
+			history.push({ role: "assistant", content: "a".repeat(1000) });
+		}
+		history.push({ role: "user", content: "Now" });
+
+		const compressed = compressConversationHistory(history);
+		const chars = compressed.reduce((sum, m) => sum + (m.content || "").length, 0);
+
+		expect(chars).toBeLessThanOrEqual(MAX_HISTORY_CHARS);
+		expect(compressed[1].content.startsWith("1 ")).toBe(false);
+		expect(compressed[compressed.length - 1].content).toBe("Now");
+	});
+
+	it("keeps the session memory through both phases", () => {
+		const memory = {
+			role: "system",
+			content: "<session_memory>\nDecisions:\n- Navy\n</session_memory>",
+		};
+		const history = [system, memory];
+		for (let n = 1; n <= 8; n++) {
+			history.push(...exchange(n));
+		}
+		history.push({ role: "user", content: "x".repeat(MAX_HISTORY_CHARS) });
+
+		const compressed = compressConversationHistory(history);
+
+		expect(compressed.slice(0, 2)).toEqual([system, memory]);
+	});
+});
+
+describe("createRetryTracker", () => {
+	const call = (name, args) => ({ name, arguments: args });
+
+	it("flags a batch only once every call in it repeats past the limit", () => {
+		const tracker = createRetryTracker(1);
+		const edit = call("blu-edit-block", { client_id: "a", block_content: "x" });
+
+		expect(tracker.recordIteration([edit])).toEqual({ allRetried: false, retryLimitHit: false });
+		expect(tracker.recordIteration([edit])).toEqual({ allRetried: true, retryLimitHit: false });
+		// Sticky: the second hit reports that the limit was already reached.
+		expect(tracker.recordIteration([edit])).toEqual({ allRetried: true, retryLimitHit: true });
+	});
+
+	it("treats different arguments as different work", () => {
+		const tracker = createRetryTracker(1);
+
+		tracker.recordIteration([call("blu-edit-block", { client_id: "a" })]);
+
+		expect(tracker.recordIteration([call("blu-edit-block", { client_id: "b" })]).allRetried).toBe(
+			false
+		);
+	});
+
+	it("ignores argument key order", () => {
+		const tracker = createRetryTracker(1);
+
+		tracker.recordIteration([call("blu-move-block", { client_id: "a", position: "after" })]);
+
+		expect(
+			tracker.recordIteration([call("blu-move-block", { position: "after", client_id: "a" })])
+				.allRetried
+		).toBe(true);
+	});
+
+	it("does not flag a batch that mixes a repeat with new work", () => {
+		const tracker = createRetryTracker(1);
+		const edit = call("blu-edit-block", { client_id: "a" });
+
+		tracker.recordIteration([edit]);
+
+		expect(
+			tracker.recordIteration([edit, call("blu-delete-block", { client_id: "b" })]).allRetried
+		).toBe(false);
+	});
+
+	it("exempts read-only tools, including their slash-form names", () => {
+		const tracker = createRetryTracker(1);
+		const read = call("blu/get-block-markup", { client_id: "a" });
+
+		tracker.recordIteration([read]);
+		tracker.recordIteration([read]);
+
+		expect(tracker.recordIteration([read])).toEqual({ allRetried: false, retryLimitHit: false });
+	});
+});
+
+describe("prepareResumedHistory", () => {
+	it("keeps user messages and closing replies behind the resumed-chat note", () => {
+		const history = [system, ...exchange(1), ...exchange(2)];
+
+		expect(prepareResumedHistory(history)).toEqual([
+			{ role: "system", content: RESUMED_CHAT_NOTE },
+			{ role: "user", content: "Change heading 1" },
+			{ role: "assistant", content: "Updated heading 1." },
+			{ role: "user", content: "Change heading 2" },
+			{ role: "assistant", content: "Updated heading 2." },
+		]);
+	});
+
+	it("keeps only the last text reply of an exchange", () => {
+		const history = [
+			{ role: "user", content: "Add a section" },
+			{ role: "assistant", content: "I'll add a section." },
+			{ role: "assistant", content: "Added the section." },
+		];
+
+		expect(prepareResumedHistory(history).slice(1)).toEqual([
+			{ role: "user", content: "Add a section" },
+			{ role: "assistant", content: "Added the section." },
+		]);
+	});
+
+	it("returns an empty history when nothing is worth keeping", () => {
+		expect(prepareResumedHistory([system])).toEqual([]);
+		expect(prepareResumedHistory(undefined)).toEqual([]);
+	});
+});
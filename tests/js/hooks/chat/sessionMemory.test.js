@@ -0,0 +1,122 @@
+/**
+ * Internal dependencies
+ */
+import { MAX_HISTORY_CHARS } from "../../../../src/hooks/chat/constants";
+import {
+	findMemoryCut,
+	formatSessionMemory,
+	parseSessionMemory,
+	updateSessionMemory,
+} from "../../../../src/hooks/chat/sessionMemory";
+import { isSessionMemory } from "../../../../src/hooks/chat/conversationUtils";
+
+const user = (content) => ({ role: "user", content });
+const reply = (content) => ({ role: "assistant", content });
+
+/**
+ * A history over budget: `turns` exchanges with long replies.
+ *
+ * @param {number} turns Exchanges.
+ * @return {Array} History.
+ */
+const longHistory = (turns) => {
+	const history = [];
+	for (let n = 1; n <= turns; n++) {
+		history.push(
+			user(`Request ${n}`),
+			reply(`Reply ${n} ${"r".repeat(MAX_HISTORY_CHARS / turns)}`)
+		);
+	}
+	return history;
+};
+
+const MEMORY_REPLY = JSON.stringify({
+	decisions: ["The palette is navy"],
+	entities: ['Page 42 "About" https://example.com/about'],
+	preferences: [],
+});
+
+describe("findMemoryCut", () => {
+	it("keeps the last two exchanges", () => {
+		const history = longHistory(4);
+
+		expect(findMemoryCut(history)).toBe(4);
+	});
+
+	it("has nothing to fold without an older exchange", () => {
+		expect(findMemoryCut(longHistory(2))).toBe(-1);
+	});
+});
+
+describe("parseSessionMemory", () => {
+	it("reads fenced JSON and drops empty items", () => {
+		const memory = parseSessionMemory(
+			'```json\n{"decisions":["Navy", " "],"preferences":["Short headings"]}\n```'
+		);
+
+		expect(memory).toEqual({ decisions: ["Navy"], entities: [], preferences: ["Short headings"] });
+	});
+
+	it("returns null for an empty or invalid reply", () => {
+		expect(parseSessionMemory("Sorry, I can't.")).toBeNull();
+		expect(parseSessionMemory('{"decisions":[]}')).toBeNull();
+		expect(console).toHaveWarned();
+	});
+
+	it("renders only the sections that have items", () => {
+		const message = formatSessionMemory({ decisions: ["Navy"], entities: [], preferences: [] });
+
+		expect(isSessionMemory(message)).toBe(true);
+		expect(message.content).toContain("Decisions:\n- Navy");
+		expect(message.content).not.toContain("User preferences");
+	});
+});
+
+describe("updateSessionMemory", () => {
+	it("leaves a history under budget alone", async () => {
+		const complete = jest.fn();
+		const history = [user("Hi"), reply("Hello")];
+
+		await expect(updateSessionMemory(history, { complete })).resolves.toBe(history);
+		expect(complete).not.toHaveBeenCalled();
+	});
+
+	it("folds older exchanges into the memory, after a leading note", async () => {
+		const note = { role: "system", content: "Reopened from history." };
+		const history = [note, ...longHistory(4)];
+		const complete = jest.fn().mockResolvedValue({ content: MEMORY_REPLY, usage: null });
+
+		const updated = await updateSessionMemory(history, { complete });
+
+		expect(updated[0]).toBe(note);
+		expect(isSessionMemory(updated[1])).toBe(true);
+		expect(updated[1].content).toContain("https://example.com/about");
+		expect(updated.slice(2)).toEqual(history.slice(5));
+		const [request, tools, options] = complete.mock.calls[0];
+		expect(tools).toEqual([]);
+		expect(options.silent).toBe(true);
+		expect(request[1].content).toContain("Current memory:\n(empty)");
+		expect(request[1].content).toContain("User: Request 1");
+	});
+
+	it("hands the previous memory to the next fold", async () => {
+		const previous = formatSessionMemory({
+			decisions: ["Serif headings"],
+			entities: [],
+			preferences: [],
+		});
+		const complete = jest.fn().mockResolvedValue({ content: MEMORY_REPLY, usage: null });
+
+		await updateSessionMemory([previous, ...longHistory(4)], { complete });
+
+		expect(complete.mock.calls[0][0][1].content).toContain("- Serif headings");
+	});
+
+	it("keeps the history when the summary call fails", async () => {
+		const history = longHistory(4);
+		const complete = jest.fn().mockRejectedValue(new Error("HTTP 500"));
+
+		await expect(updateSessionMemory(history, { complete })).resolves.toBe(history);
+		expect(console).toHaveWarned();
+	});
+});
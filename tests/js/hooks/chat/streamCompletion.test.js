@@ -0,0 +1,139 @@
+/**
+ * Internal dependencies
+ */
+import { streamCompletion } from "../../../../src/hooks/chat/streamCompletion";
+import {
+	STREAM_FAILURE,
+	canRetryStream,
+	getRetryDelay,
+	getStreamFailureKind,
+} from "../../../../src/hooks/chat/streamRetry";
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+/**
+ * A stream that yields content chunks, then optionally fails.
+ *
+ * @param {string[]} pieces  Content deltas.
+ * @param {Error}    [error] Thrown after the pieces, like a dropped connection.
+ * @return {Object} Async iterable of chunks.
+ */
+const makeStream = (pieces, error) => ({
+	async *[Symbol.asyncIterator]() {
+		for (const content of pieces) {
+			yield { choices: [{ index: 0, delta: { content }, finish_reason: null }] };
+		}
+		if (error) {
+			throw error;
+		}
+		yield { choices: [{ index: 0, delta: {}, finish_reason: "stop" }] };
+	},
+});
+
+const makeDeps = (create, extra = {}) => ({
+	openaiClientRef: { current: { chat: { completions: { create } } } },
+	abortControllerRef: { current: new AbortController() },
+	setMessages: jest.fn(),
+	setToolCallPreview: jest.fn(),
+	onReconnecting: jest.fn(),
+	...extra,
+});
+
+describe("getStreamFailureKind", () => {
+	it("separates retryable failures from the rest", () => {
+		expect(getStreamFailureKind(httpError(401))).toBe(STREAM_FAILURE.AUTH);
+		expect(getStreamFailureKind(httpError(503))).toBe(STREAM_FAILURE.SERVER);
+		expect(getStreamFailureKind(new TypeError("network error"))).toBe(STREAM_FAILURE.NETWORK);
+		expect(getStreamFailureKind(httpError(400))).toBeNull();
+		expect(getStreamFailureKind(new Error("OpenAI client not initialized"))).toBeNull();
+	});
+
+	it("backs off exponentially up to the cap and retry limit", () => {
+		expect([0, 1, 2, 5].map((attempt) => getRetryDelay(attempt))).toEqual([1000, 2000, 4000, 8000]);
+		expect(canRetryStream(STREAM_FAILURE.NETWORK, 2)).toBe(true);
+		expect(canRetryStream(STREAM_FAILURE.NETWORK, 3)).toBe(false);
+		expect(canRetryStream(STREAM_FAILURE.AUTH, 0)).toBe(false);
+	});
+});
+
+describe("streamCompletion retries", () => {
+	it("refreshes the session and retries once on a 401", async () => {
+		const create = jest
+			.fn()
+			.mockRejectedValueOnce(httpError(401))
+			.mockResolvedValueOnce(makeStream(["Done"]));
+		const refreshSession = jest.fn().mockResolvedValue();
+		const deps = makeDeps(create, { refreshSession });
+
+		const result = await streamCompletion([], [], {}, deps);
+
+		expect(result.content).toBe("Done");
+		expect(refreshSession).toHaveBeenCalledTimes(1);
+		expect(create).toHaveBeenCalledTimes(2);
+		expect(deps.onReconnecting).toHaveBeenLastCalledWith(null);
+		expect(console).toHaveWarned();
+	});
+
+	it("gives up when the refreshed token is rejected too", async () => {
+		const create = jest.fn().mockRejectedValue(httpError(401));
+		const refreshSession = jest.fn().mockResolvedValue();
+
+		await expect(
+			streamCompletion([], [], {}, makeDeps(create, { refreshSession }))
+		).rejects.toMatchObject({ status: 401 });
+		expect(refreshSession).toHaveBeenCalledTimes(1);
+		expect(console).toHaveWarned();
+	});
+
+	it("does not retry a bad request", async () => {
+		const create = jest.fn().mockRejectedValue(httpError(400));
+
+		await expect(streamCompletion([], [], {}, makeDeps(create))).rejects.toMatchObject({
+			status: 400,
+		});
+		expect(create).toHaveBeenCalledTimes(1);
+	});
+
+	it("re-issues a pass that dropped mid-stream, discarding its partial output", async () => {
+		jest.useFakeTimers();
+		const create = jest
+			.fn()
+			.mockResolvedValueOnce(makeStream(["Half a rep"], new TypeError("network error")))
+			.mockResolvedValueOnce(makeStream(["Full reply"]));
+		const deps = makeDeps(create);
+
+		const pending = streamCompletion([], [], { streamMessageId: "reply-1" }, deps);
+		await jest.advanceTimersByTimeAsync(1000);
+		const result = await pending;
+		jest.useRealTimers();
+
+		expect(result.content).toBe("Full reply");
+		expect(create).toHaveBeenCalledTimes(2);
+		expect(create.mock.calls[1][0]).toEqual(create.mock.calls[0][0]);
+		expect(deps.onReconnecting).toHaveBeenCalledWith({
+			reason: STREAM_FAILURE.NETWORK,
+			attempt: 1,
+			maxAttempts: 3,
+		});
+		expect(deps.onReconnecting).toHaveBeenLastCalledWith(null);
+		expect(console).toHaveWarned();
+	});
+
+	it("stops waiting when the user stops the turn", async () => {
+		jest.useFakeTimers();
+		const create = jest.fn().mockRejectedValue(httpError(502));
+		const deps = makeDeps(create);
+
+		const failure = streamCompletion([], [], {}, deps).catch((err) => err);
+		await jest.advanceTimersByTimeAsync(500);
+		deps.abortControllerRef.current.abort();
+		const error = await failure;
+		jest.useRealTimers();
+
+		expect(error.name).toBe("AbortError");
+
+		expect(create).toHaveBeenCalledTimes(1);
+		expect(deps.onReconnecting).toHaveBeenLastCalledWith(null);
+		expect(console).toHaveWarned();
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * Internal dependencies
+ */
+import {
+	buildDisplayMessages,
+	collapseSupersededFailures,
+} from "../../../../src/hooks/chat/useDisplayMessages";
+
+const tool = (name, args, isError = false) => ({ name, arguments: args, isError });
+
+describe("collapseSupersededFailures", () => {
+	it("drops a failure that a later attempt on the same block recovered from", () => {
+		const failed = tool("blu-edit-block", { client_id: "a" }, true);
+		const retried = tool("blu-edit-block", { client_id: "a" });
+
+		expect(collapseSupersededFailures([failed, retried])).toEqual([retried]);
+	});
+
+	it("keeps failures without a successful retry, returning the same array", () => {
+		const tools = [
+			tool("blu-edit-block", { client_id: "a" }, true),
+			tool("blu-edit-block", { client_id: "b" }),
+			tool("blu-delete-block", { client_id: "a" }),
+		];
+
+		expect(collapseSupersededFailures(tools)).toBe(tools);
+	});
+
+	it("keeps a failure that only an earlier success matches", () => {
+		const tools = [
+			tool("blu-edit-block", { client_id: "a" }),
+			tool("blu-edit-block", { client_id: "a" }, true),
+		];
+
+		expect(collapseSupersededFailures(tools)).toBe(tools);
+	});
+
+	it("matches slash-form names and stringified arguments", () => {
+		const retried = tool("blu-edit-block", { client_id: "a" });
+
+		expect(
+			collapseSupersededFailures([tool("blu/edit-block", '{"client_id":"a"}', true), retried])
+		).toEqual([retried]);
+	});
+
+	it("keys gateway calls by the target inside their parameters", () => {
+		const gateway = (clientId, isError) =>
+			tool(
+				"blu-call-ability",
+				{
+					ability_name: "blu/edit-block",
+					parameters: JSON.stringify({ client_id: clientId }),
+				},
+				isError
+			);
+		const other = gateway("b");
+
+		expect(collapseSupersededFailures([gateway("a", true), other])).toEqual([
+			gateway("a", true),
+			other,
+		]);
+		expect(collapseSupersededFailures([gateway("a", true), gateway("a")])).toHaveLength(1);
+	});
+});
+
+describe("buildDisplayMessages", () => {
+	const user = { id: "user-1", role: "user", type: "user", content: "Shorten these" };
+	const batch = (status) => ({
+		targets: [{ clientId: "a", name: "core/paragraph", label: "Paragraph", status }],
+	});
+
+	it("shows live batch progress on the current turn's tool_execution message", () => {
+		const execution = {
+			id: "tool-exec-user-1",
+			role: "assistant",
+			type: "tool_execution",
+			executedTools: [tool("blu-edit-block", { client_id: "a" })],
+			batch: batch("pending"),
+		};
+		const running = tool("blu-edit-block", { client_id: "b" });
+
+		const [, shown] = buildDisplayMessages([user, execution], running, [], [], null, batch("done"));
+
+		expect(shown.id).toBe(execution.id);
+		expect(shown.batch).toEqual(batch("done"));
+	});
+
+	it("keeps a finished turn's batch when merging its tool_execution messages", () => {
+		const first = { id: "t1", role: "assistant", type: "tool_execution", executedTools: [] };
+		const second = { ...first, id: "t2", batch: batch("failed") };
+
+		const shown = buildDisplayMessages([user, first, second], null, [], [], null);
+
+		expect(shown).toHaveLength(2);
+		expect(shown[1].batch).toEqual(batch("failed"));
+	});
+});
@@ -0,0 +1,111 @@
+/**
+ * Internal dependencies
+ */
+import { createBlock, parse } from "../fakes/blocks";
+import { auditAccessibility } from "../../../src/services/accessibilityAudit";
+
+const PALETTE = [
+	{ slug: "base", color: "#ffffff", name: "Base" },
+	{ slug: "contrast", color: "#111111", name: "Contrast" },
+	{ slug: "accent", color: "#888888", name: "Accent" },
+];
+
+/**
+ * Attributes a fix writes, by tool.
+ *
+ * @param {Object} finding Audit finding.
+ * @return {Object} Parsed arguments of its only tool call.
+ */
+const fixArgs = (finding) => JSON.parse(finding.fix.toolCalls[0].arguments);
+
+describe("auditAccessibility", () => {
+	it("reports each kind of issue with the fix the page suggests", () => {
+		const group = createBlock("core/group", { backgroundColor: "contrast" }, [
+			createBlock("core/heading", { level: 2, content: "Our services" }),
+			createBlock("core/paragraph", {
+				content: 'Plans for every team. <a href="/services">Read more</a>',
+			}),
+		]);
+		const skipped = createBlock("core/heading", { level: 4, content: "Pricing" });
+		const button = createBlock("core/button", { text: "Click here", url: "/pricing" });
+		const photo = createBlock("core/image", {
+			url: "/wp-content/uploads/team-at-work-1024x768.jpg",
+			alt: "",
+		});
+		const snapshot = createBlock("core/image", { url: "/wp-content/uploads/IMG_2041.jpg" });
+		const html = createBlock("core/html", {
+			content: '<img src="/a/happy-dog.png"><img src="/a/line.png" alt="">',
+		});
+
+		const findings = auditAccessibility(
+			[
+				group,
+				skipped,
+				createBlock("core/buttons", {}, [button]),
+				photo,
+				snapshot,
+				html,
+				// Readable, and a cover's colors are its image's: neither is reported.
+				createBlock("core/paragraph", { content: "Fine print", textColor: "contrast" }),
+				createBlock("core/cover", {}, [
+					createBlock("core/paragraph", { content: "Over a photo", textColor: "base" }),
+				]),
+			],
+			PALETTE
+		);
+
+		expect(findings.map((finding) => [finding.kind, finding.clientId])).toEqual([
+			["image-alt", photo.clientId],
+			["image-alt", snapshot.clientId],
+			["image-alt", html.clientId],
+			["heading-order", skipped.clientId],
+			["link-text", group.innerBlocks[1].clientId],
+			["link-text", button.clientId],
+			["contrast", group.clientId],
+		]);
+		const [alt, noAlt, htmlAlt, heading, paragraphLink, buttonLink, contrast] = findings;
+
+		expect(fixArgs(alt)).toEqual({
+			client_id: photo.clientId,
+			attributes: { alt: "Team at work" },
+		});
+		// A camera file name says nothing about the picture: reported, not guessed.
+		expect(noAlt.fix).toBeNull();
+		expect(htmlAlt.fix.toolCalls[0].name).toBe("blu-edit-block");
+		expect(parse(fixArgs(htmlAlt).block_content)[0].attributes.content).toBe(
+			'<img alt="Happy dog" src="/a/happy-dog.png"><img src="/a/line.png" alt="">'
+		);
+		expect(htmlAlt.message).toBe("1 image has no alt text.");
+
+		expect(fixArgs(heading).attributes).toEqual({ level: 3 });
+		expect(fixArgs(paragraphLink).attributes.content).toBe(
+			'Plans for every team. <a href="/services">Read more about Our services</a>'
+		);
+		expect(fixArgs(buttonLink).attributes).toEqual({ text: "Learn more about Pricing" });
+
+		expect(contrast.message).toBe("Text contrast is 1:1, below the 4.5:1 minimum.");
+		expect(contrast.fix.label).toBe("Use “Base” for the text (18.88:1)");
+		expect(fixArgs(contrast).attributes).toEqual({ textColor: "base" });
+	});
+
+	it("holds large headings to the lower contrast minimum", () => {
+		const heading = createBlock("core/heading", {
+			level: 2,
+			content: "Welcome",
+			textColor: "accent",
+		});
+		const paragraph = createBlock("core/paragraph", { content: "Hello", textColor: "accent" });
+
+		const findings = auditAccessibility([heading, paragraph], PALETTE);
+
+		expect(findings.map((finding) => finding.clientId)).toEqual([paragraph.clientId]);
+		expect(findings[0].message).toBe("Text contrast is 3.54:1, below the 4.5:1 minimum.");
+	});
+
+	it("offers no link text without a heading to name the section", () => {
+		const [finding] = auditAccessibility([createBlock("core/button", { text: "Read more" })]);
+
+		expect(finding.kind).toBe("link-text");
+		expect(finding.fix).toBeNull();
+	});
+});
@@ -0,0 +1,149 @@
+/**
+ * External dependencies
+ */
+import apiFetch from "@wordpress/api-fetch";
+import { createHash, webcrypto } from "crypto";
+import { TextEncoder } from "util";
+
+/**
+ * Internal dependencies
+ */
+import { createBlock, serialize } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import {
+	buildAuditEntry,
+	findTurnChangesMessage,
+	recordTurnAudit,
+} from "../../../src/services/auditLog";
+
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+// jsdom has neither Web Crypto's digest nor TextEncoder; browsers have both.
+beforeAll(() => {
+	Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+	global.TextEncoder = TextEncoder;
+});
+
+/**
+ * A finished turn that rewrote a heading and removed a paragraph.
+ *
+ * @return {{ messages: Array, heading: Object }} Raw chat messages and the live heading.
+ */
+function finishedTurn() {
+	const heading = createBlock("core/heading", { content: "New" });
+	resetRegistry({ blocks: [heading], editor: { postId: 42, postType: "page" } });
+	const undoData = {
+		blocks: {
+			changed: [{ clientId: heading.clientId, markup: "<!-- wp:heading /-->" }],
+			added: [],
+			removed: [{ clientId: "gone", markup: "<!-- wp:paragraph /-->", index: 1 }],
+			moved: [],
+			entities: [],
+		},
+	};
+	return {
+		heading,
+		messages: [
+			{ id: "user-1", type: "user", role: "user", content: "tidy this up" },
+			{
+				id: "tool-exec-user-1",
+				role: "assistant",
+				type: "tool_execution",
+				executedTools: [
+					{
+						id: "call_1",
+						name: "blu-edit-block",
+						arguments: JSON.stringify({ client_id: heading.clientId }),
+					},
+					{
+						id: "call_2",
+						name: "blu-delete-block",
+						arguments: {
+							ability_name: "blu/delete-block",
+							parameters: JSON.stringify({ client_id: "gone" }),
+						},
+						isError: false,
+					},
+				],
+				hasActions: true,
+				undoData,
+			},
+			{ id: "reply-1", type: "assistant", role: "assistant", content: "Done." },
+		],
+	};
+}
+
+describe("findTurnChangesMessage", () => {
+	it("finds the changes of the turn that just finished", () => {
+		const { messages } = finishedTurn();
+		expect(findTurnChangesMessage(messages).id).toBe("tool-exec-user-1");
+	});
+
+	it("ignores earlier turns and turns that changed nothing", () => {
+		const { messages } = finishedTurn();
+		expect(
+			findTurnChangesMessage([...messages, { id: "user-2", role: "user", content: "thanks" }])
+		).toBeNull();
+		expect(
+			findTurnChangesMessage([
+				...messages,
+				{ id: "user-2", role: "user", content: "read it" },
+				{
+					id: "tools-2",
+					type: "tool_execution",
+					executedTools: [{ name: "blu-get-block-markup" }],
+				},
+			])
+		).toBeNull();
+	});
+});
+
+describe("buildAuditEntry", () => {
+	it("records tools with their targets and hashes of the markup before and after", async () => {
+		const { messages, heading } = finishedTurn();
+		const entry = await buildAuditEntry("tidy this up", messages[1]);
+
+		expect(entry.prompt).toBe("tidy this up");
+		expect(entry.tools).toEqual([
+			{ name: "blu-edit-block", is_error: false, targets: [heading.clientId] },
+			{ name: "blu-delete-block", is_error: false, targets: ["gone"] },
+		]);
+		expect(entry.changes).toEqual([
+			{
+				kind: "changed",
+				target: heading.clientId,
+				before_hash: sha256("<!-- wp:heading /-->"),
+				after_hash: sha256(serialize(heading)),
+			},
+			{
+				kind: "removed",
+				target: "gone",
+				before_hash: sha256("<!-- wp:paragraph /-->"),
+				after_hash: null,
+			},
+		]);
+	});
+});
+
+describe("recordTurnAudit", () => {
+	it("files the entry under the post open in the editor", async () => {
+		const { messages } = finishedTurn();
+		apiFetch.mockResolvedValueOnce({ id: 7 });
+
+		await expect(recordTurnAudit("tidy this up", messages)).resolves.toEqual({ id: 7 });
+		expect(apiFetch).toHaveBeenCalledWith(
+			expect.objectContaining({
+				path: "/nfd-editor-chat/v1/audit",
+				method: "POST",
+				data: expect.objectContaining({ post_id: "42", post_type: "page", prompt: "tidy this up" }),
+			})
+		);
+	});
+
+	it("sends nothing for a turn without changes", async () => {
+		await expect(
+			recordTurnAudit("hello", [{ id: "user-1", role: "user", content: "hello" }])
+		).resolves.toBeNull();
+		expect(apiFetch).not.toHaveBeenCalled();
+	});
+});
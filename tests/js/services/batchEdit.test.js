@@ -0,0 +1,101 @@
+/**
+ * Internal dependencies
+ */
+import {
+	createBatch,
+	describeBlock,
+	formatBatchEditUserMessage,
+	getToolBatchTargets,
+	getUnfinishedTargets,
+	markBatchTargets,
+} from "../../../src/services/batchEdit";
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+
+/**
+ * Three selected blocks: a heading, a paragraph, and a card whose text lives
+ * in an inner paragraph.
+ *
+ * @return {Object} The blocks, keyed for assertions.
+ */
+function buildSelection() {
+	const heading = createBlock("core/heading", { content: "Our services" });
+	const paragraph = createBlock("core/paragraph", { content: "<strong>Fast</strong> setup" });
+	const cardText = createBlock("core/paragraph", { content: "Inside the card" });
+	const card = createBlock("core/group", {}, [cardText]);
+	return { heading, paragraph, card, cardText, blocks: [heading, paragraph, card] };
+}
+
+describe("describeBlock", () => {
+	it("names the block type and quotes its text without markup", () => {
+		const { heading, paragraph, card } = buildSelection();
+
+		expect(describeBlock(heading)).toBe("Heading “Our services”");
+		expect(describeBlock(paragraph)).toBe("Paragraph “Fast setup”");
+		expect(describeBlock(card)).toBe("Group");
+	});
+
+	it("shortens long text", () => {
+		const block = createBlock("core/paragraph", { content: "a".repeat(60) });
+
+		expect(describeBlock(block)).toBe(`Paragraph “${"a".repeat(40)}…”`);
+	});
+});
+
+describe("batch progress", () => {
+	it("starts every target as pending", () => {
+		const { blocks } = buildSelection();
+
+		const batch = createBatch(blocks);
+
+		expect(batch.targets.map((target) => target.status)).toEqual(["pending", "pending", "pending"]);
+		expect(getUnfinishedTargets(batch)).toHaveLength(3);
+	});
+
+	it("matches targets named directly or through an inner block", () => {
+		const selection = buildSelection();
+		resetRegistry({ blocks: selection.blocks });
+		const batch = createBatch(selection.blocks);
+
+		expect(getToolBatchTargets(batch, { client_id: selection.heading.clientId })).toEqual([
+			selection.heading.clientId,
+		]);
+		expect(getToolBatchTargets(batch, { client_id: selection.cardText.clientId })).toEqual([
+			selection.card.clientId,
+		]);
+		expect(
+			getToolBatchTargets(batch, {
+				client_ids: [selection.paragraph.clientId, selection.heading.clientId],
+			})
+		).toEqual([selection.paragraph.clientId, selection.heading.clientId]);
+		expect(getToolBatchTargets(batch, { block_content: "<p>New</p>" })).toEqual([]);
+	});
+
+	it("never downgrades a finished target", () => {
+		const { blocks, heading, paragraph } = buildSelection();
+		let batch = createBatch(blocks);
+
+		batch = markBatchTargets(batch, [heading.clientId], "done");
+		batch = markBatchTargets(batch, [heading.clientId, paragraph.clientId], "failed");
+		const unchanged = markBatchTargets(batch, [heading.clientId], "failed");
+
+		expect(batch.targets.map((target) => target.status)).toEqual(["done", "failed", "pending"]);
+		expect(unchanged).toBe(batch);
+		expect(getUnfinishedTargets(batch).map((target) => target.clientId)).toEqual([
+			paragraph.clientId,
+			blocks[2].clientId,
+		]);
+	});
+});
+
+describe("formatBatchEditUserMessage", () => {
+	it("lists every selected block before the instruction", () => {
+		const { blocks, heading } = buildSelection();
+
+		const message = formatBatchEditUserMessage("Make it friendlier", blocks);
+
+		expect(message).toMatch(/^\[Batch edit request\] 3 selected blocks: /);
+		expect(message).toContain(`core/heading (id:${heading.clientId})`);
+		expect(message).toMatch(/User instruction: Make it friendlier$/);
+	});
+});
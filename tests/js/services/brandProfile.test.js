@@ -0,0 +1,60 @@
+/**
+ * WordPress dependencies
+ */
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Internal dependencies
+ */
+import {
+	EMPTY_BRAND_PROFILE,
+	formatBrandProfileContext,
+	getBrandProfile,
+	saveBrandProfile,
+} from "../../../src/services/brandProfile";
+
+describe("formatBrandProfileContext", () => {
+	it("is empty when no preference is set", () => {
+		expect(formatBrandProfileContext(EMPTY_BRAND_PROFILE)).toBe("");
+	});
+
+	it("lists only the fields that are set", () => {
+		const context = formatBrandProfileContext({
+			...EMPTY_BRAND_PROFILE,
+			tone: "Warm and direct",
+			banned_words: ["cheap", "synergy"],
+			reading_level: "simple",
+		});
+
+		expect(context).toMatch(/^Brand profile/);
+		expect(context).toContain("- Tone of voice: Warm and direct");
+		expect(context).toContain("- Never use these words: cheap, synergy");
+		expect(context).toContain("- Reading level: simple");
+		expect(context).not.toContain("Call-to-action");
+		expect(context).not.toContain("fonts");
+	});
+});
+
+describe("brand profile storage", () => {
+	it("fills missing fields from the localized profile", () => {
+		window.nfdEditorChat = { brandProfile: { profile: { tone: "Playful" } } };
+
+		expect(getBrandProfile()).toEqual({ ...EMPTY_BRAND_PROFILE, tone: "Playful" });
+	});
+
+	it("uses the saved profile from the next turn on", async () => {
+		window.nfdEditorChat = { brandProfile: { profile: EMPTY_BRAND_PROFILE, canEdit: true } };
+		const stored = { ...EMPTY_BRAND_PROFILE, fonts: ["Inter"] };
+		apiFetch.mockResolvedValueOnce(stored);
+
+		await expect(saveBrandProfile({ fonts: ["Inter", ""] })).resolves.toEqual(stored);
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: "/nfd-editor-chat/v1/brand-profile",
+			method: "POST",
+			data: { fonts: ["Inter", ""] },
+		});
+		expect(getBrandProfile().fonts).toEqual(["Inter"]);
+		expect(window.nfdEditorChat.brandProfile.canEdit).toBe(true);
+	});
+});
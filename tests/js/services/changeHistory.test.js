@@ -0,0 +1,106 @@
+/**
+ * External dependencies
+ */
+import { dispatch, select } from "@wordpress/data";
+
+/**
+ * Internal dependencies
+ */
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import {
+	buildTurnUndo,
+	captureTurnSnapshot,
+	getTouchedKeys,
+	getTurnChangeMarkup,
+	withoutTouchedKeys,
+} from "../../../src/services/changeHistory";
+import { restoreTurnChanges } from "../../../src/services/restoreHandlers";
+
+const setContent = (clientId, content) =>
+	dispatch("core/block-editor").updateBlockAttributes(clientId, { content });
+
+const contentOf = (clientId) => select("core/block-editor").getBlockAttributes(clientId).content;
+
+/**
+ * Run a turn's edits between a snapshot and its diff, as the dispatcher does.
+ *
+ * @param {Function} edit Changes the editor.
+ * @return {Object} The turn's undo data.
+ */
+function runTurn(edit) {
+	const snapshot = captureTurnSnapshot();
+	edit();
+	return { blocks: buildTurnUndo(snapshot) };
+}
+
+describe("withoutTouchedKeys", () => {
+	it("drops only the entries a revert restored", () => {
+		const undoData = {
+			blocks: {
+				parentClientId: null,
+				order: ["a", "b"],
+				changed: [
+					{ clientId: "a", markup: "A" },
+					{ clientId: "b", markup: "B" },
+				],
+				removed: [],
+				added: [],
+				moved: [],
+				entities: [],
+			},
+			siteEdits: [{ postType: "page", id: 7 }],
+			globalStyles: { globalStylesId: 12 },
+		};
+
+		const rest = withoutTouchedKeys(undoData, new Set(["a", "globalStyles"]));
+
+		expect(rest.blocks.changed).toEqual([{ clientId: "b", markup: "B" }]);
+		expect(rest.siteEdits).toEqual(undoData.siteEdits);
+		expect(rest.globalStyles).toBeUndefined();
+		expect(withoutTouchedKeys(rest, new Set(["b", "site:page:7"]))).toBeNull();
+	});
+
+	it("keeps a later turn's own change undoable after an earlier turn is reverted", async () => {
+		const intro = createBlock("core/paragraph", { content: "Intro" });
+		const outro = createBlock("core/paragraph", { content: "Outro" });
+		resetRegistry({ blocks: [intro, outro] });
+
+		const first = runTurn(() => setContent(intro.clientId, "Intro, edited"));
+		const second = runTurn(() => {
+			setContent(intro.clientId, "Intro, edited twice");
+			setContent(outro.clientId, "Outro, edited");
+		});
+
+		await restoreTurnChanges(first);
+		const rest = withoutTouchedKeys(second, getTouchedKeys(first));
+
+		expect(contentOf(intro.clientId)).toBe("Intro");
+		expect([...getTouchedKeys(rest)]).toEqual([outro.clientId]);
+
+		await restoreTurnChanges(rest);
+
+		expect(contentOf(outro.clientId)).toBe("Outro");
+		expect(contentOf(intro.clientId)).toBe("Intro");
+	});
+});
+
+describe("getTurnChangeMarkup", () => {
+	it("shows global styles changes to settings and styles", () => {
+		resetRegistry({
+			records: { "root/globalStyles/12": { id: 12, settings: {}, styles: {} } },
+		});
+		const heading = { typography: { fontFamily: "var:preset|font-family|lora" } };
+		dispatch("core").editEntityRecord("root", "globalStyles", 12, {
+			styles: { elements: { heading } },
+		});
+
+		const [change] = getTurnChangeMarkup({
+			globalStyles: { originalStyles: {}, originalCssStyles: {}, globalStylesId: 12 },
+		});
+
+		expect(change).toMatchObject({ kind: "global_styles", target: "12" });
+		expect(JSON.parse(change.before)).toEqual({ settings: {}, styles: {} });
+		expect(JSON.parse(change.after)).toEqual({ settings: {}, styles: { elements: { heading } } });
+	});
+});
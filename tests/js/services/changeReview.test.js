@@ -0,0 +1,91 @@
+/**
+ * External dependencies
+ */
+import { select } from "@wordpress/data";
+
+/**
+ * Internal dependencies
+ */
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import { requestChangeReview, skippedChangeResult } from "../../../src/services/changeReview";
+import { handleUpdateBlockAttrs } from "../../../src/services/toolHandlers/updateBlockAttrs";
+
+/**
+ * Tool context with review mode on, answering every proposal with `answer`.
+ *
+ * @param {boolean} answer Whether the user applies the change.
+ * @return {Object} Tool context.
+ */
+const reviewCtx = (answer) => ({
+	reviewChange: jest.fn(() => Promise.resolve(answer)),
+	abortSignal: new AbortController().signal,
+	updateProgress: jest.fn(() => Promise.resolve()),
+});
+
+describe("requestChangeReview", () => {
+	it("applies straight away when review mode is off", async () => {
+		const ctx = { reviewChange: null, updateProgress: jest.fn() };
+
+		expect(await requestChangeReview(ctx, { before: "", after: "<p>Hi</p>" })).toBe(true);
+		expect(ctx.updateProgress).not.toHaveBeenCalled();
+	});
+
+	it("hands the proposal to the user and returns their answer", async () => {
+		const proposal = { toolCallId: "call_1", before: "<p>Old</p>", after: "<p>New</p>" };
+		const accept = reviewCtx(true);
+		const reject = reviewCtx(false);
+
+		expect(await requestChangeReview(accept, proposal)).toBe(true);
+		expect(await requestChangeReview(reject, proposal)).toBe(false);
+		expect(accept.reviewChange).toHaveBeenCalledWith(proposal, accept.abortSignal);
+		expect(accept.updateProgress).toHaveBeenCalledWith("Waiting for your review…", 0);
+	});
+
+	it("answers a skipped change without an error", () => {
+		const result = skippedChangeResult("call_1");
+
+		expect(result).toMatchObject({ id: "call_1", isError: false, hasChanges: false });
+		expect(JSON.parse(result.result[0].text)).toMatchObject({ success: false, skipped: true });
+	});
+});
+
+describe("reviewing a block change", () => {
+	let heading;
+
+	beforeEach(() => {
+		heading = createBlock("core/heading", { content: "Welcome", level: 2 });
+		resetRegistry({ blocks: [heading] });
+	});
+
+	const update = (ctx) =>
+		handleUpdateBlockAttrs(
+			{ id: "call_1" },
+			{ client_id: heading.clientId, attributes: { level: 1 } },
+			ctx
+		);
+
+	it("writes the change once the user applies it", async () => {
+		const ctx = reviewCtx(true);
+
+		const result = await update(ctx);
+
+		const [proposal] = ctx.reviewChange.mock.calls[0];
+		expect(proposal).toMatchObject({
+			toolCallId: "call_1",
+			toolName: "blu-update-block-attrs",
+			clientId: heading.clientId,
+			blockName: "core/heading",
+		});
+		expect(proposal.before).not.toBe(proposal.after);
+		expect(result.hasChanges).toBe(true);
+		expect(select("core/block-editor").getBlock(heading.clientId).attributes.level).toBe(1);
+	});
+
+	it("leaves the block alone when the user skips it", async () => {
+		const result = await update(reviewCtx(false));
+
+		expect(result).toEqual(skippedChangeResult("call_1"));
+		expect(select("core/block-editor").getBlock(heading.clientId).attributes.level).toBe(2);
+	});
+});
@@ -0,0 +1,64 @@
+/**
+ * Internal dependencies
+ */
+import { hasEditorWriteTools } from "../../../src/hooks/chat/conversationUtils";
+import { CONNECTION_HEALTH, getConnectionHealth } from "../../../src/services/connectionHealth";
+import { TYPOGRAPHY_TOOLS } from "../../../src/services/typography";
+
+const tool = (name) => ({ type: "function", function: { name, description: "", parameters: {} } });
+const editorTools = [tool("blu-get-block-markup"), tool("blu-edit-block")];
+
+describe("hasEditorWriteTools", () => {
+	it("needs at least one editor tool that writes", () => {
+		expect(hasEditorWriteTools(editorTools)).toBe(true);
+		expect(hasEditorWriteTools([tool("blu-get-block-markup"), tool("blu-add-page")])).toBe(false);
+		expect(hasEditorWriteTools([])).toBe(false);
+	});
+});
+
+describe("getConnectionHealth", () => {
+	const ready = { configStatus: "ready", mcpStatus: "connected", openaiTools: editorTools };
+
+	it("is ok once the session and editor tools are loaded", () => {
+		expect(getConnectionHealth(ready)).toMatchObject({
+			level: CONNECTION_HEALTH.OK,
+			canReconnect: false,
+		});
+	});
+
+	it("is pending while either connection is starting", () => {
+		expect(getConnectionHealth({ ...ready, configStatus: "loading" }).level).toBe(
+			CONNECTION_HEALTH.PENDING
+		);
+		expect(getConnectionHealth({ ...ready, mcpStatus: "connecting", openaiTools: [] }).level).toBe(
+			CONNECTION_HEALTH.PENDING
+		);
+	});
+
+	it("offers a reconnect when the editor tools are missing", () => {
+		expect(getConnectionHealth({ ...ready, mcpStatus: "disconnected" })).toMatchObject({
+			level: CONNECTION_HEALTH.DOWN,
+			canReconnect: true,
+		});
+		expect(getConnectionHealth({ ...ready, openaiTools: [tool("blu-add-page")] })).toMatchObject({
+			level: CONNECTION_HEALTH.DOWN,
+			canReconnect: true,
+		});
+	});
+
+	it("does not count the chat's own typography tools as editor tools", () => {
+		expect(hasEditorWriteTools([...TYPOGRAPHY_TOOLS])).toBe(false);
+		expect(getConnectionHealth({ ...ready, openaiTools: [...TYPOGRAPHY_TOOLS] })).toMatchObject({
+			level: CONNECTION_HEALTH.DOWN,
+			canReconnect: true,
+		});
+		expect(hasEditorWriteTools([...editorTools, ...TYPOGRAPHY_TOOLS])).toBe(true);
+	});
+
+	it("reports a failed session without a reconnect", () => {
+		expect(getConnectionHealth({ ...ready, configStatus: "error" })).toMatchObject({
+			level: CONNECTION_HEALTH.DOWN,
+			canReconnect: false,
+		});
+	});
+});
@@ -0,0 +1,160 @@
+/**
+ * Internal dependencies
+ */
+import {
+	clearEditedBlocks,
+	getEditedBlockIds,
+	getLastContextPlan,
+	parseContextQuery,
+	planEditorContext,
+	rememberEditedBlocks,
+} from "../../../src/services/contextPlanner";
+
+const block = (clientId, name, attributes = {}, innerBlocks = []) => ({
+	clientId,
+	name,
+	attributes,
+	innerBlocks,
+});
+
+const section = (id, heading, extra = []) =>
+	block(id, "core/group", {}, [
+		block(`${id}-h`, "core/heading", { content: heading }),
+		block(`${id}-p`, "core/paragraph", { content: "Lorem ipsum dolor sit amet." }),
+		...extra,
+	]);
+
+/**
+ * A landing page: header, post content with sections, footer.
+ *
+ * @return {Array} Top-level blocks.
+ */
+const makePage = () => [
+	block("header", "core/template-part", { area: "header" }),
+	block("content", "core/post-content", {}, [
+		section("hero", "Grow your business"),
+		section("features", "Everything you need"),
+		section("pricing", "Simple pricing", [
+			block("pricing-card", "core/group", { className: "pricing-tier" }),
+		]),
+		section("testimonials", "What our customers say"),
+		section("contact", "Get in touch"),
+	]),
+	block("footer", "core/template-part", { area: "footer" }),
+];
+
+const measure = () => 1000;
+
+describe("planEditorContext", () => {
+	afterEach(() => clearEditedBlocks());
+
+	it("includes the sections the message talks about and summarizes the rest", () => {
+		const plan = planEditorContext(makePage(), {
+			message: "Make the pricing section darker",
+			measure,
+		});
+
+		expect(plan.included.map((entry) => entry.clientId)).toEqual(["pricing"]);
+		expect(plan.included[0].reasons).toContain('text: "pricing"');
+		expect(plan.summarized.map((entry) => entry.clientId)).toEqual([
+			"header",
+			"hero",
+			"features",
+			"testimonials",
+			"contact",
+			"footer",
+		]);
+		expect(getLastContextPlan()).toBe(plan);
+	});
+
+	it("matches block kinds named in the message", () => {
+		expect(parseContextQuery("Shorten the testimonials").kinds).toEqual(["testimonial"]);
+
+		const plan = planEditorContext(makePage(), { message: "Add a pricing tier", measure });
+
+		expect(plan.included[0].clientId).toBe("pricing");
+		expect(plan.included[0].reasons).toContain("kind: pricing-tier");
+	});
+
+	it("ranks the selection's section and its neighbours", () => {
+		const plan = planEditorContext(makePage(), {
+			message: "Make it bolder",
+			selectedClientIds: ["features-h"],
+			measure,
+		});
+
+		expect(plan.included.map((entry) => entry.clientId)).toEqual([
+			"features",
+			"hero",
+			"pricing",
+			"header",
+		]);
+		expect(plan.included[0].reasons).toContain("contains the selection");
+	});
+
+	it("ranks recently edited blocks for follow-ups", () => {
+		rememberEditedBlocks(["contact-p"]);
+
+		const plan = planEditorContext(makePage(), { message: "Make it bigger", measure });
+
+		expect(plan.included.map((entry) => entry.clientId)).toEqual(["contact"]);
+		expect(plan.included[0].reasons).toContain("recently edited");
+	});
+
+	it("falls back to the best part of a section over budget", () => {
+		const plan = planEditorContext(makePage(), {
+			message: "Rewrite the pricing heading",
+			measure: (clientId) => (clientId === "pricing" ? 50000 : 500),
+			budget: 2000,
+		});
+
+		expect(plan.included[0].clientId).toBe("pricing-h");
+		expect(plan.included[0].sectionId).toBe("pricing");
+		expect(plan.used).toBeLessThanOrEqual(2000);
+	});
+
+	it("leaves out markup the context already has", () => {
+		const plan = planEditorContext(makePage(), {
+			message: "Change the pricing",
+			skipClientIds: ["pricing"],
+			measure,
+		});
+
+		expect(plan.included.map((entry) => entry.clientId)).not.toContain("pricing");
+	});
+});
+
+describe("getEditedBlockIds", () => {
+	afterEach(() => clearEditedBlocks());
+
+	it("takes the blocks an insertion added", () => {
+		const result = JSON.stringify({ success: true, inserted_client_ids: ["new-1", "new-2"] });
+
+		expect(getEditedBlockIds({ after_client_id: "hero" }, result)).toEqual(["new-1", "new-2"]);
+		expect(getEditedBlockIds({ parent_client_id: "nav" }, result)).toEqual([
+			"nav",
+			"new-1",
+			"new-2",
+		]);
+	});
+
+	it("falls back to the block an insertion went next to", () => {
+		const result = JSON.stringify({ success: true });
+
+		expect(getEditedBlockIds({ before_client_id: "contact" }, result)).toEqual(["contact"]);
+		expect(getEditedBlockIds({ client_id: "hero-h" }, "Heading updated.")).toEqual(["hero-h"]);
+	});
+
+	it("lets a follow-up find a section the chat just added", () => {
+		rememberEditedBlocks(
+			getEditedBlockIds(
+				{ after_client_id: "testimonials" },
+				JSON.stringify({ success: true, inserted_client_ids: ["contact"] })
+			)
+		);
+
+		const plan = planEditorContext(makePage(), { message: "Make it bigger", measure });
+
+		expect(plan.included.map((entry) => entry.clientId)).toEqual(["contact"]);
+	});
+});
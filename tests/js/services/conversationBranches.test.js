@@ -0,0 +1,123 @@
+/**
+ * Internal dependencies
+ */
+import {
+	findHistoryCut,
+	forkConversation,
+	markLastTurnRolledBack,
+	switchBranch,
+} from "../../../src/services/conversationBranches";
+
+const user = (id, content, extra = {}) => ({ id, type: "user", role: "user", content, ...extra });
+const reply = (id, content) => ({ id, type: "assistant", role: "assistant", content });
+
+/** Two turns: "make it blue" changed the page, "now red" is a follow-up. */
+function conversation() {
+	return {
+		messages: [
+			user("user-1", "make it blue"),
+			{ id: "tools-1", type: "tool_execution", hasActions: true, undoData: { blocks: {} } },
+			reply("reply-1", "Done, it's blue."),
+			user("user-2", "now red"),
+			reply("reply-2", "Red it is."),
+		],
+		history: [
+			{ role: "user", content: "make it blue" },
+			{ role: "assistant", content: "Done, it's blue." },
+			{ role: "user", content: "now red" },
+			{ role: "assistant", content: "Red it is." },
+		],
+	};
+}
+
+describe("findHistoryCut", () => {
+	it("counts turns back from the end of the history", () => {
+		const { messages, history } = conversation();
+		expect(findHistoryCut(messages, 3, history)).toBe(2);
+		expect(findHistoryCut(messages, 0, history)).toBe(0);
+	});
+
+	it("skips turns that were stopped and rolled back", () => {
+		const { messages, history } = conversation();
+		const stopped = markLastTurnRolledBack([...messages, user("user-3", "and green")]);
+
+		expect(stopped[5].rolledBack).toBe(true);
+		expect(findHistoryCut(stopped, 3, history)).toBe(2);
+		expect(findHistoryCut(stopped, 5, history)).toBe(4);
+	});
+
+	it("falls back to the first user entry when older turns were collapsed away", () => {
+		const { messages } = conversation();
+		const collapsed = [
+			{ role: "system", content: "prompt" },
+			{ role: "user", content: "now red" },
+		];
+		expect(findHistoryCut(messages, 0, collapsed)).toBe(1);
+	});
+});
+
+describe("forkConversation", () => {
+	it("sets the turns from the edited message aside as a reverted branch", () => {
+		const { messages, history } = conversation();
+		const fork = forkConversation(messages, history, "user-1");
+
+		expect(fork.messages).toEqual([]);
+		expect(fork.history).toEqual([]);
+		expect(fork.branch.branchIndex).toBe(1);
+		expect(fork.branch.branches[1]).toBeNull();
+
+		const [original] = fork.branch.branches;
+		expect(original.messages.map((m) => m.id)).toEqual(messages.map((m) => m.id));
+		expect(original.messages[1]).not.toHaveProperty("undoData");
+		expect(original.messages[1].reverted).toBe(true);
+		expect(original.history).toEqual(history);
+	});
+
+	it("adds to the branches of a message that was edited before", () => {
+		const { messages, history } = conversation();
+		const first = forkConversation(messages, history, "user-2");
+		const edited = [...first.messages, user("user-3", "now green", first.branch)];
+
+		const second = forkConversation(edited, [...first.history], "user-3");
+		expect(second.branch.branches).toHaveLength(3);
+		expect(second.branch.branchIndex).toBe(2);
+		expect(second.branch.branches[1].messages[0]).not.toHaveProperty("branches");
+	});
+});
+
+describe("switchBranch", () => {
+	it("swaps the transcript and model history, and back again", () => {
+		const { messages, history } = conversation();
+		const fork = forkConversation(messages, history, "user-2");
+		const liveMessages = [
+			...fork.messages,
+			user("user-3", "now green", fork.branch),
+			reply("reply-3", "Green it is."),
+		];
+		const liveHistory = [
+			...fork.history,
+			{ role: "user", content: "now green" },
+			{ role: "assistant", content: "Green it is." },
+		];
+
+		const original = switchBranch(liveMessages, liveHistory, "user-3", 0);
+		expect(original.messages.map((m) => m.id)).toEqual([
+			"user-1",
+			"tools-1",
+			"reply-1",
+			"user-2",
+			"reply-2",
+		]);
+		expect(original.messages[3]).toMatchObject({ branchIndex: 0 });
+		expect(original.history).toEqual(history);
+
+		const back = switchBranch(original.messages, original.history, "user-2", 1);
+		expect(back.messages.map((m) => m.content)).toEqual(liveMessages.map((m) => m.content));
+		expect(back.history).toEqual(liveHistory);
+	});
+
+	it("ignores a branch that doesn't exist", () => {
+		const { messages, history } = conversation();
+		expect(switchBranch(messages, history, "user-1", 1)).toBeNull();
+	});
+});
@@ -0,0 +1,35 @@
+/**
+ * Internal dependencies
+ */
+import { createFixtureProvider } from "../../../src/services/providers/fixtureProvider";
+
+/**
+ * Text of a completion's stream.
+ *
+ * @param {Object} client Chat client.
+ * @return {Promise<string>} Concatenated content deltas.
+ */
+async function complete(client) {
+	const stream = await client.chat.completions.create({ messages: [] });
+	let text = "";
+	for await (const chunk of stream) {
+		text += chunk.choices[0].delta.content || "";
+	}
+	return text;
+}
+
+describe("createFixtureProvider", () => {
+	it("carries on with the script in a refreshed session", async () => {
+		const provider = createFixtureProvider({
+			responses: [{ content: "First" }, { content: "Second" }],
+		});
+
+		const { client } = await provider.createSession();
+		expect(await complete(client)).toBe("First");
+
+		const { client: refreshed } = await provider.createSession();
+		expect(await complete(refreshed)).toBe("Second");
+		expect(refreshed.requests).toHaveLength(2);
+		await expect(complete(refreshed)).rejects.toThrow("no response for completion #3");
+	});
+});
@@ -0,0 +1,145 @@
+/**
+ * Internal dependencies
+ */
+import {
+	checkPaletteContrast,
+	describeContrastReport,
+	validatePaletteContrast,
+} from "../../../src/services/globalStylesService";
+import { annotatePaletteOptions } from "../../../src/services/toolHandlers/globalStyles";
+import { getContrastRatio } from "../../../src/utils/colorContrast";
+
+const PALETTE = [
+	{ slug: "base", color: "#ffffff" },
+	{ slug: "contrast", color: "#111111" },
+	{ slug: "primary", color: "#1e3a8a" },
+];
+
+// The theme's buttons: palette base text on a primary background.
+const STYLES = {
+	elements: {
+		button: {
+			color: { text: "var:preset|color|base", background: "var:preset|color|primary" },
+		},
+	},
+};
+
+const withPrimary = (color) =>
+	PALETTE.map((entry) => (entry.slug === "primary" ? { ...entry, color } : entry));
+
+describe("validatePaletteContrast", () => {
+	it("passes a palette that reads well, untouched", () => {
+		const after = { palette: withPrimary("#7c2d12"), styles: STYLES };
+		const { palette, stylesPatch, report } = validatePaletteContrast(after, {
+			palette: PALETTE,
+			styles: STYLES,
+		});
+
+		expect(palette).toEqual(after.palette);
+		expect(stylesPatch).toBeNull();
+		expect(report).toMatchObject({ passed: true, adjustments: [], rejected: [] });
+		expect(describeContrastReport(report)).toBe("");
+	});
+
+	it("points white button text at a readable color on a pale primary", () => {
+		const { palette, stylesPatch, report } = validatePaletteContrast(
+			{ palette: withPrimary("#fde68a"), styles: STYLES },
+			{ palette: PALETTE, styles: STYLES }
+		);
+
+		expect(stylesPatch).toEqual({
+			elements: { button: { color: { text: "var:preset|color|contrast" } } },
+		});
+		const byPair = (pair) => report.adjustments.find((adjustment) => adjustment.pair === pair);
+		expect(byPair("button")).toMatchObject({
+			target: "styles.elements.button.color.text",
+			from: "var:preset|color|base",
+			to: "var:preset|color|contrast",
+		});
+		// The pale primary is too light for accents on the page, so it is darkened.
+		const primary = palette.find((entry) => entry.slug === "primary").color;
+		expect(byPair("primary")).toMatchObject({ target: "palette.primary", from: "#fde68a" });
+		expect(getContrastRatio(primary, "#ffffff")).toBeGreaterThanOrEqual(3);
+		expect(report.rejected).toEqual([]);
+		expect(describeContrastReport(report)).toContain("text now uses contrast");
+	});
+
+	it("adjusts the changed color, not the one it sits on", () => {
+		const after = {
+			palette: PALETTE.map((entry) =>
+				entry.slug === "contrast" ? { ...entry, color: "#bbbbbb" } : entry
+			),
+			styles: {},
+		};
+		const { palette, report } = validatePaletteContrast(after, { palette: PALETTE, styles: {} });
+
+		expect(palette.find((entry) => entry.slug === "base").color).toBe("#ffffff");
+		const text = palette.find((entry) => entry.slug === "contrast").color;
+		expect(getContrastRatio(text, "#ffffff")).toBeGreaterThanOrEqual(4.5);
+		expect(report.passed).toBe(true);
+	});
+
+	it("rejects a failing pair no changed color belongs to", () => {
+		const styles = { color: { text: "#cccccc" } };
+		const { report } = validatePaletteContrast(
+			{ palette: withPrimary("#7c2d12"), styles },
+			{ palette: PALETTE, styles: {} }
+		);
+
+		expect(report.rejected).toEqual(["text"]);
+		expect(report.passed).toBe(false);
+	});
+
+	it("does not block an update over a pair that already failed", () => {
+		const before = { palette: withPrimary("#fde68a"), styles: {} };
+		const after = {
+			palette: [...before.palette, { slug: "accent", color: "#0f766e" }],
+			styles: {},
+		};
+
+		expect(checkPaletteContrast(before.palette, {}).find((c) => c.pair === "primary").passes).toBe(
+			false
+		);
+		const { report } = validatePaletteContrast(after, before);
+		expect(report).toMatchObject({ passed: false, adjustments: [], rejected: [] });
+	});
+});
+
+describe("annotatePaletteOptions", () => {
+	it("adds a contrast check per generated option", () => {
+		const options = {
+			palettes: [
+				{
+					name: "Deep sea",
+					colors: [
+						{ slug: "primary", color: "#1e3a8a" },
+						{ slug: "base", color: "#ffffff" },
+					],
+				},
+				{
+					name: "Lemonade",
+					colors: [
+						{ slug: "primary", color: "#fde68a" },
+						{ slug: "base", color: "#ffffff" },
+					],
+				},
+			],
+		};
+		const result = { id: "call-1", result: [{ type: "text", text: JSON.stringify(options) }] };
+
+		const annotated = annotatePaletteOptions(result, { palette: PALETTE, styles: STYLES });
+		const { contrast_check: check, palettes } = JSON.parse(annotated.result[0].text);
+
+		expect(palettes).toEqual(options.palettes);
+		expect(check.map((entry) => entry.passed)).toEqual([true, false]);
+		expect(check[1].failing).toEqual(
+			expect.arrayContaining([expect.stringContaining("Button text on button background")])
+		);
+		expect(check[1].on_apply).toContain("text now uses contrast");
+	});
+
+	it("leaves results without palette options alone", () => {
+		const result = { id: "call-1", result: [{ type: "text", text: "No palettes today." }] };
+		expect(annotatePaletteOptions(result, { palette: PALETTE, styles: STYLES })).toBe(result);
+	});
+});
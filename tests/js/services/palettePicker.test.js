@@ -0,0 +1,122 @@
+/**
+ * External dependencies
+ */
+import { select } from "@wordpress/data";
+
+/**
+ * Internal dependencies
+ */
+import { getDispatchedActions, resetRegistry } from "../fakes/data";
+import { previewGlobalStyles } from "../../../src/services/globalStylesService";
+import { buildPaletteApplyCall, getPaletteSettings } from "../../../src/services/palettePicker";
+import {
+	annotatePaletteOptions,
+	getPaletteOptions,
+} from "../../../src/services/toolHandlers/globalStyles";
+
+const THEME_PALETTE = [
+	{ slug: "base", name: "Base", color: "#ffffff" },
+	{ slug: "contrast", name: "Contrast", color: "#111111" },
+	{ slug: "primary", name: "Primary", color: "#1e3a8a" },
+];
+
+const BUTTON_STYLES = {
+	elements: {
+		button: {
+			color: { text: "var:preset|color|base", background: "var:preset|color|primary" },
+		},
+	},
+};
+
+const LEMONADE = [
+	{ slug: "primary", name: "Primary", color: "#fde68a" },
+	{ slug: "base", name: "Base", color: "#ffffff" },
+];
+
+/**
+ * A site with the theme palette and button styles, and a global styles
+ * record (12) the user has not changed yet.
+ */
+function makeSite() {
+	resetRegistry({
+		editor: { globalStylesId: 12 },
+		records: { "root/globalStyles/12": { id: 12, settings: {}, styles: {} } },
+		themeStyles: {
+			settings: { color: { palette: { theme: THEME_PALETTE } } },
+			styles: BUTTON_STYLES,
+		},
+	});
+}
+
+describe("palette picker", () => {
+	it("reads the options and their contrast check from the annotated result", () => {
+		const result = annotatePaletteOptions(
+			{
+				id: "call-1",
+				result: [
+					{
+						type: "text",
+						text: JSON.stringify([THEME_PALETTE, LEMONADE]),
+					},
+				],
+			},
+			{ palette: THEME_PALETTE, styles: BUTTON_STYLES }
+		);
+
+		const options = getPaletteOptions(result.result[0].text);
+
+		expect(options.map((option) => option.passed)).toEqual([true, false]);
+		expect(options[1].colors).toEqual(LEMONADE);
+		expect(getPaletteOptions("Here are two palettes.")).toEqual([]);
+	});
+
+	it("applies an option with blu-update-global-styles", () => {
+		expect(buildPaletteApplyCall(LEMONADE, "palette-apply-1")).toEqual({
+			id: "palette-apply-1",
+			name: "blu-update-global-styles",
+			arguments: JSON.stringify({ settings: getPaletteSettings(LEMONADE) }),
+		});
+	});
+
+	it("previews an option, contrast-checked, without saving it", () => {
+		makeSite();
+
+		const preview = previewGlobalStyles(getPaletteSettings(LEMONADE));
+
+		expect(preview.success).toBe(true);
+		const edited = select("core").getEditedEntityRecord("root", "globalStyles", 12);
+		const primary = edited.settings.color.palette.theme.find((entry) => entry.slug === "primary");
+		expect(primary.color).not.toBe("#fde68a");
+		expect(edited.styles.elements.button.color.text).toBe("var:preset|color|contrast");
+		expect(preview.contrast.adjustments.map((adjustment) => adjustment.pair).sort()).toEqual([
+			"button",
+			"primary",
+		]);
+		expect(preview.undoData).toEqual({
+			originalStyles: {},
+			originalCssStyles: {},
+			globalStylesId: 12,
+		});
+		expect(
+			getDispatchedActions().filter(([, action]) => action === "saveEditedEntityRecord")
+		).toEqual([]);
+	});
+
+	it("does not preview an option applying would reject", () => {
+		makeSite();
+		const rust = [{ slug: "primary", name: "Primary", color: "#7c2d12" }];
+
+		const preview = previewGlobalStyles(getPaletteSettings(rust), {
+			color: { text: "#cccccc", background: "#ffffff" },
+		});
+
+		expect(preview.success).toBe(false);
+		expect(preview.contrast.rejected).toEqual(["text"]);
+		expect(preview.error).toContain("Nothing was changed");
+		expect(select("core").getEditedEntityRecord("root", "globalStyles", 12)).toEqual({
+			id: 12,
+			settings: {},
+			styles: {},
+		});
+	});
+});
@@ -0,0 +1,80 @@
+/**
+ * Internal dependencies
+ */
+import {
+	PLAN_STEP_STATUS,
+	approvePlan,
+	createPlan,
+	createPlanStep,
+	getCurrentPlanStep,
+	setPlanStepStatus,
+	settlePlan,
+} from "../../../src/services/planChecklist";
+
+const { PENDING, RUNNING, DONE, FAILED, SKIPPED } = PLAN_STEP_STATUS;
+
+const statuses = (plan) => plan.steps.map((step) => [step.text, step.status]);
+
+describe("plan checklist", () => {
+	it("waits for approval before any step is current", () => {
+		const plan = createPlan("checklist-1", ["Change the hero heading", "Add a pricing section"]);
+
+		expect(plan.awaitingApproval).toBe(true);
+		expect(statuses(plan)).toEqual([
+			["Change the hero heading", PENDING],
+			["Add a pricing section", PENDING],
+		]);
+		expect(getCurrentPlanStep(plan)).toBeNull();
+	});
+
+	it("runs the steps as the user edited them", () => {
+		const plan = createPlan("checklist-1", ["Change the hero heading", "Add a pricing section"]);
+		const [heading, pricing] = plan.steps;
+
+		const approved = approvePlan(plan, [
+			{ ...pricing, text: "  Add a pricing section with three tiers " },
+			{ ...createPlanStep(""), text: "   " },
+			heading,
+		]);
+
+		expect(approved.awaitingApproval).toBe(false);
+		expect(statuses(approved)).toEqual([
+			["Add a pricing section with three tiers", PENDING],
+			["Change the hero heading", PENDING],
+		]);
+		expect(getCurrentPlanStep(approved).id).toBe(pricing.id);
+	});
+
+	it("moves past finished and skipped steps", () => {
+		const draft = createPlan("checklist-1", ["One", "Two", "Three"]);
+		const [one, two, three] = draft.steps;
+		let plan = approvePlan(draft, draft.steps);
+
+		plan = setPlanStepStatus(plan, one.id, RUNNING);
+		expect(getCurrentPlanStep(plan).id).toBe(one.id);
+
+		plan = setPlanStepStatus(plan, two.id, SKIPPED);
+		plan = setPlanStepStatus(plan, one.id, DONE);
+		expect(getCurrentPlanStep(plan).id).toBe(three.id);
+
+		plan = setPlanStepStatus(plan, three.id, FAILED);
+		expect(getCurrentPlanStep(plan)).toBeNull();
+	});
+
+	it("returns the same plan when a status does not change", () => {
+		const plan = approvePlan(createPlan("checklist-1", []), [createPlanStep("One")]);
+
+		expect(setPlanStepStatus(plan, plan.steps[0].id, PENDING)).toBe(plan);
+		expect(setPlanStepStatus(plan, "missing", DONE)).toBe(plan);
+	});
+
+	it("fails the running step when the turn ends and leaves the rest unrun", () => {
+		const [one, two] = [createPlanStep("One"), createPlanStep("Two")];
+		const plan = setPlanStepStatus(approvePlan(createPlan("c", []), [one, two]), one.id, RUNNING);
+
+		expect(statuses(settlePlan(plan))).toEqual([
+			["One", FAILED],
+			["Two", PENDING],
+		]);
+	});
+});
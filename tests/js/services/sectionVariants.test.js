@@ -0,0 +1,45 @@
+/**
+ * Internal dependencies
+ */
+import { findVariantGroup, unchosenVariantResult } from "../../../src/services/sectionVariants";
+
+const add = (markup) => ({ toolName: "blu-add-section", args: { block_content: markup } });
+const edit = (clientId, markup) => ({
+	toolName: "blu-edit-block",
+	args: { client_id: clientId, block_content: markup },
+});
+
+describe("findVariantGroup", () => {
+	it("groups the add-section calls of one response", () => {
+		const calls = [add("<!-- a -->"), { toolName: "blu-get-block", args: {} }, add("<!-- b -->")];
+		expect(findVariantGroup(calls)).toEqual([0, 2]);
+	});
+
+	it("groups rewrites of the same block, preferring the larger group", () => {
+		const calls = [edit("x", "1"), add("a"), edit("x", "2"), edit("y", "3"), edit("x", "4")];
+		expect(findVariantGroup(calls)).toEqual([0, 2, 4]);
+	});
+
+	it("counts edit-block calls without a target as new sections", () => {
+		const calls = [add("a"), { toolName: "blu-edit-block", args: { block_content: "b" } }];
+		expect(findVariantGroup(calls)).toEqual([0, 1]);
+	});
+
+	it("finds no group in a single write or calls without markup", () => {
+		expect(findVariantGroup([add("a"), edit("x", "1")])).toEqual([]);
+		expect(findVariantGroup([add(""), add("")])).toEqual([]);
+	});
+});
+
+describe("unchosenVariantResult", () => {
+	it("answers a design that was not picked without an error", () => {
+		const result = unchosenVariantResult("call-1", false);
+		expect(result).toMatchObject({ id: "call-1", isError: false, hasChanges: false });
+		expect(JSON.parse(result.result[0].text)).toMatchObject({ skipped: true });
+	});
+
+	it("tells the model when every design was turned down", () => {
+		const { message } = JSON.parse(unchosenVariantResult("call-1", true).result[0].text);
+		expect(message).toContain("chose none of them");
+	});
+});
@@ -0,0 +1,163 @@
+/**
+ * External dependencies
+ */
+import { select } from "@wordpress/data";
+
+/**
+ * Internal dependencies
+ */
+import { createBlock, serialize } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import { getTouchedKeys, getTurnChangeMarkup } from "../../../src/services/changeHistory";
+import {
+	applySiteMatches,
+	buildSiteReplacePreview,
+	clearTouchedSiteEntities,
+	findSiteMatches,
+	getTouchedSiteEntities,
+	replaceInText,
+	restoreSiteEdits,
+} from "../../../src/services/siteWideEdit";
+
+const record = (id, title, blocks) => ({
+	id,
+	slug: String(id),
+	title: { raw: title },
+	content: { raw: serialize(blocks) },
+});
+
+/**
+ * The open page (42) plus another page, a post and the footer part, each
+ * with a "Book now" button somewhere.
+ *
+ * @return {Object} The live button block of the open page.
+ */
+function makeSite() {
+	const liveButton = createBlock("core/button", { text: "Book now", url: "/book-now" });
+	resetRegistry({
+		blocks: [createBlock("core/buttons", {}, [liveButton])],
+		editor: { postId: 42, postType: "page" },
+		records: {
+			"postType/page/42": record(42, "Home", [createBlock("core/button", { text: "Book now" })]),
+			"postType/page/7": record(7, "Services", [
+				createBlock("core/paragraph", { content: "Ready? <strong>Book now</strong> online." }),
+				createBlock("core/paragraph", { content: "Nothing to see here." }),
+			]),
+			"postType/post/9": record(9, "News", [createBlock("core/paragraph", { content: "Hello" })]),
+			"postType/wp_template_part/theme//footer": record("theme//footer", "Footer", [
+				createBlock("core/image", { alt: "Book now & save", url: "/book-now.png" }),
+			]),
+		},
+	});
+	return liveButton;
+}
+
+describe("replaceInText", () => {
+	it("replaces text but never markup, whatever the case", () => {
+		expect(
+			replaceInText('Call <a href="tel:5550100">5550100</a> or 5550100.', "5550100", "5550199")
+		).toEqual({ value: 'Call <a href="tel:5550100">5550199</a> or 5550199.', count: 2 });
+		expect(replaceInText("BOOK NOW", "book now", "Schedule a call").value).toBe("Schedule a call");
+	});
+
+	it("escapes HTML in rich text only", () => {
+		expect(replaceInText("Tom &amp; Jerry", "Tom & Jerry", "A < B").value).toBe("A &lt; B");
+		expect(replaceInText("Tom & Jerry", "Tom & Jerry", "A < B", false).value).toBe("A < B");
+	});
+});
+
+describe("site-wide replace", () => {
+	afterEach(() => clearTouchedSiteEntities());
+
+	it("finds matches on the open page and in other entities", async () => {
+		makeSite();
+
+		const entities = await findSiteMatches("Book now", "Schedule a call");
+
+		expect(entities.map((entity) => entity.key)).toEqual([
+			"page:42",
+			"page:7",
+			"wp_template_part:theme//footer",
+		]);
+		const preview = buildSiteReplacePreview("Book now", "Schedule a call", entities);
+		expect(preview.entities[1]).toEqual({
+			key: "page:7",
+			postType: "page",
+			title: "Services",
+			isCurrent: false,
+			count: 1,
+			excerpts: [{ before: "Ready? Book now online.", after: "Ready? Schedule a call online." }],
+		});
+		expect(preview.entities[2].excerpts[0].after).toBe("Schedule a call & save");
+	});
+
+	it("leaves template parts alone without edit_theme_options", async () => {
+		makeSite();
+		window.nfdEditorChat.toolCapabilities = {
+			template: { capability: "edit_theme_options", allowed: false },
+		};
+		const entities = await findSiteMatches("Book now", "Schedule a call");
+
+		expect(entities.map((entity) => entity.key)).toEqual(["page:42", "page:7"]);
+
+		// Even when a footer match is approved.
+		const footer = {
+			key: "wp_template_part:theme//footer",
+			postType: "wp_template_part",
+			id: "theme//footer",
+			title: "Footer",
+			isCurrent: false,
+			matches: [],
+			blocks: [],
+			content: "",
+			templatePartBlock: null,
+		};
+		const { applied } = await applySiteMatches(
+			[footer],
+			[footer.key],
+			"Book now",
+			"Schedule a call"
+		);
+
+		expect(applied).toEqual([]);
+		expect(
+			select("core").hasEditsForEntityRecord("postType", "wp_template_part", "theme//footer")
+		).toBe(false);
+	});
+
+	it("applies the approved matches and reverts them as one change set", async () => {
+		const liveButton = makeSite();
+		const entities = await findSiteMatches("Book now", "Schedule a call");
+
+		const { applied, siteEdits, errors } = await applySiteMatches(
+			entities,
+			["page:42", "page:7"],
+			"Book now",
+			"Schedule a call"
+		);
+
+		expect(errors).toEqual([]);
+		expect(applied).toEqual(["page:42", "page:7"]);
+		expect(liveButton.attributes).toEqual({ text: "Schedule a call", url: "/book-now" });
+		const services = select("core").getEditedEntityRecord("postType", "page", 7);
+		expect(services.content).toContain("Ready? <strong>Schedule a call</strong> online.");
+		expect(services.content).toContain("Nothing to see here.");
+		// The footer was not approved.
+		expect(
+			select("core").hasEditsForEntityRecord("postType", "wp_template_part", "theme//footer")
+		).toBe(false);
+		expect(getTouchedSiteEntities()).toEqual([{ postType: "page", id: 7 }]);
+
+		const undoData = { siteEdits };
+		expect([...getTouchedKeys(undoData)]).toEqual(["site:page:7"]);
+		const [change] = getTurnChangeMarkup(undoData);
+		expect(change).toMatchObject({ kind: "entity", target: "page:7", entity: "page" });
+		expect(change.after).toContain("Schedule a call");
+
+		expect(restoreSiteEdits(siteEdits)).toEqual([]);
+		expect(select("core").getEditedEntityRecord("postType", "page", 7).content).toBe(
+			siteEdits[0].content
+		);
+		expect(siteEdits[0].content).toContain("Book now");
+	});
+});
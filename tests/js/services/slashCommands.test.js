@@ -0,0 +1,91 @@
+/**
+ * Internal dependencies
+ */
+import {
+	buildCommandTurn,
+	getSlashSuggestions,
+	parseSlashCommand,
+} from "../../../src/services/slashCommands";
+
+describe("getSlashSuggestions", () => {
+	it("lists every command for a lone slash", () => {
+		expect(getSlashSuggestions("/").map((command) => command.name)).toEqual([
+			"palette",
+			"fonts",
+			"section",
+			"variants",
+			"rewrite",
+			"logo",
+			"image",
+			"menu",
+			"accessibility",
+			"undo",
+			"new",
+			"context",
+		]);
+	});
+
+	it("filters by the typed prefix, case-insensitively", () => {
+		expect(getSlashSuggestions("/Pa").map((command) => command.name)).toEqual(["palette"]);
+	});
+
+	it("stops suggesting once arguments are being typed", () => {
+		expect(getSlashSuggestions("/section ")).toEqual([]);
+		expect(getSlashSuggestions("make it /bold")).toEqual([]);
+	});
+});
+
+describe("parseSlashCommand", () => {
+	it("splits a command from its arguments", () => {
+		const slash = parseSlashCommand("/section pricing table");
+
+		expect(slash.command.name).toBe("section");
+		expect(slash.args).toBe("pricing table");
+		expect(slash.missingArgument).toBe(false);
+	});
+
+	it("flags a missing required argument", () => {
+		expect(parseSlashCommand("/image").missingArgument).toBe(true);
+		expect(parseSlashCommand("/palette").missingArgument).toBe(false);
+	});
+
+	it("takes the page title after /menu add", () => {
+		expect(parseSlashCommand("/menu add Our Story").args).toBe("Our Story");
+		expect(parseSlashCommand("/menu Our Story").missingArgument).toBe(true);
+	});
+
+	it("leaves unknown commands and plain text to the model", () => {
+		expect(parseSlashCommand("/shrug")).toBeNull();
+		expect(parseSlashCommand("use a / between dates")).toBeNull();
+	});
+});
+
+describe("buildCommandTurn", () => {
+	it("maps a command to its intent, with the prompt as its only step", () => {
+		const turn = buildCommandTurn(parseSlashCommand("/section testimonials"));
+
+		expect(turn.message).toBe("Add a new testimonials section to the page.");
+		expect(turn.intent).toEqual({
+			task: "edit_page",
+			content_type: null,
+			menu_edit: null,
+			steps: [turn.message],
+		});
+		expect(turn.nudge).toContain("blu-add-section");
+	});
+
+	it("asks /variants for several designs to pick from", () => {
+		const turn = buildCommandTurn(parseSlashCommand("/variants hero"));
+
+		expect(turn.intent.variants).toBe(3);
+		expect(turn.message).toBe("Show me 3 options: hero");
+		expect(turn.nudge).toContain("3 blu-add-section calls");
+	});
+
+	it("marks /menu add as a menu edit", () => {
+		const turn = buildCommandTurn(parseSlashCommand("/menu add Contact"));
+
+		expect(turn.intent.menu_edit).toEqual({ requested: true, add: true, remove: false });
+		expect(turn.message).toBe('Add the "Contact" page to the navigation menu.');
+	});
+});
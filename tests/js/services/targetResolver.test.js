@@ -0,0 +1,120 @@
+/**
+ * Internal dependencies
+ */
+import { resolveTarget } from "../../../src/services/targetResolver";
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+
+/**
+ * Two sections, each a group holding a row of columns:
+ *
+ *   hero:  group > columns > [column, column]
+ *   stats: group > columns > [column, column, column]
+ *
+ * @return {Object} The blocks, keyed for assertions.
+ */
+function buildPage() {
+	const heroColumns = [createBlock("core/column"), createBlock("core/column")];
+	const statsColumns = [
+		createBlock("core/column"),
+		createBlock("core/column"),
+		createBlock("core/column"),
+	];
+	const heroRow = createBlock("core/columns", {}, heroColumns);
+	const statsRow = createBlock("core/columns", {}, statsColumns);
+	const hero = createBlock("core/group", {}, [heroRow]);
+	const stats = createBlock("core/group", {}, [statsRow]);
+	return { hero, heroRow, heroColumns, stats, statsRow, statsColumns, root: [hero, stats] };
+}
+
+describe("resolveTarget", () => {
+	it("rejects unknown kinds and lists the known ones", () => {
+		resetRegistry();
+
+		expect(() => resolveTarget({ kind: "widget" })).toThrow(
+			/Unknown kind "widget"\. Known kinds: .*column/
+		);
+	});
+
+	it("picks the last match in the whole tree by default", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		const target = resolveTarget({ kind: "column" });
+
+		expect(target.client_id).toBe(page.statsColumns[2].clientId);
+		expect(target.parent_client_id).toBe(page.statsRow.clientId);
+		expect(target.kind_matched).toBe("column");
+		expect(target.candidates).toHaveLength(5);
+	});
+
+	it("honors first, index and negative index positions", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		expect(resolveTarget({ kind: "column", position: "first" }).client_id).toBe(
+			page.heroColumns[0].clientId
+		);
+		expect(resolveTarget({ kind: "column", position: 2 }).client_id).toBe(
+			page.statsColumns[0].clientId
+		);
+		expect(resolveTarget({ kind: "column", position: 99 }).client_id).toBe(
+			page.statsColumns[2].clientId
+		);
+		expect(resolveTarget({ kind: "column", position: -2 }).client_id).toBe(
+			page.statsColumns[1].clientId
+		);
+	});
+
+	it("normalizes aliases to their canonical kind", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		expect(resolveTarget({ kind: "cols" }).kind_matched).toBe("column");
+	});
+
+	it("searches only inside an explicit scope", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		const target = resolveTarget({ kind: "column", scope: page.hero.clientId });
+
+		expect(target.client_id).toBe(page.heroColumns[1].clientId);
+		expect(target.candidates).toHaveLength(2);
+	});
+
+	it("falls back to the whole tree when the scope is not found", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		expect(resolveTarget({ kind: "column", scope: "missing" }).client_id).toBe(
+			page.statsColumns[2].clientId
+		);
+	});
+
+	it("walks up from the selection to the nearest ancestor with a match", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root, selectedClientId: page.hero.clientId });
+
+		expect(resolveTarget({ kind: "column" }).client_id).toBe(page.heroColumns[1].clientId);
+	});
+
+	it("matches the selection itself", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root, selectedClientId: page.heroColumns[0].clientId });
+
+		const target = resolveTarget({ kind: "column" });
+
+		expect(target.client_id).toBe(page.heroColumns[0].clientId);
+		expect(target.candidates).toHaveLength(1);
+	});
+
+	it("throws when nothing in scope matches", () => {
+		const page = buildPage();
+		resetRegistry({ blocks: page.root });
+
+		expect(() => resolveTarget({ kind: "heading" })).toThrow(
+			'No "heading" blocks (core/heading) found in the current scope.'
+		);
+	});
+});
@@ -0,0 +1,46 @@
+/**
+ * Internal dependencies
+ */
+import {
+	EMPTY_USAGE,
+	addUsage,
+	estimateCost,
+	normalizeUsage,
+} from "../../../src/services/tokenUsage";
+
+describe("normalizeUsage", () => {
+	it("reads prompt and completion tokens", () => {
+		expect(
+			normalizeUsage({ prompt_tokens: 1200, completion_tokens: 80, total_tokens: 1280 })
+		).toEqual({ promptTokens: 1200, completionTokens: 80 });
+	});
+
+	it("ignores missing or empty usage", () => {
+		expect(normalizeUsage(undefined)).toBeNull();
+		expect(normalizeUsage({ prompt_tokens: 0, completion_tokens: 0 })).toBeNull();
+	});
+});
+
+describe("addUsage", () => {
+	it("sums passes without changing the running total", () => {
+		const first = addUsage(EMPTY_USAGE, { promptTokens: 1000, completionTokens: 50 });
+		const second = addUsage(first, { promptTokens: 1500, completionTokens: 20 });
+
+		expect(second).toEqual({ promptTokens: 2500, completionTokens: 70, passes: 2 });
+		expect(first).toEqual({ promptTokens: 1000, completionTokens: 50, passes: 1 });
+		expect(EMPTY_USAGE.passes).toBe(0);
+	});
+});
+
+describe("estimateCost", () => {
+	const usage = { promptTokens: 2000000, completionTokens: 500000, passes: 3 };
+
+	it("prices prompt and completion tokens per million", () => {
+		expect(estimateCost(usage, { prompt: 0.15, completion: 0.6 })).toBeCloseTo(0.6);
+	});
+
+	it("has no estimate without pricing", () => {
+		expect(estimateCost(usage, null)).toBeNull();
+		expect(estimateCost(usage, { prompt: 0.15 })).toBeNull();
+	});
+});
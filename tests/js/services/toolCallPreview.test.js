@@ -0,0 +1,75 @@
+/**
+ * Internal dependencies
+ */
+import {
+	buildToolCallPreview,
+	getPreviewToolName,
+	outlinePartialMarkup,
+	readPartialStringField,
+} from "../../../src/services/toolCallPreview";
+
+const SECTION =
+	'<!-- wp:group {"layout":{"type":"constrained"}} --><div class="wp-block-group">' +
+	"<!-- wp:heading --><h2>Our team</h2><!-- /wp:heading -->" +
+	'<!-- wp:image {"id":12} --><figure class="wp-block-image"><img src="a.jpg"/></figure><!-- /wp:image -->' +
+	"<!-- wp:spacer /-->" +
+	"<!-- wp:columns --><div>";
+
+describe("readPartialStringField", () => {
+	it("decodes a string field that is still streaming", () => {
+		const json = JSON.stringify({ block_content: 'Line "one"\nLine two' });
+
+		expect(readPartialStringField(json.slice(0, -6), "block_content")).toBe('Line "one"\nLine');
+		expect(readPartialStringField('{"block_content":"a\\u00', "block_content")).toBe("a");
+		expect(readPartialStringField('{"position":"after"', "block_content")).toBeNull();
+	});
+
+	it("reads the field inside stringified gateway parameters", () => {
+		const json = JSON.stringify({
+			ability_name: "blu/add-section",
+			parameters: JSON.stringify({ block_content: "<!-- wp:heading -->" }),
+		});
+
+		expect(readPartialStringField(json, "block_content")).toContain("<!-- wp:heading -->");
+	});
+});
+
+describe("outlinePartialMarkup", () => {
+	it("lists the blocks opened so far with their nesting and images", () => {
+		expect(outlinePartialMarkup(SECTION)).toEqual({
+			blocks: [
+				{ name: "core/group", depth: 0 },
+				{ name: "core/heading", depth: 1 },
+				{ name: "core/image", depth: 1 },
+				{ name: "core/spacer", depth: 1 },
+				{ name: "core/columns", depth: 1 },
+			],
+			imageCount: 1,
+		});
+	});
+
+	it("ignores a delimiter that has not finished streaming", () => {
+		expect(
+			outlinePartialMarkup("<!-- wp:paragraph --><p>Hi</p><!-- /wp:paragraph --><!-- wp:ima").blocks
+		).toEqual([{ name: "core/paragraph", depth: 0 }]);
+	});
+});
+
+describe("buildToolCallPreview", () => {
+	it("previews block-writing tools once their markup starts", () => {
+		const args = JSON.stringify({ block_content: SECTION });
+
+		expect(buildToolCallPreview("blu-add-section", args.slice(0, 10))).toBeNull();
+		expect(buildToolCallPreview("blu/add-section", args)).toMatchObject({
+			toolName: "blu-add-section",
+			imageCount: 1,
+		});
+	});
+
+	it("unwraps the ability gateway and skips other tools", () => {
+		const gateway = JSON.stringify({ ability_name: "blu/edit-block", parameters: {} });
+
+		expect(getPreviewToolName("blu-call-ability", gateway)).toBe("blu-edit-block");
+		expect(buildToolCallPreview("blu-update-block-attrs", '{"block_content":"x"}')).toBeNull();
+	});
+});
@@ -0,0 +1,325 @@
+/**
+ * Internal dependencies
+ */
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import {
+	executeToolCallsForREST,
+	resolveClientToolCall,
+} from "../../../src/services/toolDispatcher";
+import { handleAddSection } from "../../../src/services/toolHandlers/addSection";
+import { handleDuplicate } from "../../../src/services/toolHandlers/duplicate";
+import { handleEditBlock } from "../../../src/services/toolHandlers/editBlock";
+import { createMockMcpClient } from "../../../src/services/providers/mockMcpClient";
+import * as toolScheduler from "../../../src/services/toolScheduler";
+
+jest.mock("../../../src/services/toolHandlers/addSection", () => ({
+	handleAddSection: jest.fn(),
+}));
+jest.mock("../../../src/services/toolHandlers/duplicate", () => ({
+	handleDuplicate: jest.fn(),
+}));
+jest.mock("../../../src/services/toolHandlers/editBlock", () => ({
+	handleEditBlock: jest.fn(),
+}));
+jest.mock("../../../src/services/changeHistory", () => ({
+	captureTurnSnapshot: jest.fn(() => ({ blocks: [] })),
+	buildTurnUndo: jest.fn(() => ({ changed: true })),
+}));
+
+const ok = (toolCall, message = "Done") => ({
+	id: toolCall.id,
+	result: [{ type: "text", text: JSON.stringify({ success: true, message }) }],
+	isError: false,
+	hasChanges: true,
+});
+
+/**
+ * Context the dispatcher expects from useEditorChatREST, with every setter mocked.
+ *
+ * @param {Object} [overrides] Fields to replace, e.g. mcpClient or abortSignal.
+ * @return {Object} Tool context.
+ */
+function makeCtx(overrides = {}) {
+	return {
+		mcpClient: createMockMcpClient(),
+		abortSignal: new AbortController().signal,
+		blockSnapshotRef: { current: null },
+		executedToolsRef: { current: [] },
+		wait: jest.fn(() => Promise.resolve()),
+		updateProgress: jest.fn(() => Promise.resolve()),
+		setStatus: jest.fn(),
+		setActiveToolCall: jest.fn(),
+		setPendingTools: jest.fn(),
+		setExecutedTools: jest.fn(),
+		setToolProgress: jest.fn(),
+		setMessages: jest.fn(),
+		...overrides,
+	};
+}
+
+describe("resolveClientToolCall", () => {
+	it("passes plain client tools through", () => {
+		expect(resolveClientToolCall("blu-edit-block", { client_id: "a" })).toEqual({
+			toolName: "blu-edit-block",
+			args: { client_id: "a" },
+		});
+	});
+
+	it("maps short aliases to registered names", () => {
+		expect(resolveClientToolCall("blu-edit", {}).toolName).toBe("blu-edit-block");
+		expect(resolveClientToolCall("blu-add-block", {}).toolName).toBe("blu-add-section");
+		expect(resolveClientToolCall("blu-insert", {}).toolName).toBe("blu-insert-inner-block");
+	});
+
+	it("unwraps the gateway envelope and slash-form ability names", () => {
+		expect(
+			resolveClientToolCall("blu-call-ability", {
+				ability_name: "blu/duplicate",
+				parameters: { client_id: "a" },
+			})
+		).toEqual({ toolName: "blu-duplicate-block", args: { client_id: "a" } });
+	});
+
+	it("parses stringified arguments and parameters", () => {
+		const { toolName, args } = resolveClientToolCall(
+			"blu-call-ability",
+			JSON.stringify({
+				ability_name: "blu-move-block",
+				parameters: JSON.stringify({ client_id: "a", position: "after" }),
+			})
+		);
+
+		expect(toolName).toBe("blu-move-block");
+		expect(args).toEqual({ client_id: "a", position: "after" });
+	});
+
+	it("merges parameters sent beside ability_name, preferring the nested ones", () => {
+		expect(
+			resolveClientToolCall("blu-call-ability", {
+				ability_name: "blu-delete-block",
+				client_id: "outer",
+				label: "About",
+				parameters: { client_id: "inner" },
+			}).args
+		).toEqual({ client_id: "inner", label: "About" });
+	});
+
+	it("ignores non-object parameters", () => {
+		expect(
+			resolveClientToolCall("blu-call-ability", {
+				ability_name: "blu-get-block-markup",
+				parameters: ["a"],
+			}).args
+		).toEqual({});
+	});
+});
+
+describe("executeToolCallsForREST", () => {
+	it("routes an aliased client tool to its handler and records undo data", async () => {
+		handleEditBlock.mockImplementation((toolCall) => ok(toolCall, "Heading updated."));
+		const ctx = makeCtx();
+		const toolCall = {
+			id: "call_1",
+			name: "blu-edit",
+			arguments: JSON.stringify({ client_id: "a", content: "<!-- wp:heading /-->" }),
+		};
+
+		const results = await executeToolCallsForREST([toolCall], ctx);
+
+		expect(handleEditBlock).toHaveBeenCalledWith(
+			expect.objectContaining({ name: "blu-edit-block" }),
+			expect.objectContaining({ client_id: "a", block_content: "<!-- wp:heading /-->" }),
+			expect.anything()
+		);
+		expect(results).toEqual([
+			expect.objectContaining({
+				tool_call_id: "call_1",
+				content: "Heading updated.",
+				isError: false,
+				hasChanges: true,
+			}),
+		]);
+		expect(ctx.blockSnapshotRef.current).toEqual({ blocks: [] });
+		expect(ctx.setMessages).toHaveBeenCalled();
+		expect(ctx.executedToolsRef.current).toHaveLength(1);
+	});
+
+	it("treats edit-block without a client_id as add-section", async () => {
+		handleAddSection.mockImplementation((toolCall) => ok(toolCall));
+		const ctx = makeCtx();
+
+		await executeToolCallsForREST(
+			[
+				{
+					id: "call_1",
+					name: "blu-edit-block",
+					arguments: { block_content: "<!-- wp:group /-->" },
+				},
+			],
+			ctx
+		);
+
+		expect(handleEditBlock).not.toHaveBeenCalled();
+		expect(handleAddSection).toHaveBeenCalledTimes(1);
+	});
+
+	it("sends non-blu tools straight to the MCP server", async () => {
+		const mcpClient = createMockMcpClient({ results: { "search-docs": { hits: 2 } } });
+		const ctx = makeCtx({ mcpClient });
+
+		const results = await executeToolCallsForREST(
+			[{ id: "call_1", name: "search-docs", arguments: { query: "logo" } }],
+			ctx
+		);
+
+		expect(mcpClient.calls).toEqual([{ name: "search-docs", args: { query: "logo" } }]);
+		expect(JSON.parse(results[0].content).content[0].text).toBe('{"hits":2}');
+		expect(ctx.setStatus).not.toHaveBeenCalled();
+	});
+
+	it("runs a client-action stub returned by the server locally", async () => {
+		handleDuplicate.mockImplementation((toolCall) => ok(toolCall, "Duplicated."));
+		const mcpClient = createMockMcpClient({
+			results: {
+				"blu-duplicate-section": {
+					success: true,
+					message: { action: "duplicate", client_id: "a" },
+				},
+			},
+		});
+		const ctx = makeCtx({ mcpClient });
+
+		const results = await executeToolCallsForREST(
+			[{ id: "call_1", name: "blu-duplicate-section", arguments: { kind: "section" } }],
+			ctx
+		);
+
+		expect(handleDuplicate).toHaveBeenCalledWith(
+			expect.anything(),
+			{ kind: "section", client_id: "a" },
+			expect.anything()
+		);
+		expect(results[0]).toMatchObject({ content: "Duplicated.", hasChanges: true });
+	});
+
+	it("returns results in tool_call order when server and client tools mix", async () => {
+		handleEditBlock.mockImplementation((toolCall) => ok(toolCall));
+		const ctx = makeCtx();
+
+		const results = await executeToolCallsForREST(
+			[
+				{ id: "call_1", name: "blu-edit-block", arguments: { client_id: "a", block_content: "x" } },
+				{ id: "call_2", name: "search-docs", arguments: {} },
+				{ id: "call_3", name: "blu-edit-block", arguments: { client_id: "b", block_content: "y" } },
+			],
+			ctx
+		);
+
+		expect(results.map((r) => r.tool_call_id)).toEqual(["call_1", "call_2", "call_3"]);
+		expect(ctx.executedToolsRef.current.map((t) => t.id)).toEqual(["call_2", "call_1", "call_3"]);
+	});
+
+	it("cancels every tool when the turn was already stopped", async () => {
+		const controller = new AbortController();
+		controller.abort();
+		const mcpClient = createMockMcpClient();
+		const ctx = makeCtx({ mcpClient, abortSignal: controller.signal });
+
+		const results = await executeToolCallsForREST(
+			[
+				{ id: "call_1", name: "search-docs", arguments: {} },
+				{ id: "call_2", name: "blu-edit-block", arguments: { client_id: "a" } },
+			],
+			ctx
+		);
+
+		expect(results.map((r) => [r.tool_call_id, r.isError])).toEqual([
+			["call_1", true],
+			["call_2", true],
+		]);
+		expect(results[0].content).toMatch(/^Cancelled/);
+		expect(mcpClient.calls).toEqual([]);
+		expect(handleEditBlock).not.toHaveBeenCalled();
+	});
+
+	it("schedules a delete by item_label as touching any block", async () => {
+		const footprint = jest.spyOn(toolScheduler, "getToolFootprint");
+		const controller = new AbortController();
+		controller.abort();
+
+		await executeToolCallsForREST(
+			[
+				{
+					id: "call_1",
+					name: "blu-delete-block",
+					arguments: { client_id: "nav-link", item_label: "About" },
+				},
+			],
+			makeCtx({ abortSignal: controller.signal })
+		);
+
+		expect(footprint).toHaveBeenCalledWith(
+			"blu-delete-block",
+			expect.objectContaining({ label: "About" })
+		);
+		expect(footprint.mock.results[0].value).toEqual({ writes: true, blocks: null });
+		footprint.mockRestore();
+	});
+
+	it("refuses a gated ability before it reaches the server", async () => {
+		window.nfdEditorChat.toolCapabilities = {
+			"blu-update-global-styles": { capability: "edit_theme_options", allowed: false },
+		};
+		const mcpClient = createMockMcpClient();
+		const ctx = makeCtx({ mcpClient });
+
+		const results = await executeToolCallsForREST(
+			[
+				{
+					id: "call_1",
+					name: "blu-call-ability",
+					arguments: {
+						ability_name: "blu/update-global-styles",
+						parameters: { settings: { color: {} } },
+					},
+				},
+			],
+			ctx
+		);
+
+		expect(results[0].isError).toBe(true);
+		expect(JSON.parse(results[0].content)).toMatchObject({ denied: true });
+		expect(results[0].content).toContain("edit_theme_options");
+		expect(mcpClient.calls).toEqual([]);
+	});
+
+	it("refuses a block edit inside a template part without the template capability", async () => {
+		window.nfdEditorChat.toolCapabilities = {
+			template: { capability: "edit_theme_options", allowed: false },
+		};
+		const title = createBlock("core/site-title");
+		resetRegistry({
+			blocks: [createBlock("core/template-part", { slug: "header" }, [title])],
+			editor: { postType: "page" },
+		});
+
+		const results = await executeToolCallsForREST(
+			[
+				{
+					id: "call_1",
+					name: "blu-edit-block",
+					arguments: JSON.stringify({
+						client_id: title.clientId,
+						block_content: "<!-- wp:site-title /-->",
+					}),
+				},
+			],
+			makeCtx()
+		);
+
+		expect(handleEditBlock).not.toHaveBeenCalled();
+		expect(JSON.parse(results[0].content)).toMatchObject({ denied: true });
+		expect(results[0].content).toContain("edit_theme_options");
+	});
+});
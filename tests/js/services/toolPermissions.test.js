@@ -0,0 +1,108 @@
+/**
+ * Internal dependencies
+ */
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+import {
+	deniedToolResult,
+	filterAllowedTools,
+	getMissingCapability,
+	TEMPLATE_SCOPE,
+	writesTemplate,
+} from "../../../src/services/toolPermissions";
+
+const tool = (name) => ({ type: "function", function: { name } });
+
+beforeEach(() => {
+	window.nfdEditorChat.toolCapabilities = {
+		"blu-update-global-styles": { capability: "edit_theme_options", allowed: false },
+		"blu-add-page": { capability: "publish_pages", allowed: true },
+		[TEMPLATE_SCOPE]: { capability: "edit_theme_options", allowed: false },
+	};
+});
+
+describe("getMissingCapability", () => {
+	it("names the capability of a denied tool", () => {
+		expect(getMissingCapability("blu-update-global-styles")).toBe("edit_theme_options");
+		expect(getMissingCapability(TEMPLATE_SCOPE)).toBe("edit_theme_options");
+	});
+
+	it("allows granted and unmapped tools", () => {
+		expect(getMissingCapability("blu-add-page")).toBeNull();
+		expect(getMissingCapability("blu-edit-block")).toBeNull();
+	});
+
+	it("allows everything when the host ships no map", () => {
+		window.nfdEditorChat = {};
+		expect(getMissingCapability("blu-update-global-styles")).toBeNull();
+	});
+});
+
+describe("filterAllowedTools", () => {
+	it("withholds denied tools from the model", () => {
+		const tools = [tool("blu-edit-block"), tool("blu-update-global-styles"), tool("blu-add-page")];
+		expect(filterAllowedTools(tools).map((t) => t.function.name)).toEqual([
+			"blu-edit-block",
+			"blu-add-page",
+		]);
+	});
+});
+
+describe("deniedToolResult", () => {
+	it("refuses with the missing capability as the reason", () => {
+		const result = deniedToolResult({ id: "call_1" }, "blu-update-global-styles");
+		const payload = JSON.parse(result.result[0].text);
+
+		expect(result).toMatchObject({ id: "call_1", isError: true });
+		expect(payload.denied).toBe(true);
+		expect(payload.error).toContain('"edit_theme_options"');
+	});
+
+	it("returns null for an allowed tool", () => {
+		expect(deniedToolResult({ id: "call_1" }, "blu-add-page")).toBeNull();
+	});
+});
+
+describe("writesTemplate", () => {
+	let header;
+	let heading;
+	let paragraph;
+
+	// A page shown inside its template: a header part with a menu, then the
+	// page's own content.
+	beforeEach(() => {
+		heading = createBlock("core/site-title");
+		header = createBlock("core/template-part", { slug: "header", area: "header" }, [
+			heading,
+			createBlock("core/navigation", { ref: 4 }),
+		]);
+		paragraph = createBlock("core/paragraph", { content: "Welcome" });
+		resetRegistry({
+			blocks: [header, createBlock("core/post-content", {}, [paragraph])],
+			editor: { postType: "page", postId: 2 },
+		});
+	});
+
+	it("flags an edit inside a template part", () => {
+		expect(writesTemplate("blu-edit-block", { client_id: heading.clientId })).toBe(true);
+		expect(deniedToolResult({ id: "call_1" }, TEMPLATE_SCOPE).result[0].text).toContain(
+			"header, footer or navigation menus"
+		);
+	});
+
+	it("flags an insert into a template part", () => {
+		expect(
+			writesTemplate("blu-insert-inner-block", {
+				parent_client_id: header.clientId,
+				block_content: "<!-- wp:paragraph --><p>Sale!</p><!-- /wp:paragraph -->",
+			})
+		).toBe(true);
+		expect(writesTemplate("blu-add-section", { after_client_id: heading.clientId })).toBe(true);
+	});
+
+	it("leaves writes to the page content alone", () => {
+		expect(writesTemplate("blu-edit-block", { client_id: paragraph.clientId })).toBe(false);
+		expect(writesTemplate("blu-add-section", { after_client_id: paragraph.clientId })).toBe(false);
+		expect(writesTemplate("blu-get-block-markup", { client_id: heading.clientId })).toBe(false);
+	});
+});
@@ -0,0 +1,167 @@
+/**
+ * Internal dependencies
+ */
+import {
+	DEFAULT_TOOL_CONCURRENCY,
+	getToolConcurrency,
+	getToolFootprint,
+	mapWithConcurrency,
+	runScheduledTools,
+} from "../../../src/services/toolScheduler";
+import { createBlock } from "../fakes/blocks";
+import { resetRegistry } from "../fakes/data";
+
+/**
+ * A promise the test settles by hand.
+ *
+ * @return {{ promise: Promise, resolve: Function }} Deferred.
+ */
+function defer() {
+	let resolve;
+	const promise = new Promise((r) => {
+		resolve = r;
+	});
+	return { promise, resolve };
+}
+
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+/**
+ * Runner that records which calls have started and lets the test finish them.
+ *
+ * @param {number} count Number of calls.
+ * @return {{ run: Function, started: number[], finish: Function }} Controls.
+ */
+function controlledRun(count) {
+	const started = [];
+	const pending = Array.from({ length: count }, defer);
+	return {
+		started,
+		run: (index) => {
+			started.push(index);
+			return pending[index].promise.then(() => `result-${index}`);
+		},
+		finish: async (index) => {
+			pending[index].resolve();
+			await flush();
+		},
+	};
+}
+
+describe("getToolFootprint", () => {
+	it("scopes reads and block-level writes to the blocks they name", () => {
+		expect(getToolFootprint("blu-get-block-markup", { client_id: "a" })).toEqual({
+			writes: false,
+			blocks: ["a"],
+		});
+		expect(getToolFootprint("blu-list-abilities", {})).toEqual({ writes: false, blocks: [] });
+		expect(getToolFootprint("blu-update-block-attrs", { clientId: "a" })).toEqual({
+			writes: true,
+			blocks: ["a"],
+		});
+		expect(getToolFootprint("blu-insert-inner-block", { parent_client_id: "p" }).blocks).toEqual([
+			"p",
+		]);
+	});
+
+	it("treats writes without a known target as touching everything", () => {
+		expect(getToolFootprint("blu-add-section", { block_content: "x" }).blocks).toBeNull();
+		expect(getToolFootprint("blu-edit-block", { block_content: "x" }).blocks).toBeNull();
+		expect(getToolFootprint("blu-delete-block", { label: "About" }).blocks).toBeNull();
+		expect(getToolFootprint("blu-generate-image", { prompt: "a cat" })).toEqual({
+			writes: true,
+			blocks: null,
+		});
+	});
+});
+
+describe("getToolConcurrency", () => {
+	it("reads the host's cap and falls back to the default", () => {
+		expect(getToolConcurrency()).toBe(DEFAULT_TOOL_CONCURRENCY);
+		window.nfdEditorChat.toolConcurrency = 5;
+		expect(getToolConcurrency()).toBe(5);
+		window.nfdEditorChat.toolConcurrency = 0;
+		expect(getToolConcurrency()).toBe(DEFAULT_TOOL_CONCURRENCY);
+	});
+});
+
+describe("mapWithConcurrency", () => {
+	it("never runs more than the limit at once and keeps item order", async () => {
+		let inFlight = 0;
+		let peak = 0;
+		const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+			inFlight++;
+			peak = Math.max(peak, inFlight);
+			await new Promise((r) => setTimeout(r, delay));
+			inFlight--;
+			return index;
+		});
+
+		expect(peak).toBe(2);
+		expect(results).toEqual([0, 1, 2, 3]);
+	});
+});
+
+describe("runScheduledTools", () => {
+	it("runs independent reads side by side, up to the cap", async () => {
+		const footprints = [0, 1, 2].map(() => getToolFootprint("blu-get-site-info", {}));
+		const { run, started, finish } = controlledRun(3);
+
+		const all = runScheduledTools(footprints, 2, run);
+		await flush();
+		expect(started).toEqual([0, 1]);
+
+		await finish(1);
+		expect(started).toEqual([0, 1, 2]);
+
+		await finish(0);
+		await finish(2);
+		expect(await all).toEqual(["result-0", "result-1", "result-2"]);
+	});
+
+	it("keeps writes to overlapping subtrees in order", async () => {
+		const inner = createBlock("core/paragraph");
+		const group = createBlock("core/group", {}, [inner]);
+		const other = createBlock("core/heading");
+		resetRegistry({ blocks: [group, other] });
+
+		const footprints = [
+			getToolFootprint("blu-edit-block", { client_id: group.clientId, block_content: "x" }),
+			getToolFootprint("blu-update-block-attrs", { client_id: inner.clientId }),
+			getToolFootprint("blu-update-block-attrs", { client_id: other.clientId }),
+		];
+		const { run, started, finish } = controlledRun(3);
+
+		const all = runScheduledTools(footprints, 3, run);
+		await flush();
+		expect(started).toEqual([0, 2]);
+
+		await finish(0);
+		expect(started).toEqual([0, 2, 1]);
+
+		await finish(1);
+		await finish(2);
+		expect(await all).toEqual(["result-0", "result-1", "result-2"]);
+	});
+
+	it("holds everything after an unscoped write until it finishes", async () => {
+		const footprints = [
+			getToolFootprint("blu-get-site-info", {}),
+			getToolFootprint("blu-add-section", { block_content: "x" }),
+			getToolFootprint("blu-get-site-info", {}),
+		];
+		const { run, started, finish } = controlledRun(3);
+
+		const all = runScheduledTools(footprints, 3, run);
+		await flush();
+		expect(started).toEqual([0]);
+
+		await finish(0);
+		expect(started).toEqual([0, 1]);
+
+		await finish(1);
+		await finish(2);
+		expect(started).toEqual([0, 1, 2]);
+		await all;
+	});
+});
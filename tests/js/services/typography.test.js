@@ -0,0 +1,314 @@
+/**
+ * External dependencies
+ */
+import { readFileSync } from "fs";
+import { basename, join } from "path";
+
+/**
+ * WordPress dependencies
+ */
+import apiFetch from "@wordpress/api-fetch";
+import { select } from "@wordpress/data";
+
+/**
+ * Internal dependencies
+ */
+import { getDispatchedActions, resetRegistry } from "../fakes/data";
+import { clearFontCollections } from "../../../src/services/fontLibrary";
+import { restoreTurnChanges } from "../../../src/services/restoreHandlers";
+import {
+	handleApplyFontPairing,
+	handleSuggestFontPairings,
+} from "../../../src/services/toolHandlers/typography";
+import {
+	buildFontPairingApplyCall,
+	getFontPairings,
+	getTypographyUpdate,
+} from "../../../src/services/typography";
+
+const FIXTURES = join(__dirname, "../fixtures/fonts");
+const CDN = "https://fonts.gstatic.test/s";
+const SITE_FONTS = "https://site.test/wp-content/fonts";
+
+const face = (family, fontWeight, fontStyle = "normal") => ({
+	fontFamily: family,
+	fontStyle,
+	fontWeight,
+	src: `${CDN}/${family.toLowerCase().replace(/ /g, "-")}-${fontWeight}.woff2`,
+});
+
+// A slice of the Google Fonts collection.
+const COLLECTION = {
+	slug: "google-fonts",
+	font_families: [
+		{
+			font_family_settings: {
+				name: "Playfair Display",
+				slug: "playfair-display",
+				fontFamily: '"Playfair Display", serif',
+				fontFace: [
+					face("Playfair Display", "400"),
+					face("Playfair Display", "400", "italic"),
+					face("Playfair Display", "700"),
+					face("Playfair Display", "900"),
+				],
+			},
+			categories: ["serif"],
+		},
+		{
+			font_family_settings: {
+				name: "Source Sans 3",
+				slug: "source-sans-3",
+				fontFamily: '"Source Sans 3", sans-serif',
+				fontFace: [
+					face("Source Sans 3", "300"),
+					face("Source Sans 3", "400"),
+					face("Source Sans 3", "700"),
+				],
+			},
+			categories: ["sans-serif"],
+		},
+	],
+};
+
+// Source Sans 3 is installed already, in its regular weight only.
+const INSTALLED_FAMILIES = {
+	"source-sans-3": {
+		id: 8,
+		_embedded: {
+			font_faces: [
+				{
+					font_face_settings: {
+						fontFamily: "Source Sans 3",
+						fontStyle: "normal",
+						fontWeight: "400",
+						src: `${SITE_FONTS}/source-sans-3-400.woff2`,
+					},
+				},
+			],
+		},
+	},
+};
+
+/**
+ * Font Library endpoints of a site with the collection above; new families
+ * get id 7.
+ *
+ * @param {Object}   request        apiFetch options.
+ * @param {string}   request.path   Request path.
+ * @param {string}   request.method HTTP method.
+ * @param {FormData} request.body   Upload body.
+ * @return {Promise<*>} Response.
+ */
+async function fontLibraryApi({ path, method = "GET", body }) {
+	if (path === "/wp/v2/font-collections/google-fonts") {
+		return COLLECTION;
+	}
+	if (method === "GET" && path.startsWith("/wp/v2/font-families?")) {
+		const slug = new URLSearchParams(path.split("?")[1]).get("slug");
+		return INSTALLED_FAMILIES[slug] ? [INSTALLED_FAMILIES[slug]] : [];
+	}
+	if (method === "POST" && path === "/wp/v2/font-families") {
+		return { id: 7, font_family_settings: JSON.parse(body.get("font_family_settings")) };
+	}
+	const match = path.match(/^\/wp\/v2\/font-families\/(\d+)\/font-faces$/);
+	if (method === "POST" && match) {
+		const settings = JSON.parse(body.get("font_face_settings"));
+		const file = body.get(settings.src);
+		return {
+			id: 100,
+			parent: Number(match[1]),
+			font_face_settings: { ...settings, src: `${SITE_FONTS}/${file.name}` },
+		};
+	}
+	throw new Error(`Unexpected apiFetch: ${method} ${path}`);
+}
+
+const faceUploads = () =>
+	apiFetch.mock.calls
+		.map(([request]) => request)
+		.filter((request) => request.path.endsWith("/font-faces"));
+
+const makeCtx = () => ({
+	updateProgress: jest.fn(async () => {}),
+	originalGlobalStylesRef: { current: null },
+});
+
+const call = (name, args) => ({ id: "call-1", name, arguments: JSON.stringify(args) });
+
+beforeEach(() => {
+	clearFontCollections();
+	apiFetch.mockImplementation(fontLibraryApi);
+	// Face files are served from tests/js/fixtures/fonts.
+	global.fetch = jest.fn(async (src) => {
+		const bytes = readFileSync(join(FIXTURES, basename(src)));
+		return { ok: true, status: 200, blob: async () => new Blob([bytes], { type: "font/woff2" }) };
+	});
+	resetRegistry({
+		editor: { globalStylesId: 12 },
+		records: { "root/globalStyles/12": { id: 12, settings: {}, styles: {} } },
+	});
+});
+
+afterEach(() => {
+	delete global.fetch;
+});
+
+describe("getTypographyUpdate", () => {
+	it("registers both families and points headings and body text at them", () => {
+		const heading = { name: "Playfair Display", slug: "playfair-display", fontFamily: "serif" };
+		const body = { name: "Source Sans 3", slug: "source-sans-3", fontFamily: "sans-serif" };
+
+		expect(getTypographyUpdate(heading, body)).toEqual({
+			settings: { typography: { fontFamilies: { custom: [heading, body] } } },
+			styles: {
+				typography: { fontFamily: "var:preset|font-family|source-sans-3" },
+				elements: {
+					heading: { typography: { fontFamily: "var:preset|font-family|playfair-display" } },
+				},
+			},
+		});
+		expect(getTypographyUpdate(body, body).settings.typography.fontFamilies.custom).toEqual([body]);
+	});
+});
+
+describe("blu-suggest-font-pairings", () => {
+	it("keeps the pairings the collection has and names the fonts it lacks", async () => {
+		const result = await handleSuggestFontPairings(
+			call("blu-suggest-font-pairings"),
+			{
+				pairings: [
+					{ heading: "playfair display", body: "Source Sans 3", reason: "Classic contrast." },
+					{ heading: "Comic Sans MS", body: "Source Sans 3" },
+				],
+			},
+			makeCtx()
+		);
+
+		expect(result.isError).toBe(false);
+		expect(getFontPairings(result.result[0].text)).toEqual([
+			{ heading: "Playfair Display", body: "Source Sans 3", reason: "Classic contrast." },
+		]);
+		expect(JSON.parse(result.result[0].text).unknown).toEqual(["Comic Sans MS"]);
+	});
+
+	it("reports a missing Font Library without suggesting anything", async () => {
+		apiFetch.mockImplementation(() => Promise.reject(new Error("No route was found")));
+
+		const result = await handleSuggestFontPairings(
+			call("blu-suggest-font-pairings"),
+			{ pairings: [{ heading: "Playfair Display", body: "Source Sans 3" }] },
+			makeCtx()
+		);
+
+		expect(result.isError).toBe(true);
+		expect(result.result[0].text).toContain("Font Library is not available");
+	});
+});
+
+describe("blu-apply-font-pairing", () => {
+	it("installs the missing faces from their files and saves the fonts", async () => {
+		const ctx = makeCtx();
+
+		const { toolResult, globalStylesUndoData } = await handleApplyFontPairing(
+			call("blu-apply-font-pairing"),
+			{ heading: "Playfair Display", body: "Source Sans 3" },
+			ctx
+		);
+
+		expect(toolResult).toMatchObject({ isError: false, hasChanges: true });
+		expect(JSON.parse(toolResult.result[0].text).message).toContain("Installed 3 font file(s)");
+
+		// Playfair Display is created; both of its upright weights and Source
+		// Sans 3's bold are uploaded; the installed regular is reused.
+		expect(apiFetch.mock.calls.map(([request]) => request.path)).toContain(
+			"/wp/v2/font-families?slug=playfair-display&_embed=true"
+		);
+		const uploads = faceUploads();
+		expect(uploads.map((request) => request.path)).toEqual([
+			"/wp/v2/font-families/7/font-faces",
+			"/wp/v2/font-families/7/font-faces",
+			"/wp/v2/font-families/8/font-faces",
+		]);
+		const settings = JSON.parse(uploads[1].body.get("font_face_settings"));
+		expect(settings).toEqual({
+			fontFamily: "Playfair Display",
+			fontWeight: "700",
+			fontStyle: "normal",
+			src: "file-0-1",
+		});
+		const file = uploads[1].body.get("file-0-1");
+		expect(file.name).toBe("playfair-display-700.woff2");
+		expect(file.size).toBe(readFileSync(join(FIXTURES, "playfair-display-700.woff2")).length);
+
+		// The saved settings serve every face from the site.
+		const edited = select("core").getEditedEntityRecord("root", "globalStyles", 12);
+		const [heading, body] = edited.settings.typography.fontFamilies.custom;
+		expect(heading.fontFace.map((entry) => entry.src)).toEqual([
+			`${SITE_FONTS}/playfair-display-400.woff2`,
+			`${SITE_FONTS}/playfair-display-700.woff2`,
+		]);
+		expect(body.fontFace.map((entry) => entry.fontWeight)).toEqual(["400", "700"]);
+		expect(edited.styles.typography.fontFamily).toBe("var:preset|font-family|source-sans-3");
+		expect(edited.styles.elements.heading.typography.fontFamily).toBe(
+			"var:preset|font-family|playfair-display"
+		);
+		expect(
+			getDispatchedActions().filter(([, action]) => action === "saveEditedEntityRecord")
+		).toHaveLength(1);
+
+		// Reverting the turn puts back the settings and styles from before it.
+		expect(globalStylesUndoData).toEqual({
+			globalStyles: { originalStyles: {}, originalCssStyles: {}, globalStylesId: 12 },
+		});
+		expect(ctx.originalGlobalStylesRef.current).toBe(globalStylesUndoData);
+	});
+
+	it("saves the original global styles back when the turn is reverted", async () => {
+		const original = {
+			id: 12,
+			settings: { typography: { fontFamilies: { custom: [{ slug: "inter", name: "Inter" }] } } },
+			styles: { typography: { fontFamily: "var:preset|font-family|inter" } },
+		};
+		resetRegistry({
+			editor: { globalStylesId: 12 },
+			records: { "root/globalStyles/12": JSON.parse(JSON.stringify(original)) },
+		});
+		const { globalStylesUndoData } = await handleApplyFontPairing(
+			call("blu-apply-font-pairing"),
+			{ heading: "Playfair Display", body: "Source Sans 3" },
+			makeCtx()
+		);
+		expect(select("core").getEntityRecord("root", "globalStyles", 12)).not.toEqual(original);
+
+		const result = await restoreTurnChanges(globalStylesUndoData);
+
+		expect(result.success).toBe(true);
+		expect(select("core").getEntityRecord("root", "globalStyles", 12)).toEqual(original);
+		expect(select("core").hasEditsForEntityRecord("root", "globalStyles", 12)).toBe(false);
+	});
+
+	it("changes nothing when a family is not in the collection", async () => {
+		const { toolResult } = await handleApplyFontPairing(
+			call("blu-apply-font-pairing"),
+			{ heading: "Playfair Display", body: "Helvetica Now" },
+			makeCtx()
+		);
+
+		expect(toolResult.isError).toBe(true);
+		expect(toolResult.result[0].text).toContain("Not in Google Fonts: Helvetica Now");
+		expect(faceUploads()).toEqual([]);
+		expect(global.fetch).not.toHaveBeenCalled();
+		expect(getDispatchedActions()).toEqual([]);
+	});
+
+	it("is the call a picked pairing runs", () => {
+		expect(
+			buildFontPairingApplyCall({ heading: "Playfair Display", body: "Source Sans 3" }, "fonts-1")
+		).toEqual({
+			id: "fonts-1",
+			name: "blu-apply-font-pairing",
+			arguments: JSON.stringify({ heading: "Playfair Display", body: "Source Sans 3" }),
+		});
+	});
+});
@@ -0,0 +1,30 @@
+/**
+ * Unit test setup: the fake registry behind both `@wordpress/data` and the
+ * `wp.data` global, reset before every test along with the localized config.
+ */
+import * as data from "./fakes/data";
+import { __resetBlocks } from "./fakes/blocks";
+
+// Verbose logging is on outside production builds, and @wordpress/jest-console
+// fails a test on any unexpected console.log. Warnings and errors still pass
+// through so tests can assert them with toHaveWarned / toHaveErrored. Debug-only
+// features (e.g. the /context command) stay on, as in development.
+jest.mock("../../src/utils/logger", () => ({
+	__esModule: true,
+	debugEnabled: () => true,
+	default: {
+		log: () => {},
+		info: () => {},
+		debug: () => {},
+		warn: (...args) => console.warn(...args),
+		error: (...args) => console.error(...args),
+	},
+}));
+
+global.wp = { data };
+
+beforeEach(() => {
+	data.resetRegistry();
+	__resetBlocks();
+	window.nfdEditorChat = {};
+});
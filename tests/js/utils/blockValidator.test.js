@@ -0,0 +1,145 @@
+/**
+ * Internal dependencies
+ */
+import { checkTagBalance, validateBlockMarkup } from "../../../src/utils/blockValidator";
+
+const names = (blocks) => blocks.map((b) => b.name);
+
+describe("checkTagBalance", () => {
+	it("accepts balanced container markup", () => {
+		expect(
+			checkTagBalance(
+				'<div class="a"><figure><img src="x.jpg"/><figcaption>Hi</figcaption></figure></div>'
+			)
+		).toEqual({ balanced: true });
+	});
+
+	it("ignores block comments and void elements", () => {
+		expect(
+			checkTagBalance("<!-- wp:group --><div><br><hr/><img src='a'></div><!-- /wp:group -->")
+		).toEqual({ balanced: true });
+	});
+
+	it("reports a closing tag that does not match the open one", () => {
+		const result = checkTagBalance("<div><p>Text</div></p>");
+
+		expect(result.balanced).toBe(false);
+		expect(result.details).toBe("Unexpected closing tag </div>, expected </p>");
+	});
+
+	it("lists unclosed tags innermost first", () => {
+		const result = checkTagBalance("<section><div><ul><li>One</li>");
+
+		expect(result.balanced).toBe(false);
+		expect(result.details).toBe("Unclosed tags — missing: </ul>, </div>, </section>");
+	});
+
+	it("reports a stray closing tag", () => {
+		expect(checkTagBalance("</div>").details).toBe(
+			"Unexpected closing tag </div>, expected nothing"
+		);
+	});
+});
+
+describe("validateBlockMarkup", () => {
+	it("rejects empty and non-string input", () => {
+		expect(validateBlockMarkup("").valid).toBe(false);
+		expect(validateBlockMarkup(null).error).toBe("block_content is empty or not a string");
+	});
+
+	it("rejects markup without block comments", () => {
+		expect(validateBlockMarkup("<p>Hello</p>")).toEqual({
+			valid: false,
+			error: "Missing block comments (<!-- wp:... -->)",
+		});
+	});
+
+	it("rejects unresolved image placeholders before parsing", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:image {"url":"__IMG_1__"} --><figure class="wp-block-image"><img src="__IMG_1__"/></figure><!-- /wp:image -->'
+		);
+
+		expect(result.valid).toBe(false);
+		expect(result.error).toMatch(/^Unresolved image placeholders: __IMG_1__/);
+	});
+
+	it("rejects unbalanced HTML with the mismatch in the error", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:group --><div class="wp-block-group"><p>Hi</p><!-- /wp:group -->'
+		);
+
+		expect(result.valid).toBe(false);
+		expect(result.error).toMatch(
+			/^Malformed HTML in block_content: Unclosed tags — missing: <\/div>/
+		);
+		expect(console).toHaveWarned();
+	});
+
+	it("normalizes valid markup and returns the parsed blocks", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:group {"layout":{"type":"constrained"}} --><div class="wp-block-group"><!-- wp:heading --><h2>Title</h2><!-- /wp:heading --></div><!-- /wp:group -->'
+		);
+
+		expect(result.valid).toBe(true);
+		expect(names(result.blocks)).toEqual(["core/group"]);
+		expect(result.blocks[0].attributes.layout).toEqual({ type: "constrained" });
+		expect(names(result.blocks[0].innerBlocks)).toEqual(["core/heading"]);
+		expect(result.correctedContent).toContain("<!-- wp:heading");
+	});
+
+	it("wraps bare <li> items of a list in list-item delimiters", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:list --><ul class="wp-block-list"><li>One</li><li>Two</li></ul><!-- /wp:list -->'
+		);
+
+		expect(result.valid).toBe(true);
+		expect(names(result.blocks[0].innerBlocks)).toEqual(["core/list-item", "core/list-item"]);
+	});
+
+	it("rewrites wp:row as a flex group", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:row {"className":"cta"} --><div class="wp-block-row cta"></div><!-- /wp:row -->'
+		);
+
+		expect(result.valid).toBe(true);
+		expect(result.blocks[0].name).toBe("core/group");
+		expect(result.blocks[0].attributes).toEqual({ className: "cta", layout: { type: "flex" } });
+	});
+
+	it("lifts a cover background image into the url attribute", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:cover --><div class="wp-block-cover"><img class="wp-block-cover__image-background" src="https://example.org/bg.jpg"/></div><!-- /wp:cover -->'
+		);
+
+		expect(result.valid).toBe(true);
+		expect(result.blocks[0].attributes.url).toBe("https://example.org/bg.jpg");
+	});
+
+	it("wraps a bare button in a buttons block", () => {
+		const result = validateBlockMarkup(
+			'<!-- wp:button --><div class="wp-block-button"><a class="wp-block-button__link">Go</a></div><!-- /wp:button -->'
+		);
+
+		expect(result.valid).toBe(true);
+		expect(names(result.blocks)).toEqual(["core/buttons"]);
+		expect(names(result.blocks[0].innerBlocks)).toEqual(["core/button"]);
+	});
+
+	it("rejects markup that parses only to freeform content", () => {
+		const result = validateBlockMarkup("<p>Loose</p><!-- wp: -->");
+
+		expect(result).toEqual({
+			valid: false,
+			error: "No valid blocks found — markup parsed only to freeform/null blocks",
+		});
+	});
+
+	it("keeps a self-closing navigation link verbatim", () => {
+		const markup = '<!-- wp:navigation-link {"label":"About","url":"/about"} /-->';
+
+		expect(validateBlockMarkup(`  ${markup}\n`)).toMatchObject({
+			valid: true,
+			correctedContent: markup,
+		});
+	});
+});
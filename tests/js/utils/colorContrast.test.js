@@ -0,0 +1,57 @@
+/**
+ * Internal dependencies
+ */
+import {
+	adjustForContrast,
+	getContrastRatio,
+	getPresetSlug,
+	parseColor,
+	resolvePaletteColor,
+} from "../../../src/utils/colorContrast";
+
+const PALETTE = [
+	{ slug: "base", color: "#ffffff", name: "Base" },
+	{ slug: "contrast", color: "#111111", name: "Contrast" },
+];
+
+describe("colorContrast", () => {
+	it("parses hex and rgb colors, and nothing else", () => {
+		expect(parseColor("#FFF")).toEqual({ r: 255, g: 255, b: 255 });
+		expect(parseColor("#1e73be")).toEqual({ r: 30, g: 115, b: 190 });
+		expect(parseColor("rgba(10, 20, 30, 0.5)")).toEqual({ r: 10, g: 20, b: 30 });
+		expect(parseColor("linear-gradient(#fff, #000)")).toBeNull();
+		expect(parseColor("red")).toBeNull();
+	});
+
+	it("computes WCAG contrast ratios either way round", () => {
+		expect(getContrastRatio("#000", "#fff")).toBe(21);
+		expect(getContrastRatio("#fff", "#777")).toBe(4.48);
+		expect(getContrastRatio("#777", "#fff")).toBe(4.48);
+		expect(getContrastRatio("#777", "var(--unknown)")).toBeNull();
+	});
+
+	it("resolves slugs and preset references through the palette", () => {
+		expect(resolvePaletteColor("contrast", PALETTE)).toBe("#111111");
+		expect(resolvePaletteColor("var:preset|color|base", PALETTE)).toBe("#ffffff");
+		expect(resolvePaletteColor("var(--wp--preset--color--base)", PALETTE)).toBe("#ffffff");
+		expect(resolvePaletteColor("#abcdef", PALETTE)).toBe("#abcdef");
+		expect(resolvePaletteColor("accent", PALETTE)).toBeNull();
+	});
+
+	it("reads the slug of preset references only", () => {
+		expect(getPresetSlug("var:preset|color|accent-2")).toBe("accent-2");
+		expect(getPresetSlug("var(--wp--preset--color--base, #fff)")).toBe("base");
+		expect(getPresetSlug("primary")).toBe("primary");
+		expect(getPresetSlug("#ffffff")).toBeNull();
+		expect(getPresetSlug("rgb(0, 0, 0)")).toBeNull();
+	});
+
+	it("darkens or lightens a color until it reaches the ratio", () => {
+		const darker = adjustForContrast("#f7e36b", "#ffffff", 3);
+		expect(getContrastRatio(darker, "#ffffff")).toBeGreaterThanOrEqual(3);
+		expect(getContrastRatio("#f7e36b", "#ffffff")).toBeLessThan(3);
+		const lighter = adjustForContrast("#333333", "#111111", 4.5);
+		expect(getContrastRatio(lighter, "#111111")).toBeGreaterThanOrEqual(4.5);
+		expect(adjustForContrast("#777", "var(--unknown)", 4.5)).toBeNull();
+	});
+});
@@ -0,0 +1,78 @@
+/**
+ * Internal dependencies
+ */
+import { deepMergeAttrs, deepMergeStyles } from "../../../src/utils/deepMerge";
+
+describe("deepMergeStyles", () => {
+	it("merges nested objects without dropping untouched keys", () => {
+		const target = { color: { text: "#000", background: "#fff" }, spacing: { padding: "1rem" } };
+		const merged = deepMergeStyles(target, { color: { text: "#111" } });
+
+		expect(merged).toEqual({
+			color: { text: "#111", background: "#fff" },
+			spacing: { padding: "1rem" },
+		});
+		expect(target.color.text).toBe("#000");
+	});
+
+	it("merges slug-keyed arrays by slug: updates, preserves and appends", () => {
+		const target = {
+			palette: [
+				{ slug: "base", color: "#fff", name: "Base" },
+				{ slug: "contrast", color: "#000", name: "Contrast" },
+			],
+		};
+		const merged = deepMergeStyles(target, {
+			palette: [
+				{ slug: "contrast", color: "#222" },
+				{ slug: "accent", color: "#f60", name: "Accent" },
+			],
+		});
+
+		expect(merged.palette).toEqual([
+			{ slug: "base", color: "#fff", name: "Base" },
+			{ slug: "contrast", color: "#222", name: "Contrast" },
+			{ slug: "accent", color: "#f60", name: "Accent" },
+		]);
+	});
+
+	it("replaces arrays that are not slug-keyed", () => {
+		const merged = deepMergeStyles({ fontSizes: [1, 2, 3] }, { fontSizes: [4] });
+
+		expect(merged.fontSizes).toEqual([4]);
+	});
+
+	it("replaces a slug array outright when the target has none", () => {
+		const merged = deepMergeStyles({ palette: "inherit" }, { palette: [{ slug: "a" }] });
+
+		expect(merged.palette).toEqual([{ slug: "a" }]);
+	});
+
+	it("copies source objects instead of aliasing them", () => {
+		const source = { typography: { fontSize: "18px" } };
+		const merged = deepMergeStyles({}, source);
+
+		expect(merged.typography).toEqual(source.typography);
+		expect(merged.typography).not.toBe(source.typography);
+	});
+});
+
+describe("deepMergeAttrs", () => {
+	it("deletes keys set to null", () => {
+		expect(deepMergeAttrs({ fontSize: "large", align: "wide" }, { fontSize: null })).toEqual({
+			align: "wide",
+		});
+	});
+
+	it("deep-merges style objects", () => {
+		const merged = deepMergeAttrs(
+			{ style: { color: { text: "#000" }, spacing: { margin: "0" } } },
+			{ style: { color: { background: "#fff" } } }
+		);
+
+		expect(merged.style).toEqual({
+			color: { text: "#000", background: "#fff" },
+			spacing: { margin: "0" },
+		});
+	});
+});
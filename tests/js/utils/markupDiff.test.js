@@ -0,0 +1,73 @@
+/**
+ * Internal dependencies
+ */
+import { diffMarkup } from "../../../src/utils/markupDiff";
+
+const paragraph = (text) => `<!-- wp:paragraph --><p>${text}</p><!-- /wp:paragraph -->`;
+
+// Markup as diffMarkup compares it: block comments and HTML on lines of their own.
+const lines = (markup) =>
+	markup
+		.replace(/(<!--[\s\S]*?-->)/g, "\n$1\n")
+		.split("\n")
+		.map((line) => line.trim())
+		.filter(Boolean);
+
+describe("diffMarkup", () => {
+	it("keeps unchanged blocks and marks inserted and removed ones", () => {
+		const before = [paragraph("Intro"), paragraph("Old offer"), paragraph("Contact us")].join("\n");
+		const after = [paragraph("Intro"), paragraph("Contact us"), paragraph("New footer note")].join(
+			"\n"
+		);
+
+		const rows = diffMarkup(before, after);
+		const textOf = (type) => rows.filter((row) => row.type === type).map((row) => row.text);
+
+		expect(textOf("same")).toContain("<p>Intro</p>");
+		expect(textOf("removed")).toContain("<p>Old offer</p>");
+		expect(textOf("added")).toContain("<p>New footer note</p>");
+		expect(textOf("same")).toHaveLength(7);
+		// Read one side at a time, the rows give back each version line by line.
+		const side = (type) => rows.filter((row) => row.type !== type).map((row) => row.text);
+		expect(side("added")).toEqual(lines(before));
+		expect(side("removed")).toEqual(lines(after));
+	});
+
+	it("shows a changed attribute against its block comment", () => {
+		const rows = diffMarkup(
+			'<!-- wp:heading {"level":2} --><h2 class="wp-block-heading">Hi</h2><!-- /wp:heading -->',
+			'<!-- wp:heading {"level":3} --><h3 class="wp-block-heading">Hi</h3><!-- /wp:heading -->'
+		);
+
+		expect(rows.filter((row) => row.type !== "same")).toEqual([
+			{ type: "removed", text: '<!-- wp:heading {"level":2} -->' },
+			{ type: "removed", text: '<h2 class="wp-block-heading">Hi</h2>' },
+			{ type: "added", text: '<!-- wp:heading {"level":3} -->' },
+			{ type: "added", text: '<h3 class="wp-block-heading">Hi</h3>' },
+		]);
+		expect(rows.at(-1)).toEqual({ type: "same", text: "<!-- /wp:heading -->" });
+	});
+
+	it("lists every line as added for an insertion", () => {
+		expect(diffMarkup("", paragraph("New"))).toEqual([
+			{ type: "added", text: "<!-- wp:paragraph -->" },
+			{ type: "added", text: "<p>New</p>" },
+			{ type: "added", text: "<!-- /wp:paragraph -->" },
+		]);
+		expect(
+			diffMarkup(paragraph("Same"), paragraph("Same")).every((row) => row.type === "same")
+		).toBe(true);
+	});
+
+	it("falls back to removed-then-added for very long markup", () => {
+		const many = (prefix) =>
+			Array.from({ length: 600 }, (_, n) => paragraph(`${prefix} ${n}`)).join("");
+
+		const rows = diffMarkup(many("Before"), many("After"));
+
+		expect(rows).toHaveLength(3600);
+		expect(rows[0].type).toBe("removed");
+		expect(rows.at(-1)).toEqual({ type: "added", text: "<!-- /wp:paragraph -->" });
+		expect(rows.some((row) => row.type === "same")).toBe(false);
+	});
+});
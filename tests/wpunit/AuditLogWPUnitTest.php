@@ -0,0 +1,206 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * AuditLog wpunit tests.
+ *
+ * @coversDefaultClass \NewfoldLabs\WP\Module\EditorChat\AuditLog
+ */
+class AuditLogWPUnitTest extends \lucatume\WPBrowser\TestCase\WPTestCase {
+
+	/**
+	 * Register the post type and act as an editor.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+		AuditLog::register_post_type();
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+	}
+
+	/**
+	 * Build a create request for the audit endpoint.
+	 *
+	 * @param array $changes Changes of the turn.
+	 * @param array $extra   Other params (prompt, tools, post_id, post_type).
+	 * @return \WP_REST_Request
+	 */
+	private function make_create_request( $changes, $extra = array() ) {
+		$request = new \WP_REST_Request( 'POST', '/nfd-editor-chat/v1/audit' );
+		$params  = array_merge(
+			array(
+				'prompt'    => 'Make the hero darker',
+				'tools'     => array(
+					array(
+						'name'     => 'blu-edit-block',
+						'is_error' => false,
+						'targets'  => array( 'abc-123' ),
+					),
+				),
+				'changes'   => $changes,
+				'post_id'   => '42',
+				'post_type' => 'page',
+			),
+			$extra
+		);
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+		return $request;
+	}
+
+	/**
+	 * A change with valid hashes.
+	 *
+	 * @return array
+	 */
+	private function make_change() {
+		return array(
+			'kind'        => 'changed',
+			'target'      => 'abc-123',
+			'before_hash' => hash( 'sha256', 'before' ),
+			'after_hash'  => hash( 'sha256', 'after' ),
+		);
+	}
+
+	/**
+	 * Registers the audit REST route.
+	 *
+	 * @return void
+	 */
+	public function test_register_rest_routes_registers_audit_route() {
+		$server = rest_get_server();
+		ChatEditor::register_rest_routes();
+
+		$this->assertArrayHasKey( '/nfd-editor-chat/v1/audit', $server->get_routes() );
+	}
+
+	/**
+	 * Create stores the entry for the current user and drops bad hashes.
+	 *
+	 * @return void
+	 */
+	public function test_create_entry_stores_sanitized_entry() {
+		$bad_change               = $this->make_change();
+		$bad_change['kind']       = 'moved';
+		$bad_change['after_hash'] = '<script>';
+
+		$response = AuditLog::create_entry(
+			$this->make_create_request( array( $this->make_change(), $bad_change ) )
+		);
+		$data     = $response->get_data();
+
+		$this->assertSame( 201, $response->get_status() );
+		$this->assertSame( 'Make the hero darker', $data['prompt'] );
+		$this->assertSame( '42', $data['post_id'] );
+		$this->assertSame( array( 'abc-123' ), $data['tools'][0]['targets'] );
+		$this->assertSame( hash( 'sha256', 'after' ), $data['changes'][0]['after_hash'] );
+		$this->assertNull( $data['changes'][1]['after_hash'] );
+		$this->assertSame( get_current_user_id(), (int) get_post( $data['id'] )->post_author );
+	}
+
+	/**
+	 * Create refuses a turn without a known change.
+	 *
+	 * @return void
+	 */
+	public function test_create_entry_requires_a_change() {
+		$result = AuditLog::create_entry(
+			$this->make_create_request( array( array( 'kind' => 'rewritten' ) ) )
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_audit_entry', $result->get_error_code() );
+	}
+
+	/**
+	 * Listing filters by post and links the revision saved after the entry.
+	 *
+	 * @return void
+	 */
+	public function test_list_entries_links_the_following_revision() {
+		$page_id = self::factory()->post->create(
+			array(
+				'post_type'    => 'page',
+				'post_content' => 'before',
+			)
+		);
+		$created = AuditLog::create_entry(
+			$this->make_create_request( array( $this->make_change() ), array( 'post_id' => (string) $page_id ) )
+		)->get_data();
+		AuditLog::create_entry( $this->make_create_request( array( $this->make_change() ) ) );
+		wp_update_post(
+			array(
+				'ID'           => $page_id,
+				'post_content' => 'after',
+			)
+		);
+
+		$request = new \WP_REST_Request( 'GET', '/nfd-editor-chat/v1/audit' );
+		$request->set_param( 'post_id', (string) $page_id );
+		$request->set_param( 'post_type', 'page' );
+		$data = AuditLog::list_entries( $request )->get_data();
+
+		$this->assertSame( 1, $data['total'] );
+		$this->assertSame( $created['id'], $data['entries'][0]['id'] );
+		$this->assertNotNull( $data['entries'][0]['revision_id'] );
+		$this->assertStringContainsString( 'revision.php?revision=', $data['entries'][0]['revision_url'] );
+	}
+
+	/**
+	 * A revision another user saved is not linked to the entry.
+	 *
+	 * @return void
+	 */
+	public function test_list_entries_links_only_the_authors_revision() {
+		$editor_id = get_current_user_id();
+		$page_id   = self::factory()->post->create(
+			array(
+				'post_type'    => 'page',
+				'post_content' => 'before',
+			)
+		);
+		AuditLog::create_entry(
+			$this->make_create_request( array( $this->make_change() ), array( 'post_id' => (string) $page_id ) )
+		);
+
+		$request = new \WP_REST_Request( 'GET', '/nfd-editor-chat/v1/audit' );
+		$request->set_param( 'post_id', (string) $page_id );
+		$request->set_param( 'post_type', 'page' );
+
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+		wp_update_post(
+			array(
+				'ID'           => $page_id,
+				'post_content' => 'edited by someone else',
+			)
+		);
+		$this->assertNull( AuditLog::list_entries( $request )->get_data()['entries'][0]['revision_id'] );
+
+		wp_set_current_user( $editor_id );
+		wp_update_post(
+			array(
+				'ID'           => $page_id,
+				'post_content' => 'after',
+			)
+		);
+		$revision_id = AuditLog::list_entries( $request )->get_data()['entries'][0]['revision_id'];
+
+		$this->assertSame( $editor_id, (int) get_post( $revision_id )->post_author );
+		$this->assertSame( 'after', get_post( $revision_id )->post_content );
+	}
+
+	/**
+	 * Only administrators can read the log.
+	 *
+	 * @return void
+	 */
+	public function test_list_route_requires_administrator() {
+		ChatEditor::register_rest_routes();
+		$response = rest_get_server()->dispatch( new \WP_REST_Request( 'GET', '/nfd-editor-chat/v1/audit' ) );
+
+		$this->assertSame( 403, $response->get_status() );
+	}
+}
@@ -0,0 +1,77 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * BrandProfile wpunit tests.
+ *
+ * @coversDefaultClass \NewfoldLabs\WP\Module\EditorChat\BrandProfile
+ */
+class BrandProfileWPUnitTest extends \lucatume\WPBrowser\TestCase\WPTestCase {
+
+	/**
+	 * Registers the brand profile REST route.
+	 *
+	 * @return void
+	 */
+	public function test_register_rest_routes_registers_brand_profile_route() {
+		$server = rest_get_server();
+		ChatEditor::register_rest_routes();
+
+		$this->assertArrayHasKey( '/nfd-editor-chat/v1/brand-profile', $server->get_routes() );
+	}
+
+	/**
+	 * An unset profile still has every field.
+	 *
+	 * @return void
+	 */
+	public function test_get_profile_defaults_to_empty_fields() {
+		delete_option( BrandProfile::OPTION_NAME );
+
+		$this->assertSame(
+			array(
+				'tone'          => '',
+				'banned_words'  => array(),
+				'cta_phrasing'  => '',
+				'reading_level' => '',
+				'palette_slugs' => array(),
+				'fonts'         => array(),
+			),
+			BrandProfile::get_profile()
+		);
+	}
+
+	/**
+	 * Update stores a sanitized profile and returns it.
+	 *
+	 * @return void
+	 */
+	public function test_update_profile_sanitizes_and_stores() {
+		$request = new \WP_REST_Request( 'POST', '/nfd-editor-chat/v1/brand-profile' );
+		$request->set_param( 'tone', "  Warm and direct.\nNo jargon. <b>Ever</b>  " );
+		$request->set_param( 'banned_words', array( 'cheap', ' cheap ', '', 'synergy' ) );
+		$request->set_param( 'reading_level', 'simple' );
+		$request->set_param( 'palette_slugs', array( 'Accent 2' ) );
+
+		$data = BrandProfile::update_profile( $request )->get_data();
+
+		$this->assertSame( "Warm and direct.\nNo jargon. Ever", $data['tone'] );
+		$this->assertSame( array( 'cheap', 'synergy' ), $data['banned_words'] );
+		$this->assertSame( 'simple', $data['reading_level'] );
+		$this->assertSame( array( 'accent-2' ), $data['palette_slugs'] );
+		$this->assertSame( '', $data['cta_phrasing'] );
+		$this->assertSame( $data, BrandProfile::get_profile() );
+	}
+
+	/**
+	 * Unknown reading levels are dropped.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_profile_rejects_unknown_reading_level() {
+		$profile = BrandProfile::sanitize_profile( array( 'reading_level' => 'legalese' ) );
+
+		$this->assertSame( '', $profile['reading_level'] );
+	}
+}
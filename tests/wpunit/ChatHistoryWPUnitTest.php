@@ -0,0 +1,218 @@
+<?php
+
+namespace NewfoldLabs\WP\Module\EditorChat;
+
+/**
+ * ChatHistory wpunit tests.
+ *
+ * @coversDefaultClass \NewfoldLabs\WP\Module\EditorChat\ChatHistory
+ */
+class ChatHistoryWPUnitTest extends \lucatume\WPBrowser\TestCase\WPTestCase {
+
+	/**
+	 * Register the post type and act as an editor.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+		ChatHistory::register_post_type();
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+	}
+
+	/**
+	 * Build a save request for the chats endpoints.
+	 *
+	 * @param string $method   HTTP method.
+	 * @param array  $messages Display messages.
+	 * @param array  $extra    Other params (id, history, post_id, post_type).
+	 * @return \WP_REST_Request
+	 */
+	private function make_save_request( $method, $messages, $extra = array() ) {
+		$request = new \WP_REST_Request( $method, '/nfd-editor-chat/v1/chats' );
+		$params  = array_merge(
+			array(
+				'messages'  => $messages,
+				'history'   => array(),
+				'post_id'   => '42',
+				'post_type' => 'page',
+			),
+			$extra
+		);
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+		return $request;
+	}
+
+	/**
+	 * Archive a chat as the current user and return its summary.
+	 *
+	 * @param string $text First user message.
+	 * @return array
+	 */
+	private function create_chat( $text = 'Make the hero darker' ) {
+		$response = ChatHistory::create_chat(
+			$this->make_save_request(
+				'POST',
+				array(
+					array(
+						'role'    => 'user',
+						'content' => $text,
+					),
+					array(
+						'role'    => 'assistant',
+						'content' => 'Done.',
+					),
+				)
+			)
+		);
+		return $response->get_data();
+	}
+
+	/**
+	 * Registers the list and single-chat REST routes.
+	 *
+	 * @return void
+	 */
+	public function test_register_rest_routes_registers_chat_routes() {
+		$server = rest_get_server();
+		ChatEditor::register_rest_routes();
+
+		$routes = $server->get_routes();
+
+		$this->assertArrayHasKey( '/nfd-editor-chat/v1/chats', $routes );
+		$this->assertArrayHasKey( '/nfd-editor-chat/v1/chats/(?P<id>\d+)', $routes );
+	}
+
+	/**
+	 * Creating a chat titles it after the first user message and files it under the post.
+	 *
+	 * @return void
+	 */
+	public function test_create_chat_returns_summary() {
+		$chat = $this->create_chat();
+
+		$this->assertIsInt( $chat['id'] );
+		$this->assertSame( 'Make the hero darker', $chat['title'] );
+		$this->assertSame( '42', $chat['post_id'] );
+		$this->assertSame( 'page', $chat['post_type'] );
+		$this->assertSame( 2, $chat['message_count'] );
+	}
+
+	/**
+	 * A chat without messages is rejected.
+	 *
+	 * @return void
+	 */
+	public function test_create_chat_rejects_empty_messages() {
+		$result = ChatHistory::create_chat( $this->make_save_request( 'POST', array() ) );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'invalid_chat', $result->get_error_code() );
+		$this->assertSame( 400, $result->get_error_data()['status'] );
+	}
+
+	/**
+	 * Get returns the stored messages and history.
+	 *
+	 * @return void
+	 */
+	public function test_get_chat_returns_messages_and_history() {
+		$chat    = $this->create_chat();
+		$request = new \WP_REST_Request( 'GET' );
+		$request->set_param( 'id', $chat['id'] );
+
+		$data = ChatHistory::get_chat( $request )->get_data();
+
+		$this->assertCount( 2, $data['messages'] );
+		$this->assertSame( 'Done.', $data['messages'][1]['content'] );
+		$this->assertSame( array(), $data['history'] );
+	}
+
+	/**
+	 * Another user's chat is reported as not found.
+	 *
+	 * @return void
+	 */
+	public function test_get_chat_hides_other_users_chats() {
+		$chat = $this->create_chat();
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+
+		$request = new \WP_REST_Request( 'GET' );
+		$request->set_param( 'id', $chat['id'] );
+		$result = ChatHistory::get_chat( $request );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'chat_not_found', $result->get_error_code() );
+		$this->assertSame( 404, $result->get_error_data()['status'] );
+	}
+
+	/**
+	 * Update replaces the messages but keeps the post the chat started on.
+	 *
+	 * @return void
+	 */
+	public function test_update_chat_replaces_messages() {
+		$chat    = $this->create_chat();
+		$request = $this->make_save_request(
+			'PUT',
+			array(
+				array(
+					'role'    => 'user',
+					'content' => 'Make the hero darker',
+				),
+			),
+			array(
+				'id'      => $chat['id'],
+				'post_id' => '7',
+			)
+		);
+
+		$data = ChatHistory::update_chat( $request )->get_data();
+
+		$this->assertSame( 1, $data['message_count'] );
+		$this->assertSame( '42', $data['post_id'] );
+	}
+
+	/**
+	 * List filters by post and searches message text.
+	 *
+	 * @return void
+	 */
+	public function test_list_chats_filters_by_post_and_search() {
+		$this->create_chat( 'Make the hero darker' );
+		$this->create_chat( 'Add a pricing table' );
+
+		$request = new \WP_REST_Request( 'GET' );
+		$request->set_param( 'page', 1 );
+		$request->set_param( 'search', 'pricing' );
+		$data = ChatHistory::list_chats( $request )->get_data();
+
+		$this->assertSame( 1, $data['total'] );
+		$this->assertSame( 'Add a pricing table', $data['chats'][0]['title'] );
+
+		$request = new \WP_REST_Request( 'GET' );
+		$request->set_param( 'page', 1 );
+		$request->set_param( 'post_id', '99' );
+		$request->set_param( 'post_type', 'page' );
+
+		$this->assertSame( 0, ChatHistory::list_chats( $request )->get_data()['total'] );
+	}
+
+	/**
+	 * Delete removes the chat.
+	 *
+	 * @return void
+	 */
+	public function test_delete_chat_removes_chat() {
+		$chat    = $this->create_chat();
+		$request = new \WP_REST_Request( 'DELETE' );
+		$request->set_param( 'id', $chat['id'] );
+
+		$data = ChatHistory::delete_chat( $request )->get_data();
+
+		$this->assertTrue( $data['deleted'] );
+		$this->assertNull( get_post( $chat['id'] ) );
+	}
+}
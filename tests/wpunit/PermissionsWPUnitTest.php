@@ -122,4 +122,42 @@ class PermissionsWPUnitTest extends \lucatume\WPBrowser\TestCase\WPTestCase {
 		wp_set_current_user( $user_id );
 		$this->assertTrue( Permissions::is_editor() );
 	}
+
+	/**
+	 * Editors may add pages but not change global styles or the logo.
+	 *
+	 * @return void
+	 */
+	public function test_get_tool_capabilities_for_editor() {
+		$user_id = self::factory()->user->create( array( 'role' => 'editor' ) );
+		wp_set_current_user( $user_id );
+		$map = Permissions::get_tool_capabilities();
+
+		$this->assertSame(
+			array(
+				'capability' => 'edit_theme_options',
+				'allowed'    => false,
+			),
+			$map['blu-update-global-styles']
+		);
+		$this->assertFalse( $map['template']['allowed'] );
+		$this->assertFalse( $map['blu-apply-font-pairing']['allowed'] );
+		$this->assertFalse( $map['blu-regenerate-logo']['allowed'] );
+		$this->assertTrue( $map['blu-add-page']['allowed'] );
+	}
+
+	/**
+	 * Administrators may use the gated core tools.
+	 *
+	 * @return void
+	 */
+	public function test_get_tool_capabilities_for_administrator() {
+		$user_id = self::factory()->user->create( array( 'role' => 'administrator' ) );
+		wp_set_current_user( $user_id );
+		$map = Permissions::get_tool_capabilities();
+
+		$this->assertTrue( $map['blu-update-global-styles']['allowed'] );
+		$this->assertTrue( $map['template']['allowed'] );
+		$this->assertTrue( $map['blu-add-page']['allowed'] );
+	}
 }